@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Identity;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.IdentityModel.Tokens;
 using Simone.Models;
+using Simone.Services;
 using System.IdentityModel.Tokens.Jwt;
 using System.Security.Claims;
 using System.Text;
@@ -10,7 +11,8 @@ namespace Simone.Controllers.Api
 {
     /// <summary>
     /// Autenticación para la app POS React Native.
-    /// POST /api/v1/auth/login  →  devuelve JWT
+    /// POST /api/v1/auth/login         →  devuelve JWT
+    /// GET  /api/v1/auth/login/estado  →  bloqueo y desafío del formulario web (login.js)
     /// </summary>
     [ApiController]
     [Route("api/v1/auth")]
@@ -19,20 +21,28 @@ namespace Simone.Controllers.Api
         private readonly UserManager<Usuario>  _userManager;
         private readonly SignInManager<Usuario> _signInManager;
         private readonly IConfiguration        _config;
+        private readonly LoginLoggerService    _loginLogger;
 
         public AuthApiController(
             UserManager<Usuario>  userManager,
             SignInManager<Usuario> signInManager,
-            IConfiguration        config)
+            IConfiguration        config,
+            LoginLoggerService    loginLogger)
         {
             _userManager  = userManager;
             _signInManager = signInManager;
             _config        = config;
+            _loginLogger   = loginLogger;
         }
 
         // ── DTOs ─────────────────────────────────────────────────────────────
 
-        public record LoginRequest(string Email, string Password);
+        public record LoginRequest(
+            string  Email,
+            string  Password,
+            string? CodigoDosFactores = null,
+            string? DesafioToken = null,
+            string? DesafioNonce = null);
 
         public record LoginResponse(
             string  Token,
@@ -42,11 +52,22 @@ namespace Simone.Controllers.Api
             int?    VendedorId,
             DateTime Expira);
 
+        public record EstadoLoginResponse(
+            bool          Bloqueado,
+            int           RetryAfter,
+            bool          RequiereDesafio,
+            DesafioLogin? Desafio);
+
         // ── POST /api/v1/auth/login ──────────────────────────────────────────
 
         /// <summary>
         /// Recibe email + contraseña, devuelve un JWT válido para llamadas POS.
-        /// Solo pueden loguearse usuarios con rol Vendedor o Administrador.
+        /// Solo pueden loguearse usuarios con rol Vendedor o Administrador. Si tienen la verificación
+        /// en dos pasos activada, sin código responde 401 con requiereDosFactores. Con
+        /// Jwt:DosFactoresObligatorio, quien aún no la activó en Cuenta/Perfil recibe 403 con
+        /// requiereActivarDosFactores; sin la clave esas cuentas entran solo con la contraseña.
+        /// Con Jwt:DesafioObligatorio, tras varios fallos exige el mismo desafío que el formulario web
+        /// (GET login/estado): sin DesafioToken/DesafioNonce válidos responde 400 con requiereDesafio y uno nuevo.
         /// </summary>
         [HttpPost("login")]
         public async Task<IActionResult> Login([FromBody] LoginRequest req)
@@ -54,18 +75,47 @@ namespace Simone.Controllers.Api
             if (string.IsNullOrWhiteSpace(req.Email) || string.IsNullOrWhiteSpace(req.Password))
                 return BadRequest(new { error = "Email y contraseña son requeridos." });
 
+            // Mismo límite de intentos que el formulario web. La app aún no resuelve el desafío:
+            // solo se exige con Jwt:DesafioObligatorio, cuando la versión que lo resuelve esté publicada
+            var estado = await _loginLogger.ObtenerEstadoAsync(req.Email, HttpContext.RequestAborted);
+            if (estado.Bloqueado)
+            {
+                Response.Headers.RetryAfter = estado.RetryAfterSegundos.ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests,
+                    new { error = "Demasiados intentos fallidos. Intenta más tarde.", retryAfter = estado.RetryAfterSegundos });
+            }
+
+            var desafioObligatorio = bool.TryParse(_config["Jwt:DesafioObligatorio"], out var exigirDesafio) && exigirDesafio;
+
+            if (desafioObligatorio && estado.RequiereDesafio &&
+                !_loginLogger.VerificarDesafio(req.DesafioToken, req.DesafioNonce, estado.Dificultad))
+            {
+                return BadRequest(new
+                {
+                    error = "Completa la verificación de seguridad para continuar.",
+                    requiereDesafio = true,
+                    desafio = _loginLogger.CrearDesafio(estado.Dificultad)
+                });
+            }
+
             var usuario = await _userManager.FindByEmailAsync(req.Email);
             if (usuario == null || !usuario.Activo)
+            {
+                await _loginLogger.RegistrarAsync(req.Email, false);
                 return Unauthorized(new { error = "Credenciales inválidas." });
+            }
 
-            // Verificar contraseña (sin actualizar lockout en fallo = false)
+            // Verificar contraseña (actualiza el lockout de Identity en cada fallo)
             var result = await _signInManager.CheckPasswordSignInAsync(usuario, req.Password, lockoutOnFailure: true);
 
             if (result.IsLockedOut)
                 return Unauthorized(new { error = "Cuenta bloqueada temporalmente. Intenta más tarde." });
 
             if (!result.Succeeded)
+            {
+                await _loginLogger.RegistrarAsync(req.Email, false);
                 return Unauthorized(new { error = "Credenciales inválidas." });
+            }
 
             // Solo permitir Vendedor o Administrador en la app POS
             var roles = await _userManager.GetRolesAsync(usuario);
@@ -76,6 +126,38 @@ namespace Simone.Controllers.Api
             if (rol == null)
                 return Unauthorized(new { error = "No tienes acceso a la app POS." });
 
+            // Hasta publicar la versión de la app que envía el código (Jwt:DosFactoresObligatorio),
+            // las cuentas sin 2FA activado entran sin él; quien ya lo activó siempre debe enviarlo
+            var dosFactoresObligatorio = bool.TryParse(_config["Jwt:DosFactoresObligatorio"], out var obligatorio) && obligatorio;
+
+            if (!usuario.TwoFactorEnabled && dosFactoresObligatorio)
+                return StatusCode(StatusCodes.Status403Forbidden, new
+                {
+                    error = "Activa la verificación en dos pasos en tu perfil web para usar la app POS.",
+                    requiereActivarDosFactores = true
+                });
+
+            if (usuario.TwoFactorEnabled)
+            {
+                var codigo = req.CodigoDosFactores?.Replace(" ", string.Empty).Replace("-", string.Empty);
+                if (string.IsNullOrEmpty(codigo))
+                    return Unauthorized(new { error = "Ingresa el código de tu app de autenticación.", requiereDosFactores = true });
+
+                var codigoValido = await _userManager.VerifyTwoFactorTokenAsync(
+                    usuario, _userManager.Options.Tokens.AuthenticatorTokenProvider, codigo);
+
+                if (!codigoValido)
+                {
+                    // Mismo bloqueo que la contraseña (Identity y LogIniciosSesion)
+                    await _userManager.AccessFailedAsync(usuario);
+                    await _loginLogger.RegistrarAsync(req.Email, false);
+                    return Unauthorized(new { error = "El código de verificación no es correcto.", requiereDosFactores = true });
+                }
+            }
+
+            await _userManager.ResetAccessFailedCountAsync(usuario);
+            await _loginLogger.RegistrarAsync(req.Email, true);
+
             // Generar token
             var (token, expira) = GenerarJwt(usuario, rol);
 
@@ -88,6 +170,29 @@ namespace Simone.Controllers.Api
                 Expira:        expira));
         }
 
+        // ── GET /api/v1/auth/login/estado ────────────────────────────────────
+
+        /// <summary>
+        /// Estado de los intentos de inicio de sesión para el correo desde esta IP (LogIniciosSesion).
+        /// Si hay bloqueo responde 429 con Retry-After; si hace falta desafío, incluye uno nuevo.
+        /// </summary>
+        [HttpGet("login/estado")]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> EstadoLogin([FromQuery] string? email, CancellationToken ct)
+        {
+            var estado = await _loginLogger.ObtenerEstadoAsync(email, ct);
+
+            if (estado.Bloqueado)
+            {
+                Response.Headers.RetryAfter = estado.RetryAfterSegundos.ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests,
+                    new EstadoLoginResponse(true, estado.RetryAfterSegundos, estado.RequiereDesafio, null));
+            }
+
+            var desafio = estado.RequiereDesafio ? _loginLogger.CrearDesafio(estado.Dificultad) : null;
+            return Ok(new EstadoLoginResponse(false, 0, estado.RequiereDesafio, desafio));
+        }
+
         // ── Helpers ──────────────────────────────────────────────────────────
 
         private (string token, DateTime expira) GenerarJwt(Usuario usuario, string rol)
@@ -94,6 +94,32 @@ namespace Simone.Controllers
             return new CarritoResumen(cantidad, total);
         }
 
+        /// <summary>
+        /// Proyecta los detalles del carrito al formato JSON que consume CartStore (cart.js)
+        /// </summary>
+        private IEnumerable<object> ProyectarItems(List<CarritoDetalle> detalles)
+        {
+            var imagenDefault = Url.Content("~/images/Productos/default.jpg");
+
+            return detalles.Select(d => new
+            {
+                id = d.CarritoDetalleID,
+                productoId = d.ProductoID,
+                varianteId = d.ProductoVarianteID,
+                nombre = d.Producto?.Nombre ?? "Producto",
+                variante = d.Variante == null
+                    ? ""
+                    : string.Join(" / ", new[] { d.Variante.Color?.Trim(), d.Variante.Talla?.Trim() }
+                        .Where(s => !string.IsNullOrWhiteSpace(s))),
+                cantidad = d.Cantidad,
+                precio = d.Precio,
+                imagen = !string.IsNullOrWhiteSpace(d.Variante?.ImagenPath) ? d.Variante.ImagenPath
+                    : !string.IsNullOrWhiteSpace(d.Producto?.ImagenPath) ? d.Producto.ImagenPath
+                    : imagenDefault,
+                url = Url.Action("VerProducto", "Compras", new { productoID = d.ProductoID })
+            });
+        }
+
         /// <summary>
         /// Obtiene el cupón de descuento de la sesión
         /// </summary>
@@ -362,28 +388,28 @@ namespace Simone.Controllers
                 var usuario = await ObtenerUsuarioActualAsync();
                 if (usuario == null)
                 {
-                    return Json(new { count = 0, subtotal = 0m });
+                    return Json(new { count = 0, subtotal = 0m, items = Array.Empty<object>(), cupon = (object?)null });
                 }
 
                 var carrito = await _carritoService.GetByUsuarioIdAsync(usuario.Id);
-                if (carrito == null)
-                {
-                    return Json(new { count = 0, subtotal = 0m });
-                }
-
-                var detalles = await _carritoService.LoadCartDetails(carrito.CarritoID);
+                var detalles = carrito != null
+                    ? await _carritoService.LoadCartDetails(carrito.CarritoID)
+                    : new List<CarritoDetalle>();
                 var resumen = CalcularResumen(detalles);
+                var cupon = ObtenerCupon();
 
                 return Json(new
                 {
                     count = resumen.Cantidad,
-                    subtotal = resumen.Total
+                    subtotal = resumen.Total,
+                    items = ProyectarItems(detalles),
+                    cupon = cupon == null ? null : new { codigo = cupon.CodigoCupon, descuento = cupon.Descuento }
                 });
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error al obtener info del carrito");
-                return Json(new { count = 0, subtotal = 0m });
+                return Json(new { count = 0, subtotal = 0m, items = Array.Empty<object>(), cupon = (object?)null });
             }
         }
 
@@ -67,6 +67,9 @@ namespace Simone.Controllers
         private static readonly TimeSpan CACHE_DURATION_SUBCATEGORIAS = TimeSpan.FromMinutes(30);
         private static readonly TimeSpan CACHE_DURATION_PRODUCTOS = TimeSpan.FromMinutes(15);
 
+        // Filtros de atributos dinámicos en el catálogo: attr_{AtributoID}=valor
+        private const string QUERY_PREFIX_ATRIBUTO = "attr_";
+
         // Session & Headers
         private const string SESSION_KEY_CUPON = "Cupon";
         private const string HEADER_AJAX = "X-Requested-With";
@@ -188,6 +191,123 @@ namespace Simone.Controllers
 
         #endregion
 
+        #region Helpers - Atributos del catálogo
+
+        /// <summary>
+        /// Lee de la querystring los filtros attr_{AtributoID}=valor (admite varios valores por atributo)
+        /// </summary>
+        private Dictionary<int, List<string>> LeerAtributosSeleccionados()
+        {
+            var seleccion = new Dictionary<int, List<string>>();
+
+            foreach (var (key, values) in Request.Query)
+            {
+                if (!key.StartsWith(QUERY_PREFIX_ATRIBUTO, StringComparison.OrdinalIgnoreCase) ||
+                    !int.TryParse(key.AsSpan(QUERY_PREFIX_ATRIBUTO.Length), out var atributoId))
+                    continue;
+
+                var valores = values
+                    .Where(v => !string.IsNullOrWhiteSpace(v))
+                    .Select(v => v!.Trim())
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                if (valores.Any())
+                    seleccion[atributoId] = valores;
+            }
+
+            return seleccion;
+        }
+
+        /// <summary>
+        /// IDs de productos que cumplen todos los atributos seleccionados.
+        /// Dentro de un mismo atributo los valores se combinan con OR.
+        /// </summary>
+        private async Task<HashSet<int>> FiltrarPorAtributosAsync(
+            int categoriaId,
+            Dictionary<int, List<string>> seleccion,
+            CancellationToken ct)
+        {
+            var atributoIds = seleccion.Keys.ToList();
+
+            // Se materializa porque los multiselect guardan un JSON que hay que parsear
+            var valores = await _context.ProductoAtributoValores
+                .AsNoTracking()
+                .Include(v => v.Atributo)
+                .Where(v => atributoIds.Contains(v.AtributoID) && v.Atributo.CategoriaID == categoriaId)
+                .ToListAsync(ct);
+
+            HashSet<int>? resultado = null;
+
+            foreach (var (atributoId, seleccionados) in seleccion)
+            {
+                var ids = valores
+                    .Where(v => v.AtributoID == atributoId &&
+                                (v.ValorComoLista ?? new List<string>())
+                                    .Any(x => seleccionados.Contains(x, StringComparer.OrdinalIgnoreCase)))
+                    .Select(v => v.ProductoID)
+                    .ToHashSet();
+
+                if (resultado == null)
+                    resultado = ids;
+                else
+                    resultado.IntersectWith(ids);
+            }
+
+            return resultado ?? new HashSet<int>();
+        }
+
+        /// <summary>
+        /// Facetas de los atributos filtrables de la categoría, con los valores
+        /// presentes en los productos ya filtrados
+        /// </summary>
+        private async Task<List<AtributoFacet>> GetAtributosFiltrablesAsync(
+            int categoriaId,
+            List<int> productoIds,
+            Dictionary<int, List<string>> seleccion,
+            CancellationToken ct)
+        {
+            var atributos = await _context.CategoriaAtributos
+                .AsNoTracking()
+                .Where(a => a.CategoriaID == categoriaId && a.Activo && a.Filtrable)
+                .OrderBy(a => a.Orden)
+                .ThenBy(a => a.Nombre)
+                .ToListAsync(ct);
+
+            if (!atributos.Any())
+                return new List<AtributoFacet>();
+
+            var atributoIds = atributos.Select(a => a.AtributoID).ToList();
+            var valores = await _context.ProductoAtributoValores
+                .AsNoTracking()
+                .Include(v => v.Atributo)
+                .Where(v => atributoIds.Contains(v.AtributoID) && productoIds.Contains(v.ProductoID))
+                .ToListAsync(ct);
+
+            return atributos
+                .Select(a => new AtributoFacet
+                {
+                    AtributoID = a.AtributoID,
+                    Nombre = a.Nombre,
+                    TipoCampo = a.TipoCampo,
+                    Unidad = a.Unidad,
+                    Valores = valores
+                        .Where(v => v.AtributoID == a.AtributoID)
+                        .SelectMany(v => v.ValorComoLista ?? new List<string>())
+                        .Where(v => !string.IsNullOrWhiteSpace(v))
+                        .Select(v => v.Trim())
+                        .Distinct(StringComparer.OrdinalIgnoreCase)
+                        .OrderBy(v => v, StringComparer.OrdinalIgnoreCase)
+                        .ToList(),
+                    Seleccionados = seleccion.TryGetValue(a.AtributoID, out var sel) ? sel : new List<string>()
+                })
+                // Un valor seleccionado sigue visible aunque ya no quede ningún producto con él
+                .Where(f => f.Valores.Any() || f.Seleccionados.Any())
+                .ToList();
+        }
+
+        #endregion
+
         #region Helpers - Archivos
 
         /// <summary>
@@ -280,6 +400,11 @@ namespace Simone.Controllers
                     .Distinct(StringComparer.OrdinalIgnoreCase)
                     .ToList();
 
+                // Los atributos pertenecen a la categoría: sin categoría no aplican
+                var atributosSel = categoriaID.HasValue
+                    ? LeerAtributosSeleccionados()
+                    : new Dictionary<int, List<string>>();
+
                 // Base query con Include para evitar N+1
                 IQueryable<Producto> query = _context.Productos
                     .Include(p => p.Variantes)
@@ -341,6 +466,13 @@ namespace Simone.Controllers
                         (p.Talla != null && tallasSel.Contains(p.Talla)));
                 }
 
+                // Filtro por atributos dinámicos de la categoría
+                if (atributosSel.Any())
+                {
+                    var idsPorAtributos = (await FiltrarPorAtributosAsync(categoriaID!.Value, atributosSel, ct)).ToList();
+                    query = query.Where(p => idsPorAtributos.Contains(p.ProductoID));
+                }
+
                 // Ordenamiento
                 query = (sort ?? "").Trim().ToLowerInvariant() switch
                 {
@@ -458,6 +590,10 @@ namespace Simone.Controllers
                     .OrderBy(s => s, StringComparer.OrdinalIgnoreCase)
                     .ToList();
 
+                var atributosFiltrables = categoriaID.HasValue
+                    ? await GetAtributosFiltrablesAsync(categoriaID.Value, filteredProductIds, atributosSel, ct)
+                    : new List<AtributoFacet>();
+
                 // Diccionario de variantes
                 var variantesPorProducto = productos
                     .Where(p => p.Variantes != null)
@@ -478,6 +614,8 @@ namespace Simone.Controllers
                     SoloDisponibles = SoloDisponibles,
                     ColoresDisponibles = coloresDisponibles,
                     TallasDisponibles = tallasDisponibles,
+                    AtributosFiltrables = atributosFiltrables,
+                    AtributosSeleccionados = atributosSel,
                     PageNumber = pageNumber,
                     PageSize = pageSize,
                     TotalProducts = totalProducts,
@@ -677,6 +815,77 @@ namespace Simone.Controllers
             }
         }
 
+        /// <summary>
+        /// GET: /Compras/QuickView/{id}
+        /// Datos del producto para la vista rápida del catálogo (imágenes, variantes con stock y precio)
+        /// </summary>
+        [HttpGet]
+        [Produces("application/json")]
+        public async Task<IActionResult> QuickView(int id, CancellationToken ct = default)
+        {
+            if (id <= 0)
+                return NotFound(new { message = "Producto no encontrado." });
+
+            try
+            {
+                var producto = await _context.Productos
+                    .AsNoTracking()
+                    .Include(p => p.Categoria)
+                    .Include(p => p.Subcategoria)
+                    .Include(p => p.Variantes)
+                    .FirstOrDefaultAsync(p => p.ProductoID == id, ct);
+
+                if (producto == null)
+                {
+                    _logger.LogWarning("Vista rápida de producto inexistente: {ProductoId}", id);
+                    return NotFound(new { message = "Producto no encontrado." });
+                }
+
+                // Misma galería que VerProducto, con la portada primero
+                var (portada, galeria) = await CargarGaleriaAsync(producto.ProductoID, ct);
+                var imagenes = new[] { portada, NormalizeRel(producto.ImagenPath) }
+                    .Concat(galeria)
+                    .Where(x => !string.IsNullOrWhiteSpace(x))
+                    .Select(x => x!)
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                var variantes = (producto.Variantes ?? new List<ProductoVariante>())
+                    .OrderBy(v => v.Color)
+                    .ThenBy(v => v.Talla)
+                    .Select(v => new
+                    {
+                        id = v.ProductoVarianteID,
+                        color = v.Color,
+                        talla = v.Talla,
+                        stock = v.Stock,
+                        precio = v.PrecioVenta ?? producto.PrecioVenta,
+                        imagen = NormalizeRel(v.ImagenPath)
+                    })
+                    .ToList();
+
+                return Json(new
+                {
+                    productoID = producto.ProductoID,
+                    nombre = producto.Nombre,
+                    marca = producto.Marca,
+                    descripcion = producto.Descripcion,
+                    categoria = producto.Categoria?.Nombre,
+                    subcategoria = producto.Subcategoria?.NombreSubcategoria,
+                    precio = producto.PrecioVenta,
+                    stock = producto.StockDisponible,
+                    imagenes,
+                    variantes,
+                    url = Url.Action(nameof(VerProducto), new { productoID = producto.ProductoID })
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error en vista rápida: {ProductoId}", id);
+                return StatusCode(500, new { message = "No se pudo cargar el producto." });
+            }
+        }
+
         /// <summary>
         /// Carga la galería de imágenes de un producto
         /// </summary>
@@ -4,6 +4,8 @@ using System.IO;
 using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Antiforgery;
 using Microsoft.AspNetCore.Authentication;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Http;
@@ -29,14 +31,18 @@ namespace Simone.Controllers
         #region Dependencias
 
         private readonly UserManager<Usuario> _userManager;
-        private readonly SignInManager<Usuario> _signInManager;
+        private readonly SimoneSignInManager _signInManager;
         private readonly RoleManager<Roles> _roleManager;
         private readonly ICarritoService _carritoManager;
         private readonly LogService _logService;
+        private readonly LoginLoggerService _loginLogger;
         private readonly ILogger<CuentaController> _logger;
         private readonly TiendaDbContext _context;
         private readonly IMemoryCache _cache;
         private readonly IFileStorageService _fileStorage;
+        private readonly ExternalLoginService _externalLogin;
+        private readonly LoginCodigoService _loginCodigo;
+        private readonly IAntiforgery _antiforgery;
 
         #endregion
 
@@ -55,6 +61,10 @@ namespace Simone.Controllers
         private const string ROL_CLIENTE = "Cliente";
         private const string ROL_SIN_ASIGNAR = "Sin rol";
 
+        // AJAX (modal de sesión caducada, session.js)
+        private const string HEADER_AJAX_REQUEST = "X-Requested-With";
+        private const string HEADER_AJAX_VALUE = "XMLHttpRequest";
+
         // Rutas
         private const string RUTA_IMAGENES_PERFILES = "/images/Perfiles/";
         private const string CARPETA_PERFILES = "images/Perfiles";
@@ -65,6 +75,8 @@ namespace Simone.Controllers
         private const string MSG_ERROR_CUENTA_INACTIVA = "Tu cuenta está desactivada. Contacta con soporte.";
         private const string MSG_ERROR_CUENTA_BLOQUEADA = "Cuenta bloqueada por múltiples intentos fallidos. Intenta más tarde.";
         private const string MSG_ERROR_CUENTA_NO_PERMITIDA = "Tu cuenta no está habilitada para iniciar sesión.";
+        private const string MSG_ERROR_ESPERA_REINTENTO = "Demasiados intentos fallidos. Intenta de nuevo en {0} segundos.";
+        private const string MSG_ERROR_DESAFIO = "No pudimos completar la verificación de seguridad. Inténtalo otra vez.";
         private const string MSG_ERROR_USUARIO_NO_ENCONTRADO = "No se encontró al usuario.";
         private const string MSG_ERROR_IMAGEN_GRANDE = "La imagen supera el tamaño máximo (5MB).";
         private const string MSG_ERROR_FORMATO_IMAGEN = "Formato de imagen no permitido.";
@@ -74,9 +86,33 @@ namespace Simone.Controllers
         private const string MSG_EXITO_PASSWORD_CAMBIADO = "Contraseña actualizada correctamente.";
         private const string MSG_EXITO_RECUPERACION_ENVIADA = "Te hemos enviado un enlace de recuperación (revisa tu correo).";
         private const string MSG_EXITO_RECUPERACION_GENERICO = "Si el correo existe, se ha enviado un enlace de recuperación.";
-
-        // Headers
-        private const string HEADER_USER_AGENT = "User-Agent";
+        private const string MSG_EXITO_PASSWORD_RESTABLECIDO = "Contraseña restablecida. Ya puedes iniciar sesión.";
+        private const string MSG_ERROR_ENLACE_RECUPERACION = "El enlace de recuperación no es válido o ha caducado.";
+        private const string MSG_ERROR_PROVEEDOR_EXTERNO = "No se pudo iniciar sesión con el proveedor. Inténtalo otra vez.";
+        private const string MSG_ERROR_EMAIL_NO_VERIFICADO = "El proveedor no ha verificado tu correo. Regístrate con email y contraseña.";
+        private const string MSG_ERROR_VINCULO_CADUCADO = "La solicitud para vincular la cuenta ha caducado. Vuelve a intentarlo.";
+        private const string MSG_EXITO_CODIGO_ENVIADO = "Si el correo tiene una cuenta, te hemos enviado un código y un enlace de acceso.";
+        private const string MSG_ERROR_EMAIL_INVALIDO = "Ingresa un correo electrónico válido.";
+        private const string MSG_ERROR_ESPERA_CODIGO = "Espera {0} segundos antes de pedir otro código.";
+        private const string MSG_ERROR_ENVIO_CODIGO = "No pudimos enviar el correo. Inténtalo más tarde.";
+        private const string MSG_ERROR_CODIGO_INCORRECTO = "El código no es correcto.";
+        private const string MSG_ERROR_CODIGO_EXPIRADO = "El código ha caducado o ya se usó. Pide uno nuevo.";
+        private const string MSG_ERROR_CODIGO_NO_DISPONIBLE = "El acceso con código por correo no está disponible. Entra con tu contraseña.";
+        private const string MSG_ERROR_ENLACE_ACCESO = "El enlace de acceso no es válido, ha caducado o ya se usó.";
+        private const string MSG_ERROR_DOS_FACTORES_CADUCADO = "La verificación ha caducado. Vuelve a iniciar sesión.";
+        private const string MSG_ERROR_CODIGO_DOS_FACTORES = "El código de verificación no es correcto.";
+        private const string MSG_ERROR_DOS_FACTORES_ACTIVO = "La verificación en dos pasos ya está activada.";
+        private const string MSG_ERROR_DOS_FACTORES_INACTIVO = "La verificación en dos pasos no está activada.";
+        private const string MSG_ERROR_DOS_FACTORES_OBLIGATORIO = "Tu rol requiere la verificación en dos pasos: no se puede desactivar.";
+        private const string MSG_EXITO_DOS_FACTORES_ACTIVADO = "Verificación en dos pasos activada. Guarda tus códigos de recuperación.";
+        private const string MSG_EXITO_DOS_FACTORES_DESACTIVADO = "Verificación en dos pasos desactivada.";
+        private const string MSG_EXITO_CODIGOS_RECUPERACION = "Nuevos códigos de recuperación generados. Los anteriores ya no sirven.";
+
+        // Login externo (PKCE: code_challenge = base64url(SHA-256) → 43 caracteres)
+        private const int CODE_CHALLENGE_LONGITUD = 43;
+        private const int STATE_MAX_LONGITUD = 128;
+
+        private static readonly System.ComponentModel.DataAnnotations.EmailAddressAttribute VALIDADOR_EMAIL = new();
 
         // Cache
         private const string CACHE_KEY_ROL_CLIENTE = "Rol_Cliente";
@@ -86,24 +122,24 @@ namespace Simone.Controllers
         private const string REGEX_CEDULA = @"^\d{10}$";
         private const int CEDULA_LONGITUD = 10;
 
-        // Direcciones IP
-        private const string IP_LOCALHOST = "127.0.0.1";
-        private const string LOCALIZACION_DEFAULT = "N/A";
-
         #endregion
 
         #region Constructor
 
         public CuentaController(
             UserManager<Usuario> userManager,
-            SignInManager<Usuario> signInManager,
+            SimoneSignInManager signInManager,
             RoleManager<Roles> roleManager,
             ILogger<CuentaController> logger,
             ICarritoService carrito,
             LogService logService,
+            LoginLoggerService loginLogger,
             TiendaDbContext context,
             IMemoryCache cache,
-            IFileStorageService fileStorage)
+            IFileStorageService fileStorage,
+            ExternalLoginService externalLogin,
+            LoginCodigoService loginCodigo,
+            IAntiforgery antiforgery)
         {
             _userManager = userManager ?? throw new ArgumentNullException(nameof(userManager));
             _signInManager = signInManager ?? throw new ArgumentNullException(nameof(signInManager));
@@ -112,8 +148,12 @@ namespace Simone.Controllers
             _context = context ?? throw new ArgumentNullException(nameof(context));
             _carritoManager = carrito ?? throw new ArgumentNullException(nameof(carrito));
             _logService = logService ?? throw new ArgumentNullException(nameof(logService));
+            _loginLogger = loginLogger ?? throw new ArgumentNullException(nameof(loginLogger));
             _cache = cache ?? throw new ArgumentNullException(nameof(cache));
             _fileStorage = fileStorage ?? throw new ArgumentNullException(nameof(fileStorage));
+            _externalLogin = externalLogin ?? throw new ArgumentNullException(nameof(externalLogin));
+            _loginCodigo = loginCodigo ?? throw new ArgumentNullException(nameof(loginCodigo));
+            _antiforgery = antiforgery ?? throw new ArgumentNullException(nameof(antiforgery));
         }
 
         #endregion
@@ -125,11 +165,19 @@ namespace Simone.Controllers
         /// Muestra el formulario de inicio de sesión
         /// </summary>
         /// <param name="returnUrl">URL de retorno después del login</param>
+        /// <param name="dosFactores">Muestra el paso de verificación en dos pasos pendiente</param>
+        /// <param name="recordarme">"Recordarme" elegido en el primer paso</param>
+        /// <param name="recuperacion">Abre el paso con el código de recuperación</param>
         /// <param name="ct">Token de cancelación</param>
         [HttpGet]
         [AllowAnonymous]
         [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
-        public async Task<IActionResult> Login(string? returnUrl = null, CancellationToken ct = default)
+        public async Task<IActionResult> Login(
+            string? returnUrl = null,
+            bool dosFactores = false,
+            bool recordarme = false,
+            bool recuperacion = false,
+            CancellationToken ct = default)
         {
             try
             {
@@ -145,6 +193,23 @@ namespace Simone.Controllers
                 ViewData["ReturnUrl"] = returnUrl;
                 ViewData["RequestID"] = Guid.NewGuid().ToString();
 
+                if (dosFactores)
+                {
+                    // La cookie del primer paso dura 5 minutos
+                    if (await _signInManager.GetTwoFactorAuthenticationUserAsync() is null)
+                    {
+                        TempData["MensajeError"] = MSG_ERROR_DOS_FACTORES_CADUCADO;
+                        return RedirectToAction(nameof(Login), new { returnUrl });
+                    }
+
+                    return View("LoginDosFactores", new DosFactoresViewModel
+                    {
+                        RememberMe = recordarme,
+                        ReturnUrl = returnUrl,
+                        UsarRecuperacion = recuperacion
+                    });
+                }
+
                 return View();
             }
             catch (Exception ex)
@@ -156,7 +221,8 @@ namespace Simone.Controllers
 
         /// <summary>
         /// POST: /Cuenta/Login
-        /// Procesa el inicio de sesión
+        /// Procesa el inicio de sesión. Con X-Requested-With (modal de sesión caducada) responde
+        /// JSON: { ok, redirect } o { error }
         /// </summary>
         [HttpPost]
         [AllowAnonymous]
@@ -172,11 +238,43 @@ namespace Simone.Controllers
             if (!ModelState.IsValid)
             {
                 _logger.LogDebug("Login con ModelState inválido");
+
+                if (EsPeticionAjax())
+                {
+                    var primerError = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage).FirstOrDefault();
+                    return BadRequest(new { error = string.IsNullOrWhiteSpace(primerError) ? MSG_ERROR_CREDENCIALES : primerError });
+                }
+
                 return View(model);
             }
 
             try
             {
+                // Bloqueo y desafío según los fallos recientes del correo o de la IP (no se cuenta como intento)
+                var estado = await _loginLogger.ObtenerEstadoAsync(model.Email, ct);
+                if (estado.Bloqueado)
+                {
+                    _logger.LogWarning(
+                        "Login rechazado por demasiados fallos. Email: {Email}, Fallos: {Fallos}",
+                        model.Email,
+                        estado.Fallos);
+
+                    Response.StatusCode = StatusCodes.Status429TooManyRequests;
+                    Response.Headers.RetryAfter = estado.RetryAfterSegundos.ToString();
+                    return LoginFallido(
+                        model,
+                        string.Format(MSG_ERROR_ESPERA_REINTENTO, estado.RetryAfterSegundos),
+                        StatusCodes.Status429TooManyRequests);
+                }
+
+                if (estado.RequiereDesafio &&
+                    !_loginLogger.VerificarDesafio(model.DesafioToken, model.DesafioNonce, estado.Dificultad))
+                {
+                    _logger.LogWarning("Login sin desafío válido. Email: {Email}", model.Email);
+
+                    return LoginFallido(model, MSG_ERROR_DESAFIO);
+                }
+
                 var user = await _userManager.FindByEmailAsync(model.Email);
 
                 if (user is null)
@@ -185,12 +283,11 @@ namespace Simone.Controllers
                         "Intento de login con email no registrado. Email: {Email}",
                         model.Email);
 
-                    TempData["MensajeError"] = MSG_ERROR_CREDENCIALES;
-                    await RegistrarLogAsync(model.Email, false, ct);
+                    await _loginLogger.RegistrarAsync(model.Email, false, ct);
 
                     await _logService.Registrar($"Login FAIL {model.Email} (no existe)");
 
-                    return View(model);
+                    return LoginFallido(model, MSG_ERROR_CREDENCIALES);
                 }
 
                 if (!user.Activo)
@@ -200,10 +297,9 @@ namespace Simone.Controllers
                         model.Email,
                         user.Id);
 
-                    TempData["MensajeError"] = MSG_ERROR_CUENTA_INACTIVA;
-                    await RegistrarLogAsync(model.Email, false, ct);
+                    await _loginLogger.RegistrarAsync(model.Email, false, ct);
 
-                    return View(model);
+                    return LoginFallido(model, MSG_ERROR_CUENTA_INACTIVA);
                 }
 
                 var result = await _signInManager.PasswordSignInAsync(
@@ -222,17 +318,21 @@ namespace Simone.Controllers
                         user.Id,
                         model.RememberMe);
 
-                    await RegistrarLogAsync(model.Email, true, ct);
+                    await _loginLogger.RegistrarAsync(model.Email, true, ct);
 
                     await _logService.Registrar($"Login OK {model.Email}");
 
                     // Limpia cookie externa residual
                     await HttpContext.SignOutAsync(IdentityConstants.ExternalScheme);
 
-                    if (!string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl))
-                        return Redirect(returnUrl);
+                    var destino = !string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl)
+                        ? returnUrl
+                        : Url.Action("Index", "Home")!;
 
-                    return RedirectToAction("Index", "Home");
+                    if (EsPeticionAjax())
+                        return Ok(new { ok = true, redirect = destino });
+
+                    return Redirect(destino);
                 }
 
                 if (result.IsLockedOut)
@@ -242,8 +342,11 @@ namespace Simone.Controllers
                         model.Email,
                         user.Id);
 
+                    // Identity no llegó a comprobar la contraseña: no cuenta como fallo
+                    if (EsPeticionAjax())
+                        return BadRequest(new { error = MSG_ERROR_CUENTA_BLOQUEADA });
+
                     TempData["MensajeError"] = MSG_ERROR_CUENTA_BLOQUEADA;
-                    await RegistrarLogAsync(model.Email, false, ct);
 
                     return View("Lockout");
                 }
@@ -255,18 +358,20 @@ namespace Simone.Controllers
                         model.Email,
                         user.Id);
 
-                    TempData["MensajeError"] = MSG_ERROR_CUENTA_NO_PERMITIDA;
-                    return View(model);
+                    return LoginFallido(model, MSG_ERROR_CUENTA_NO_PERMITIDA);
                 }
 
                 if (result.RequiresTwoFactor)
                 {
+                    // Contraseña correcta: el intento cuenta como éxito solo tras el segundo paso
                     _logger.LogInformation(
                         "Se requiere autenticación de dos factores. Email: {Email}",
                         model.Email);
 
-                    TempData["MensajeError"] = "Se requiere un segundo factor de autenticación.";
-                    return View(model);
+                    if (EsPeticionAjax())
+                        return Ok(new { ok = true, redirect = UrlDosFactores(returnUrl, model.RememberMe) });
+
+                    return RedirectToAction(nameof(Login), new { returnUrl, dosFactores = true, recordarme = model.RememberMe });
                 }
 
                 // Credenciales inválidas
@@ -274,21 +379,138 @@ namespace Simone.Controllers
                     "Credenciales inválidas. Email: {Email}",
                     model.Email);
 
-                TempData["MensajeError"] = MSG_ERROR_CREDENCIALES;
-                await RegistrarLogAsync(model.Email, false, ct);
+                await _loginLogger.RegistrarAsync(model.Email, false, ct);
 
                 await _logService.Registrar($"Login FAIL {model.Email}");
 
-                return View(model);
+                return LoginFallido(model, MSG_ERROR_CREDENCIALES);
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error al procesar login. Email: {Email}", model.Email);
+                return LoginFallido(
+                    model,
+                    "Error inesperado al iniciar sesión. Intenta nuevamente.",
+                    StatusCodes.Status500InternalServerError);
+            }
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/LoginDosFactores
+        /// Segundo paso del login: código de la app de autenticación o de recuperación.
+        /// Un código incorrecto cuenta como intento fallido (mismo bloqueo que la contraseña)
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> LoginDosFactores(DosFactoresViewModel model, CancellationToken ct = default)
+        {
+            var user = await _signInManager.GetTwoFactorAuthenticationUserAsync();
+            if (user is null)
+            {
+                TempData["MensajeError"] = MSG_ERROR_DOS_FACTORES_CADUCADO;
+                return RedirectToAction(nameof(Login), new { returnUrl = model.ReturnUrl });
+            }
+
+            var repetir = RedirectToAction(nameof(Login), new
+            {
+                returnUrl = model.ReturnUrl,
+                dosFactores = true,
+                recordarme = model.RememberMe,
+                recuperacion = model.UsarRecuperacion
+            });
+
+            if (!ModelState.IsValid)
+            {
+                TempData["MensajeError"] = MSG_ERROR_CODIGO_DOS_FACTORES;
+                return repetir;
+            }
+
+            var email = user.Email ?? string.Empty;
+
+            try
+            {
+                var estado = await _loginLogger.ObtenerEstadoAsync(email, ct);
+                if (estado.Bloqueado)
+                {
+                    TempData["MensajeError"] = string.Format(MSG_ERROR_ESPERA_REINTENTO, estado.RetryAfterSegundos);
+                    return repetir;
+                }
+
+                // Las apps muestran el código con espacios; los de recuperación llevan guion
+                var codigo = model.Codigo.Replace(" ", string.Empty);
+                var result = model.UsarRecuperacion
+                    ? await _signInManager.TwoFactorRecoveryCodeSignInAsync(codigo.ToUpperInvariant())
+                    : await _signInManager.TwoFactorAuthenticatorSignInAsync(
+                        codigo.Replace("-", string.Empty),
+                        model.RememberMe,
+                        rememberClient: model.RecordarDispositivo);
+
+                if (result.Succeeded)
+                {
+                    _logger.LogInformation(
+                        "Login con verificación en dos pasos. Email: {Email}, UserId: {UserId}, Recuperacion: {Recuperacion}, RecordarDispositivo: {Recordar}",
+                        email,
+                        user.Id,
+                        model.UsarRecuperacion,
+                        model.RecordarDispositivo);
+
+                    await _loginLogger.RegistrarAsync(email, true, ct);
+                    await _logService.Registrar($"Login OK {email} (2FA{(model.UsarRecuperacion ? ", código de recuperación" : string.Empty)})");
+
+                    if (!string.IsNullOrWhiteSpace(model.ReturnUrl) && Url.IsLocalUrl(model.ReturnUrl))
+                        return Redirect(model.ReturnUrl);
+
+                    return RedirectToAction("Index", "Home");
+                }
+
+                if (result.IsLockedOut)
+                {
+                    _logger.LogWarning("Cuenta bloqueada en la verificación en dos pasos. Email: {Email}", email);
+
+                    TempData["MensajeError"] = MSG_ERROR_CUENTA_BLOQUEADA;
+                    return RedirectToAction(nameof(Login), new { returnUrl = model.ReturnUrl });
+                }
+
+                _logger.LogWarning("Código de verificación en dos pasos incorrecto. Email: {Email}", email);
+
+                TempData["MensajeError"] = MSG_ERROR_CODIGO_DOS_FACTORES;
+                await _loginLogger.RegistrarAsync(email, false, ct);
+                await _logService.Registrar($"Login 2FA FAIL {email}");
+
+                return repetir;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error en la verificación en dos pasos. Email: {Email}", email);
                 TempData["MensajeError"] = "Error inesperado al iniciar sesión. Intenta nuevamente.";
-                return View(model);
+                return repetir;
             }
         }
 
+        /// <summary>
+        /// Login rechazado: JSON { error } para el modal de sesión caducada, si no la vista con el mensaje
+        /// </summary>
+        private IActionResult LoginFallido(LoginViewModel model, string mensaje, int status = StatusCodes.Status400BadRequest)
+        {
+            if (EsPeticionAjax())
+                return StatusCode(status, new { error = mensaje });
+
+            TempData["MensajeError"] = mensaje;
+            return View(nameof(Login), model);
+        }
+
+        private bool EsPeticionAjax() => Request.Headers[HEADER_AJAX_REQUEST] == HEADER_AJAX_VALUE;
+
+        /// <summary>
+        /// Login?dosFactores=true para los accesos AJAX que quedan pendientes del segundo paso
+        /// </summary>
+        private string UrlDosFactores(string? returnUrl, bool recordarme)
+        {
+            var retorno = !string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl) ? returnUrl : null;
+            return Url.Action(nameof(Login), "Cuenta", new { returnUrl = retorno, dosFactores = true, recordarme })!;
+        }
+
         #endregion
 
         #region Registro
@@ -380,57 +602,638 @@ namespace Simone.Controllers
                     return RedirectToAction("Index", "Home");
                 }
 
-                // Errores al crear usuario
-                foreach (var error in result.Errors)
+                // Errores al crear usuario
+                foreach (var error in result.Errors)
+                {
+                    ModelState.AddModelError(string.Empty, error.Description);
+                    _logger.LogWarning(
+                        "Error al registrar usuario. Email: {Email}, Error: {Error}",
+                        model.Email,
+                        error.Description);
+                }
+
+                return View(model);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al procesar registro. Email: {Email}", model.Email);
+                ModelState.AddModelError(string.Empty, "Error inesperado al crear la cuenta.");
+                return View(model);
+            }
+        }
+
+        #endregion
+
+        #region Logout
+
+        /// <summary>
+        /// POST: /Cuenta/Logout
+        /// Cierra la sesión del usuario
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> Logout(CancellationToken ct)
+        {
+            try
+            {
+                var userEmail = User?.Identity?.Name;
+
+                await _signInManager.SignOutAsync();
+                await HttpContext.SignOutAsync(IdentityConstants.ExternalScheme);
+
+                _logger.LogInformation(
+                    "Sesión cerrada. Usuario: {Email}",
+                    userEmail ?? "Desconocido");
+
+                await _logService.Registrar($"Logout {userEmail}");
+
+                return RedirectToAction(nameof(Login));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al cerrar sesión");
+                return RedirectToAction(nameof(Login));
+            }
+        }
+
+        #endregion
+
+        #region Login Externo
+
+        /// <summary>
+        /// GET: /Cuenta/ExternalLoginStart
+        /// Redirige (dentro del popup) a la pantalla de autorización del proveedor.
+        /// state y code_challenge los genera external-login.js y solo él conoce el code_verifier
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        public IActionResult ExternalLoginStart(string? provider, string? state, string? codeChallenge)
+        {
+            if (string.IsNullOrWhiteSpace(state) || state.Length > STATE_MAX_LONGITUD ||
+                codeChallenge?.Length != CODE_CHALLENGE_LONGITUD)
+            {
+                return BadRequest();
+            }
+
+            var proveedor = _externalLogin.NombreCanonico(provider);
+            if (proveedor is null)
+            {
+                _logger.LogWarning("Login externo con proveedor no habilitado: {Provider}", provider);
+                return RedirectToAction(nameof(ExternalLoginCallback), new { state, error = "provider_disabled" });
+            }
+
+            if (proveedor == ExternalLoginService.MOCK_PROVIDER)
+                return RedirectToAction(nameof(ExternalMockAuthorize), new { state, codeChallenge });
+
+            return Redirect(_externalLogin.BuildAuthorizationUrl(proveedor, RedirectUriExterno(), state, codeChallenge));
+        }
+
+        /// <summary>
+        /// GET: /Cuenta/ExternalLoginCallback
+        /// redirect_uri registrado en el proveedor: devuelve code/state a la página de login
+        /// (postMessage a window.opener o, sin popup, redirección con los datos en el hash)
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public IActionResult ExternalLoginCallback(string? code, string? state, string? error)
+        {
+            ViewData["Code"] = code;
+            ViewData["State"] = state;
+            ViewData["Error"] = error ?? (string.IsNullOrEmpty(code) ? "access_denied" : null);
+            return View();
+        }
+
+        /// <summary>
+        /// GET: /Cuenta/ExternalMockAuthorize
+        /// Pantalla de autorización del proveedor de prueba (ExternalLogin:MockEnabled)
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        public IActionResult ExternalMockAuthorize(string? state, string? codeChallenge)
+        {
+            if (!_externalLogin.IsEnabled(ExternalLoginService.MOCK_PROVIDER))
+                return NotFound();
+
+            ViewData["State"] = state;
+            ViewData["CodeChallenge"] = codeChallenge;
+            return View();
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/ExternalMockAuthorize
+        /// Emite el código del usuario de prueba (o access_denied si se cancela)
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public IActionResult ExternalMockAuthorize(
+            [FromForm] string? state,
+            [FromForm] string? codeChallenge,
+            [FromForm] string? email,
+            [FromForm] string? nombre,
+            [FromForm] bool autorizar)
+        {
+            if (!_externalLogin.IsEnabled(ExternalLoginService.MOCK_PROVIDER))
+                return NotFound();
+
+            if (!autorizar || string.IsNullOrWhiteSpace(email) || codeChallenge?.Length != CODE_CHALLENGE_LONGITUD)
+                return RedirectToAction(nameof(ExternalLoginCallback), new { state, error = "access_denied" });
+
+            var code = _externalLogin.CrearCodigoMock(email, nombre ?? string.Empty, codeChallenge);
+            return RedirectToAction(nameof(ExternalLoginCallback), new { code, state });
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/ExternalLogin
+        /// Canjea el código (con el code_verifier) e inicia sesión o crea la cuenta (AJAX).
+        /// Si el correo ya tiene cuenta sin este proveedor, pide confirmarla antes de vincular
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public async Task<IActionResult> ExternalLogin(
+            [FromForm] string? provider,
+            [FromForm] string? code,
+            [FromForm] string? codeVerifier,
+            [FromForm] string? returnUrl,
+            CancellationToken ct = default)
+        {
+            var proveedor = _externalLogin.NombreCanonico(provider);
+            if (proveedor is null || string.IsNullOrWhiteSpace(code) || string.IsNullOrWhiteSpace(codeVerifier))
+                return BadRequest(new { error = MSG_ERROR_PROVEEDOR_EXTERNO });
+
+            try
+            {
+                var info = await _externalLogin.ExchangeCodeAsync(proveedor, code, codeVerifier, RedirectUriExterno(), ct);
+                if (info is null)
+                    return BadRequest(new { error = MSG_ERROR_PROVEEDOR_EXTERNO });
+
+                // Proveedor ya vinculado
+                var user = await _userManager.FindByLoginAsync(info.Provider, info.ProviderKey);
+                if (user != null)
+                    return await IniciarSesionExternaAsync(user, info, returnUrl, ct);
+
+                // Correo con cuenta propia: confirmar con su contraseña antes de vincular
+                var existente = await _userManager.FindByEmailAsync(info.Email);
+                if (existente != null)
+                {
+                    _logger.LogInformation(
+                        "Login externo con correo ya registrado, se ofrece vincular. Email: {Email}, Provider: {Provider}",
+                        info.Email,
+                        info.Provider);
+
+                    return Ok(new
+                    {
+                        ok = false,
+                        vincular = true,
+                        email = existente.Email,
+                        proveedor = info.Provider,
+                        linkToken = _externalLogin.ProtegerVinculo(info),
+                        tienePassword = await _userManager.HasPasswordAsync(existente)
+                    });
+                }
+
+                if (!info.EmailVerificado)
+                    return BadRequest(new { error = MSG_ERROR_EMAIL_NO_VERIFICADO });
+
+                // Cuenta nueva (como en Registrar, sin contraseña)
+                var rolCliente = await ObtenerRolClienteConCacheAsync();
+                var usuario = new Usuario
+                {
+                    NombreCompleto = info.Nombre.Length > 100 ? info.Nombre[..100] : info.Nombre,
+                    Email = info.Email,
+                    UserName = info.Email,
+                    EmailConfirmed = true,
+                    FechaRegistro = DateTime.UtcNow,
+                    Activo = true,
+                    RolID = rolCliente?.Id,
+                };
+
+                var result = await _userManager.CreateAsync(usuario);
+                if (result.Succeeded)
+                    result = await _userManager.AddLoginAsync(usuario, new UserLoginInfo(info.Provider, info.ProviderKey, info.Provider));
+
+                if (!result.Succeeded)
+                {
+                    _logger.LogWarning(
+                        "Error al crear cuenta con login externo. Email: {Email}, Errores: {Errores}",
+                        info.Email,
+                        string.Join(", ", result.Errors.Select(e => e.Description)));
+
+                    return BadRequest(new { errors = result.Errors.Select(e => e.Description).ToArray() });
+                }
+
+                if (rolCliente != null)
+                    await _userManager.AddToRoleAsync(usuario, ROL_CLIENTE);
+
+                await _carritoManager.AddAsync(usuario);
+
+                _logger.LogInformation(
+                    "Usuario registrado con login externo. Email: {Email}, Provider: {Provider}, UserId: {UserId}",
+                    info.Email,
+                    info.Provider,
+                    usuario.Id);
+
+                await _logService.Registrar($"Nuevo registro {usuario.Email} ({info.Provider})");
+
+                return await IniciarSesionExternaAsync(usuario, info, returnUrl, ct);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al procesar login externo. Provider: {Provider}", provider);
+                return StatusCode(500, new { error = MSG_ERROR_PROVEEDOR_EXTERNO });
+            }
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/ExternalLoginVincular
+        /// Confirma la cuenta existente con su contraseña y le añade el proveedor (AJAX).
+        /// Cuenta como intento de login: mismo bloqueo y desafío que el formulario
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public async Task<IActionResult> ExternalLoginVincular(
+            [FromForm] string? linkToken,
+            [FromForm] string? password,
+            [FromForm] string? desafioToken,
+            [FromForm] string? desafioNonce,
+            [FromForm] string? returnUrl,
+            CancellationToken ct = default)
+        {
+            var info = _externalLogin.LeerVinculo(linkToken);
+            if (info is null)
+                return BadRequest(new { error = MSG_ERROR_VINCULO_CADUCADO });
+
+            if (string.IsNullOrEmpty(password))
+                return BadRequest(new { error = MSG_ERROR_CREDENCIALES });
+
+            try
+            {
+                var estado = await _loginLogger.ObtenerEstadoAsync(info.Email, ct);
+                if (estado.Bloqueado)
+                {
+                    Response.Headers.RetryAfter = estado.RetryAfterSegundos.ToString();
+                    return StatusCode(StatusCodes.Status429TooManyRequests, new
+                    {
+                        error = string.Format(MSG_ERROR_ESPERA_REINTENTO, estado.RetryAfterSegundos)
+                    });
+                }
+
+                if (estado.RequiereDesafio && !_loginLogger.VerificarDesafio(desafioToken, desafioNonce, estado.Dificultad))
+                    return BadRequest(new { error = MSG_ERROR_DESAFIO, desafio = true });
+
+                var user = await _userManager.FindByEmailAsync(info.Email);
+                if (user is null)
+                    return BadRequest(new { error = MSG_ERROR_VINCULO_CADUCADO });
+
+                if (!user.Activo)
+                    return BadRequest(new { error = MSG_ERROR_CUENTA_INACTIVA });
+
+                var result = await _signInManager.CheckPasswordSignInAsync(user, password, lockoutOnFailure: true);
+                if (result.IsLockedOut)
+                    return BadRequest(new { error = MSG_ERROR_CUENTA_BLOQUEADA });
+
+                if (!result.Succeeded)
+                {
+                    _logger.LogWarning(
+                        "Contraseña incorrecta al vincular login externo. Email: {Email}, Provider: {Provider}",
+                        info.Email,
+                        info.Provider);
+
+                    await _loginLogger.RegistrarAsync(info.Email, false, ct);
+                    return BadRequest(new { error = MSG_ERROR_CREDENCIALES });
+                }
+
+                var vinculo = await _userManager.AddLoginAsync(user, new UserLoginInfo(info.Provider, info.ProviderKey, info.Provider));
+                if (!vinculo.Succeeded)
+                    return BadRequest(new { errors = vinculo.Errors.Select(e => e.Description).ToArray() });
+
+                _logger.LogInformation(
+                    "Login externo vinculado. Email: {Email}, Provider: {Provider}, UserId: {UserId}",
+                    info.Email,
+                    info.Provider,
+                    user.Id);
+
+                await _logService.Registrar($"Login externo vinculado {user.Email} ({info.Provider})");
+
+                return await IniciarSesionExternaAsync(user, info, returnUrl, ct);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al vincular login externo. Email: {Email}", info.Email);
+                return StatusCode(500, new { error = MSG_ERROR_PROVEEDOR_EXTERNO });
+            }
+        }
+
+        private async Task<IActionResult> IniciarSesionExternaAsync(
+            Usuario user,
+            ExternalUserInfo info,
+            string? returnUrl,
+            CancellationToken ct)
+        {
+            if (!user.Activo)
+                return BadRequest(new { error = MSG_ERROR_CUENTA_INACTIVA });
+
+            if (await _userManager.IsLockedOutAsync(user))
+                return BadRequest(new { error = MSG_ERROR_CUENTA_BLOQUEADA });
+
+            var result = await _signInManager.IniciarSesionAsync(user, isPersistent: false, info.Provider);
+            if (result.RequiresTwoFactor)
+            {
+                _logger.LogInformation(
+                    "Login externo pendiente de verificación en dos pasos. Email: {Email}, Provider: {Provider}",
+                    user.Email,
+                    info.Provider);
+
+                return Ok(new { ok = true, redirect = UrlDosFactores(returnUrl, false) });
+            }
+
+            await _loginLogger.RegistrarAsync(user.Email ?? info.Email, true, ct);
+
+            _logger.LogInformation(
+                "Login externo exitoso. Email: {Email}, Provider: {Provider}, UserId: {UserId}",
+                user.Email,
+                info.Provider,
+                user.Id);
+
+            await _logService.Registrar($"Login OK {user.Email} ({info.Provider})");
+
+            var redirect = !string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl)
+                ? returnUrl
+                : Url.Action("Index", "Home");
+
+            return Ok(new { ok = true, redirect });
+        }
+
+        /// <summary>
+        /// redirect_uri absoluto: debe coincidir al autorizar y al canjear el código
+        /// </summary>
+        private string RedirectUriExterno()
+        {
+            return Url.Action(nameof(ExternalLoginCallback), "Cuenta", null, Request.Scheme)!;
+        }
+
+        #endregion
+
+        #region Login sin Contraseña
+
+        /// <summary>
+        /// POST: /Cuenta/LoginCodigoSolicitar
+        /// Envía un código de 6 dígitos y un enlace de acceso al correo (AJAX).
+        /// La respuesta es la misma exista o no la cuenta
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public async Task<IActionResult> LoginCodigoSolicitar(
+            [FromForm] string? email,
+            [FromForm] string? returnUrl,
+            CancellationToken ct = default)
+        {
+            // Sin envío de correo configurado el código no llegaría a nadie
+            if (!_loginCodigo.Disponible)
+                return StatusCode(StatusCodes.Status503ServiceUnavailable, new { error = MSG_ERROR_CODIGO_NO_DISPONIBLE });
+
+            email = email?.Trim();
+            if (string.IsNullOrEmpty(email) || !VALIDADOR_EMAIL.IsValid(email))
+                return BadRequest(new { error = MSG_ERROR_EMAIL_INVALIDO });
+
+            var espera = _loginCodigo.EsperaReenvioSegundos(email);
+            if (espera > 0)
+            {
+                Response.Headers.RetryAfter = espera.ToString();
+                return StatusCode(StatusCodes.Status429TooManyRequests, new
+                {
+                    error = string.Format(MSG_ERROR_ESPERA_CODIGO, espera),
+                    reenvioEn = espera
+                });
+            }
+
+            try
+            {
+                var estado = await _loginLogger.ObtenerEstadoAsync(email, ct);
+                if (estado.Bloqueado)
+                {
+                    Response.Headers.RetryAfter = estado.RetryAfterSegundos.ToString();
+                    return StatusCode(StatusCodes.Status429TooManyRequests, new
+                    {
+                        error = string.Format(MSG_ERROR_ESPERA_REINTENTO, estado.RetryAfterSegundos),
+                        reenvioEn = estado.RetryAfterSegundos
+                    });
+                }
+
+                var user = await _userManager.FindByEmailAsync(email);
+                EstadoCodigo codigo;
+
+                if (user is null || !user.Activo)
+                {
+                    _logger.LogInformation("Código de acceso pedido para email sin cuenta activa. Email: {Email}", email);
+                    codigo = _loginCodigo.SimularEnvio(email);
+                }
+                else
+                {
+                    var retorno = !string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl) ? returnUrl : null;
+                    codigo = await _loginCodigo.EnviarAsync(
+                        user.Email ?? email,
+                        user.NombreCompleto,
+                        token => Url.Action(nameof(LoginEnlace), "Cuenta", new { token, returnUrl = retorno }, Request.Scheme)!,
+                        ct);
+
+                    await _logService.Registrar($"Código de acceso enviado {user.Email}");
+                }
+
+                return Ok(new
+                {
+                    ok = true,
+                    message = MSG_EXITO_CODIGO_ENVIADO,
+                    longitud = codigo.Longitud,
+                    expiraEn = codigo.ExpiraEn,
+                    reenvioEn = codigo.ReenvioEn
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al enviar código de acceso. Email: {Email}", email);
+                return StatusCode(500, new { error = MSG_ERROR_ENVIO_CODIGO });
+            }
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/LoginCodigoVerificar
+        /// Inicia sesión con el código recibido (AJAX). Un código incorrecto cuenta como intento fallido
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public async Task<IActionResult> LoginCodigoVerificar(
+            [FromForm] string? email,
+            [FromForm] string? codigo,
+            [FromForm] bool rememberMe,
+            [FromForm] string? returnUrl,
+            CancellationToken ct = default)
+        {
+            email = email?.Trim();
+            if (string.IsNullOrEmpty(email))
+                return BadRequest(new { error = MSG_ERROR_EMAIL_INVALIDO });
+
+            try
+            {
+                var estado = await _loginLogger.ObtenerEstadoAsync(email, ct);
+                if (estado.Bloqueado)
+                {
+                    Response.Headers.RetryAfter = estado.RetryAfterSegundos.ToString();
+                    return StatusCode(StatusCodes.Status429TooManyRequests, new
+                    {
+                        error = string.Format(MSG_ERROR_ESPERA_REINTENTO, estado.RetryAfterSegundos)
+                    });
+                }
+
+                var resultado = _loginCodigo.VerificarCodigo(email, codigo?.Trim());
+                if (!resultado.EsValido)
+                {
+                    _logger.LogWarning("Código de acceso incorrecto o caducado. Email: {Email}", email);
+                    await _loginLogger.RegistrarAsync(email, false, ct);
+
+                    return BadRequest(resultado.EsExpirado
+                        ? new { error = MSG_ERROR_CODIGO_EXPIRADO, expirado = true, intentosRestantes = 0 }
+                        : new { error = MSG_ERROR_CODIGO_INCORRECTO, expirado = false, intentosRestantes = resultado.IntentosRestantes });
+                }
+
+                var user = await _userManager.FindByEmailAsync(email);
+                var error = await ComprobarAccesoSinPasswordAsync(user);
+                if (error != null)
+                    return BadRequest(new { error });
+
+                var completo = await IniciarSesionSinPasswordAsync(user!, rememberMe, "codigo", ct);
+
+                var redirect = !completo
+                    ? UrlDosFactores(returnUrl, rememberMe)
+                    : !string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl)
+                        ? returnUrl
+                        : Url.Action("Index", "Home");
+
+                return Ok(new { ok = true, redirect });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al verificar código de acceso. Email: {Email}", email);
+                return StatusCode(500, new { error = "Error inesperado al iniciar sesión. Intenta nuevamente." });
+            }
+        }
+
+        /// <summary>
+        /// GET: /Cuenta/LoginEnlace?token=...
+        /// Confirmación del enlace mágico. No inicia sesión: los filtros de correo abren los enlaces
+        /// y lo gastarían; el acceso se hace con el botón (POST)
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public IActionResult LoginEnlace(string? token, string? returnUrl)
+        {
+            var email = _loginCodigo.VerificarEnlace(token, consumir: false);
+            if (email is null)
+            {
+                TempData["MensajeError"] = MSG_ERROR_ENLACE_ACCESO;
+                return RedirectToAction(nameof(Login));
+            }
+
+            ViewData["Email"] = email;
+            ViewData["Token"] = token;
+            ViewData["ReturnUrl"] = returnUrl;
+            return View();
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/LoginEnlace
+        /// Inicia sesión con el enlace mágico (un solo uso)
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        [ActionName(nameof(LoginEnlace))]
+        public async Task<IActionResult> LoginEnlaceConfirmar(
+            [FromForm] string? token,
+            [FromForm] string? returnUrl,
+            CancellationToken ct = default)
+        {
+            var email = _loginCodigo.VerificarEnlace(token);
+            if (email is null)
+            {
+                TempData["MensajeError"] = MSG_ERROR_ENLACE_ACCESO;
+                return RedirectToAction(nameof(Login));
+            }
+
+            try
+            {
+                var estado = await _loginLogger.ObtenerEstadoAsync(email, ct);
+                var user = await _userManager.FindByEmailAsync(email);
+                var error = estado.Bloqueado
+                    ? string.Format(MSG_ERROR_ESPERA_REINTENTO, estado.RetryAfterSegundos)
+                    : await ComprobarAccesoSinPasswordAsync(user);
+
+                if (error != null)
                 {
-                    ModelState.AddModelError(string.Empty, error.Description);
-                    _logger.LogWarning(
-                        "Error al registrar usuario. Email: {Email}, Error: {Error}",
-                        model.Email,
-                        error.Description);
+                    TempData["MensajeError"] = error;
+                    return RedirectToAction(nameof(Login));
                 }
 
-                return View(model);
+                if (!await IniciarSesionSinPasswordAsync(user!, false, "enlace", ct))
+                    return Redirect(UrlDosFactores(returnUrl, false));
+
+                if (!string.IsNullOrWhiteSpace(returnUrl) && Url.IsLocalUrl(returnUrl))
+                    return Redirect(returnUrl);
+
+                return RedirectToAction("Index", "Home");
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error al procesar registro. Email: {Email}", model.Email);
-                ModelState.AddModelError(string.Empty, "Error inesperado al crear la cuenta.");
-                return View(model);
+                _logger.LogError(ex, "Error al iniciar sesión con enlace. Email: {Email}", email);
+                TempData["MensajeError"] = "Error inesperado al iniciar sesión. Intenta nuevamente.";
+                return RedirectToAction(nameof(Login));
             }
         }
 
-        #endregion
+        /// <summary>
+        /// Mensaje de error si la cuenta no puede entrar (null = puede)
+        /// </summary>
+        private async Task<string?> ComprobarAccesoSinPasswordAsync(Usuario? user)
+        {
+            if (user is null)
+                return MSG_ERROR_CODIGO_EXPIRADO;
 
-        #region Logout
+            if (!user.Activo)
+                return MSG_ERROR_CUENTA_INACTIVA;
+
+            if (await _userManager.IsLockedOutAsync(user))
+                return MSG_ERROR_CUENTA_BLOQUEADA;
+
+            return null;
+        }
 
         /// <summary>
-        /// POST: /Cuenta/Logout
-        /// Cierra la sesión del usuario
+        /// Inicia sesión tras el código o el enlace. false = falta la verificación en dos pasos
+        /// (queda pendiente en Login?dosFactores=true)
         /// </summary>
-        [HttpPost]
-        public async Task<IActionResult> Logout(CancellationToken ct)
+        private async Task<bool> IniciarSesionSinPasswordAsync(Usuario user, bool recordar, string metodo, CancellationToken ct)
         {
-            try
+            var result = await _signInManager.IniciarSesionAsync(user, recordar, metodo);
+            if (result.RequiresTwoFactor)
             {
-                var userEmail = User?.Identity?.Name;
+                _logger.LogInformation(
+                    "Login sin contraseña ({Metodo}) pendiente de verificación en dos pasos. Email: {Email}",
+                    metodo,
+                    user.Email);
 
-                await _signInManager.SignOutAsync();
-                await HttpContext.SignOutAsync(IdentityConstants.ExternalScheme);
+                return false;
+            }
 
-                _logger.LogInformation(
-                    "Sesión cerrada. Usuario: {Email}",
-                    userEmail ?? "Desconocido");
+            await _userManager.ResetAccessFailedCountAsync(user);
+            await _loginLogger.RegistrarAsync(user.Email ?? string.Empty, true, ct);
 
-                await _logService.Registrar($"Logout {userEmail}");
+            _logger.LogInformation(
+                "Login sin contraseña ({Metodo}). Email: {Email}, UserId: {UserId}",
+                metodo,
+                user.Email,
+                user.Id);
 
-                return RedirectToAction(nameof(Login));
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Error al cerrar sesión");
-                return RedirectToAction(nameof(Login));
-            }
+            await _logService.Registrar($"Login OK {user.Email} ({metodo})");
+            return true;
         }
 
         #endregion
@@ -458,6 +1261,12 @@ namespace Simone.Controllers
                 var roles = await _userManager.GetRolesAsync(usuario);
                 ViewBag.RolUsuario = roles.FirstOrDefault() ?? ROL_SIN_ASIGNAR;
 
+                ViewData["DosFactoresActivo"] = usuario.TwoFactorEnabled;
+                ViewData["DosFactoresObligatorio"] = await _signInManager.DosFactoresObligatorioAsync(usuario);
+                ViewData["CodigosRecuperacion"] = usuario.TwoFactorEnabled
+                    ? await _userManager.CountRecoveryCodesAsync(usuario)
+                    : 0;
+
                 _logger.LogDebug(
                     "Perfil cargado. UserId: {UserId}, Email: {Email}",
                     usuario.Id,
@@ -789,6 +1598,80 @@ namespace Simone.Controllers
             }
         }
 
+        /// <summary>
+        /// GET: /Cuenta/ResetPassword?email=...&amp;token=...
+        /// Formulario de nueva contraseña (enlace del correo de recuperación)
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        public IActionResult ResetPassword(string? email, string? token)
+        {
+            if (string.IsNullOrWhiteSpace(email) || string.IsNullOrWhiteSpace(token))
+            {
+                TempData["MensajeError"] = MSG_ERROR_ENLACE_RECUPERACION;
+                return RedirectToAction(nameof(OlvidePassword));
+            }
+
+            return View(new ResetPasswordViewModel { Email = email, Token = token });
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/ResetPassword
+        /// Guarda la nueva contraseña si el token es válido
+        /// </summary>
+        [HttpPost]
+        [AllowAnonymous]
+        public async Task<IActionResult> ResetPassword(
+            ResetPasswordViewModel model,
+            CancellationToken ct = default)
+        {
+            if (!ModelState.IsValid)
+            {
+                _logger.LogDebug("ResetPassword con ModelState inválido");
+                return View(model);
+            }
+
+            try
+            {
+                var user = await _userManager.FindByEmailAsync(model.Email);
+                if (user == null)
+                {
+                    // No revelar si el email existe o no
+                    TempData["MensajeExito"] = MSG_EXITO_PASSWORD_RESTABLECIDO;
+                    return RedirectToAction(nameof(Login));
+                }
+
+                var result = await _userManager.ResetPasswordAsync(user, model.Token, model.Password);
+                if (!result.Succeeded)
+                {
+                    _logger.LogWarning(
+                        "Error al restablecer contraseña. UserId: {UserId}, Errores: {Errores}",
+                        user.Id,
+                        string.Join(", ", result.Errors.Select(e => e.Code)));
+
+                    foreach (var error in result.Errors)
+                    {
+                        var campo = error.Code == "InvalidToken" ? string.Empty : nameof(model.Password);
+                        ModelState.AddModelError(campo, error.Code == "InvalidToken" ? MSG_ERROR_ENLACE_RECUPERACION : error.Description);
+                    }
+
+                    return View(model);
+                }
+
+                _logger.LogInformation("Contraseña restablecida. UserId: {UserId}", user.Id);
+                await _logService.Registrar($"Password restablecido {user.Email}");
+
+                TempData["MensajeExito"] = MSG_EXITO_PASSWORD_RESTABLECIDO;
+                return RedirectToAction(nameof(Login));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al restablecer contraseña. Email: {Email}", model.Email);
+                TempData["MensajeError"] = "Error al procesar la solicitud.";
+                return View(model);
+            }
+        }
+
         #endregion
 
         #region Cambiar Contraseña
@@ -872,6 +1755,253 @@ namespace Simone.Controllers
 
         #endregion
 
+        #region Verificación en Dos Pasos
+
+        /// <summary>
+        /// POST: /Cuenta/DosFactoresIniciar
+        /// Genera una clave nueva para la app de autenticación (AJAX). El QR lo dibuja el navegador
+        /// a partir de la URI otpauth; la clave no sirve hasta confirmarla con un código
+        /// </summary>
+        [Authorize]
+        [HttpPost]
+        public async Task<IActionResult> DosFactoresIniciar()
+        {
+            try
+            {
+                var user = await _userManager.GetUserAsync(User);
+                if (user is null)
+                    return Unauthorized(new { error = "Sesión expirada. Ingresa nuevamente." });
+
+                if (user.TwoFactorEnabled)
+                    return BadRequest(new { error = MSG_ERROR_DOS_FACTORES_ACTIVO });
+
+                // Cambia el sello de seguridad: se renueva la cookie para no cerrar la sesión
+                await _userManager.ResetAuthenticatorKeyAsync(user);
+                await _signInManager.RefreshSignInAsync(user);
+
+                var clave = await _userManager.GetAuthenticatorKeyAsync(user) ?? string.Empty;
+
+                return Ok(new
+                {
+                    ok = true,
+                    clave = FormatearClave(clave),
+                    uri = SimoneSignInManager.UriAutenticador(user.Email ?? user.UserName ?? user.Id, clave)
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al iniciar la activación de la verificación en dos pasos");
+                return StatusCode(500, new { error = "Error inesperado. Intenta nuevamente." });
+            }
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/DosFactoresActivar
+        /// Activa la verificación con el primer código de la app y devuelve los códigos de recuperación (AJAX)
+        /// </summary>
+        [Authorize]
+        [HttpPost]
+        public async Task<IActionResult> DosFactoresActivar([FromForm] string? codigo)
+        {
+            try
+            {
+                var user = await _userManager.GetUserAsync(User);
+                if (user is null)
+                    return Unauthorized(new { error = "Sesión expirada. Ingresa nuevamente." });
+
+                if (user.TwoFactorEnabled)
+                    return BadRequest(new { error = MSG_ERROR_DOS_FACTORES_ACTIVO });
+
+                var error = await VerificarCodigoAutenticadorAsync(user, codigo);
+                if (error != null)
+                    return BadRequest(new { error });
+
+                await _userManager.SetTwoFactorEnabledAsync(user, true);
+                var codigos = await _userManager.GenerateNewTwoFactorRecoveryCodesAsync(user, SimoneSignInManager.CODIGOS_RECUPERACION);
+                await _signInManager.RefreshSignInAsync(user);
+
+                _logger.LogInformation("Verificación en dos pasos activada. UserId: {UserId}", user.Id);
+                await _logService.Registrar($"2FA activado: {user.Email}");
+
+                return Ok(new { ok = true, message = MSG_EXITO_DOS_FACTORES_ACTIVADO, codigos });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al activar la verificación en dos pasos");
+                return StatusCode(500, new { error = "Error inesperado. Intenta nuevamente." });
+            }
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/DosFactoresCodigosRecuperacion
+        /// Sustituye los códigos de recuperación; pide un código de la app (AJAX)
+        /// </summary>
+        [Authorize]
+        [HttpPost]
+        public async Task<IActionResult> DosFactoresCodigosRecuperacion([FromForm] string? codigo)
+        {
+            try
+            {
+                var user = await _userManager.GetUserAsync(User);
+                if (user is null)
+                    return Unauthorized(new { error = "Sesión expirada. Ingresa nuevamente." });
+
+                if (!user.TwoFactorEnabled)
+                    return BadRequest(new { error = MSG_ERROR_DOS_FACTORES_INACTIVO });
+
+                var error = await VerificarCodigoAutenticadorAsync(user, codigo);
+                if (error != null)
+                    return BadRequest(new { error });
+
+                var codigos = await _userManager.GenerateNewTwoFactorRecoveryCodesAsync(user, SimoneSignInManager.CODIGOS_RECUPERACION);
+
+                _logger.LogInformation("Códigos de recuperación regenerados. UserId: {UserId}", user.Id);
+                await _logService.Registrar($"2FA códigos regenerados: {user.Email}");
+
+                return Ok(new { ok = true, message = MSG_EXITO_CODIGOS_RECUPERACION, codigos });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al regenerar los códigos de recuperación");
+                return StatusCode(500, new { error = "Error inesperado. Intenta nuevamente." });
+            }
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/DosFactoresDesactivar
+        /// Desactiva la verificación y olvida los dispositivos de confianza (AJAX).
+        /// No permitido para los roles que la tienen obligatoria
+        /// </summary>
+        [Authorize]
+        [HttpPost]
+        public async Task<IActionResult> DosFactoresDesactivar([FromForm] string? codigo)
+        {
+            try
+            {
+                var user = await _userManager.GetUserAsync(User);
+                if (user is null)
+                    return Unauthorized(new { error = "Sesión expirada. Ingresa nuevamente." });
+
+                if (!user.TwoFactorEnabled)
+                    return BadRequest(new { error = MSG_ERROR_DOS_FACTORES_INACTIVO });
+
+                if (await _signInManager.DosFactoresObligatorioAsync(user))
+                    return StatusCode(StatusCodes.Status403Forbidden, new { error = MSG_ERROR_DOS_FACTORES_OBLIGATORIO });
+
+                var error = await VerificarCodigoAutenticadorAsync(user, codigo);
+                if (error != null)
+                    return BadRequest(new { error });
+
+                await _userManager.SetTwoFactorEnabledAsync(user, false);
+                await _userManager.ResetAuthenticatorKeyAsync(user);
+                await _signInManager.ForgetTwoFactorClientAsync();
+                await _signInManager.RefreshSignInAsync(user);
+
+                _logger.LogInformation("Verificación en dos pasos desactivada. UserId: {UserId}", user.Id);
+                await _logService.Registrar($"2FA desactivado: {user.Email}");
+
+                return Ok(new { ok = true, message = MSG_EXITO_DOS_FACTORES_DESACTIVADO });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al desactivar la verificación en dos pasos");
+                return StatusCode(500, new { error = "Error inesperado. Intenta nuevamente." });
+            }
+        }
+
+        /// <summary>
+        /// Mensaje de error si el código de la app no vale (null = válido).
+        /// Los fallos cuentan para el bloqueo de Identity, como en el login
+        /// </summary>
+        private async Task<string?> VerificarCodigoAutenticadorAsync(Usuario user, string? codigo)
+        {
+            if (await _userManager.IsLockedOutAsync(user))
+                return MSG_ERROR_CUENTA_BLOQUEADA;
+
+            codigo = codigo?.Replace(" ", string.Empty).Replace("-", string.Empty);
+            var valido = !string.IsNullOrEmpty(codigo) && await _userManager.VerifyTwoFactorTokenAsync(
+                user,
+                _userManager.Options.Tokens.AuthenticatorTokenProvider,
+                codigo);
+
+            if (valido)
+            {
+                await _userManager.ResetAccessFailedCountAsync(user);
+                return null;
+            }
+
+            _logger.LogWarning("Código de la app de autenticación incorrecto. UserId: {UserId}", user.Id);
+            await _userManager.AccessFailedAsync(user);
+            return MSG_ERROR_CODIGO_DOS_FACTORES;
+        }
+
+        /// <summary>
+        /// Clave en grupos de 4 para escribirla a mano: "abcd efgh ..."
+        /// </summary>
+        private static string FormatearClave(string clave)
+        {
+            return string.Join(" ", clave.Chunk(4).Select(grupo => new string(grupo))).ToLowerInvariant();
+        }
+
+        #endregion
+
+        #region Sesión
+
+        /// <summary>
+        /// GET: /Cuenta/SesionEstado
+        /// ¿Sigue abierta la sesión y cuántos segundos le quedan? session.js lo consulta para avisar
+        /// antes de que caduque; no renueva la cookie (OnCheckSlidingExpiration en Program.cs)
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public async Task<IActionResult> SesionEstado()
+        {
+            var resultado = await HttpContext.AuthenticateAsync(IdentityConstants.ApplicationScheme);
+            var expira = resultado.Properties?.ExpiresUtc;
+
+            if (!resultado.Succeeded || expira is null)
+                return Ok(new { autenticado = false });
+
+            return Ok(new
+            {
+                autenticado = true,
+                email = resultado.Principal?.FindFirstValue(ClaimTypes.Email),
+                expiraEn = Math.Max(0, (int)(expira.Value - DateTimeOffset.UtcNow).TotalSeconds)
+            });
+        }
+
+        /// <summary>
+        /// POST: /Cuenta/SesionRenovar
+        /// "Seguir conectado" del aviso de caducidad: vuelve a emitir la cookie con la duración completa
+        /// </summary>
+        [Authorize]
+        [HttpPost]
+        public async Task<IActionResult> SesionRenovar()
+        {
+            var user = await _userManager.GetUserAsync(User);
+            if (user is null)
+                return Unauthorized(new { error = "Sesión expirada. Ingresa nuevamente." });
+
+            await _signInManager.RefreshSignInAsync(user);
+            return Ok(new { ok = true });
+        }
+
+        /// <summary>
+        /// GET: /Cuenta/SesionToken
+        /// Token antiforgery para el usuario actual. Al caducar la sesión (o entrar con otra cuenta)
+        /// los de la página dejan de valer: session.js los sustituye antes de repetir la petición
+        /// </summary>
+        [HttpGet]
+        [AllowAnonymous]
+        [ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+        public IActionResult SesionToken()
+        {
+            return Ok(new { token = _antiforgery.GetAndStoreTokens(HttpContext).RequestToken });
+        }
+
+        #endregion
+
         #region Helpers - Cache
 
         /// <summary>
@@ -996,40 +2126,6 @@ namespace Simone.Controllers
 
         #endregion
 
-        #region Helpers - Logging
-
-        /// <summary>
-        /// Registra un intento de inicio de sesión
-        /// </summary>
-        private async Task RegistrarLogAsync(string email, bool exitoso, CancellationToken ct)
-        {
-            try
-            {
-                var userAgent = Request.Headers.TryGetValue(HEADER_USER_AGENT, out var ua)
-                    ? ua.ToString()
-                    : string.Empty;
-
-                var log = new LogIniciosSesion
-                {
-                    Usuario = email,
-                    FechaInicio = DateTime.UtcNow,
-                    Exitoso = exitoso,
-                    DireccionIP = HttpContext.Connection.RemoteIpAddress?.ToString() ?? IP_LOCALHOST,
-                    Localizacion = LOCALIZACION_DEFAULT,
-                    UserAgent = userAgent
-                };
-
-                _context.LogIniciosSesion.Add(log);
-                await _context.SaveChangesAsync(ct);
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Error al registrar log de inicio de sesión. Email: {Email}", email);
-            }
-        }
-
-        #endregion
-
         #region Helpers - Normalización
 
         /// <summary>
@@ -124,6 +124,10 @@ namespace Simone.Controllers
         /// Añade o quita un producto de favoritos
         /// </summary>
         /// <param name="id">ID del producto</param>
+        /// <param name="esFavorito">
+        /// Estado deseado (opcional). Con él la petición se puede repetir sin invertirlo dos veces:
+        /// la cola sin conexión de sw.js reenvía lo que quizá ya llegó al servidor
+        /// </param>
         /// <param name="ct">Token de cancelación</param>
         /// <returns>JSON con estado del favorito</returns>
         [HttpPost]
@@ -131,6 +135,7 @@ namespace Simone.Controllers
         [Produces("application/json")]
         public async Task<IActionResult> Toggle(
             [FromRoute] int id,
+            [FromForm] bool? esFavorito = null,
             CancellationToken ct = default)
         {
             try
@@ -167,6 +172,10 @@ namespace Simone.Controllers
                 var existente = await _context.Favoritos
                     .FirstOrDefaultAsync(f => f.UsuarioId == userId && f.ProductoId == id, ct);
 
+                // Ya está en el estado pedido: nada que cambiar
+                if (esFavorito.HasValue && esFavorito.Value == (existente != null))
+                    return Json(new FavoritoResponse(esFavorito.Value));
+
                 if (existente != null)
                 {
                     // ELIMINAR FAVORITO
@@ -44,6 +44,7 @@ namespace Simone.Controllers
         private readonly IMemoryCache _cache;
         private readonly CategoriaAtributoService _categoriaAtributoService;
         private readonly ProductoAtributoService _productoAtributoService;
+        private readonly ComisionService _comisionService;
 
         #endregion
 
@@ -62,6 +63,12 @@ namespace Simone.Controllers
         private const long MAX_IMAGEN_BYTES = 8 * 1024 * 1024;
         private const long MAX_FORM_BYTES = 64L * 1024 * 1024;
 
+        // Límites del formulario de producto: los [StringLength] de Producto (ProductoForm.cshtml los usa en maxlength/data-validation)
+        public const int MAX_NOMBRE_PRODUCTO = 200;
+        public const int MAX_MARCA_PRODUCTO = 120;
+        public const int MAX_DESCRIPCION_PRODUCTO = 2000;
+        private const string MSG_NOMBRE_EN_USO = "Ya tienes un producto con ese nombre.";
+
         // Extensiones permitidas
         private static readonly HashSet<string> EXTENSIONES_PERMITIDAS_IMAGEN = new(StringComparer.OrdinalIgnoreCase)
         {
@@ -82,6 +89,10 @@ namespace Simone.Controllers
         private const string JSON_PROP_PORTADA = "portada";
         private const string JSON_PROP_IMAGES = "images";
 
+        // Manifiesto de orden de la galería: [{ "existingPath": "..." } | { "newIndex": 0 }]
+        private const string JSON_PROP_ORDEN_EXISTENTE = "existingPath";
+        private const string JSON_PROP_ORDEN_NUEVA = "newIndex";
+
         // SKU
         private const string SKU_DEFAULT_MARCA = "PRD";
         private const string SKU_DEFAULT_COLOR = "NA";
@@ -127,7 +138,8 @@ namespace Simone.Controllers
     IFileStorageService fileStorage,
     IMemoryCache cache,
     CategoriaAtributoService categoriaAtributoService,
-    ProductoAtributoService productoAtributoService)
+    ProductoAtributoService productoAtributoService,
+    ComisionService comisionService)
         {
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
             _context = context ?? throw new ArgumentNullException(nameof(context));
@@ -142,6 +154,7 @@ namespace Simone.Controllers
             _cache = cache ?? throw new ArgumentNullException(nameof(cache));
             _categoriaAtributoService = categoriaAtributoService ?? throw new ArgumentNullException(nameof(categoriaAtributoService));
             _productoAtributoService = productoAtributoService ?? throw new ArgumentNullException(nameof(productoAtributoService));
+            _comisionService = comisionService ?? throw new ArgumentNullException(nameof(comisionService));
         }
 
         #endregion
@@ -2346,6 +2359,67 @@ namespace Simone.Controllers
             return View("SubcategoriaForm");
         }
 
+        /// <summary>
+        /// Crea una subcategoría propia desde el buscador de categoría del formulario de producto.
+        /// Si ya existe con ese nombre en la categoría se devuelve la existente.
+        /// </summary>
+        [HttpPost, ValidateAntiForgeryToken]
+        [Authorize(Roles = "Vendedor")]
+        public async Task<IActionResult> SubcategoriaRapida(int categoriaID, string? nombre, CancellationToken ct = default)
+        {
+            nombre = (nombre ?? string.Empty).Trim();
+            if (categoriaID <= 0 || nombre.Length == 0)
+                return Json(new { ok = false, msg = "Indica la categoría y el nombre de la subcategoría." });
+            if (nombre.Length > 100)
+                return Json(new { ok = false, msg = "El nombre no puede exceder 100 caracteres." });
+
+            var vendedorId = CurrentUserId();
+
+            try
+            {
+                var subcategoria = await _context.Subcategorias.AsNoTracking()
+                    .FirstOrDefaultAsync(s => s.VendedorID == vendedorId && s.CategoriaID == categoriaID
+                        && s.NombreSubcategoria == nombre, ct);
+
+                if (subcategoria == null)
+                {
+                    subcategoria = new Subcategorias
+                    {
+                        CategoriaID = categoriaID,
+                        NombreSubcategoria = nombre,
+                        VendedorID = vendedorId
+                    };
+
+                    if (!await _subcategoriasManager.AddAsync(subcategoria))
+                    {
+                        _logger.LogWarning("No se pudo crear la subcategoría rápida. CategoriaId: {CategoriaId}, Nombre: {Nombre}",
+                            categoriaID, nombre);
+                        return Json(new { ok = false, msg = "No se pudo crear la subcategoría." });
+                    }
+
+                    _logger.LogInformation("Subcategoría creada desde el formulario de producto. SubcategoriaId: {SubcategoriaId}, Nombre: {Nombre}, VendedorId: {VendedorId}",
+                        subcategoria.SubcategoriaID, subcategoria.NombreSubcategoria, vendedorId);
+                    InvalidarCacheSubcategoriasVendedor(vendedorId);
+                }
+
+                return Json(new
+                {
+                    ok = true,
+                    subcategoria = new
+                    {
+                        subcategoriaID = subcategoria.SubcategoriaID,
+                        nombre = subcategoria.NombreSubcategoria,
+                        categoriaID = subcategoria.CategoriaID
+                    }
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al crear subcategoría rápida. CategoriaId: {CategoriaId}", categoriaID);
+                return Json(new { ok = false, msg = "Error al guardar la subcategoría." });
+            }
+        }
+
         [HttpGet]
         public async Task<IActionResult> EditarSubcategoria(int subcategoriaID)
         {
@@ -2895,7 +2969,7 @@ namespace Simone.Controllers
             string nombreProducto, string descripcion, string talla, string color, string marca,
             decimal precioCompra, decimal precioVenta, int? proveedorID, int categoriaID, int subcategoriaID, int stock,
             decimal peso, decimal? alto, decimal? ancho, decimal? largo,
-            IFormFile? imagen, IFormFile[]? Imagenes, int? ImagenPrincipalIndex, string? ImagenesIgnore,
+            IFormFile? imagen, IFormFile[]? Imagenes, int? ImagenPrincipalIndex, string? ImagenesIgnore, string? ImagenesOrden,
             [FromForm] string[]? VarColor, [FromForm] string[]? VarTalla, [FromForm] string[]? VarPrecio, [FromForm] int[]? VarStock)
         {
             try
@@ -2903,24 +2977,33 @@ namespace Simone.Controllers
                 _logger.LogInformation("Creando producto. Nombre: {Nombre}, VendedorId: {VendedorId}",
                     nombreProducto, CurrentUserId());
 
+                var camposError = ValidarCamposProducto(nombreProducto, marca, descripcion);
+                if (camposError != null)
+                {
+                    return await ProductoFormError(camposError, producto: PresetProducto(nombreProducto, descripcion, talla, color, marca,
+                        precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID));
+                }
+
+                if (await NombreProductoEnUsoAsync(nombreProducto, CurrentUserId(), null))
+                {
+                    return await ProductoFormError(MSG_NOMBRE_EN_USO, "nombreProducto", PresetProducto(nombreProducto, descripcion, talla, color, marca,
+                        precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID));
+                }
+
                 var sub = await _context.Subcategorias.Include(s => s.Categoria)
                     .FirstOrDefaultAsync(s => s.SubcategoriaID == subcategoriaID && s.CategoriaID == categoriaID);
 
                 if (sub == null)
                 {
                     _logger.LogWarning("Subcategoría no encontrada. SubcategoriaId: {SubcategoriaId}", subcategoriaID);
-                    TempData["Err"] = "Subcategoría no encontrada.";
-                    await FillProductoFormBags();
-                    return View("ProductoForm");
+                    return await ProductoFormError("Subcategoría no encontrada.", "subcategoriaID");
                 }
 
                 if (!IsAdmin() && sub.VendedorID != CurrentUserId())
                 {
                     _logger.LogWarning("Acceso denegado a subcategoría. SubcategoriaId: {SubcategoriaId}, VendedorId: {VendedorId}",
                         subcategoriaID, CurrentUserId());
-                    TempData["Err"] = "No tienes permisos para usar esta subcategoría.";
-                    await FillProductoFormBags();
-                    return View("ProductoForm");
+                    return await ProductoFormError("No tienes permisos para usar esta subcategoría.", "subcategoriaID");
                 }
 
                 var (hasVariants, normVariants, variantError) = await NormalizeAndValidateVariants(VarColor, VarTalla, VarPrecio, VarStock, precioCompra);
@@ -2928,18 +3011,13 @@ namespace Simone.Controllers
                 if (!string.IsNullOrEmpty(variantError))
                 {
                     _logger.LogWarning("Error en variantes. Error: {Error}", variantError);
-                    TempData["Err"] = variantError;
-                    await FillProductoFormBags();
-                    ViewBag.Producto = PresetProducto(nombreProducto, descripcion, talla, color, marca,
-                        precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID);
-                    return View("ProductoForm");
+                    return await ProductoFormError(variantError, producto: PresetProducto(nombreProducto, descripcion, talla, color, marca,
+                        precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID));
                 }
 
                 if (peso <= 0)
                 {
-                    TempData["Err"] = "El peso del producto es obligatorio y debe ser mayor a 0 kg.";
-                    await FillProductoFormBags();
-                    return View("ProductoForm");
+                    return await ProductoFormError("El peso del producto es obligatorio y debe ser mayor a 0 kg.", "peso");
                 }
 
                 var producto = new Producto
@@ -2970,11 +3048,11 @@ namespace Simone.Controllers
                     if (minVariantPrice <= precioCompra)
                     {
                         _logger.LogWarning("Precio mínimo de variante ({MinPrice}) ≤ precio compra ({PC})", minVariantPrice, precioCompra);
-                        TempData["Err"] = $"El precio mínimo de variante (${minVariantPrice}) debe ser mayor al precio de compra (${precioCompra}).";
-                        await FillProductoFormBags();
-                        ViewBag.Producto = PresetProducto(nombreProducto, descripcion, talla, color, marca,
-                            precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID);
-                        return View("ProductoForm");
+                        return await ProductoFormError(
+                            $"El precio mínimo de variante (${minVariantPrice}) debe ser mayor al precio de compra (${precioCompra}).",
+                            "precioCompra",
+                            PresetProducto(nombreProducto, descripcion, talla, color, marca,
+                                precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID));
                     }
 
                     producto.PrecioVenta = minVariantPrice;
@@ -2989,11 +3067,11 @@ namespace Simone.Controllers
                     if (pvFinal <= precioCompra)
                     {
                         _logger.LogWarning("Precio de venta menor o igual al de compra. PV: {PV}, PC: {PC}", pvFinal, precioCompra);
-                        TempData["Err"] = $"El precio de venta (${pvFinal}) debe ser mayor al precio de compra (${precioCompra}).";
-                        await FillProductoFormBags();
-                        ViewBag.Producto = PresetProducto(nombreProducto, descripcion, talla, color, marca,
-                            precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID);
-                        return View("ProductoForm");
+                        return await ProductoFormError(
+                            $"El precio de venta (${pvFinal}) debe ser mayor al precio de compra (${precioCompra}).",
+                            "precioVenta",
+                            PresetProducto(nombreProducto, descripcion, talla, color, marca,
+                                precioCompra, precioVenta, stock, proveedorID, categoriaID, subcategoriaID));
                     }
                     producto.PrecioVenta = pvFinal;
                 }
@@ -3020,17 +3098,14 @@ namespace Simone.Controllers
                         await _context.SaveChangesAsync();
                     }
 
-                    var saveResult = await SaveGalleryAsync(producto, Imagenes, imagen, ImagenPrincipalIndex, null, ImagenesIgnore);
+                    var saveResult = await SaveGalleryAsync(producto, Imagenes, imagen, ImagenPrincipalIndex, null, ImagenesIgnore, ImagenesOrden);
 
                     if (!saveResult.Success)
                     {
                         await trx.RollbackAsync();
                         _logger.LogWarning("Error al guardar galería. ProductoId: {ProductoId}, Error: {Error}",
                             producto.ProductoID, saveResult.ErrorMessage);
-                        TempData["Err"] = saveResult.ErrorMessage;
-                        await FillProductoFormBags();
-                        ViewBag.Producto = producto;
-                        return View("ProductoForm");
+                        return await ProductoFormError(saveResult.ErrorMessage, "Imagenes", producto);
                     }
 
                     // Atributos dinámicos deben procesarse DENTRO de la transacción
@@ -3045,24 +3120,19 @@ namespace Simone.Controllers
                         ? $"Producto con {normVariants.Count} variantes añadido correctamente."
                         : "Producto añadido correctamente.";
 
-                    return RedirectToAction(nameof(Productos));
+                    return VolverAProductos();
                 }
                 catch (Exception ex)
                 {
                     await trx.RollbackAsync();
                     _logger.LogError(ex, "Error al añadir producto {Nombre}", nombreProducto);
-                    TempData["Err"] = "Ocurrió un error al guardar el producto.";
-                    await FillProductoFormBags();
-                    ViewBag.Producto = producto;
-                    return View("ProductoForm");
+                    return await ProductoFormError("Ocurrió un error al guardar el producto.", producto: producto);
                 }
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error general en AnadirProducto");
-                TempData["Err"] = "Ocurrió un error inesperado al procesar el producto.";
-                await FillProductoFormBags();
-                return View("ProductoForm");
+                return await ProductoFormError("Ocurrió un error inesperado al procesar el producto.");
             }
         }
 
@@ -3112,26 +3182,38 @@ namespace Simone.Controllers
             string existingImagenPath, decimal precioCompra, decimal precioVenta, int? proveedorID, int categoriaID,
             int subcategoriaID, int stock, decimal peso, decimal? alto, decimal? ancho, decimal? largo,
             IFormFile? imagen, IFormFile[]? Imagenes, int? ImagenPrincipalIndex,
-            string? ImagenesIgnore, [FromForm] string[]? VarColor, [FromForm] string[]? VarTalla,
+            string? ImagenesIgnore, string? ImagenesOrden, [FromForm] string[]? VarColor, [FromForm] string[]? VarTalla,
             [FromForm] string[]? VarPrecio, [FromForm] int[]? VarStock, CancellationToken ct = default)
         {
+            Producto? producto = null;
             try
             {
-                var producto = await _context.Productos.Include(p => p.Variantes)
+                producto = await _context.Productos.Include(p => p.Variantes)
                     .FirstOrDefaultAsync(p => p.ProductoID == productoID, ct);
 
                 if (producto == null)
                 {
                     _logger.LogWarning("Producto no encontrado al editar. ProductoId: {ProductoId}", productoID);
                     TempData["Err"] = "Producto no encontrado.";
-                    return RedirectToAction(nameof(Productos));
+                    return VolverAProductos();
                 }
 
                 if (!IsAdmin() && producto.VendedorID != CurrentUserId())
                 {
                     _logger.LogWarning("Acceso denegado al editar producto. ProductoId: {ProductoId}", productoID);
                     TempData["Err"] = "No tienes permisos para editar este producto.";
-                    return RedirectToAction(nameof(Productos));
+                    return VolverAProductos();
+                }
+
+                var camposError = ValidarCamposProducto(nombreProducto, marca, descripcion);
+                if (camposError != null)
+                {
+                    return await ProductoFormError(camposError, producto: producto);
+                }
+
+                if (await NombreProductoEnUsoAsync(nombreProducto, producto.VendedorID, producto.ProductoID, ct))
+                {
+                    return await ProductoFormError(MSG_NOMBRE_EN_USO, "nombreProducto", producto);
                 }
 
                 var sub = await _context.Subcategorias.FirstOrDefaultAsync(s => s.SubcategoriaID == subcategoriaID && s.CategoriaID == categoriaID, ct);
@@ -3139,10 +3221,7 @@ namespace Simone.Controllers
                 if (sub == null || (!IsAdmin() && sub.VendedorID != CurrentUserId()))
                 {
                     _logger.LogWarning("Subcategoría inválida. SubcategoriaId: {SubcategoriaId}", subcategoriaID);
-                    TempData["Err"] = "Subcategoría inválida o no pertenece a tu tienda.";
-                    await FillProductoFormBags();
-                    ViewBag.Producto = producto;
-                    return View("ProductoForm");
+                    return await ProductoFormError("Subcategoría inválida o no pertenece a tu tienda.", "subcategoriaID", producto);
                 }
 
                 var (hasVariants, normVariants, variantError) = await NormalizeAndValidateVariants(VarColor, VarTalla, VarPrecio, VarStock, precioCompra);
@@ -3150,18 +3229,12 @@ namespace Simone.Controllers
                 if (!string.IsNullOrEmpty(variantError))
                 {
                     _logger.LogWarning("Error en variantes al editar. Error: {Error}", variantError);
-                    TempData["Err"] = variantError;
-                    await FillProductoFormBags();
-                    ViewBag.Producto = producto;
-                    return View("ProductoForm");
+                    return await ProductoFormError(variantError, producto: producto);
                 }
 
                 if (peso <= 0)
                 {
-                    TempData["Err"] = "El peso del producto es obligatorio y debe ser mayor a 0 kg.";
-                    await FillProductoFormBags();
-                    ViewBag.Producto = producto;
-                    return View("ProductoForm");
+                    return await ProductoFormError("El peso del producto es obligatorio y debe ser mayor a 0 kg.", "peso", producto);
                 }
 
                 producto.Nombre = (nombreProducto ?? string.Empty).Trim();
@@ -3186,10 +3259,9 @@ namespace Simone.Controllers
                     if (minVariantPriceEdit <= precioCompra)
                     {
                         _logger.LogWarning("Precio mínimo de variante ({MinPrice}) ≤ precio compra ({PC}) al editar", minVariantPriceEdit, precioCompra);
-                        TempData["Err"] = $"El precio mínimo de variante (${minVariantPriceEdit}) debe ser mayor al precio de compra (${precioCompra}).";
-                        await FillProductoFormBags();
-                        ViewBag.Producto = producto;
-                        return View("ProductoForm");
+                        return await ProductoFormError(
+                            $"El precio mínimo de variante (${minVariantPriceEdit}) debe ser mayor al precio de compra (${precioCompra}).",
+                            "precioCompra", producto);
                     }
 
                     producto.PrecioVenta = minVariantPriceEdit;
@@ -3204,10 +3276,9 @@ namespace Simone.Controllers
                     if (pvFinal <= precioCompra)
                     {
                         _logger.LogWarning("Precio de venta menor o igual al de compra al editar. PV: {PV}, PC: {PC}", pvFinal, precioCompra);
-                        TempData["Err"] = $"El precio de venta (${pvFinal}) debe ser mayor al precio de compra (${precioCompra}).";
-                        await FillProductoFormBags();
-                        ViewBag.Producto = producto;
-                        return View("ProductoForm");
+                        return await ProductoFormError(
+                            $"El precio de venta (${pvFinal}) debe ser mayor al precio de compra (${precioCompra}).",
+                            "precioVenta", producto);
                     }
                     producto.PrecioVenta = pvFinal;
                 }
@@ -3235,17 +3306,14 @@ namespace Simone.Controllers
                         await _context.ProductoVariantes.AddRangeAsync(variants, ct);
                     }
 
-                    var saveResult = await SaveGalleryAsync(producto, Imagenes, imagen, ImagenPrincipalIndex, existingImagenPath, ImagenesIgnore);
+                    var saveResult = await SaveGalleryAsync(producto, Imagenes, imagen, ImagenPrincipalIndex, existingImagenPath, ImagenesIgnore, ImagenesOrden);
 
                     if (!saveResult.Success)
                     {
                         await trx.RollbackAsync(ct);
                         _logger.LogWarning("Error al guardar galería al editar. ProductoId: {ProductoId}, Error: {Error}",
                             producto.ProductoID, saveResult.ErrorMessage);
-                        TempData["Err"] = saveResult.ErrorMessage;
-                        await FillProductoFormBags();
-                        ViewBag.Producto = producto;
-                        return View("ProductoForm");
+                        return await ProductoFormError(saveResult.ErrorMessage, "Imagenes", producto);
                     }
 
                     await _context.SaveChangesAsync(ct);
@@ -3259,23 +3327,28 @@ namespace Simone.Controllers
                         ? $"Producto actualizado con {normVariants.Count} variantes."
                         : "Producto actualizado correctamente.";
 
-                    return RedirectToAction(nameof(Productos));
+                    return VolverAProductos();
                 }
                 catch (Exception ex)
                 {
                     await trx.RollbackAsync(ct);
                     _logger.LogError(ex, "Error al editar producto {ProductoID}", productoID);
-                    TempData["Err"] = "Ocurrió un error al actualizar el producto.";
-                    await FillProductoFormBags();
-                    ViewBag.Producto = producto;
-                    return View("ProductoForm");
+                    return await ProductoFormError("Ocurrió un error al actualizar el producto.", producto: producto);
                 }
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error general en EditarProducto");
-                TempData["Err"] = "Ocurrió un error inesperado al procesar el producto.";
-                return RedirectToAction(nameof(Productos));
+
+                // Sin el producto cargado no hay formulario de edición que mostrar en un POST normal
+                if (producto == null && !EsAjax())
+                {
+                    TempData["Err"] = "Ocurrió un error inesperado al procesar el producto.";
+                    return VolverAProductos();
+                }
+
+                // AJAX: el formulario sigue abierto y conserva las imágenes
+                return await ProductoFormError("Ocurrió un error inesperado al procesar el producto.", producto: producto);
             }
         }
 
@@ -3320,6 +3393,60 @@ namespace Simone.Controllers
             }
         }
 
+        /// <summary>
+        /// Regla remote: del formulario: ¿el nombre está libre entre los productos del vendedor?
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> NombreProductoDisponible(string? nombreProducto, int? productoID, CancellationToken ct = default)
+        {
+            if (string.IsNullOrWhiteSpace(nombreProducto))
+                return Json(new { ok = true });
+
+            // Al editar, el nombre se compara con los productos del dueño (un admin puede editar los de otro)
+            var vendedorId = await VendedorDelFormularioAsync(productoID, ct);
+            var enUso = await NombreProductoEnUsoAsync(nombreProducto, vendedorId, productoID, ct);
+            return Json(new { ok = !enUso, msg = enUso ? MSG_NOMBRE_EN_USO : null });
+        }
+
+        /// <summary>
+        /// % de comisión que se descontará al vendedor del producto según la categoría elegida
+        /// (ConfiguracionComision: PorVendedor > PorCategoria > Global). El formulario lo usa
+        /// para mostrar el neto por unidad de cada variante.
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> ComisionProducto(int? categoriaID, int? productoID, CancellationToken ct = default)
+        {
+            try
+            {
+                var vendedorId = await VendedorDelFormularioAsync(productoID, ct);
+                var porcentaje = await _comisionService.ObtenerPorcentajeComisionAsync(vendedorId, categoriaID);
+                return Json(new { ok = true, porcentaje });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al obtener la comisión del producto {ProductoId}", productoID);
+                return Json(new { ok = false, msg = "No se pudo obtener la comisión." });
+            }
+        }
+
+        /// <summary>
+        /// Vendedor al que pertenece el producto del formulario: el dueño al editar
+        /// (si es el usuario actual o un admin) o el usuario actual al crear
+        /// </summary>
+        private async Task<string> VendedorDelFormularioAsync(int? productoID, CancellationToken ct)
+        {
+            var vendedorId = CurrentUserId();
+            if (!productoID.HasValue)
+                return vendedorId;
+
+            var duenio = await _context.Productos.AsNoTracking()
+                .Where(p => p.ProductoID == productoID.Value)
+                .Select(p => p.VendedorID)
+                .FirstOrDefaultAsync(ct);
+
+            return duenio != null && (IsAdmin() || duenio == vendedorId) ? duenio : vendedorId;
+        }
+
         [HttpGet]
         public async Task<IActionResult> VariantesJson(int productoId, CancellationToken ct = default)
         {
@@ -3365,6 +3492,17 @@ namespace Simone.Controllers
             ViewBag.Subcategorias = IsAdmin()
                 ? await _subcategoriasManager.GetAllAsync()
                 : await ObtenerSubcategoriasVendedorConCacheAsync(CurrentUserId());
+
+            // Productos por subcategoría: el buscador de categoría sugiere primero las más usadas
+            var vendedorId = CurrentUserId();
+            var productos = _context.Productos.AsNoTracking().Where(p => p.SubcategoriaID != null);
+            if (!IsAdmin())
+                productos = productos.Where(p => p.VendedorID == vendedorId);
+
+            ViewBag.UsoSubcategorias = await productos
+                .GroupBy(p => p.SubcategoriaID!.Value)
+                .Select(g => new { SubcategoriaID = g.Key, Total = g.Count() })
+                .ToDictionaryAsync(x => x.SubcategoriaID, x => x.Total);
         }
 
         private Producto PresetProducto(string nombre, string desc, string talla, string color, string marca,
@@ -3384,6 +3522,52 @@ namespace Simone.Controllers
                 SubcategoriaID = subId
             };
 
+        /// <summary>
+        /// Error al guardar un producto: JSON con los errores de ModelState si la petición es AJAX
+        /// (el formulario conserva imágenes y variantes) o la vista con TempData["Err"] en un POST normal
+        /// </summary>
+        private async Task<IActionResult> ProductoFormError(string mensaje, string? campo = null, Producto? producto = null)
+        {
+            if (!string.IsNullOrEmpty(campo))
+                ModelState.AddModelError(campo, mensaje);
+
+            if (EsAjax())
+                return BadRequest(new { ok = false, msg = mensaje, errors = ErroresModelState() });
+
+            TempData["Err"] = mensaje;
+            await FillProductoFormBags();
+            if (producto != null)
+                ViewBag.Producto = producto;
+            return View("ProductoForm");
+        }
+
+        /// <summary>
+        /// Vuelve al listado de productos. Con AJAX responde JSON y el cliente navega él mismo,
+        /// así el mensaje de TempData no se consume en la petición XHR
+        /// </summary>
+        private IActionResult VolverAProductos()
+        {
+            if (EsAjax())
+            {
+                var ok = !TempData.ContainsKey("Err");
+                return Json(new { ok, msg = TempData.Peek(ok ? "Ok" : "Err"), redirect = Url.Action(nameof(Productos)) });
+            }
+
+            return RedirectToAction(nameof(Productos));
+        }
+
+        /// <summary>
+        /// Errores de ModelState por campo (las filas de variantes usan claves como "VarPrecio[2]")
+        /// </summary>
+        private Dictionary<string, string[]> ErroresModelState() =>
+            ModelState
+                .Where(kv => kv.Value != null && kv.Value.Errors.Count > 0)
+                .ToDictionary(
+                    kv => kv.Key,
+                    kv => kv.Value!.Errors
+                        .Select(e => string.IsNullOrEmpty(e.ErrorMessage) ? "Valor inválido." : e.ErrorMessage)
+                        .ToArray());
+
         private async Task<(bool hasVariants, List<(string Color, string Talla, decimal Precio, int Stock)> variants, string error)>
             NormalizeAndValidateVariants(string[]? VarColor, string[]? VarTalla, string[]? VarPrecio, int[]? VarStock, decimal precioCompra)
         {
@@ -3406,31 +3590,31 @@ namespace Simone.Controllers
 
                 if (string.IsNullOrWhiteSpace(color))
                 {
-                    errors.Add($"La variante {i + 1} no tiene color especificado.");
+                    AddVariantError(errors, $"VarColor[{i}]", $"La variante {i + 1} no tiene color especificado.");
                     continue;
                 }
 
                 if (string.IsNullOrWhiteSpace(talla))
                 {
-                    errors.Add($"La variante {i + 1} no tiene talla especificada.");
+                    AddVariantError(errors, $"VarTalla[{i}]", $"La variante {i + 1} no tiene talla especificada.");
                     continue;
                 }
 
                 if (precio <= 0)
                 {
-                    errors.Add($"La variante {color} - {talla} tiene precio inválido.");
+                    AddVariantError(errors, $"VarPrecio[{i}]", $"La variante {color} - {talla} tiene precio inválido.");
                     continue;
                 }
 
                 if (precio <= precioCompra)
                 {
-                    errors.Add($"La variante {color} - {talla} tiene precio menor o igual al precio de compra.");
+                    AddVariantError(errors, $"VarPrecio[{i}]", $"La variante {color} - {talla} tiene precio menor o igual al precio de compra.");
                     continue;
                 }
 
                 if (stock < 0)
                 {
-                    errors.Add($"La variante {color} - {talla} tiene stock negativo.");
+                    AddVariantError(errors, $"VarStock[{i}]", $"La variante {color} - {talla} tiene stock negativo.");
                     continue;
                 }
 
@@ -3453,6 +3637,73 @@ namespace Simone.Controllers
             return (grouped.Count > 0, grouped, "");
         }
 
+        /// <summary>
+        /// Reglas de texto del formulario de producto; registra cada error en ModelState y devuelve el primero
+        /// </summary>
+        private string? ValidarCamposProducto(string? nombre, string? marca, string? descripcion)
+        {
+            var errores = new List<string>();
+
+            void Error(string campo, string mensaje)
+            {
+                ModelState.AddModelError(campo, mensaje);
+                errores.Add(mensaje);
+            }
+
+            if (string.IsNullOrWhiteSpace(nombre))
+                Error("nombreProducto", "El nombre del producto es obligatorio.");
+            else if (nombre.Trim().Length > MAX_NOMBRE_PRODUCTO)
+                Error("nombreProducto", $"El nombre no puede superar {MAX_NOMBRE_PRODUCTO} caracteres.");
+
+            if (string.IsNullOrWhiteSpace(marca))
+                Error("marca", "La marca es obligatoria.");
+            else if (marca.Trim().Length > MAX_MARCA_PRODUCTO)
+                Error("marca", $"La marca no puede superar {MAX_MARCA_PRODUCTO} caracteres.");
+
+            if (string.IsNullOrWhiteSpace(descripcion))
+                Error("descripcion", "La descripción es obligatoria.");
+            else if (descripcion.Trim().Length > MAX_DESCRIPCION_PRODUCTO)
+                Error("descripcion", $"La descripción no puede superar {MAX_DESCRIPCION_PRODUCTO} caracteres.");
+
+            return errores.FirstOrDefault();
+        }
+
+        /// <summary>
+        /// ¿El vendedor ya tiene otro producto con ese nombre? (sin distinguir mayúsculas).
+        /// Al editar solo se comprueba si el nombre cambia: los productos anteriores a la regla
+        /// pueden compartir nombre y deben poder guardarse sin renombrarlos.
+        /// </summary>
+        private async Task<bool> NombreProductoEnUsoAsync(string? nombre, string vendedorId, int? excluirProductoId, CancellationToken ct = default)
+        {
+            var normalizado = (nombre ?? string.Empty).Trim().ToLower();
+            var excluir = excluirProductoId ?? 0;
+
+            if (excluir > 0)
+            {
+                var actual = await _context.Productos.AsNoTracking()
+                    .Where(p => p.ProductoID == excluir)
+                    .Select(p => p.Nombre)
+                    .FirstOrDefaultAsync(ct);
+
+                if (actual != null && actual.Trim().ToLower() == normalizado)
+                    return false;
+            }
+
+            return await _context.Productos.AsNoTracking().AnyAsync(p =>
+                p.VendedorID == vendedorId &&
+                p.ProductoID != excluir &&
+                p.Nombre.ToLower() == normalizado, ct);
+        }
+
+        /// <summary>
+        /// Registra el error de una fila de variante en el mensaje general y en ModelState
+        /// </summary>
+        private void AddVariantError(List<string> errors, string key, string mensaje)
+        {
+            errors.Add(mensaje);
+            ModelState.AddModelError(key, mensaje);
+        }
+
         private decimal[] ParseDecimalArray(string[] raw)
         {
             var list = new List<decimal>(raw.Length);
@@ -3522,7 +3773,8 @@ namespace Simone.Controllers
 
         private async Task<(bool Success, string ErrorMessage)> SaveGalleryAsync(
             Producto producto, IFormFile[]? nuevasImagenes, IFormFile? imagenLegacy,
-            int? imagenPrincipalIndex, string? existingImagenPath = null, string? imagenesIgnore = null)
+            int? imagenPrincipalIndex, string? existingImagenPath = null, string? imagenesIgnore = null,
+            string? imagenesOrden = null)
         {
             try
             {
@@ -3595,22 +3847,23 @@ namespace Simone.Controllers
                     imagenesExistentes = toKeep;
                 }
 
-                var archivos = new List<IFormFile>();
+                // Índice del archivo en el formulario → archivo (el manifiesto de orden usa ese índice)
+                var archivos = new List<(int Indice, IFormFile Archivo)>();
                 if (nuevasImagenes != null && nuevasImagenes.Length > 0)
                 {
                     for (int i = 0; i < nuevasImagenes.Length; i++)
                     {
                         if (!indicesNuevasAIgnorar.Contains(i))
-                            archivos.Add(nuevasImagenes[i]);
+                            archivos.Add((i, nuevasImagenes[i]));
                     }
                 }
                 else if (imagenLegacy != null)
                 {
-                    archivos.Add(imagenLegacy);
+                    archivos.Add((0, imagenLegacy));
                 }
 
-                var nuevasUrls = new List<string>();
-                foreach (var archivo in archivos)
+                var nuevasUrls = new Dictionary<int, string>();
+                foreach (var (indice, archivo) in archivos)
                 {
                     if (nuevasUrls.Count + imagenesExistentes.Count >= MAX_IMAGENES_GALERIA) break;
 
@@ -3622,17 +3875,19 @@ namespace Simone.Controllers
                         return (false, resultado.ErrorMessage);
                     }
 
-                    nuevasUrls.Add(resultado.Url!);
+                    nuevasUrls[indice] = resultado.Url!;
                 }
 
-                var todasLasImagenes = imagenesExistentes.Concat(nuevasUrls).Take(MAX_IMAGENES_GALERIA).ToList();
+                var todasLasImagenes = OrdenarGaleria(imagenesExistentes, nuevasUrls, imagenesOrden)
+                    .Take(MAX_IMAGENES_GALERIA)
+                    .ToList();
 
                 string? imagenPrincipal = null;
 
-                if (imagenPrincipalIndex.HasValue && imagenPrincipalIndex.Value >= 0
-                    && imagenPrincipalIndex.Value < nuevasUrls.Count)
+                if (imagenPrincipalIndex.HasValue
+                    && nuevasUrls.TryGetValue(imagenPrincipalIndex.Value, out var nuevaPrincipal))
                 {
-                    imagenPrincipal = nuevasUrls[imagenPrincipalIndex.Value];
+                    imagenPrincipal = nuevaPrincipal;
                 }
                 else if (!string.IsNullOrWhiteSpace(existingImagenPath)
                          && todasLasImagenes.Contains(existingImagenPath!))
@@ -3662,6 +3917,64 @@ namespace Simone.Controllers
             }
         }
 
+        /// <summary>
+        /// Ordena la galería según el manifiesto enviado por el formulario.
+        /// Las imágenes que el manifiesto no menciona van al final (existentes y luego nuevas).
+        /// </summary>
+        private List<string> OrdenarGaleria(
+            List<string> existentes, Dictionary<int, string> nuevas, string? manifiesto)
+        {
+            var orden = new List<string>();
+            var incluidas = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            void Agregar(string? url)
+            {
+                if (!string.IsNullOrWhiteSpace(url) && incluidas.Add(url!))
+                    orden.Add(url!);
+            }
+
+            if (!string.IsNullOrWhiteSpace(manifiesto))
+            {
+                try
+                {
+                    using var doc = JsonDocument.Parse(manifiesto);
+                    if (doc.RootElement.ValueKind == JsonValueKind.Array)
+                    {
+                        foreach (var el in doc.RootElement.EnumerateArray())
+                        {
+                            if (el.ValueKind != JsonValueKind.Object) continue;
+
+                            if (el.TryGetProperty(JSON_PROP_ORDEN_EXISTENTE, out var path)
+                                && path.ValueKind == JsonValueKind.String)
+                            {
+                                // Solo rutas que ya pertenecen a la galería del producto
+                                var url = existentes.FirstOrDefault(u =>
+                                    string.Equals(u, path.GetString(), StringComparison.OrdinalIgnoreCase));
+                                Agregar(url);
+                            }
+                            else if (el.TryGetProperty(JSON_PROP_ORDEN_NUEVA, out var idx)
+                                     && idx.ValueKind == JsonValueKind.Number
+                                     && idx.TryGetInt32(out var indice)
+                                     && nuevas.TryGetValue(indice, out var nueva))
+                            {
+                                Agregar(nueva);
+                            }
+                        }
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "JSON de ImagenesOrden inválido");
+                }
+            }
+
+            existentes.ForEach(Agregar);
+            foreach (var indice in nuevas.Keys.OrderBy(i => i))
+                Agregar(nuevas[indice]);
+
+            return orden;
+        }
+
         private async Task<List<string>> LoadExistingImages(string metaPath)
         {
             var imagenes = new List<string>();
@@ -3821,7 +4134,8 @@ namespace Simone.Controllers
                     orden = a.Orden,
                     obligatorio = a.Obligatorio,
                     valorMinimo = a.ValorMinimo,
-                    valorMaximo = a.ValorMaximo
+                    valorMaximo = a.ValorMaximo,
+                    mensajeError = a.MensajeError
                 }).OrderBy(a => a.orden).ToList();
 
                 _logger.LogDebug("Retornando {Count} atributos para categoría {CategoriaId}", resultado.Count, categoriaId);
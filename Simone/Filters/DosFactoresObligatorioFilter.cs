@@ -0,0 +1,104 @@
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Controllers;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.AspNetCore.Mvc.ViewFeatures;
+using Microsoft.Extensions.Logging;
+using Simone.Models;
+using Simone.Services;
+
+/// <summary>
+/// Filtro global que obliga a Administrador, Vendedor y Empleado a activar la verificación
+/// en dos pasos: mientras no la tengan, las páginas que requieren sesión redirigen a
+/// Cuenta/Perfil#seguridad (403 en peticiones AJAX y en las API con cookie). CuentaController
+/// queda fuera para poder activarla y cerrar sesión; la API del POS (JWT) lo comprueba en su
+/// propio login.
+/// </summary>
+public class DosFactoresObligatorioFilter : IAsyncActionFilter
+{
+    private readonly UserManager<Usuario> _userManager;
+    private readonly ITempDataDictionaryFactory _tempDataFactory;
+    private readonly ILogger<DosFactoresObligatorioFilter> _logger;
+
+    private const string CONTROLADOR_CUENTA = "Cuenta";
+    private const string ESQUEMA_JWT = "JwtBearer";
+    private const string HEADER_AJAX = "X-Requested-With";
+    private const string MSG_ACTIVAR_DOS_FACTORES =
+        "Tu rol requiere la verificación en dos pasos. Actívala para seguir usando el panel.";
+
+    public DosFactoresObligatorioFilter(
+        UserManager<Usuario> userManager,
+        ITempDataDictionaryFactory tempDataFactory,
+        ILogger<DosFactoresObligatorioFilter> logger)
+    {
+        _userManager = userManager ?? throw new ArgumentNullException(nameof(userManager));
+        _tempDataFactory = tempDataFactory ?? throw new ArgumentNullException(nameof(tempDataFactory));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    public async Task OnActionExecutionAsync(ActionExecutingContext context, ActionExecutionDelegate next)
+    {
+        if (!DebeComprobar(context))
+        {
+            await next();
+            return;
+        }
+
+        var usuario = await _userManager.GetUserAsync(context.HttpContext.User);
+        if (usuario == null || usuario.TwoFactorEnabled)
+        {
+            await next();
+            return;
+        }
+
+        _logger.LogInformation(
+            "Acceso sin 2FA activado bloqueado. UserId: {UserId}, Ruta: {Ruta}",
+            usuario.Id,
+            context.HttpContext.Request.Path);
+
+        if (context.HttpContext.Request.Headers[HEADER_AJAX] == "XMLHttpRequest" ||
+            context.ActionDescriptor.EndpointMetadata.OfType<ApiControllerAttribute>().Any())
+        {
+            context.Result = new ObjectResult(new { error = MSG_ACTIVAR_DOS_FACTORES, requiereActivarDosFactores = true })
+            {
+                StatusCode = StatusCodes.Status403Forbidden
+            };
+            return;
+        }
+
+        _tempDataFactory.GetTempData(context.HttpContext)["MensajeError"] = MSG_ACTIVAR_DOS_FACTORES;
+        context.Result = new RedirectToActionResult("Perfil", CONTROLADOR_CUENTA, null, "seguridad");
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Solo acciones con sesión de cookie, de usuarios con rol privilegiado
+    // ─────────────────────────────────────────────────────────────────────────
+    private static bool DebeComprobar(ActionExecutingContext context)
+    {
+        var user = context.HttpContext.User;
+        if (user.Identity?.IsAuthenticated != true)
+            return false;
+
+        if (context.ActionDescriptor is not ControllerActionDescriptor accion ||
+            accion.ControllerName == CONTROLADOR_CUENTA)
+            return false;
+
+        var metadata = context.ActionDescriptor.EndpointMetadata;
+        var autorizacion = metadata.OfType<IAuthorizeData>().ToList();
+        if (metadata.OfType<IAllowAnonymous>().Any() || autorizacion.Count == 0)
+            return false;
+
+        // Las API con cookie (api/envios) sí se comprueban; las del POS usan JWT
+        if (autorizacion.Any(a => a.AuthenticationSchemes?
+                .Split(',', StringSplitOptions.TrimEntries)
+                .Contains(ESQUEMA_JWT, StringComparer.OrdinalIgnoreCase) == true))
+            return false;
+
+        return SimoneSignInManager.ROLES_DOS_FACTORES.Any(user.IsInRole);
+    }
+}
@@ -1,4 +1,5 @@
-﻿using Microsoft.AspNetCore.Authentication.JwtBearer;
+﻿using Microsoft.AspNetCore.Authentication.Cookies;
+using Microsoft.AspNetCore.Authentication.JwtBearer;
 using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Identity;
 using Microsoft.AspNetCore.Server.Kestrel.Core;
@@ -49,7 +50,11 @@ builder.Services.AddIdentity<Usuario, Roles>(options =>
     options.SignIn.RequireConfirmedEmail = false;
 })
 .AddEntityFrameworkStores<TiendaDbContext>()
-.AddDefaultTokenProviders();
+.AddDefaultTokenProviders()
+// Verificación en dos pasos también en los accesos sin contraseña (código, enlace, externos)
+.AddSignInManager<SimoneSignInManager>()
+// Sin correo ni nombre dentro de la contraseña (igual que password.js)
+.AddPasswordValidator<PasswordDatosPersonalesValidator>();
 
 // ============================================================================
 // 3) CONFIGURACIÓN DE SESIÓN Y COOKIES
@@ -71,6 +76,38 @@ builder.Services.ConfigureApplicationCookie(options =>
     options.LogoutPath = "/Cuenta/Logout";
     options.SlidingExpiration = true;
     options.ExpireTimeSpan = TimeSpan.FromMinutes(30);
+
+    // Peticiones AJAX: 401/403 en lugar de la redirección a una página HTML (session.js abre el modal de login)
+    options.Events.OnRedirectToLogin = context =>
+    {
+        if (context.Request.Headers["X-Requested-With"] == "XMLHttpRequest")
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+        else
+            context.Response.Redirect(context.RedirectUri);
+        return Task.CompletedTask;
+    };
+    options.Events.OnRedirectToAccessDenied = context =>
+    {
+        if (context.Request.Headers["X-Requested-With"] == "XMLHttpRequest")
+            context.Response.StatusCode = StatusCodes.Status403Forbidden;
+        else
+            context.Response.Redirect(context.RedirectUri);
+        return Task.CompletedTask;
+    };
+
+    // Consultar cuánto le queda a la sesión no debe alargarla
+    options.Events.OnCheckSlidingExpiration = context =>
+    {
+        if (context.Request.Path.StartsWithSegments("/Cuenta/SesionEstado"))
+            context.ShouldRenew = false;
+        return Task.CompletedTask;
+    };
+});
+
+// "Confiar en este dispositivo" tras la verificación en dos pasos
+builder.Services.Configure<CookieAuthenticationOptions>(IdentityConstants.TwoFactorRememberMeScheme, options =>
+{
+    options.ExpireTimeSpan = TimeSpan.FromDays(30);
 });
 
 // ============================================================================
@@ -164,6 +201,24 @@ builder.Services.AddSingleton<IFileStorageService, FileStorageService>();
 // ────────────────────────────────────────────────────────────────────────────
 builder.Services.AddScoped<DatabaseSeeder>();
 builder.Services.AddScoped<LogService>();
+builder.Services.AddScoped<LoginLoggerService>();
+
+// ────────────────────────────────────────────────────────────────────────────
+// LOGIN EXTERNO (Google, Facebook y proveedor de prueba sin conexión)
+// ────────────────────────────────────────────────────────────────────────────
+builder.Services.Configure<ExternalLoginOptions>(builder.Configuration.GetSection("ExternalLogin"));
+builder.Services.AddHttpClient();
+builder.Services.AddSingleton<ExternalLoginService>();
+
+// ────────────────────────────────────────────────────────────────────────────
+// CORREO Y ACCESO SIN CONTRASEÑA (Email:Proveedor = "Smtp" | "Archivo")
+// ────────────────────────────────────────────────────────────────────────────
+builder.Services.Configure<EmailOptions>(builder.Configuration.GetSection("Email"));
+if (string.Equals(builder.Configuration["Email:Proveedor"], "Smtp", StringComparison.OrdinalIgnoreCase))
+    builder.Services.AddSingleton<IEmailService, SmtpEmailService>();
+else
+    builder.Services.AddSingleton<IEmailService, ArchivoEmailService>();
+builder.Services.AddSingleton<LoginCodigoService>();
 
 // ────────────────────────────────────────────────────────────────────────────
 // VENTAS Y COMISIONES
@@ -259,6 +314,7 @@ builder.Services.AddControllersWithViews(options =>
 {
     options.ModelBinderProviders.Insert(0, new InvariantDecimalModelBinderProvider());
     options.Filters.Add<CarritoActionFilter>();
+    options.Filters.Add<DosFactoresObligatorioFilter>();
 });
 
 builder.Services.Configure<RequestLocalizationOptions>(options =>
@@ -350,6 +406,16 @@ app.UseRouting();
 
 app.UseSession();
 app.UseAuthentication();
+
+// ── Páginas con sesión: el service worker (sw.js) no las guarda sin conexión ──
+// Llevan nombre, carrito y tokens del usuario; en un equipo compartido quedarían tras cerrar sesión
+app.Use(async (context, next) =>
+{
+    if (context.User.Identity?.IsAuthenticated == true)
+        context.Response.Headers["X-Session-Content"] = "private";
+    await next();
+});
+
 app.UseAuthorization();
 
 app.UseRequestLocalization();
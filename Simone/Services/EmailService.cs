@@ -0,0 +1,152 @@
+using MailKit.Net.Smtp;
+using MailKit.Security;
+using Microsoft.Extensions.Options;
+using MimeKit;
+
+namespace Simone.Services
+{
+    // ═══════════════════════════════════════════════════════════════════════
+    //  CONFIGURACIÓN (leída desde appsettings.json → "Email")
+    // ═══════════════════════════════════════════════════════════════════════
+
+    public class EmailOptions
+    {
+        /// <summary>
+        /// "Smtp" (por defecto) envía de verdad; "Archivo" guarda cada correo como .eml
+        /// en <see cref="CarpetaArchivos"/> para desarrollo y pruebas sin servidor de correo
+        /// (appsettings.Development.json)
+        /// </summary>
+        public string Proveedor { get; set; } = "Smtp";
+
+        public string Remitente { get; set; } = "no-responder@neoagora.ec";
+        public string NombreRemitente { get; set; } = "Neo Ágora";
+
+        /// <summary>
+        /// Carpeta de los .eml. Vacía = "{ContentRoot}_Correos" (fuera del proyecto, como Uploads)
+        /// </summary>
+        public string CarpetaArchivos { get; set; } = string.Empty;
+
+        public string SmtpHost { get; set; } = string.Empty;
+        public int SmtpPuerto { get; set; } = 587;
+        public string? SmtpUsuario { get; set; }
+        public string? SmtpPassword { get; set; }
+        public bool SmtpStartTls { get; set; } = true;
+
+        /// <summary>
+        /// ¿Se puede enviar correo? Con "Smtp" hace falta el servidor; sin él, el acceso
+        /// sin contraseña no se ofrece (los códigos no llegarían a nadie)
+        /// </summary>
+        public bool Configurado =>
+            !string.Equals(Proveedor, "Smtp", StringComparison.OrdinalIgnoreCase) ||
+            !string.IsNullOrWhiteSpace(SmtpHost);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    //  INTERFAZ
+    // ═══════════════════════════════════════════════════════════════════════
+
+    public interface IEmailService
+    {
+        /// <summary>
+        /// Envía un correo HTML (con alternativa en texto plano). Lanza excepción si falla el envío.
+        /// </summary>
+        Task EnviarAsync(
+            string destinatario,
+            string asunto,
+            string html,
+            string texto,
+            CancellationToken ct = default);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    //  IMPLEMENTACIONES
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /// <summary>
+    /// Guarda los correos en disco (carpeta de recogida) en lugar de enviarlos
+    /// </summary>
+    public class ArchivoEmailService : IEmailService
+    {
+        private readonly EmailOptions _options;
+        private readonly string _carpeta;
+        private readonly ILogger<ArchivoEmailService> _logger;
+
+        public string Carpeta => _carpeta;
+
+        public ArchivoEmailService(IOptions<EmailOptions> opts, IWebHostEnvironment env, ILogger<ArchivoEmailService> logger)
+        {
+            _options = opts.Value;
+            _logger = logger;
+            _carpeta = !string.IsNullOrWhiteSpace(_options.CarpetaArchivos)
+                ? _options.CarpetaArchivos
+                : env.ContentRootPath.TrimEnd(Path.DirectorySeparatorChar) + "_Correos";
+
+            Directory.CreateDirectory(_carpeta);
+        }
+
+        /// <inheritdoc/>
+        public async Task EnviarAsync(string destinatario, string asunto, string html, string texto, CancellationToken ct = default)
+        {
+            var mensaje = EmailMensaje.Crear(_options, destinatario, asunto, html, texto);
+
+            // Ej: 20250314T101500123_1f2e....eml (orden cronológico al listar)
+            var archivo = Path.Combine(_carpeta, $"{DateTime.UtcNow:yyyyMMdd'T'HHmmssfff}_{Guid.NewGuid():N}.eml");
+            await mensaje.WriteToAsync(archivo, ct);
+
+            _logger.LogInformation(
+                "Correo guardado en archivo. Para: {Destinatario}, Asunto: {Asunto}, Archivo: {Archivo}",
+                destinatario,
+                asunto,
+                archivo);
+        }
+    }
+
+    /// <summary>
+    /// Envío por SMTP (MailKit)
+    /// </summary>
+    public class SmtpEmailService : IEmailService
+    {
+        private readonly EmailOptions _options;
+        private readonly ILogger<SmtpEmailService> _logger;
+
+        public SmtpEmailService(IOptions<EmailOptions> opts, ILogger<SmtpEmailService> logger)
+        {
+            _options = opts.Value;
+            _logger = logger;
+        }
+
+        /// <inheritdoc/>
+        public async Task EnviarAsync(string destinatario, string asunto, string html, string texto, CancellationToken ct = default)
+        {
+            var mensaje = EmailMensaje.Crear(_options, destinatario, asunto, html, texto);
+
+            using var client = new SmtpClient();
+            await client.ConnectAsync(
+                _options.SmtpHost,
+                _options.SmtpPuerto,
+                _options.SmtpStartTls ? SecureSocketOptions.StartTls : SecureSocketOptions.Auto,
+                ct);
+
+            if (!string.IsNullOrEmpty(_options.SmtpUsuario))
+                await client.AuthenticateAsync(_options.SmtpUsuario, _options.SmtpPassword ?? string.Empty, ct);
+
+            await client.SendAsync(mensaje, ct);
+            await client.DisconnectAsync(true, ct);
+
+            _logger.LogInformation("Correo enviado. Para: {Destinatario}, Asunto: {Asunto}", destinatario, asunto);
+        }
+    }
+
+    internal static class EmailMensaje
+    {
+        public static MimeMessage Crear(EmailOptions options, string destinatario, string asunto, string html, string texto)
+        {
+            var mensaje = new MimeMessage();
+            mensaje.From.Add(new MailboxAddress(options.NombreRemitente, options.Remitente));
+            mensaje.To.Add(MailboxAddress.Parse(destinatario));
+            mensaje.Subject = asunto;
+            mensaje.Body = new BodyBuilder { HtmlBody = html, TextBody = texto }.ToMessageBody();
+            return mensaje;
+        }
+    }
+}
@@ -0,0 +1,344 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Net.Http.Headers;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace Simone.Services
+{
+    // ═══════════════════════════════════════════════════════════════════════
+    //  CONFIGURACIÓN (leída desde appsettings.json → "ExternalLogin")
+    // ═══════════════════════════════════════════════════════════════════════
+
+    public class ExternalLoginOptions
+    {
+        /// <summary>
+        /// Proveedor "Mock" local para probar el flujo completo sin conexión (solo desarrollo)
+        /// </summary>
+        public bool MockEnabled { get; set; }
+
+        /// <summary>
+        /// Por nombre ("Google", "Facebook"). Un proveedor sin ClientId queda deshabilitado.
+        /// Los endpoints de Google y Facebook tienen valores por defecto.
+        /// </summary>
+        public Dictionary<string, ExternalProviderOptions> Providers { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+    }
+
+    public class ExternalProviderOptions
+    {
+        public string? ClientId { get; set; }
+        public string? ClientSecret { get; set; }
+        public string? AuthorizationEndpoint { get; set; }
+        public string? TokenEndpoint { get; set; }
+        public string? UserInfoEndpoint { get; set; }
+        public string? Scope { get; set; }
+    }
+
+    /// <summary>
+    /// Usuario devuelto por el proveedor externo
+    /// </summary>
+    public record ExternalUserInfo(string Provider, string ProviderKey, string Email, string Nombre, bool EmailVerificado);
+
+    // ═══════════════════════════════════════════════════════════════════════
+    //  IMPLEMENTACIÓN
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /// <summary>
+    /// OAuth 2.0 con código de autorización y PKCE para el login social.
+    /// El navegador (external-login.js) genera state y code_verifier y abre el proveedor en un popup;
+    /// aquí se construye la URL de autorización, se canjea el código y se lee el perfil.
+    /// </summary>
+    public class ExternalLoginService
+    {
+        public const string MOCK_PROVIDER = "Mock";
+
+        private static readonly Dictionary<string, ExternalProviderOptions> _predeterminados = new(StringComparer.OrdinalIgnoreCase)
+        {
+            ["Google"] = new ExternalProviderOptions
+            {
+                AuthorizationEndpoint = "https://accounts.google.com/o/oauth2/v2/auth",
+                TokenEndpoint = "https://oauth2.googleapis.com/token",
+                UserInfoEndpoint = "https://openidconnect.googleapis.com/v1/userinfo",
+                Scope = "openid email profile"
+            },
+            ["Facebook"] = new ExternalProviderOptions
+            {
+                AuthorizationEndpoint = "https://www.facebook.com/v19.0/dialog/oauth",
+                TokenEndpoint = "https://graph.facebook.com/v19.0/oauth/access_token",
+                UserInfoEndpoint = "https://graph.facebook.com/me?fields=id,name,email",
+                Scope = "email public_profile"
+            }
+        };
+
+        // Códigos del proveedor de prueba y tokens para vincular una cuenta existente
+        private const string PROPOSITO_MOCK = "Simone.ExternalLogin.Mock";
+        private const string PROPOSITO_VINCULO = "Simone.ExternalLogin.Vinculo";
+        private static readonly TimeSpan VIGENCIA_CODIGO_MOCK = TimeSpan.FromMinutes(2);
+        private static readonly TimeSpan VIGENCIA_VINCULO = TimeSpan.FromMinutes(10);
+        private const string CACHE_KEY_CODIGO_USADO = "ExternalLoginCodigo_";
+
+        private readonly ExternalLoginOptions _options;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly IMemoryCache _cache;
+        private readonly ITimeLimitedDataProtector _mockProtector;
+        private readonly ITimeLimitedDataProtector _vinculoProtector;
+        private readonly ILogger<ExternalLoginService> _logger;
+
+        public ExternalLoginService(
+            IOptions<ExternalLoginOptions> options,
+            IHttpClientFactory httpClientFactory,
+            IMemoryCache cache,
+            IDataProtectionProvider dataProtection,
+            ILogger<ExternalLoginService> logger)
+        {
+            _options = options.Value;
+            _httpClientFactory = httpClientFactory;
+            _cache = cache;
+            _mockProtector = dataProtection.CreateProtector(PROPOSITO_MOCK).ToTimeLimitedDataProtector();
+            _vinculoProtector = dataProtection.CreateProtector(PROPOSITO_VINCULO).ToTimeLimitedDataProtector();
+            _logger = logger;
+        }
+
+        public bool IsEnabled(string? provider)
+        {
+            if (string.IsNullOrWhiteSpace(provider))
+                return false;
+
+            if (string.Equals(provider, MOCK_PROVIDER, StringComparison.OrdinalIgnoreCase))
+                return _options.MockEnabled;
+
+            var config = Configuracion(provider);
+            return config != null && !string.IsNullOrWhiteSpace(config.ClientId);
+        }
+
+        /// <summary>
+        /// Nombre tal como está configurado ("google" → "Google"); se guarda así en AspNetUserLogins
+        /// </summary>
+        public string? NombreCanonico(string? provider)
+        {
+            if (!IsEnabled(provider))
+                return null;
+
+            if (string.Equals(provider, MOCK_PROVIDER, StringComparison.OrdinalIgnoreCase))
+                return MOCK_PROVIDER;
+
+            return _predeterminados.Keys.Concat(_options.Providers.Keys)
+                .First(k => string.Equals(k, provider, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// URL de autorización del proveedor (code + PKCE S256)
+        /// </summary>
+        public string BuildAuthorizationUrl(string provider, string redirectUri, string state, string codeChallenge)
+        {
+            var config = Configuracion(provider)
+                ?? throw new InvalidOperationException($"Proveedor externo no configurado: {provider}");
+
+            return QueryHelpers.AddQueryString(config.AuthorizationEndpoint!, new Dictionary<string, string?>
+            {
+                ["response_type"] = "code",
+                ["client_id"] = config.ClientId,
+                ["redirect_uri"] = redirectUri,
+                ["scope"] = config.Scope,
+                ["state"] = state,
+                ["code_challenge"] = codeChallenge,
+                ["code_challenge_method"] = "S256"
+            });
+        }
+
+        /// <summary>
+        /// Canjea el código por un token y lee el perfil. Null si el proveedor lo rechaza.
+        /// </summary>
+        public async Task<ExternalUserInfo?> ExchangeCodeAsync(
+            string provider,
+            string code,
+            string codeVerifier,
+            string redirectUri,
+            CancellationToken ct = default)
+        {
+            if (string.Equals(provider, MOCK_PROVIDER, StringComparison.OrdinalIgnoreCase))
+                return CanjearCodigoMock(code, codeVerifier);
+
+            var config = Configuracion(provider);
+            if (config == null)
+                return null;
+
+            try
+            {
+                var http = _httpClientFactory.CreateClient(nameof(ExternalLoginService));
+
+                using var tokenResponse = await http.PostAsync(config.TokenEndpoint, new FormUrlEncodedContent(new Dictionary<string, string>
+                {
+                    ["grant_type"] = "authorization_code",
+                    ["code"] = code,
+                    ["redirect_uri"] = redirectUri,
+                    ["client_id"] = config.ClientId ?? string.Empty,
+                    ["client_secret"] = config.ClientSecret ?? string.Empty,
+                    ["code_verifier"] = codeVerifier
+                }), ct);
+
+                if (!tokenResponse.IsSuccessStatusCode)
+                {
+                    _logger.LogWarning(
+                        "El proveedor {Provider} rechazó el código. Status: {Status}",
+                        provider,
+                        (int)tokenResponse.StatusCode);
+                    return null;
+                }
+
+                using var tokenJson = JsonDocument.Parse(await tokenResponse.Content.ReadAsStringAsync(ct));
+                var accessToken = Texto(tokenJson.RootElement, "access_token");
+                if (string.IsNullOrEmpty(accessToken))
+                    return null;
+
+                using var request = new HttpRequestMessage(HttpMethod.Get, config.UserInfoEndpoint);
+                request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", accessToken);
+                using var perfilResponse = await http.SendAsync(request, ct);
+                if (!perfilResponse.IsSuccessStatusCode)
+                    return null;
+
+                using var perfil = JsonDocument.Parse(await perfilResponse.Content.ReadAsStringAsync(ct));
+                var root = perfil.RootElement;
+
+                // Google (OpenID Connect): sub, email_verified · Facebook: id, sin email_verified.
+                // Sin la afirmación explícita del proveedor el correo se trata como no verificado
+                // (las cuentas nuevas se crean con EmailConfirmed = true)
+                var key = Texto(root, "sub") ?? Texto(root, "id");
+                var email = Texto(root, "email");
+                if (string.IsNullOrEmpty(key) || string.IsNullOrEmpty(email))
+                    return null;
+
+                var verificado = root.TryGetProperty("email_verified", out var v)
+                    && (v.ValueKind == JsonValueKind.True
+                        || (v.ValueKind == JsonValueKind.String && bool.TryParse(v.GetString(), out var b) && b));
+
+                return new ExternalUserInfo(NombreCanonico(provider)!, key, email, Texto(root, "name") ?? email, verificado);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or JsonException or TaskCanceledException)
+            {
+                _logger.LogError(ex, "Error al canjear el código del proveedor {Provider}", provider);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Código del proveedor de prueba: lleva el usuario elegido y el code_challenge a comprobar
+        /// </summary>
+        public string CrearCodigoMock(string email, string nombre, string codeChallenge)
+        {
+            var payload = JsonSerializer.Serialize(new MockPayload(email.Trim(), nombre.Trim(), codeChallenge, Guid.NewGuid().ToString("N")));
+            return _mockProtector.Protect(payload, VIGENCIA_CODIGO_MOCK);
+        }
+
+        /// <summary>
+        /// Token para vincular el proveedor a la cuenta existente tras confirmar la contraseña
+        /// </summary>
+        public string ProtegerVinculo(ExternalUserInfo info)
+        {
+            return _vinculoProtector.Protect(JsonSerializer.Serialize(info), VIGENCIA_VINCULO);
+        }
+
+        public ExternalUserInfo? LeerVinculo(string? token)
+        {
+            if (string.IsNullOrWhiteSpace(token))
+                return null;
+
+            try
+            {
+                return JsonSerializer.Deserialize<ExternalUserInfo>(_vinculoProtector.Unprotect(token));
+            }
+            catch (Exception ex) when (ex is CryptographicException or JsonException)
+            {
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// base64url(SHA-256(code_verifier)), como hace el navegador
+        /// </summary>
+        public static string CodeChallengeFor(string codeVerifier)
+        {
+            return WebEncoders.Base64UrlEncode(SHA256.HashData(Encoding.ASCII.GetBytes(codeVerifier)));
+        }
+
+        private ExternalUserInfo? CanjearCodigoMock(string code, string codeVerifier)
+        {
+            if (!_options.MockEnabled)
+                return null;
+
+            MockPayload? payload;
+            try
+            {
+                payload = JsonSerializer.Deserialize<MockPayload>(_mockProtector.Unprotect(code));
+            }
+            catch (Exception ex) when (ex is CryptographicException or JsonException)
+            {
+                return null;
+            }
+
+            if (payload == null || CodeChallengeFor(codeVerifier) != payload.CodeChallenge)
+                return null;
+
+            // Un código solo se canjea una vez
+            var clave = CACHE_KEY_CODIGO_USADO + payload.Id;
+            if (_cache.TryGetValue(clave, out _))
+                return null;
+            _cache.Set(clave, true, VIGENCIA_CODIGO_MOCK);
+
+            var nombre = string.IsNullOrWhiteSpace(payload.Nombre) ? payload.Email : payload.Nombre;
+            return new ExternalUserInfo(MOCK_PROVIDER, "mock:" + payload.Email.ToLowerInvariant(), payload.Email, nombre, true);
+        }
+
+        /// <summary>
+        /// Configuración del proveedor completada con los endpoints por defecto
+        /// </summary>
+        private ExternalProviderOptions? Configuracion(string provider)
+        {
+            _options.Providers.TryGetValue(provider, out var configurado);
+            _predeterminados.TryGetValue(provider, out var predeterminado);
+            if (configurado == null)
+                return null;
+
+            var config = new ExternalProviderOptions
+            {
+                ClientId = configurado.ClientId,
+                ClientSecret = configurado.ClientSecret,
+                AuthorizationEndpoint = configurado.AuthorizationEndpoint ?? predeterminado?.AuthorizationEndpoint,
+                TokenEndpoint = configurado.TokenEndpoint ?? predeterminado?.TokenEndpoint,
+                UserInfoEndpoint = configurado.UserInfoEndpoint ?? predeterminado?.UserInfoEndpoint,
+                Scope = configurado.Scope ?? predeterminado?.Scope
+            };
+
+            return string.IsNullOrWhiteSpace(config.AuthorizationEndpoint) ||
+                   string.IsNullOrWhiteSpace(config.TokenEndpoint) ||
+                   string.IsNullOrWhiteSpace(config.UserInfoEndpoint)
+                ? null
+                : config;
+        }
+
+        private static string? Texto(JsonElement root, string propiedad)
+        {
+            if (!root.TryGetProperty(propiedad, out var valor))
+                return null;
+
+            return valor.ValueKind switch
+            {
+                JsonValueKind.String => valor.GetString(),
+                JsonValueKind.Number => valor.GetRawText(),
+                _ => null
+            };
+        }
+
+        private record MockPayload(string Email, string Nombre, string CodeChallenge, string Id);
+    }
+}
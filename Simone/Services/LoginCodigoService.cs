@@ -0,0 +1,248 @@
+using System;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace Simone.Services
+{
+    /// <summary>
+    /// Inicio de sesión sin contraseña: envía por correo un código de 6 dígitos y un enlace mágico.
+    /// Cada correo tiene una sola solicitud viva en memoria; pedir otra invalida la anterior.
+    /// CuentaController registra los fallos en LoginLoggerService (mismo bloqueo que con contraseña)
+    /// </summary>
+    public class LoginCodigoService
+    {
+        public const int LONGITUD_CODIGO = 6;
+
+        private static readonly TimeSpan VIGENCIA = TimeSpan.FromMinutes(10);
+        private static readonly TimeSpan ESPERA_REENVIO = TimeSpan.FromSeconds(60);
+        private const int MAX_INTENTOS = 5;
+        private const int MAX_ENVIOS = 5;
+        private static readonly TimeSpan VENTANA_ENVIOS = TimeSpan.FromHours(1);
+
+        private const string PROPOSITO_ENLACE = "Simone.Login.Enlace";
+        private const string CACHE_KEY_SOLICITUD = "LoginCodigo_";
+        private const string CACHE_KEY_ENVIOS = "LoginCodigoEnvios_";
+
+        private readonly IMemoryCache _cache;
+        private readonly IEmailService _email;
+        private readonly EmailOptions _emailOptions;
+        private readonly ITimeLimitedDataProtector _protector;
+        private readonly ILogger<LoginCodigoService> _logger;
+
+        public LoginCodigoService(
+            IMemoryCache cache,
+            IEmailService email,
+            IOptions<EmailOptions> emailOptions,
+            IDataProtectionProvider dataProtection,
+            ILogger<LoginCodigoService> logger)
+        {
+            _cache = cache;
+            _email = email;
+            _emailOptions = emailOptions.Value;
+            _protector = dataProtection.CreateProtector(PROPOSITO_ENLACE).ToTimeLimitedDataProtector();
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// ¿Hay envío de correo configurado? Sin él las vistas no muestran el acceso por código
+        /// y CuentaController rechaza las solicitudes
+        /// </summary>
+        public bool Disponible => _emailOptions.Configurado;
+
+        /// <summary>
+        /// Segundos hasta poder pedir otro código a este correo (0 = ya se puede)
+        /// </summary>
+        public int EsperaReenvioSegundos(string email)
+        {
+            var ahora = DateTime.UtcNow;
+
+            if (_cache.TryGetValue(CACHE_KEY_ENVIOS + Clave(email), out EnviosRecientes? envios) &&
+                envios!.Cantidad >= MAX_ENVIOS && envios.Desde + VENTANA_ENVIOS > ahora)
+            {
+                return Segundos(envios.Desde + VENTANA_ENVIOS - ahora);
+            }
+
+            if (_cache.TryGetValue(CACHE_KEY_SOLICITUD + Clave(email), out SolicitudCodigo? solicitud) &&
+                solicitud!.ReenvioDesde > ahora)
+            {
+                return Segundos(solicitud.ReenvioDesde - ahora);
+            }
+
+            return 0;
+        }
+
+        /// <summary>
+        /// Genera código y enlace y los envía. El llamador comprueba antes la espera de reenvío
+        /// y que el usuario exista (si no existe no se llama, pero se responde igual).
+        /// </summary>
+        /// <param name="urlEnlace">Construye la URL absoluta del enlace a partir del token</param>
+        public async Task<EstadoCodigo> EnviarAsync(
+            string email,
+            string nombre,
+            Func<string, string> urlEnlace,
+            CancellationToken ct = default)
+        {
+            var ahora = DateTime.UtcNow;
+            var codigo = RandomNumberGenerator.GetInt32(0, 1_000_000).ToString("D6");
+            var enlaceId = Convert.ToHexString(RandomNumberGenerator.GetBytes(16));
+            var solicitud = new SolicitudCodigo(Hash(email, codigo), enlaceId, ahora + VIGENCIA, ahora + ESPERA_REENVIO);
+
+            var token = _protector.Protect($"{Clave(email)}|{enlaceId}", solicitud.Expira);
+            var enlace = urlEnlace(token);
+
+            var html = HtmlEncoder.Default;
+            await _email.EnviarAsync(
+                email,
+                // El código va solo en el cuerpo: el asunto se ve en notificaciones y vistas previas
+                "Tu código de acceso a Neo Ágora",
+                $"""
+                <p>Hola {html.Encode(nombre)},</p>
+                <p>Tu código para iniciar sesión en Neo Ágora es:</p>
+                <p style="font-size:28px;font-weight:700;letter-spacing:6px">{codigo}</p>
+                <p>O entra directamente con este enlace:<br><a href="{html.Encode(enlace)}">Iniciar sesión en Neo Ágora</a></p>
+                <p>Caduca en {VIGENCIA.TotalMinutes:0} minutos y solo sirve una vez. Si no lo pediste, ignora este correo.</p>
+                """,
+                $"Hola {nombre},\n\nTu código para iniciar sesión en Neo Ágora es: {codigo}\n\n" +
+                $"O entra con este enlace: {enlace}\n\n" +
+                $"Caduca en {VIGENCIA.TotalMinutes:0} minutos y solo sirve una vez. Si no lo pediste, ignora este correo.",
+                ct);
+
+            // Solo tras enviar: si el correo falla, la solicitud anterior sigue valiendo
+            _cache.Set(CACHE_KEY_SOLICITUD + Clave(email), solicitud, solicitud.Expira);
+            ContarEnvio(email, ahora);
+
+            _logger.LogInformation("Código de acceso enviado. Email: {Email}", email);
+            return Estado(solicitud);
+        }
+
+        /// <summary>
+        /// Para un correo sin cuenta: no envía nada pero aplica los mismos tiempos y límites,
+        /// así la respuesta no revela si el correo está registrado (ningún código coincide)
+        /// </summary>
+        public EstadoCodigo SimularEnvio(string email)
+        {
+            var ahora = DateTime.UtcNow;
+            var solicitud = new SolicitudCodigo(string.Empty, string.Empty, ahora + VIGENCIA, ahora + ESPERA_REENVIO);
+
+            _cache.Set(CACHE_KEY_SOLICITUD + Clave(email), solicitud, solicitud.Expira);
+            ContarEnvio(email, ahora);
+            return Estado(solicitud);
+        }
+
+        /// <summary>
+        /// Comprueba el código. Tras MAX_INTENTOS fallos la solicitud se anula y hay que pedir otro.
+        /// Un código correcto consume la solicitud (y con ella el enlace).
+        /// </summary>
+        public ResultadoCodigo VerificarCodigo(string email, string? codigo)
+        {
+            var clave = CACHE_KEY_SOLICITUD + Clave(email);
+            if (!_cache.TryGetValue(clave, out SolicitudCodigo? solicitud) || solicitud!.Expira <= DateTime.UtcNow)
+                return ResultadoCodigo.Expirado;
+
+            var valido = codigo?.Length == LONGITUD_CODIGO &&
+                CryptographicOperations.FixedTimeEquals(
+                    Encoding.ASCII.GetBytes(Hash(email, codigo)),
+                    Encoding.ASCII.GetBytes(solicitud.CodigoHash));
+
+            if (valido)
+            {
+                _cache.Remove(clave);
+                return ResultadoCodigo.Valido;
+            }
+
+            var intentos = solicitud.Intentos + 1;
+            if (intentos >= MAX_INTENTOS)
+            {
+                _cache.Remove(clave);
+                return ResultadoCodigo.Expirado;
+            }
+
+            _cache.Set(clave, solicitud with { Intentos = intentos }, solicitud.Expira);
+            return ResultadoCodigo.Invalido(MAX_INTENTOS - intentos);
+        }
+
+        /// <summary>
+        /// Correo del enlace mágico si sigue vigente y no se ha usado.
+        /// Con consumir = false solo lo lee (página de confirmación: los antivirus de correo abren los enlaces)
+        /// </summary>
+        public string? VerificarEnlace(string? token, bool consumir = true)
+        {
+            if (string.IsNullOrWhiteSpace(token))
+                return null;
+
+            string contenido;
+            try
+            {
+                contenido = _protector.Unprotect(token);
+            }
+            catch (CryptographicException)
+            {
+                return null;
+            }
+
+            var partes = contenido.Split('|');
+            if (partes.Length != 2)
+                return null;
+
+            var clave = CACHE_KEY_SOLICITUD + partes[0];
+            if (!_cache.TryGetValue(clave, out SolicitudCodigo? solicitud) ||
+                solicitud!.EnlaceId.Length == 0 || solicitud.EnlaceId != partes[1])
+                return null;
+
+            if (consumir)
+                _cache.Remove(clave);
+            return partes[0];
+        }
+
+        private void ContarEnvio(string email, DateTime ahora)
+        {
+            var clave = CACHE_KEY_ENVIOS + Clave(email);
+            var envios = _cache.TryGetValue(clave, out EnviosRecientes? actuales) && actuales!.Desde + VENTANA_ENVIOS > ahora
+                ? actuales with { Cantidad = actuales.Cantidad + 1 }
+                : new EnviosRecientes(ahora, 1);
+
+            _cache.Set(clave, envios, envios.Desde + VENTANA_ENVIOS);
+        }
+
+        private static EstadoCodigo Estado(SolicitudCodigo solicitud)
+        {
+            var ahora = DateTime.UtcNow;
+            return new EstadoCodigo(LONGITUD_CODIGO, Segundos(solicitud.Expira - ahora), Segundos(solicitud.ReenvioDesde - ahora));
+        }
+
+        private static string Clave(string email) => email.Trim().ToLowerInvariant();
+
+        private static string Hash(string email, string codigo)
+        {
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes($"{Clave(email)}|{codigo}")));
+        }
+
+        private static int Segundos(TimeSpan t) => Math.Max(0, (int)Math.Ceiling(t.TotalSeconds));
+
+        private record SolicitudCodigo(string CodigoHash, string EnlaceId, DateTime Expira, DateTime ReenvioDesde, int Intentos = 0);
+
+        private record EnviosRecientes(DateTime Desde, int Cantidad);
+    }
+
+    /// <summary>
+    /// Lo que necesita login.js para las cuentas atrás del modo código
+    /// </summary>
+    public record EstadoCodigo(int Longitud, int ExpiraEn, int ReenvioEn);
+
+    /// <summary>
+    /// Resultado de comprobar un código de acceso
+    /// </summary>
+    public record ResultadoCodigo(bool EsValido, bool EsExpirado, int IntentosRestantes)
+    {
+        public static readonly ResultadoCodigo Valido = new(true, false, 0);
+        public static readonly ResultadoCodigo Expirado = new(false, true, 0);
+        public static ResultadoCodigo Invalido(int restantes) => new(false, false, restantes);
+    }
+}
@@ -1,35 +1,230 @@
-//// Services/LoginLoggerService.cs
-//using Microsoft.AspNetCore.Http;
-//using PayPalCheckoutSdk.Orders;
-//using Simone.Data; // Asegúrate de que este using apunte a tu DbContext
-//using Simone.Models;
-//using System.Threading.Tasks;
-
-//namespace Simone.Services
-//{
-//    public class LoginLoggerService
-//    {
-//        private readonly ApplicationDbContext _context;
-//        private readonly IHttpContextAccessor _httpAccessor;
-
-//        public LoginLoggerService(ApplicationDbContext context, IHttpContextAccessor httpAccessor)
-//        {
-//            _context = context;
-//            _httpAccessor = httpAccessor;
-//        }
-
-//        public async Task LogLoginAttemptAsync(string username, bool success)
-//        {
-//            var log = new LogIniciosSesion
-//            {
-//                Usuario = username,
-//                Exitoso = success,
-//                DireccionIP = _httpAccessor.HttpContext?.Connection?.RemoteIpAddress?.ToString(),
-//                UserAgent = _httpAccessor.HttpContext?.Request?.Headers["User-Agent"]
-//            };
-
-//            _context.LogIniciosSesiones.Add(log);
-//            await _context.SaveChangesAsync();
-//        }
-//    }
-//}
\ No newline at end of file
+using System;
+using System.Linq;
+using System.Numerics;
+using System.Security.Cryptography;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Simone.Data;
+using Simone.Models;
+
+namespace Simone.Services
+{
+    /// <summary>
+    /// Registra los inicios de sesión en LogIniciosSesion y, con los fallos recientes del correo
+    /// o de la IP, decide si hay que esperar (retry-after) o resolver un desafío antes de reintentar.
+    /// Lo usan el formulario de CuentaController y api/v1/auth (login.js consulta el estado ahí)
+    /// </summary>
+    public class LoginLoggerService
+    {
+        private readonly TiendaDbContext _context;
+        private readonly IHttpContextAccessor _httpAccessor;
+        private readonly IMemoryCache _cache;
+        private readonly ITimeLimitedDataProtector _protector;
+        private readonly LockoutOptions _lockout;
+        private readonly ILogger<LoginLoggerService> _logger;
+
+        // Solo cuentan los fallos de este periodo posteriores al último acceso correcto
+        private static readonly TimeSpan VENTANA_FALLOS = TimeSpan.FromMinutes(15);
+
+        // Desafío (prueba de trabajo): SHA-256(prefijo + nonce) con N bits iniciales a cero
+        private const int FALLOS_DESAFIO = 3;
+        private const int DIFICULTAD_BASE = 16;
+        private const int DIFICULTAD_MAX = 19;
+        private const int NONCE_MAX_LONGITUD = 12;
+        private static readonly TimeSpan VIGENCIA_DESAFIO = TimeSpan.FromMinutes(5);
+        private const string PROPOSITO_DESAFIO = "Simone.Login.Desafio";
+        private const string CACHE_KEY_DESAFIO_USADO = "LoginDesafio_";
+
+        private const string HEADER_USER_AGENT = "User-Agent";
+        private const string IP_LOCALHOST = "127.0.0.1";
+        private const string LOCALIZACION_DEFAULT = "N/A";
+
+        public LoginLoggerService(
+            TiendaDbContext context,
+            IHttpContextAccessor httpAccessor,
+            IMemoryCache cache,
+            IDataProtectionProvider dataProtection,
+            IOptions<IdentityOptions> identityOptions,
+            ILogger<LoginLoggerService> logger)
+        {
+            _context = context;
+            _httpAccessor = httpAccessor;
+            _cache = cache;
+            _protector = dataProtection.CreateProtector(PROPOSITO_DESAFIO).ToTimeLimitedDataProtector();
+            _lockout = identityOptions.Value.Lockout;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Guarda un intento de autenticación (solo los que comprobaron la contraseña)
+        /// </summary>
+        public async Task RegistrarAsync(string email, bool exitoso, CancellationToken ct = default)
+        {
+            try
+            {
+                var request = _httpAccessor.HttpContext?.Request;
+                var userAgent = request != null && request.Headers.TryGetValue(HEADER_USER_AGENT, out var ua)
+                    ? ua.ToString()
+                    : string.Empty;
+
+                _context.LogIniciosSesion.Add(new LogIniciosSesion
+                {
+                    Usuario = email,
+                    FechaInicio = DateTime.UtcNow,
+                    Exitoso = exitoso,
+                    DireccionIP = IpActual(),
+                    Localizacion = LOCALIZACION_DEFAULT,
+                    UserAgent = userAgent.Length > 255 ? userAgent[..255] : userAgent
+                });
+
+                await _context.SaveChangesAsync(ct);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error al registrar log de inicio de sesión. Email: {Email}", email);
+            }
+        }
+
+        /// <summary>
+        /// Estado para el próximo intento: fallos seguidos (el mayor entre el correo y la IP),
+        /// bloqueo con la misma duración que el de Identity (doblándose en cada fallo extra)
+        /// y desafío a partir de FALLOS_DESAFIO
+        /// </summary>
+        public async Task<EstadoLogin> ObtenerEstadoAsync(string? email, CancellationToken ct = default)
+        {
+            var ip = IpActual();
+            var correo = email?.Trim() ?? string.Empty;
+            var desde = DateTime.UtcNow - VENTANA_FALLOS;
+
+            var intentos = await _context.LogIniciosSesion
+                .AsNoTracking()
+                .Where(l => l.FechaInicio >= desde && (l.DireccionIP == ip || (correo != string.Empty && l.Usuario == correo)))
+                .OrderByDescending(l => l.FechaInicio)
+                .Select(l => new { l.Usuario, l.DireccionIP, l.FechaInicio, l.Exitoso })
+                .Take(100)
+                .ToListAsync(ct);
+
+            int FallosSeguidos(Func<string, string, bool> coincide) => intentos
+                .Where(l => coincide(l.Usuario, l.DireccionIP))
+                .TakeWhile(l => l.Exitoso != true)
+                .Count();
+
+            var fallos = Math.Max(
+                FallosSeguidos((usuario, _) => correo != string.Empty && string.Equals(usuario, correo, StringComparison.OrdinalIgnoreCase)),
+                FallosSeguidos((_, direccion) => direccion == ip));
+
+            DateTime? bloqueadoHasta = null;
+            if (fallos >= _lockout.MaxFailedAccessAttempts)
+            {
+                var ultimoFallo = intentos.First(l => l.Exitoso != true).FechaInicio;
+                var extra = Math.Min(fallos - _lockout.MaxFailedAccessAttempts, 4);
+                var duracion = TimeSpan.FromTicks(Math.Min(_lockout.DefaultLockoutTimeSpan.Ticks << extra, VENTANA_FALLOS.Ticks));
+                var hasta = ultimoFallo + duracion;
+                if (hasta > DateTime.UtcNow)
+                    bloqueadoHasta = hasta;
+            }
+
+            var dificultad = Math.Min(DIFICULTAD_BASE + Math.Max(fallos - FALLOS_DESAFIO, 0), DIFICULTAD_MAX);
+            return new EstadoLogin(fallos, bloqueadoHasta, fallos >= FALLOS_DESAFIO, dificultad);
+        }
+
+        /// <summary>
+        /// Nuevo desafío firmado (sin guardar nada en el servidor hasta que se use)
+        /// </summary>
+        public DesafioLogin CrearDesafio(int dificultad)
+        {
+            var prefijo = WebEncoders.Base64UrlEncode(RandomNumberGenerator.GetBytes(16));
+            var expira = DateTimeOffset.UtcNow.Add(VIGENCIA_DESAFIO);
+            var token = _protector.Protect($"{prefijo}|{dificultad}", expira);
+
+            return new DesafioLogin(token, prefijo, dificultad, expira.UtcDateTime);
+        }
+
+        /// <summary>
+        /// Comprueba la solución: token vigente y sin usar, dificultad suficiente y hash con los bits a cero
+        /// </summary>
+        public bool VerificarDesafio(string? token, string? nonce, int dificultadMinima)
+        {
+            if (string.IsNullOrWhiteSpace(token) || string.IsNullOrWhiteSpace(nonce) ||
+                nonce.Length > NONCE_MAX_LONGITUD || !nonce.All(char.IsAsciiDigit))
+                return false;
+
+            string contenido;
+            try
+            {
+                contenido = _protector.Unprotect(token);
+            }
+            catch (CryptographicException)
+            {
+                return false;
+            }
+
+            var partes = contenido.Split('|');
+            if (partes.Length != 2 || !int.TryParse(partes[1], out var dificultad) || dificultad < dificultadMinima)
+                return false;
+
+            var prefijo = partes[0];
+            var hash = SHA256.HashData(Encoding.UTF8.GetBytes(prefijo + nonce));
+            if (BitsIniciales(hash) < dificultad)
+                return false;
+
+            // Cada desafío vale para un solo intento
+            var clave = CACHE_KEY_DESAFIO_USADO + prefijo;
+            if (_cache.TryGetValue(clave, out _))
+                return false;
+
+            _cache.Set(clave, true, VIGENCIA_DESAFIO);
+            return true;
+        }
+
+        private static int BitsIniciales(byte[] hash)
+        {
+            var bits = 0;
+            foreach (var b in hash)
+            {
+                if (b == 0)
+                {
+                    bits += 8;
+                    continue;
+                }
+                return bits + BitOperations.LeadingZeroCount((uint)b) - 24;
+            }
+            return bits;
+        }
+
+        private string IpActual()
+        {
+            return _httpAccessor.HttpContext?.Connection.RemoteIpAddress?.ToString() ?? IP_LOCALHOST;
+        }
+    }
+
+    /// <summary>
+    /// Estado de intentos de inicio de sesión para un correo desde la IP actual
+    /// </summary>
+    public record EstadoLogin(int Fallos, DateTime? BloqueadoHasta, bool RequiereDesafio, int Dificultad)
+    {
+        public bool Bloqueado => BloqueadoHasta.HasValue && BloqueadoHasta.Value > DateTime.UtcNow;
+
+        /// <summary>
+        /// Segundos hasta poder reintentar (cabecera Retry-After)
+        /// </summary>
+        public int RetryAfterSegundos => Bloqueado
+            ? (int)Math.Ceiling((BloqueadoHasta!.Value - DateTime.UtcNow).TotalSeconds)
+            : 0;
+    }
+
+    /// <summary>
+    /// Desafío que resuelve login.js: buscar un nonce tal que SHA-256(prefijo + nonce)
+    /// empiece por <see cref="Dificultad"/> bits a cero
+    /// </summary>
+    public record DesafioLogin(string Token, string Prefijo, int Dificultad, DateTime Expira);
+}
@@ -0,0 +1,70 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Identity;
+using Simone.Models;
+
+namespace Simone.Services
+{
+    /// <summary>
+    /// Rechaza contraseñas que contienen el correo o el nombre del usuario.
+    /// Es la misma regla que aplica wwwroot/js/password.js mientras se escribe.
+    /// </summary>
+    public class PasswordDatosPersonalesValidator : IPasswordValidator<Usuario>
+    {
+        // Fragmentos más cortos coinciden por casualidad ("ana" en "banana")
+        private const int MIN_FRAGMENTO = 4;
+
+        public Task<IdentityResult> ValidateAsync(UserManager<Usuario> manager, Usuario user, string? password)
+        {
+            if (string.IsNullOrEmpty(password))
+                return Task.FromResult(IdentityResult.Success);
+
+            var normalizada = Normalizar(password);
+            var contieneDatos = Fragmentos(user.Email)
+                .Concat(Fragmentos(user.NombreCompleto))
+                .Any(f => normalizada.Contains(f));
+
+            if (!contieneDatos)
+                return Task.FromResult(IdentityResult.Success);
+
+            return Task.FromResult(IdentityResult.Failed(new IdentityError
+            {
+                Code = "PasswordContainsPersonalData",
+                Description = "La contraseña no puede contener tu correo ni tu nombre."
+            }));
+        }
+
+        /// <summary>
+        /// "juan.perez@mail.com" → juanperez, juan, perez · "Juan Pérez" → juanperez, juan, perez
+        /// </summary>
+        private static IEnumerable<string> Fragmentos(string? texto)
+        {
+            if (string.IsNullOrWhiteSpace(texto))
+                return Enumerable.Empty<string>();
+
+            var partes = Regex.Split(Normalizar(texto.Split('@')[0]), @"[^\p{L}\p{N}]+")
+                .Where(p => p.Length > 0)
+                .ToList();
+
+            return partes.Append(string.Concat(partes))
+                .Where(p => p.Length >= MIN_FRAGMENTO)
+                .Distinct();
+        }
+
+        private static string Normalizar(string texto)
+        {
+            var sb = new StringBuilder(texto.Length);
+            foreach (var c in texto.Trim().ToLowerInvariant().Normalize(NormalizationForm.FormD))
+            {
+                if (CharUnicodeInfo.GetUnicodeCategory(c) != UnicodeCategory.NonSpacingMark)
+                    sb.Append(c);
+            }
+            return sb.ToString();
+        }
+    }
+}
@@ -0,0 +1,63 @@
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.Extensions.Options;
+using Simone.Models;
+
+namespace Simone.Services
+{
+    /// <summary>
+    /// SignInManager de la tienda: añade la verificación en dos pasos (TOTP) a los accesos
+    /// que no pasan por contraseña (código por correo, enlace, proveedor externo), porque
+    /// SignInAsync de Identity la salta, y define qué roles la tienen obligatoria
+    /// </summary>
+    public class SimoneSignInManager : SignInManager<Usuario>
+    {
+        /// <summary>
+        /// Roles con acceso a paneles internos: sin 2FA activado solo pueden usar Cuenta/Perfil
+        /// </summary>
+        public static readonly string[] ROLES_DOS_FACTORES = { "Administrador", "Vendedor", "Empleado" };
+
+        public const string EMISOR_TOTP = "Neo Ágora";
+        public const int CODIGOS_RECUPERACION = 10;
+
+        public SimoneSignInManager(
+            UserManager<Usuario> userManager,
+            IHttpContextAccessor contextAccessor,
+            IUserClaimsPrincipalFactory<Usuario> claimsFactory,
+            IOptions<IdentityOptions> optionsAccessor,
+            ILogger<SignInManager<Usuario>> logger,
+            IAuthenticationSchemeProvider schemes,
+            IUserConfirmation<Usuario> confirmation)
+            : base(userManager, contextAccessor, claimsFactory, optionsAccessor, logger, schemes, confirmation)
+        {
+        }
+
+        /// <summary>
+        /// Inicia sesión sin contraseña respetando el segundo factor: si el usuario lo tiene activo
+        /// y el dispositivo no es de confianza devuelve RequiresTwoFactor y deja pendiente el reto
+        /// (Cuenta/Login?dosFactores=true). <paramref name="metodo"/> queda como claim amr
+        /// </summary>
+        public Task<SignInResult> IniciarSesionAsync(Usuario user, bool isPersistent, string metodo)
+        {
+            return SignInOrTwoFactorAsync(user, isPersistent, metodo);
+        }
+
+        /// <summary>
+        /// ¿Tiene el usuario algún rol que obliga a usar 2FA?
+        /// </summary>
+        public async Task<bool> DosFactoresObligatorioAsync(Usuario user)
+        {
+            var roles = await UserManager.GetRolesAsync(user);
+            return roles.Any(r => ROLES_DOS_FACTORES.Contains(r, StringComparer.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// URI otpauth:// que leen las apps de autenticación (lo dibuja qrcode.js en el perfil)
+        /// </summary>
+        public static string UriAutenticador(string email, string clave)
+        {
+            var emisor = Uri.EscapeDataString(EMISOR_TOTP);
+            return $"otpauth://totp/{emisor}:{Uri.EscapeDataString(email)}?secret={clave}&issuer={emisor}&digits=6";
+        }
+    }
+}
@@ -70,6 +70,24 @@ public class CatalogoViewModel
     /// <summary>Si true, muestra solo productos/variantes con stock &gt; 0.</summary>
     public bool SoloDisponibles { get; set; } = false;
 
+    // ===== Filtros por atributos dinámicos de la categoría =====
+    private List<AtributoFacet>? _atributosFiltrables;
+    private Dictionary<int, List<string>>? _atributosSeleccionados;
+
+    /// <summary>Atributos filtrables de la categoría seleccionada con sus valores disponibles.</summary>
+    public List<AtributoFacet> AtributosFiltrables
+    {
+        get => _atributosFiltrables ??= new();
+        set => _atributosFiltrables = value ?? new();
+    }
+
+    /// <summary>Selección actual de atributos: AtributoID -&gt; valores (querystring attr_{id}).</summary>
+    public Dictionary<int, List<string>> AtributosSeleccionados
+    {
+        get => _atributosSeleccionados ??= new();
+        set => _atributosSeleccionados = value ?? new();
+    }
+
     // ===== Catálogo (lista paginada) =====
     private List<Producto>? _productos;
     public List<Producto> Productos
@@ -138,3 +156,22 @@ public class CatalogoViewModel
     /// <summary>Variante seleccionada (nullable para productos sin variantes). La vista envía "ProductoVarianteID".</summary>
     public int? ProductoVarianteID { get; set; }
 }
+
+/// <summary>
+/// Faceta de un atributo dinámico (CategoriaAtributo) en el catálogo.
+/// </summary>
+public class AtributoFacet
+{
+    public int AtributoID { get; set; }
+    public string Nombre { get; set; } = string.Empty;
+    public string TipoCampo { get; set; } = "select";
+    public string? Unidad { get; set; }
+
+    /// <summary>Valores presentes en los productos filtrados.</summary>
+    public List<string> Valores { get; set; } = new();
+
+    public List<string> Seleccionados { get; set; } = new();
+
+    /// <summary>Nombre del parámetro en la querystring.</summary>
+    public string ParamName => $"attr_{AtributoID}";
+}
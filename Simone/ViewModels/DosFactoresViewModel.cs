@@ -0,0 +1,23 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace Simone.ViewModels
+{
+    /// <summary>
+    /// Paso de verificación en dos pasos del login (tras la contraseña o el acceso sin contraseña)
+    /// </summary>
+    public class DosFactoresViewModel
+    {
+        // Código de 6 dígitos de la app de autenticación o código de recuperación
+        [Required(ErrorMessage = "Ingresa el código de verificación")]
+        [StringLength(20)]
+        public string Codigo { get; set; }
+
+        public bool UsarRecuperacion { get; set; }
+
+        // "Confiar en este dispositivo 30 días"
+        public bool RecordarDispositivo { get; set; }
+
+        public bool RememberMe { get; set; }
+        public string? ReturnUrl { get; set; }
+    }
+}
@@ -13,6 +13,10 @@ namespace Simone.ViewModels
         public bool RememberMe { get; set; }
         public string? ReturnUrl { get; set; }
 
+        // Desafío tras varios fallos (LoginLoggerService): token firmado y nonce que lo resuelve
+        public string? DesafioToken { get; set; }
+        public string? DesafioNonce { get; set; }
+
         // Propiedades para la vista de error
         public string RequestId { get; set; }
         public bool ShowRequestId => !string.IsNullOrEmpty(RequestId);
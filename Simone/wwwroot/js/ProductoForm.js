@@ -13,9 +13,22 @@
     const CONFIG = {
         MAX_IMAGES: 8,
         MAX_IMAGE_MB: 8,
+        // Originales más pesados se aceptan si se van a optimizar antes de subir
+        MAX_SOURCE_MB: 30,
+        IMAGE_MAX_DIMENSION: 1600,
+        IMAGE_QUALITY: 0.8,
         ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
         DEBOUNCE_MS: 120,
-        TOAST_DURATION: 3600
+        TOAST_DURATION: 3600,
+        GRID_HISTORY: 100,
+        DRAFT_INTERVAL_MS: 10000,
+        DRAFT_DEBOUNCE_MS: 1500,
+        // Buscador de categoría: elecciones recientes (localStorage) y límites de la lista
+        PICKER_RECENT_KEY: 'simone_panel_recent_categories',
+        PICKER_SUGGESTIONS: 5,
+        PICKER_RESULTS: 30,
+        // Filas que se guardarán (las marcadas para eliminar no cuentan)
+        VARIANT_ROWS: '#tblVars tbody tr:not(.variant-row-removed)'
     };
 
     // ========== HELPERS ==========
@@ -76,6 +89,42 @@
             }).format(n || 0);
         },
 
+        /**
+         * Formatea un tamaño en bytes (KB / MB)
+         */
+        fmtBytes: (bytes) => {
+            const n = Number(bytes) || 0;
+            if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+            return `${(n / (1024 * 1024)).toLocaleString('es-EC', { maximumFractionDigits: 1 })} MB`;
+        },
+
+        /**
+         * Escapa texto para insertarlo en HTML
+         */
+        escapeHtml: (text) => {
+            const div = document.createElement('div');
+            div.textContent = text ?? '';
+            return div.innerHTML.replace(/"/g, '&quot;');
+        },
+
+        /**
+         * Texto comparable: sin tildes ni mayúsculas (Utils.normalize de catalogo.js)
+         */
+        normalize: (text) => window.CatalogApp?.Utils?.normalize(text) ??
+            (text || '').toString().trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+
+        /**
+         * Pinta las muestras [data-color] con ColorResolver (colors.js)
+         */
+        paintSwatches: (root = document) => {
+            if (!window.ColorResolver) return;
+            Helpers.$$('.color-swatch[data-color]', root).forEach(el => {
+                // El tono elegido a mano manda sobre el nombre
+                window.ColorResolver.paint(el, el.dataset.hex || el.dataset.color);
+                if (el.dataset.hex) el.title = el.dataset.hex;
+            });
+        },
+
         /**
          * Debounce function
          */
@@ -256,867 +305,4370 @@
         }
     };
 
-    // ========== MÓDULO: PRECIOS ==========
-    const PricingModule = {
+    // ========== MÓDULO: BUSCADOR DE CATEGORÍA ==========
+    // Combobox sobre #categoriaID y #Subcategoria: los selects siguen siendo los campos
+    // que se envían y los que escuchan los demás módulos (evento change).
+    const CategoryPickerModule = {
+        usage: {},
+        createUrl: null,
+        results: [],
+        active: -1,
+
         init() {
-            const pcInput = Helpers.$('PrecioCompra');
-            const pvInput = Helpers.$('PrecioVenta');
-            const margin = Helpers.$('pvMargin');
+            const picker = Helpers.$('categoryPicker');
+            const input = Helpers.$('categoryPickerInput');
+            const list = Helpers.$('categoryPickerList');
+            const selCat = Helpers.$('categoriaID');
+            const selSub = Helpers.$('Subcategoria');
 
-            if (!pcInput || !pvInput || !margin) return;
+            if (!picker || !input || !list || !selCat || !selSub) return;
 
-            const updateMargin = Helpers.debounce(() => {
-                const pc = Helpers.toNum(pcInput.value);
-                const pv = Helpers.toNum(pvInput.value);
+            try {
+                const data = JSON.parse(Helpers.$('formData')?.textContent || '{}');
+                this.usage = data.subcategoriasUso || {};
+                this.createUrl = data.subcategoriaRapidaUrl || null;
+            } catch (e) {
+                // Sin datos del servidor: solo búsqueda
+            }
 
-                if (!State.hasVariants) {
-                    const diff = pv - pc;
-                    const ok = pv > pc;
-                    margin.textContent = `Margen vs compra: ${Helpers.fmtUSD(diff)} ${ok ? '' : '(insuficiente)'}`;
-                    margin.style.color = ok ? 'var(--text-muted)' : 'var(--error)';
-                } else {
-                    margin.textContent = 'Con variantes, ingresa el precio final por combinación.';
-                    margin.style.color = 'var(--text-muted)';
-                }
+            picker.hidden = false;
+            this.syncInput();
 
-                PreviewModule.update();
-            }, 80);
+            input.addEventListener('focus', () => {
+                input.select();
+                this.open('');
+            });
+            input.addEventListener('input', () => this.open(input.value));
+            input.addEventListener('keydown', (e) => this.onKey(e));
+            input.addEventListener('blur', () => {
+                this.close();
+                this.syncInput();
+            });
 
-            ['input', 'change', 'blur'].forEach(event => {
-                pcInput.addEventListener(event, updateMargin);
-                pvInput.addEventListener(event, updateMargin);
+            // mousedown: el input no pierde el foco antes del click
+            list.addEventListener('mousedown', (e) => e.preventDefault());
+            list.addEventListener('click', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (option) this.choose(Number(option.dataset.index));
             });
 
-            updateMargin();
-        }
-    };
+            selCat.addEventListener('change', () => this.syncInput());
+            selSub.addEventListener('change', () => this.syncInput());
+        },
 
-    // ========== MÓDULO: IMÁGENES ==========
-    const ImagesModule = {
-        init() {
-            const uploadArea = Helpers.$('imageUploadArea');
-            const filesInput = Helpers.$('Imagenes');
-            const gallery = Helpers.$('galeria');
+        /**
+         * Categorías y subcategorías como resultados: { categoriaId, subcategoriaId, name, path, text }
+         */
+        entries() {
+            const categories = Helpers.$$('#categoriaID option')
+                .filter(option => option.value)
+                .map(option => ({ id: option.value, name: option.textContent.trim() }));
+            const names = new Map(categories.map(c => [String(c.id), c.name]));
+
+            const entries = categories.map(c => ({
+                categoriaId: String(c.id),
+                subcategoriaId: null,
+                name: c.name,
+                path: c.name
+            }));
+
+            State.subcategorias
+                .filter(s => names.has(String(s.CategoriaID)))
+                .forEach(s => entries.push({
+                    categoriaId: String(s.CategoriaID),
+                    subcategoriaId: String(s.SubcategoriaID),
+                    name: s.NombreSubcategoria,
+                    path: `${names.get(String(s.CategoriaID))} › ${s.NombreSubcategoria}`
+                }));
+
+            return entries.map(entry => ({ ...entry, text: Helpers.normalize(entry.path) }));
+        },
 
-            if (!uploadArea || !filesInput || !gallery) return;
+        keyOf(entry) {
+            return `${entry.categoriaId}:${entry.subcategoriaId || ''}`;
+        },
 
-            uploadArea.addEventListener('click', () => filesInput.click());
-            uploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
-            uploadArea.addEventListener('dragleave', () => this.handleDragLeave());
-            uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
-            filesInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files));
+        /**
+         * Sin texto: recientes y más usadas. Con texto: coincidencias sin tildes, primero las
+         * que empiezan por lo escrito y, a igualdad, las más usadas.
+         */
+        search(query) {
+            const entries = this.entries();
+            const q = Helpers.normalize(query);
+            const used = (entry) => Number(this.usage[entry.subcategoriaId]) || 0;
+
+            if (!q) {
+                const byKey = new Map(entries.map(entry => [this.keyOf(entry), entry]));
+                const recent = this.recent().map(key => byKey.get(key)).filter(Boolean);
+                const recentKeys = new Set(recent.map(entry => this.keyOf(entry)));
+                const popular = entries
+                    .filter(entry => used(entry) > 0 && !recentKeys.has(this.keyOf(entry)))
+                    .sort((a, b) => used(b) - used(a))
+                    .slice(0, CONFIG.PICKER_SUGGESTIONS);
+
+                const results = [
+                    ...recent.map(entry => ({ ...entry, group: 'Recientes' })),
+                    ...popular.map(entry => ({ ...entry, group: 'Más usadas' }))
+                ];
+                return results.length > 0
+                    ? results
+                    : entries.filter(entry => !entry.subcategoriaId).map(entry => ({ ...entry, group: 'Categorías' }));
+            }
 
-            window.addEventListener('beforeunload', () => State.cleanup());
+            const words = q.split(/\s+/);
+            const rank = (entry) => {
+                const name = Helpers.normalize(entry.name);
+                if (name.startsWith(q)) return 0;
+                if (name.split(/\s+/).some(word => word.startsWith(words[0]))) return 1;
+                return 2;
+            };
 
-            gallery.addEventListener('click', (e) => {
-                const btn = e.target.closest('.image-btn');
-                if (!btn) return;
+            const results = entries
+                .filter(entry => words.every(word => entry.text.includes(word)))
+                .sort((a, b) => rank(a) - rank(b) || used(b) - used(a) || a.path.localeCompare(b.path, 'es'))
+                .slice(0, CONFIG.PICKER_RESULTS);
+
+            // Subcategoría nueva en la categoría elegida si el nombre no es ya una categoría o una de sus subcategorías
+            const categoriaId = Helpers.$('categoriaID').value;
+            const exists = entries.some(entry => Helpers.normalize(entry.name) === q
+                && (!entry.subcategoriaId || entry.categoriaId === categoriaId));
+            if (this.createUrl && categoriaId && !exists) {
+                results.push({ create: true, categoriaId, name: query.trim() });
+            }
 
-                const card = btn.closest('.image-thumbnail');
-                if (!card) return;
+            return results;
+        },
 
-                const action = btn.dataset.action;
-                if (action === 'cover') {
-                    this.markAsCover(card);
-                } else if (action === 'delete') {
-                    this.removeImage(card);
+        open(query) {
+            const list = Helpers.$('categoryPickerList');
+            const esc = Helpers.escapeHtml;
+            const categoria = Helpers.$('categoriaID').selectedOptions[0]?.textContent.trim();
+
+            this.results = this.search(query);
+            this.active = -1;
+
+            let group = null;
+            list.innerHTML = this.results.map((entry, index) => {
+                let header = '';
+                if (entry.group && entry.group !== group) {
+                    group = entry.group;
+                    header = `<li class="category-picker-group" role="presentation">${esc(group)}</li>`;
                 }
-            });
 
-            this.updateImageCount();
-        },
+                if (entry.create) {
+                    return `${header}<li class="category-picker-option category-picker-create" role="option"
+                                id="categoryPickerOpt${index}" data-index="${index}" aria-selected="false">
+                        <i class="fas fa-plus" aria-hidden="true"></i>
+                        Crear subcategoría «${esc(entry.name)}» en ${esc(categoria)}
+                    </li>`;
+                }
 
-        handleDragOver(e) {
-            e.preventDefault();
-            const area = Helpers.$('imageUploadArea');
-            if (area) area.classList.add('drag-over');
-        },
+                return `${header}<li class="category-picker-option" role="option"
+                            id="categoryPickerOpt${index}" data-index="${index}" aria-selected="false">
+                    <span class="category-picker-name">${esc(entry.name)}</span>
+                    ${entry.subcategoriaId ? `<span class="category-picker-path">${esc(entry.path)}</span>` : ''}
+                </li>`;
+            }).join('') || '<li class="category-picker-empty" role="presentation">Sin resultados</li>';
 
-        handleDragLeave() {
-            const area = Helpers.$('imageUploadArea');
-            if (area) area.classList.remove('drag-over');
+            list.hidden = false;
+            Helpers.$('categoryPickerInput').setAttribute('aria-expanded', 'true');
+            this.highlight(query ? 0 : -1);
         },
 
-        handleDrop(e) {
-            e.preventDefault();
-            this.handleDragLeave();
-            this.handleFileSelect(e.dataTransfer.files);
+        close() {
+            Helpers.$('categoryPickerList').hidden = true;
+            const input = Helpers.$('categoryPickerInput');
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            this.active = -1;
         },
 
-        handleFileSelect(fileList) {
-            const files = Array.from(fileList);
-            const validFiles = files.filter(f => this.validateFile(f));
-
-            if (validFiles.length === 0) return;
+        highlight(index) {
+            const input = Helpers.$('categoryPickerInput');
+            const options = Helpers.$$('#categoryPickerList [role="option"]');
+            if (options.length === 0) return;
 
-            const currentCount = this.getCurrentImageCount();
-            const availableSlots = CONFIG.MAX_IMAGES - currentCount;
+            this.active = index < 0 ? -1 : Math.min(index, options.length - 1);
+            options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.active)));
 
-            if (availableSlots <= 0) {
-                this.showError(`Límite de ${CONFIG.MAX_IMAGES} imágenes alcanzado.`);
-                return;
+            const current = options[this.active];
+            if (current) {
+                input.setAttribute('aria-activedescendant', current.id);
+                current.scrollIntoView({ block: 'nearest' });
+            } else {
+                input.removeAttribute('aria-activedescendant');
             }
+        },
 
-            const filesToAdd = validFiles.slice(0, availableSlots);
-
-            this.showProgress();
-
-            State.imageFiles.push(...filesToAdd);
-            filesToAdd.forEach(file => this.createThumbnail(file));
+        onKey(e) {
+            const input = Helpers.$('categoryPickerInput');
+            const isOpen = !Helpers.$('categoryPickerList').hidden;
+            const count = Helpers.$$('#categoryPickerList [role="option"]').length;
 
-            const filesInput = Helpers.$('Imagenes');
-            if (filesInput) {
-                const dt = new DataTransfer();
-                State.imageFiles.forEach(f => dt.items.add(f));
-                filesInput.files = dt.files;
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (!isOpen) this.open(input.value);
+                    else this.highlight((this.active + 1) % count);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (isOpen) this.highlight(this.active <= 0 ? count - 1 : this.active - 1);
+                    break;
+                case 'Enter':
+                    // Nunca envía el formulario desde el buscador
+                    e.preventDefault();
+                    if (isOpen && this.active >= 0) this.choose(this.active);
+                    break;
+                case 'Escape':
+                    if (!isOpen) return;
+                    e.preventDefault();
+                    this.close();
+                    this.syncInput(true);
+                    break;
             }
+        },
 
-            this.updateImageCount();
-            this.hideProgress();
+        choose(index) {
+            const entry = this.results[index];
+            if (!entry) return;
 
-            Helpers.toast(`${filesToAdd.length} imagen(es) agregada(s)`, 'success');
+            if (entry.create) this.create(entry);
+            else this.select(entry);
         },
 
-        validateFile(file) {
-            if (!CONFIG.ALLOWED_IMAGE_TYPES.includes(file.type)) {
-                this.showError('Formato no permitido. Use JPEG, PNG, WebP o GIF.');
-                return false;
+        select(entry) {
+            const selCat = Helpers.$('categoriaID');
+            const selSub = Helpers.$('Subcategoria');
+
+            if (selCat.value !== entry.categoriaId) {
+                selCat.value = entry.categoriaId;
+                selCat.dispatchEvent(new Event('change', { bubbles: true }));
             }
 
-            const maxBytes = CONFIG.MAX_IMAGE_MB * 1024 * 1024;
-            if (file.size > maxBytes) {
-                this.showError(`Archivo muy grande. Máximo ${CONFIG.MAX_IMAGE_MB}MB.`);
-                return false;
+            if (entry.subcategoriaId && selSub.value !== entry.subcategoriaId) {
+                selSub.value = entry.subcategoriaId;
+                selSub.dispatchEvent(new Event('change', { bubbles: true }));
             }
 
-            return true;
+            this.remember(entry);
+            this.close();
+            this.syncInput(true);
         },
 
-        createThumbnail(file) {
-            const gallery = Helpers.$('galeria');
-            if (!gallery) return;
+        async create(entry) {
+            const input = Helpers.$('categoryPickerInput');
+            const body = new FormData();
+            body.append('categoriaID', entry.categoriaId);
+            body.append('nombre', entry.name);
+            body.append('__RequestVerificationToken',
+                document.querySelector('#productoForm input[name="__RequestVerificationToken"]')?.value || '');
 
-            const card = document.createElement('div');
-            card.className = 'image-thumbnail';
-            card.dataset.new = '1';
+            input.disabled = true;
+            try {
+                const response = await fetch(this.createUrl, {
+                    method: 'POST',
+                    body,
+                    headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' }
+                });
+                const data = await response.json();
+                if (!data.ok) throw new Error(data.msg || `HTTP ${response.status}`);
+
+                const sub = data.subcategoria;
+                if (!State.subcategorias.some(s => s.SubcategoriaID == sub.subcategoriaID)) {
+                    State.subcategorias.push({
+                        SubcategoriaID: sub.subcategoriaID,
+                        NombreSubcategoria: sub.nombre,
+                        CategoriaID: sub.categoriaID
+                    });
+                }
 
-            const img = document.createElement('img');
-            const url = URL.createObjectURL(file);
-            State.objectUrls.add(url);
-            img.src = url;
-            img.alt = 'Vista previa de imagen';
-            img.loading = 'lazy';
+                // Misma categoría: el select no se vuelve a llenar con el evento change
+                if (Helpers.$('categoriaID').value === String(sub.categoriaID)) {
+                    SubcategoriesModule.fillSubcategories(Number(sub.categoriaID), true);
+                }
+                Helpers.toast(`Subcategoría «${sub.nombre}» lista`, 'success');
+
+                this.select({ categoriaId: String(sub.categoriaID), subcategoriaId: String(sub.subcategoriaID) });
+            } catch (error) {
+                Helpers.error('Subcategory creation failed', error);
+                Helpers.toast(error.message || 'No se pudo crear la subcategoría', 'error');
+            } finally {
+                input.disabled = false;
+            }
+        },
 
-            const actions = document.createElement('div');
-            actions.className = 'image-actions';
+        // ---------- Recientes (localStorage) ----------
 
-            actions.innerHTML = `
-                <button type="button" class="image-btn" data-action="cover" title="Marcar como principal">
-                    <i class="fas fa-star"></i>
-                </button>
-                <button type="button" class="image-btn" data-action="delete" title="Eliminar imagen">
-                    <i class="fas fa-trash"></i>
-                </button>
-            `;
+        recent() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.PICKER_RECENT_KEY) || '[]');
+            } catch (e) {
+                return [];
+            }
+        },
 
-            card.appendChild(img);
-            card.appendChild(actions);
-            gallery.appendChild(card);
+        remember(entry) {
+            const key = this.keyOf(entry);
+            const keys = [key, ...this.recent().filter(k => k !== key)].slice(0, CONFIG.PICKER_SUGGESTIONS);
+            try {
+                localStorage.setItem(CONFIG.PICKER_RECENT_KEY, JSON.stringify(keys));
+            } catch (e) {
+                // Almacenamiento lleno o bloqueado: sin recientes
+            }
         },
 
-        markAsCover(card) {
-            Helpers.$$('.image-badge').forEach(badge => badge.remove());
-            Helpers.$$('.image-btn.active').forEach(btn => btn.classList.remove('active'));
+        /**
+         * El input muestra la elección actual ("Categoría › Subcategoría")
+         */
+        syncInput(force = false) {
+            const input = Helpers.$('categoryPickerInput');
+            if (!input || (!force && document.activeElement === input)) return;
 
-            const badge = document.createElement('span');
-            badge.className = 'image-badge';
-            badge.textContent = 'Principal';
-            card.appendChild(badge);
+            const categoria = Helpers.$('categoriaID').selectedOptions[0];
+            const subcategoria = Helpers.$('Subcategoria').selectedOptions[0];
 
-            const starBtn = card.querySelector('[data-action="cover"]');
-            if (starBtn) starBtn.classList.add('active');
+            input.value = [categoria, subcategoria]
+                .filter(option => option?.value)
+                .map(option => option.textContent.trim())
+                .join(' › ');
+        }
+    };
 
-            const isNew = card.dataset.new === '1';
-            if (isNew) {
-                const index = Helpers.$$('#galeria .image-thumbnail[data-new="1"]').indexOf(card);
-                const input = Helpers.$('ImagenPrincipalIndex');
-                if (input) input.value = index;
-            } else {
-                const url = card.dataset.url;
-                const input = Helpers.$('ExistingImagenPath');
-                if (input) input.value = url;
-            }
+    // ========== MÓDULO: ATRIBUTOS DE LA CATEGORÍA ==========
+    // Campos propios de cada categoría (CategoriaAtributo). Cada atributo se envía en un
+    // solo campo "atributo_{id}" con el formato de CategoriaAtributo.ValidarValor:
+    // las opciones múltiples como arreglo JSON y los sí/no como "true"/"false".
+    const AttributesModule = {
+        urls: { atributos: null, valores: null },
+        // Atributos ya pedidos al servidor, por categoría
+        definitions: new Map(),
+        // Valores por atributo: se conservan al cambiar de categoría y al volver a ella
+        values: {},
+        attributes: [],
+        categoriaId: 0,
+        valuesLoaded: Promise.resolve(),
+        // Termina cuando los campos de la categoría actual están pintados (o no hay)
+        rendered: Promise.resolve(),
+        request: null,
 
-            Helpers.log('Cover image updated');
-        },
+        init() {
+            const content = Helpers.$('atributosDinamicosContent');
+            if (!content || !Helpers.$('atributosDinamicosSection')) return;
 
-        removeImage(card) {
-            if (!confirm('¿Está seguro de que desea eliminar esta imagen?')) return;
+            let data = {};
+            try {
+                data = JSON.parse(Helpers.$('formData')?.textContent || '{}');
+            } catch (e) {
+                // Sin datos del servidor: producto nuevo
+            }
 
-            const isNew = card.dataset.new === '1';
+            this.urls = { atributos: data.atributosUrl || null, valores: data.valoresAtributosUrl || null };
 
-            if (isNew) {
-                const index = Helpers.$$('#galeria .image-thumbnail[data-new="1"]').indexOf(card);
-                State.imageFiles.splice(index, 1);
+            // Lo que el vendedor envió manda sobre lo guardado
+            if (data.atributos) {
+                this.values = { ...data.atributos };
+            } else if (data.productoId) {
+                this.valuesLoaded = this.loadValues(data.productoId);
+            }
 
-                const filesInput = Helpers.$('Imagenes');
-                if (filesInput) {
-                    const dt = new DataTransfer();
-                    State.imageFiles.forEach(f => dt.items.add(f));
-                    filesInput.files = dt.files;
+            content.addEventListener('input', (e) => this.onEdit(e.target, false));
+            content.addEventListener('change', (e) => this.onEdit(e.target, true));
+            content.addEventListener('focusout', (e) => {
+                if (e.target.id?.startsWith('atributo_') && e.target.tagName !== 'FIELDSET') {
+                    ValidationModule.validateField(e.target);
                 }
-            } else {
-                const url = card.dataset.url;
-                State.removedExistingImages.add(url);
+            });
 
-                const ignoreInput = Helpers.$('ImagenesIgnore');
-                if (ignoreInput) {
-                    ignoreInput.value = JSON.stringify(Array.from(State.removedExistingImages));
-                }
+            const selCat = Helpers.$('categoriaID');
+            selCat?.addEventListener('change', () => {
+                this.rendered = this.show(parseInt(selCat.value || '0', 10));
+            });
+            this.rendered = this.show(parseInt(selCat?.value || '0', 10));
+        },
 
-                card.classList.add('removed');
-            }
+        async loadValues(productoId) {
+            if (!this.urls.valores) return;
 
-            card.remove();
-            this.updateImageCount();
-            Helpers.toast('Imagen eliminada', 'success');
+            try {
+                const response = await fetch(`${this.urls.valores}?productoId=${productoId}`, {
+                    headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' }
+                });
+                const data = await response.json();
+                if (data.success) this.values = { ...(data.valores || {}) };
+            } catch (error) {
+                Helpers.log('Attribute values unavailable', error);
+            }
         },
 
-        getCurrentImageCount() {
-            const existing = Helpers.$$('#galeria .image-thumbnail[data-existing="1"]:not(.removed)').length;
-            const newImages = State.imageFiles.length;
-            return existing + newImages;
-        },
+        async definitionsFor(categoriaId) {
+            if (this.definitions.has(categoriaId)) return this.definitions.get(categoriaId);
+            if (!this.urls.atributos) return [];
 
-        updateImageCount() {
-            const count = this.getCurrentImageCount();
+            this.request?.abort();
+            const request = this.request = new AbortController();
 
-            const badge = Helpers.$('imageCountBadge');
-            if (badge) badge.textContent = `${count}/${CONFIG.MAX_IMAGES} imágenes`;
+            const response = await fetch(`${this.urls.atributos}?categoriaId=${categoriaId}`, {
+                headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+                signal: request.signal
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-            const preview = Helpers.$('previewImages');
-            if (preview) preview.textContent = count;
+            const data = await response.json();
+            if (!data.success) throw new Error(data.mensaje || 'Error al cargar atributos');
+
+            const attributes = data.atributos || [];
+            this.definitions.set(categoriaId, attributes);
+            return attributes;
         },
 
-        showError(message) {
-            const alert = Helpers.$('imgAlert');
-            if (alert) {
-                alert.textContent = message;
-                alert.style.display = 'block';
-                setTimeout(() => alert.style.display = 'none', 5000);
+        /**
+         * Cambia los campos a los de la categoría; los valores escritos quedan en this.values.
+         * La promesa se resuelve cuando los campos están en el DOM.
+         */
+        async show(categoriaId) {
+            this.categoriaId = categoriaId;
+            this.attributes = [];
+            Helpers.$('atributosDinamicosContent').innerHTML = '';
+
+            if (!categoriaId) {
+                this.setState('hidden');
+                return;
             }
-            Helpers.toast(message, 'error');
-        },
 
-        showProgress() {
-            const bar = Helpers.$('uploadProgress');
-            const fill = Helpers.$('progressFill');
-            if (!bar || !fill) return;
+            this.setState('loading');
 
-            bar.style.display = 'block';
-            fill.style.width = '0%';
-
-            let progress = 0;
-            const interval = setInterval(() => {
-                progress += Math.random() * 30;
-                if (progress >= 100) {
-                    progress = 100;
-                    clearInterval(interval);
-                    setTimeout(() => this.hideProgress(), 500);
-                }
-                fill.style.width = progress + '%';
-            }, 100);
+            let attributes;
+            try {
+                [attributes] = await Promise.all([this.definitionsFor(categoriaId), this.valuesLoaded]);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                Helpers.error('Category attributes unavailable', error);
+                if (categoriaId === this.categoriaId) this.setState('error');
+                return;
+            }
+
+            // Mientras tanto se eligió otra categoría
+            if (categoriaId !== this.categoriaId) return;
+
+            this.render(attributes);
         },
 
-        hideProgress() {
-            const bar = Helpers.$('uploadProgress');
-            if (bar) bar.style.display = 'none';
-        }
-    };
+        render(attributes) {
+            const content = Helpers.$('atributosDinamicosContent');
+            this.attributes = attributes;
 
-    // ========== MÓDULO: VARIANTES ==========
-    const VariantsModule = {
-        init() {
-            const checkbox = Helpers.$('chkVariantes');
-            const box = Helpers.$('boxVariantes');
+            if (attributes.length === 0) {
+                this.setState('empty');
+                return;
+            }
 
-            if (!checkbox || !box) return;
+            const groups = new Map();
+            attributes.forEach(attr => {
+                const group = attr.grupo || 'General';
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(attr);
+            });
 
-            checkbox.addEventListener('change', () => this.toggleVariants());
+            content.innerHTML = Array.from(groups, ([group, attrs], index) => `
+                ${index > 0 ? '<div class="form-grid-full attribute-divider"></div>' : ''}
+                <h3 class="form-grid-full attribute-group-title">
+                    <i class="fas fa-layer-group" aria-hidden="true"></i> ${Helpers.escapeHtml(group)}
+                </h3>
+                ${attrs.map(attr => this.fieldHtml(attr)).join('')}
+            `).join('');
 
-            this.initTagInputs();
+            attributes.forEach(attr => this.write(attr, this.values[attr.atributoId]));
+            this.setState('ready');
 
-            const btnGen = Helpers.$('btnGen');
-            const btnClear = Helpers.$('btnClearVars');
+            Helpers.log(`Loaded ${attributes.length} attributes for category ${this.categoriaId}`);
+        },
 
-            if (btnGen) btnGen.addEventListener('click', () => this.generateCombinations());
-            if (btnClear) btnClear.addEventListener('click', () => this.clearVariants());
+        fieldHtml(attr) {
+            const esc = Helpers.escapeHtml;
+            const id = `atributo_${attr.atributoId}`;
+            const required = attr.obligatorio ? 'required aria-required="true"' : '';
+            const messages = attr.mensajeError
+                ? ['required', 'min', 'max'].map(rule => `data-msg-${rule}="${esc(attr.mensajeError)}"`).join(' ')
+                : '';
+            const common = `id="${id}" name="${id}" ${required} ${messages} aria-describedby="${id}Error"`;
+            const icon = attr.iconoClass ? `<i class="${esc(attr.iconoClass)}" aria-hidden="true"></i> ` : '';
+            const labelClass = `form-label${attr.obligatorio ? ' required' : ''}`;
+            const note = attr.descripcion && attr.tipoCampo !== 'checkbox'
+                ? `<small class="form-note">${esc(attr.descripcion)}</small>`
+                : '';
+            const error = `<div class="form-error" id="${id}Error" role="alert"></div>`;
+            const options = Array.isArray(attr.opciones) ? attr.opciones : [];
+
+            // Opciones múltiples: el fieldset se valida como grupo y el JSON va en el oculto
+            if (attr.tipoCampo === 'multiselect') {
+                return `
+                    <fieldset class="form-group attribute-options" id="${id}" data-attribute="${attr.atributoId}"
+                              aria-label="${esc(attr.nombre)}" aria-describedby="${id}Error"
+                              ${attr.obligatorio ? 'data-validation="required"' : ''} ${messages}>
+                        <legend class="${labelClass}">${icon}${esc(attr.nombre)}</legend>
+                        <div class="attribute-checks">
+                            ${options.map(opt => `
+                                <label class="attribute-check">
+                                    <input type="checkbox" value="${esc(opt)}" />
+                                    <span>${esc(opt)}</span>
+                                </label>`).join('')}
+                        </div>
+                        <input type="hidden" name="${id}" data-attribute-value />
+                        ${note}
+                        ${error}
+                    </fieldset>`;
+            }
 
-            this.initPriceRules();
+            let control;
+            switch (attr.tipoCampo) {
+                case 'number':
+                case 'range':
+                    control = `
+                        <div class="attribute-unit">
+                            <input class="form-input" type="number" step="any" lang="en" inputmode="decimal"
+                                   ${attr.valorMinimo != null ? `min="${attr.valorMinimo}"` : ''}
+                                   ${attr.valorMaximo != null ? `max="${attr.valorMaximo}"` : ''}
+                                   ${common} />
+                            ${attr.unidad ? `<span class="attribute-unit-label">${esc(attr.unidad)}</span>` : ''}
+                        </div>`;
+                    break;
+
+                case 'select':
+                    control = `
+                        <select class="form-select" ${common}>
+                            <option value="">Seleccione una opción</option>
+                            ${options.map(opt => `<option value="${esc(opt)}">${esc(opt)}</option>`).join('')}
+                        </select>`;
+                    break;
+
+                // Sí/No: siempre se envía, así desmarcar también se guarda
+                case 'checkbox':
+                    control = `
+                        <div class="attribute-toggle">
+                            <label class="toggle-switch" for="${id}">
+                                <input type="checkbox" id="${id}" aria-describedby="${id}Error" />
+                                <span class="toggle-slider" aria-hidden="true"></span>
+                            </label>
+                            <span class="toggle-label">${esc(attr.descripcion || 'Sí')}</span>
+                        </div>
+                        <input type="hidden" name="${id}" value="false" data-attribute-value />`;
+                    break;
+
+                case 'color':
+                    control = `
+                        <div class="attribute-color">
+                            <input type="color" class="attribute-color-picker" data-color-picker
+                                   aria-label="Elegir ${esc(attr.nombre)}" />
+                            <input class="form-input" type="text" maxlength="7" placeholder="#RRGGBB"
+                                   pattern="#(?:[0-9A-Fa-f]{6}|[0-9A-Fa-f]{3})"
+                                   data-msg-pattern="Usa un color hexadecimal, p. ej. #FF0000"
+                                   ${common} />
+                        </div>`;
+                    break;
+
+                case 'date':
+                    control = `<input class="form-input" type="date" ${common} />`;
+                    break;
+
+                case 'textarea':
+                    control = `<textarea class="form-textarea" rows="3" maxlength="2000" ${common}></textarea>`;
+                    break;
+
+                default:
+                    control = `<input class="form-input" type="text" maxlength="500" ${common} />`;
+            }
 
-            const table = Helpers.$('tblVars');
-            if (table) {
-                table.addEventListener('click', (e) => {
-                    const btn = e.target.closest('[data-action="remove-variant"]');
-                    if (btn) {
-                        const row = btn.closest('tr');
-                        if (row) this.removeVariant(row);
-                    }
-                });
+            return `
+                <div class="form-group" data-attribute="${attr.atributoId}">
+                    <label class="${labelClass}" for="${id}">${icon}${esc(attr.nombre)}</label>
+                    ${control}
+                    ${note}
+                    ${error}
+                </div>`;
+        },
 
-                table.addEventListener('input', (e) => {
-                    if (e.target.classList.contains('variant-input')) {
-                        this.validateVariantInput(e.target);
+        /**
+         * Valor en el formato que guarda el servidor ('' = sin valor)
+         */
+        read(attr) {
+            const field = Helpers.$(`atributo_${attr.atributoId}`);
+            if (!field) return '';
+
+            switch (attr.tipoCampo) {
+                case 'multiselect': {
+                    const checked = Helpers.$$('input[type="checkbox"]:checked', field).map(input => input.value);
+                    return checked.length > 0 ? JSON.stringify(checked) : '';
+                }
+                case 'checkbox':
+                    return field.checked ? 'true' : 'false';
+                default:
+                    return field.value.trim();
+            }
+        },
+
+        write(attr, value) {
+            const field = Helpers.$(`atributo_${attr.atributoId}`);
+            if (!field) return;
+
+            const text = value == null ? '' : String(value);
+
+            switch (attr.tipoCampo) {
+                case 'multiselect': {
+                    let selected;
+                    try {
+                        selected = text ? [].concat(JSON.parse(text)).map(String) : [];
+                    } catch (e) {
+                        // Guardado como valor simple
+                        selected = [text];
                     }
-                });
+                    Helpers.$$('input[type="checkbox"]', field).forEach(input => {
+                        input.checked = selected.includes(input.value);
+                    });
+                    break;
+                }
+                case 'checkbox':
+                    field.checked = text === 'true' || text === '1';
+                    break;
+                case 'color':
+                    field.value = text;
+                    this.syncPicker(field);
+                    break;
+                default:
+                    field.value = text;
             }
 
-            this.updateCount();
+            this.syncHidden(attr);
         },
 
-        toggleVariants() {
-            const checkbox = Helpers.$('chkVariantes');
-            const box = Helpers.$('boxVariantes');
-            const baseFields = Helpers.$$('.base-only');
-            const badge = Helpers.$('productTypeBadge');
+        /**
+         * Valores con contenido, para comparar borradores ('' y un Sí/No desmarcado = sin valor)
+         */
+        snapshot() {
+            const types = new Map([...this.definitions.values()].flat().map(a => [String(a.atributoId), a.tipoCampo]));
+            return Object.fromEntries(Object.entries(this.values)
+                .map(([id, value]) => [id, value == null ? '' : String(value)])
+                .filter(([id, value]) => value !== '' && !(value === 'false' && types.get(id) === 'checkbox')));
+        },
 
-            if (!checkbox) return;
+        /**
+         * Sustituye los valores (borrador recuperado) y los vuelve a pintar si los campos ya están
+         */
+        restore(values) {
+            this.values = { ...values };
+            this.attributes.forEach(attr => this.write(attr, this.values[attr.atributoId]));
+        },
 
-            const enabled = checkbox.checked;
-            State.setHasVariants(enabled);
+        /**
+         * Trae los atributos de otra categoría sin pintarlos (nombres para el resumen del borrador)
+         */
+        async preload(categoriaId) {
+            if (!categoriaId || this.definitions.has(categoriaId)) return;
+            try {
+                await this.definitionsFor(categoriaId);
+            } catch (error) {
+                Helpers.log('Category attributes unavailable', error);
+            }
+        },
 
-            if (box) box.style.display = enabled ? 'block' : 'none';
-            baseFields.forEach(field => field.style.display = enabled ? 'none' : 'flex');
+        /**
+         * Nombre y tipo de un atributo de cualquier categoría ya cargada
+         */
+        definition(id) {
+            return [...this.definitions.values()].flat().find(a => String(a.atributoId) === String(id)) || null;
+        },
 
-            if (badge) badge.textContent = enabled ? 'Con Variantes' : 'Producto Simple';
+        syncHidden(attr) {
+            const group = Helpers.$('atributosDinamicosContent').querySelector(`[data-attribute="${attr.atributoId}"]`);
+            const hidden = group?.querySelector('[data-attribute-value]');
+            if (hidden) hidden.value = this.read(attr);
+        },
 
-            const previewType = Helpers.$('previewType');
-            if (previewType) previewType.textContent = enabled ? 'Con Variantes' : 'Producto Simple';
+        syncPicker(field) {
+            const picker = field.closest('.attribute-color')?.querySelector('[data-color-picker]');
+            const hex = field.value.trim();
+            if (!picker || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) return;
 
-            PreviewModule.update();
+            picker.value = hex.length === 4
+                ? '#' + hex.slice(1).split('').map(c => c + c).join('')
+                : hex.toLowerCase();
         },
 
-        initTagInputs() {
-            const colorInput = Helpers.$('inpColores');
-            const sizeInput = Helpers.$('inpTallas');
-            const colorTags = Helpers.$('tagsColores');
-            const sizeTags = Helpers.$('tagsTallas');
+        onEdit(target, validate) {
+            const group = target.closest('[data-attribute]');
+            const attr = this.attributes.find(a => String(a.atributoId) === group?.dataset.attribute);
+            if (!attr) return;
 
-            if (colorInput && colorTags) {
-                this.setupTagInput(colorInput, colorTags, 'color');
-            }
+            const field = Helpers.$(`atributo_${attr.atributoId}`);
 
-            if (sizeInput && sizeTags) {
-                this.setupTagInput(sizeInput, sizeTags, 'talla');
+            if (target.matches('[data-color-picker]')) {
+                field.value = target.value;
+            } else if (attr.tipoCampo === 'color') {
+                this.syncPicker(field);
             }
 
-            [colorTags, sizeTags].forEach(container => {
-                if (!container) return;
-                container.addEventListener('click', (e) => {
-                    const btn = e.target.closest('.tag-remove');
-                    if (btn) {
-                        const tag = btn.closest('.tag');
-                        if (tag) tag.remove();
-                        this.updateCount();
-                    }
-                });
-            });
+            this.values[attr.atributoId] = this.read(attr);
+            this.syncHidden(attr);
+
+            if (validate || attr.tipoCampo === 'multiselect') {
+                ValidationModule.validateField(field);
+            } else {
+                field.classList.remove('input-has-error', 'error');
+                const errorEl = Helpers.$(field.id + 'Error');
+                if (errorEl) errorEl.style.display = 'none';
+            }
         },
 
-        setupTagInput(input, container, type) {
-            const addTag = (value) => {
-                const trimmed = value.trim();
-                if (!trimmed) return;
+        setState(state) {
+            const section = Helpers.$('atributosDinamicosSection');
+            const loading = Helpers.$('atributosLoading');
+            const empty = Helpers.$('atributosEmpty');
+            const emptyText = Helpers.$('atributosEmptyText');
+            const content = Helpers.$('atributosDinamicosContent');
+            const badge = Helpers.$('atributosCountBadge');
+
+            section.style.display = state === 'hidden' ? 'none' : 'block';
+            if (loading) loading.style.display = state === 'loading' ? 'block' : 'none';
+            if (empty) empty.style.display = state === 'empty' || state === 'error' ? 'block' : 'none';
+            content.style.display = state === 'ready' ? 'grid' : 'none';
+
+            if (emptyText) {
+                emptyText.textContent = state === 'error'
+                    ? 'No se pudieron cargar los atributos de la categoría.'
+                    : 'Esta categoría no tiene atributos configurados.';
+            }
 
-                const existing = Helpers.$$('.tag input', container).map(i => i.value.toLowerCase());
-                if (existing.includes(trimmed.toLowerCase())) {
-                    Helpers.toast(`"${trimmed}" ya existe`, 'warning');
-                    return;
-                }
+            if (badge) {
+                const count = this.attributes.length;
+                badge.textContent = `${count} atributo${count !== 1 ? 's' : ''}`;
+            }
+        }
+    };
 
-                const tag = document.createElement('span');
-                tag.className = 'tag';
-                tag.innerHTML = `
-                    ${trimmed}
-                    <button type="button" class="tag-remove" data-tag-type="${type}" aria-label="Eliminar ${type} ${trimmed}">
-                        <i class="fas fa-times"></i>
-                    </button>
-                    <input type="hidden" name="${type === 'color' ? 'Colores' : 'Tallas'}" value="${trimmed}" />
-                `;
-                container.appendChild(tag);
-                this.updateCount();
-            };
+    // ========== MÓDULO: PRECIOS ==========
+    const PricingModule = {
+        init() {
+            const pcInput = Helpers.$('PrecioCompra');
+            const pvInput = Helpers.$('PrecioVenta');
+            const margin = Helpers.$('pvMargin');
 
-            input.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ',') {
-                    e.preventDefault();
-                    addTag(input.value);
-                    input.value = '';
-                }
-            });
+            if (!pcInput || !pvInput || !margin) return;
 
-            input.addEventListener('blur', () => {
-                if (input.value.trim()) {
-                    addTag(input.value);
-                    input.value = '';
+            const updateMargin = Helpers.debounce(() => {
+                const pc = Helpers.toNum(pcInput.value);
+                const pv = Helpers.toNum(pvInput.value);
+
+                if (!State.hasVariants) {
+                    const a = MarginModule.analyze(pv, pc);
+                    const ok = pv > pc && a.status === 'ok';
+                    const net = a.net === null ? '' : ` · Neto tras comisión: ${Helpers.fmtUSD(a.net)}`;
+                    const note = pv <= pc ? ' (insuficiente)' : a.status === 'below-break-even' ? ' (no cubre la comisión)' : '';
+                    margin.textContent = `Margen vs compra: ${Helpers.fmtUSD(a.margin)}${net}${note}`;
+                    margin.style.color = ok ? 'var(--text-muted)' : 'var(--error)';
+                } else {
+                    margin.textContent = 'Con variantes, ingresa el precio final por combinación.';
+                    margin.style.color = 'var(--text-muted)';
                 }
+
+                PreviewModule.update();
+            }, 80);
+            this.updateMargin = updateMargin;
+
+            // El costo cambia el margen de todas las variantes
+            ['input', 'change'].forEach(event => pcInput.addEventListener(event, Helpers.debounce(() => MarginModule.refresh(), 120)));
+
+            ['input', 'change', 'blur'].forEach(event => {
+                pcInput.addEventListener(event, updateMargin);
+                pvInput.addEventListener(event, updateMargin);
             });
-        },
 
-        generateCombinations() {
-            const colors = Helpers.$$('#tagsColores .tag input').map(i => i.value);
-            const sizes = Helpers.$$('#tagsTallas .tag input').map(i => i.value);
-            const tbody = Helpers.$('tblVars')?.querySelector('tbody');
-            const note = Helpers.$('noteVars');
+            updateMargin();
+        }
+    };
 
-            if (!tbody) return;
+    // ========== MÓDULO: MÁRGENES Y COMISIÓN ==========
+    // Margen, markup y neto por unidad después de la comisión del vendedor
+    // (ConfiguracionComision, se pide al servidor según la categoría elegida).
+    const MarginModule = {
+        url: null,
+        productoId: null,
+        // Comisión como fracción (0.1 = 10 %); null mientras no se conozca
+        rate: null,
+        request: null,
 
-            if (colors.length === 0 || sizes.length === 0) {
-                Helpers.toast('Agregue al menos un color y una talla', 'warning');
+        init() {
+            try {
+                const data = JSON.parse(Helpers.$('formData')?.textContent || '{}');
+                this.url = data.comisionUrl || null;
+                this.productoId = data.productoId || null;
+            } catch (e) {
+                // Sin datos del servidor: solo margen y markup
+            }
+
+            Helpers.$('categoriaID')?.addEventListener('change', () => this.loadRate());
+            this.loadRate();
+        },
+
+        async loadRate() {
+            if (!this.url) {
+                this.refresh();
                 return;
             }
 
-            tbody.innerHTML = '';
+            const params = new URLSearchParams();
+            const categoria = Helpers.$('categoriaID')?.value;
+            if (categoria) params.set('categoriaID', categoria);
+            if (this.productoId) params.set('productoID', this.productoId);
 
-            colors.forEach(color => {
-                sizes.forEach(size => {
-                    const row = this.createVariantRow(color, size);
-                    tbody.appendChild(row);
-                });
-            });
+            this.request?.abort();
+            const request = this.request = new AbortController();
 
-            if (note) note.style.display = 'none';
+            try {
+                const response = await fetch(`${this.url}?${params}`, {
+                    headers: { 'Accept': 'application/json' },
+                    signal: request.signal
+                });
+                const data = await response.json();
+                if (!data.ok) throw new Error(data.msg || `HTTP ${response.status}`);
+                this.rate = Helpers.toNum(data.porcentaje) / 100;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                Helpers.log('Commission rate unavailable', error);
+                this.rate = null;
+            }
 
-            const summary = Helpers.$('variantSummary');
-            if (summary) summary.style.display = 'block';
+            this.refresh();
+        },
 
-            this.updateCount();
-            this.updateSummary();
+        /**
+         * Cifras de un precio de venta frente al precio de compra
+         */
+        analyze(price, cost) {
+            const margin = price - cost;
+            const commission = this.rate === null ? null : price * this.rate;
+            const net = commission === null ? null : price - commission;
+            const breakEven = this.rate === null || this.rate >= 1 ? null : cost / (1 - this.rate);
+
+            let status = 'ok';
+            if (price < cost) status = 'below-cost';
+            else if (breakEven !== null && price < breakEven - 0.005) status = 'below-break-even';
+
+            return {
+                margin,
+                marginPct: price > 0 ? (margin / price) * 100 : 0,
+                markupPct: cost > 0 ? (margin / cost) * 100 : null,
+                commission,
+                net,
+                profit: net === null ? null : net - cost,
+                breakEven,
+                status
+            };
+        },
 
-            Helpers.toast(`${colors.length * sizes.length} combinaciones generadas`, 'success');
+        /**
+         * Sube el precio al siguiente terminado en ,49 o ,99 (o solo en una de las dos)
+         */
+        roundToPricePoint(price, ending = 'both') {
+            const endings = ending === 'both' ? [49, 99] : [Math.round(Helpers.toNum(ending) * 100)];
+            const cents = Math.ceil(Math.round(price * 1000) / 10);
+            const base = Math.floor(cents / 100);
+
+            const candidates = [base, base + 1]
+                .flatMap(units => endings.map(end => units * 100 + end))
+                .filter(candidate => candidate >= cents);
+            return Math.min(...candidates) / 100;
         },
 
-        createVariantRow(color, size) {
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-                <td>
-                    <input type="hidden" name="VarColor" value="${color}" />
-                    <span>${color}</span>
-                </td>
-                <td>
-                    <input type="hidden" name="VarTalla" value="${size}" />
-                    <span>${size}</span>
-                </td>
-                <td>
-                    <input class="variant-input" 
-                           name="VarPrecio" 
-                           type="number" 
-                           step="0.01" 
-                           min="0.01" 
-                           lang="en"
-                           inputmode="decimal"
-                           required 
-                           aria-label="Precio para ${color} ${size}" />
-                </td>
-                <td>
-                    <input class="variant-input" 
-                           name="VarStock" 
-                           type="number" 
-                           step="1" 
-                           min="0" 
-                           inputmode="numeric"
-                           value="0" 
-                           required 
-                           aria-label="Stock para ${color} ${size}" />
-                </td>
-                <td>
-                    <div class="variant-actions">
-                        <button type="button" 
-                                class="image-btn" 
-                                data-action="remove-variant"
-                                title="Eliminar variante"
-                                aria-label="Eliminar variante ${color} ${size}">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                </td>
-            `;
-            return tr;
+        /**
+         * Precio que cubre compra y comisión y deja `targetPct` % de ganancia neta sobre la compra
+         */
+        suggest(cost, targetPct, ending) {
+            const keep = 1 - (this.rate ?? 0);
+            if (cost <= 0 || keep <= 0) return 0;
+            return this.roundToPricePoint(cost * (1 + targetPct / 100) / keep, ending);
         },
 
-        removeVariant(row) {
-            if (!confirm('¿Eliminar esta variante?')) return;
+        fmtPct(n) {
+            return `${n.toLocaleString('es-EC', { maximumFractionDigits: 1 })} %`;
+        },
 
-            row.remove();
-            this.updateCount();
+        /**
+         * Columnas de margen de todas las filas y resumen de la tabla
+         */
+        refresh() {
+            Helpers.$$('#tblVars tbody tr').forEach(row => this.renderRow(row));
             this.updateSummary();
+            PricingModule.updateMargin?.();
+        },
 
-            const remaining = Helpers.$$('#tblVars tbody tr').length;
-            if (remaining === 0) {
-                const note = Helpers.$('noteVars');
-                if (note) note.style.display = 'block';
+        renderRow(row) {
+            const cells = {
+                margin: row.querySelector('[data-metric="margin"]'),
+                markup: row.querySelector('[data-metric="markup"]'),
+                net: row.querySelector('[data-metric="net"]')
+            };
+            if (!cells.margin || !cells.markup || !cells.net) return;
 
-                const summary = Helpers.$('variantSummary');
-                if (summary) summary.style.display = 'none';
+            const price = Helpers.toNum(row.querySelector('input[name="VarPrecio"]')?.value);
+            const cost = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
+
+            row.classList.remove('variant-row-loss', 'variant-row-thin');
+            if (price <= 0) {
+                Object.values(cells).forEach(cell => { cell.textContent = '—'; });
+                return;
             }
 
-            Helpers.toast('Variante eliminada', 'success');
+            const a = this.analyze(price, cost);
+            cells.margin.innerHTML = `${Helpers.fmtUSD(a.margin)} <small>${this.fmtPct(a.marginPct)}</small>`;
+            cells.markup.textContent = a.markupPct === null ? '—' : this.fmtPct(a.markupPct);
+            cells.net.innerHTML = a.net === null
+                ? '—'
+                : `<span title="Comisión: ${Helpers.fmtUSD(a.commission)} · Ganancia: ${Helpers.fmtUSD(a.profit)}">${Helpers.fmtUSD(a.net)}</span>`;
+
+            if (a.status === 'ok') return;
+
+            const loss = a.status === 'below-cost';
+            const suggested = this.suggest(cost, 0, Helpers.$('selTerminacion')?.value);
+            row.classList.add(loss ? 'variant-row-loss' : 'variant-row-thin');
+            cells.net.insertAdjacentHTML('beforeend', `
+                <span class="margin-flag ${loss ? 'is-danger' : 'is-warning'}">${loss ? 'Bajo costo' : 'No cubre la comisión'}</span>
+                ${suggested > 0 ? `
+                    <button type="button" class="margin-suggest" data-action="suggest-price" data-price="${suggested.toFixed(2)}"
+                            aria-label="Usar el precio sugerido ${Helpers.fmtUSD(suggested)}">
+                        Usar ${Helpers.fmtUSD(suggested)}
+                    </button>` : ''}`);
         },
 
-        clearVariants() {
-            if (!confirm('¿Está seguro de que desea limpiar todas las variantes?')) return;
+        updateSummary() {
+            const cost = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
+            const results = Helpers.$$(CONFIG.VARIANT_ROWS)
+                .map(row => Helpers.toNum(row.querySelector('input[name="VarPrecio"]')?.value))
+                .filter(price => price > 0)
+                .map(price => this.analyze(price, cost));
+
+            const marginEl = Helpers.$('summaryMargin');
+            const commissionEl = Helpers.$('summaryCommission');
+            const netEl = Helpers.$('summaryMinNet');
+            const warnings = Helpers.$('summaryMarginWarnings');
+
+            if (marginEl) {
+                marginEl.textContent = results.length
+                    ? this.fmtPct(results.reduce((sum, a) => sum + a.marginPct, 0) / results.length)
+                    : '—';
+            }
+            if (commissionEl) commissionEl.textContent = this.rate === null ? '—' : this.fmtPct(this.rate * 100);
+            if (netEl) {
+                const nets = results.map(a => a.net).filter(n => n !== null);
+                netEl.textContent = nets.length ? Helpers.fmtUSD(Math.min(...nets)) : '—';
+            }
 
-            const tbody = Helpers.$('tblVars')?.querySelector('tbody');
-            if (tbody) tbody.innerHTML = '';
+            if (warnings) {
+                const loss = results.filter(a => a.status === 'below-cost').length;
+                const thin = results.filter(a => a.status === 'below-break-even').length;
+                const parts = [];
+                if (loss) parts.push(`${loss} variante${loss !== 1 ? 's' : ''} por debajo del precio de compra`);
+                if (thin) parts.push(`${thin} variante${thin !== 1 ? 's' : ''} que no cubre${thin !== 1 ? 'n' : ''} la comisión`);
+                warnings.hidden = parts.length === 0;
+                warnings.textContent = parts.length ? `Atención: ${parts.join(' y ')}.` : '';
+            }
+        }
+    };
 
-            const note = Helpers.$('noteVars');
-            if (note) note.style.display = 'block';
+    // ========== MÓDULO: PROCESAMIENTO DE IMÁGENES ==========
+    const ImagePipelineModule = {
+        webpSupported: null,
+        browserOrients: null,
 
-            const summary = Helpers.$('variantSummary');
-            if (summary) summary.style.display = 'none';
+        /**
+         * Opciones elegidas en #imageOptions (o las de CONFIG si no están los controles)
+         */
+        options() {
+            const enabled = Helpers.$('chkOptimizarImagenes');
+            const maxDimension = Helpers.$('selImgMaxDim');
+            const quality = Helpers.$('rngImgQuality');
+
+            return {
+                enabled: enabled ? enabled.checked : true,
+                maxDimension: maxDimension ? parseInt(maxDimension.value, 10) || 0 : CONFIG.IMAGE_MAX_DIMENSION,
+                quality: quality ? Helpers.toNum(quality.value) / 100 : CONFIG.IMAGE_QUALITY
+            };
+        },
 
-            this.updateCount();
-            Helpers.toast('Variantes limpiadas', 'success');
+        canProcess() {
+            const canvas = document.createElement('canvas');
+            return typeof canvas.toBlob === 'function' && !!canvas.getContext?.('2d');
         },
 
-        validateVariantInput(input) {
+        /**
+         * WebP si el navegador sabe codificarlo; si no, JPEG (o PNG para conservar transparencia)
+         */
+        outputType(file) {
+            if (this.webpSupported === null) {
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 1;
+                this.webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+            }
+
+            if (this.webpSupported) return 'image/webp';
+            return file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        },
+
+        /**
+         * Orienta, reduce y recodifica una imagen antes de subirla.
+         * Los GIF (pueden ser animados) y los archivos que no mejorarían se devuelven tal cual.
+         * @returns {Promise<{file: File, originalSize: number, size: number, processed: boolean}>}
+         */
+        async process(file, options = this.options()) {
+            const report = { file, originalSize: file.size, size: file.size, processed: false };
+            if (!options.enabled || file.type === 'image/gif' || !this.canProcess()) return report;
+
+            const info = file.type === 'image/jpeg' ? await this.readJpegInfo(file) : { orientation: 1 };
+            const image = await this.decode(file);
+
+            const manual = this.needsManualOrientation(info, image);
+            const swap = manual && info.orientation >= 5;
+            const width = swap ? image.naturalHeight : image.naturalWidth;
+            const height = swap ? image.naturalWidth : image.naturalHeight;
+            const scale = options.maxDimension > 0 ? Math.min(1, options.maxDimension / Math.max(width, height)) : 1;
+
+            const canvas = this.draw(image, { width, height, scale, orientation: manual ? info.orientation : 1 });
+            const blob = await this.encode(canvas, this.outputType(file), options.quality);
+
+            // Sin girar ni reducir, y la recodificación pesa más: se queda el original
+            if (scale === 1 && !manual && blob.size >= file.size) return report;
+
+            return { file: this.toFile(blob, file.name), originalSize: file.size, size: blob.size, processed: true };
+        },
+
+        /**
+         * Recorte cuadrado { x, y, size } (en píxeles de la imagen) recodificado como las demás
+         */
+        async crop(file, { x, y, size }, options = this.options()) {
+            const image = await this.decode(file);
+            const side = Math.max(1, Math.round(options.maxDimension > 0 ? Math.min(size, options.maxDimension) : size));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = side;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(image, x, y, size, size, 0, 0, side, side);
+
+            const blob = await this.encode(canvas, this.outputType(file), options.quality);
+            return this.toFile(blob, file.name);
+        },
+
+        decode(file) {
+            return new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(file);
+                const img = new Image();
+                img.onload = () => {
+                    URL.revokeObjectURL(url);
+                    resolve(img);
+                };
+                img.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    reject(new Error(`No se pudo leer ${file.name}`));
+                };
+                img.src = url;
+            });
+        },
+
+        /**
+         * ¿Hay que aplicar la orientación EXIF a mano? Los navegadores actuales ya la aplican al
+         * decodificar; con giros de 90° se comprueba si ancho y alto llegaron intercambiados.
+         */
+        needsManualOrientation(info, image) {
+            if (!info.orientation || info.orientation === 1) return false;
+
+            if (info.orientation >= 5 && info.width && info.width !== info.height) {
+                this.browserOrients = image.naturalWidth === info.height;
+            }
+            if (this.browserOrients === null) {
+                this.browserOrients = typeof CSS !== 'undefined' && !!CSS.supports?.('image-orientation', 'from-image');
+            }
+            return !this.browserOrients;
+        },
+
+        /**
+         * Dibuja la imagen orientada en un lienzo de (width × height) · scale
+         */
+        draw(image, { width, height, scale = 1, orientation = 1 }) {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * scale));
+            canvas.height = Math.max(1, Math.round(height * scale));
+
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.scale(canvas.width / width, canvas.height / height);
+
+            // Matrices de las orientaciones EXIF 2-8, en el espacio ya orientado
+            const transforms = {
+                2: [-1, 0, 0, 1, width, 0],
+                3: [-1, 0, 0, -1, width, height],
+                4: [1, 0, 0, -1, 0, height],
+                5: [0, 1, 1, 0, 0, 0],
+                6: [0, 1, -1, 0, width, 0],
+                7: [0, -1, -1, 0, width, height],
+                8: [0, -1, 1, 0, 0, height]
+            };
+            if (transforms[orientation]) ctx.transform(...transforms[orientation]);
+
+            ctx.drawImage(image, 0, 0);
+            return canvas;
+        },
+
+        encode(canvas, type, quality) {
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('No se pudo codificar la imagen')), type, quality);
+            });
+        },
+
+        toFile(blob, name) {
+            const extensions = { 'image/webp': '.webp', 'image/jpeg': '.jpg', 'image/png': '.png' };
+            const base = (name || 'imagen').replace(/\.[^.]+$/, '');
+            return new File([blob], base + (extensions[blob.type] || '.jpg'), { type: blob.type, lastModified: Date.now() });
+        },
+
+        /**
+         * Orientación EXIF y tamaño almacenado (marcador SOF) de un JPEG
+         */
+        async readJpegInfo(file) {
+            const info = { orientation: 1, width: 0, height: 0 };
+
+            let view;
+            try {
+                view = new DataView(await file.slice(0, 256 * 1024).arrayBuffer());
+            } catch (error) {
+                return info;
+            }
+            if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return info;
+
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xFF00) !== 0xFF00) break;
+
+                // APP1 "Exif\0\0" seguido de la cabecera TIFF
+                if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                    info.orientation = this.readOrientation(view, offset + 10);
+                } else if (marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker)) {
+                    if (offset + 9 <= view.byteLength) {
+                        info.height = view.getUint16(offset + 5);
+                        info.width = view.getUint16(offset + 7);
+                    }
+                    break;
+                }
+
+                offset += 2 + view.getUint16(offset + 2);
+            }
+
+            return info;
+        },
+
+        readOrientation(view, tiff) {
+            if (tiff + 8 > view.byteLength) return 1;
+
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            if (ifd + 2 > view.byteLength) return 1;
+
+            const entries = view.getUint16(ifd, little);
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 12 > view.byteLength) break;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    const value = view.getUint16(entry + 8, little);
+                    return value >= 1 && value <= 8 ? value : 1;
+                }
+            }
+            return 1;
+        }
+    };
+
+    // ========== MÓDULO: IMÁGENES ==========
+    const ImagesModule = {
+        // Tarjeta nueva de la galería → archivo que se subirá
+        files: new WeakMap(),
+        queue: Promise.resolve(),
+        pending: 0,
+        progressTimer: null,
+        // Eliminadas antes de guardar, para "Deshacer" (la última al final)
+        undoStack: [],
+        dragging: null,
+        grabbed: null,
+
+        init() {
+            const uploadArea = Helpers.$('imageUploadArea');
+            const filesInput = Helpers.$('Imagenes');
+            const gallery = Helpers.$('galeria');
+
+            if (!uploadArea || !filesInput || !gallery) return;
+
+            uploadArea.addEventListener('click', () => filesInput.click());
+            uploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
+            uploadArea.addEventListener('dragleave', () => this.handleDragLeave());
+            uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
+            filesInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files));
+
+            const quality = Helpers.$('rngImgQuality');
+            const qualityValue = Helpers.$('imgQualityValue');
+            if (quality && qualityValue) {
+                quality.addEventListener('input', () => { qualityValue.textContent = `${quality.value}%`; });
+            }
+
+            window.addEventListener('beforeunload', () => State.cleanup());
+
+            gallery.addEventListener('dragstart', (e) => this.onCardDragStart(e));
+            gallery.addEventListener('dragover', (e) => this.onCardDragOver(e));
+            gallery.addEventListener('drop', (e) => this.onCardDrop(e));
+            gallery.addEventListener('dragend', () => this.onCardDragEnd());
+            gallery.addEventListener('keydown', (e) => this.onCardKeydown(e));
+            gallery.addEventListener('focusout', () => {
+                // Se salió de la galería con una imagen agarrada: queda donde está
+                setTimeout(() => {
+                    if (this.grabbed && document.activeElement !== this.grabbed) this.drop();
+                }, 0);
+            });
+
+            const undo = Helpers.$('btnGalleryUndo');
+            if (undo) undo.addEventListener('click', () => this.undoRemove());
+
+            Helpers.$$('.image-thumbnail', gallery).forEach(card => this.prepareCard(card));
+
+            gallery.addEventListener('click', (e) => {
+                const btn = e.target.closest('.image-btn');
+                if (!btn) return;
+
+                const card = btn.closest('.image-thumbnail');
+                if (!card) return;
+
+                const action = btn.dataset.action;
+                if (action === 'cover') {
+                    this.markAsCover(card);
+                } else if (action === 'delete') {
+                    this.removeImage(card);
+                } else if (action === 'crop') {
+                    CoverCropModule.open(card);
+                }
+            });
+
+            this.updateImageCount();
+            this.refreshCoverTools();
+            this.updateOrder();
+            this.updateCoverInputs();
+        },
+
+        handleDragOver(e) {
+            e.preventDefault();
+            const area = Helpers.$('imageUploadArea');
+            if (area) area.classList.add('drag-over');
+        },
+
+        handleDragLeave() {
+            const area = Helpers.$('imageUploadArea');
+            if (area) area.classList.remove('drag-over');
+        },
+
+        handleDrop(e) {
+            e.preventDefault();
+            this.handleDragLeave();
+            this.handleFileSelect(e.dataTransfer.files);
+        },
+
+        handleFileSelect(fileList) {
+            const files = Array.from(fileList).filter(f => this.validateFile(f));
+
+            if (files.length === 0) {
+                // El input quedó con la selección rechazada: volver a los archivos ya preparados
+                this.syncFiles();
+                return this.queue;
+            }
+
+            // Selecciones seguidas se procesan en orden, una tras otra
+            this.pending += files.length;
+            this.queue = this.queue.then(() => this.addFiles(files));
+            return this.queue;
+        },
+
+        async addFiles(files) {
+            try {
+                const availableSlots = CONFIG.MAX_IMAGES - this.getCurrentImageCount();
+
+                if (availableSlots <= 0) {
+                    this.showError(`Límite de ${CONFIG.MAX_IMAGES} imágenes alcanzado.`);
+                    return;
+                }
+
+                const filesToAdd = files.slice(0, availableSlots);
+                const options = ImagePipelineModule.options();
+                const maxBytes = CONFIG.MAX_IMAGE_MB * 1024 * 1024;
+                let added = 0;
+                let saved = 0;
+
+                for (const [i, file] of filesToAdd.entries()) {
+                    this.showProgress(i, filesToAdd.length, `Procesando ${i + 1} de ${filesToAdd.length}: ${file.name}`);
+
+                    let result;
+                    try {
+                        result = await ImagePipelineModule.process(file, options);
+                    } catch (error) {
+                        Helpers.log('Image processing failed, uploading original', error);
+                        result = { file, originalSize: file.size, size: file.size, processed: false };
+                    }
+
+                    if (result.size > maxBytes) {
+                        this.showError(`«${file.name}» supera ${CONFIG.MAX_IMAGE_MB}MB incluso optimizada.`);
+                        continue;
+                    }
+
+                    this.createThumbnail(result);
+                    saved += result.originalSize - result.size;
+                    added++;
+                }
+
+                this.showProgress(1, 1, 'Imágenes listas');
+                this.hideProgress(600);
+
+                this.syncFiles();
+                this.updateImageCount();
+                this.refreshCoverTools();
+
+                if (added > 0) {
+                    const savedText = saved > 0 ? ` · ${Helpers.fmtBytes(saved)} menos por subir` : '';
+                    Helpers.toast(`${added} imagen(es) agregada(s)${savedText}`, 'success');
+                }
+                if (files.length > filesToAdd.length) {
+                    Helpers.toast(`Solo caben ${CONFIG.MAX_IMAGES} imágenes: se omitieron ${files.length - filesToAdd.length}.`, 'warning');
+                }
+            } finally {
+                this.pending -= files.length;
+                this.syncFiles();
+            }
+        },
+
+        validateFile(file) {
+            if (!CONFIG.ALLOWED_IMAGE_TYPES.includes(file.type)) {
+                this.showError('Formato no permitido. Use JPEG, PNG, WebP o GIF.');
+                return false;
+            }
+
+            // Lo que se va a optimizar puede llegar más pesado: el límite real se comprueba después
+            const willProcess = file.type !== 'image/gif' &&
+                ImagePipelineModule.options().enabled && ImagePipelineModule.canProcess();
+            const maxMB = willProcess ? CONFIG.MAX_SOURCE_MB : CONFIG.MAX_IMAGE_MB;
+
+            if (file.size > maxMB * 1024 * 1024) {
+                this.showError(`Archivo muy grande. Máximo ${maxMB}MB.`);
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * State.imageFiles y el input #Imagenes siguen el orden de las tarjetas nuevas de la galería;
+         * el manifiesto de orden y la portada se recalculan con ellos
+         */
+        syncFiles() {
+            State.imageFiles = Helpers.$$('#galeria .image-thumbnail[data-new="1"]')
+                .map(card => this.files.get(card))
+                .filter(Boolean);
+
+            const filesInput = Helpers.$('Imagenes');
+            if (filesInput) {
+                const dt = new DataTransfer();
+                State.imageFiles.forEach(f => dt.items.add(f));
+                filesInput.files = dt.files;
+            }
+
+            this.updateOrder();
+            this.updateCoverInputs();
+        },
+
+        /**
+         * Manifiesto para el servidor, en el orden de la galería: [{ existingPath } | { newIndex }].
+         * newIndex es la posición del archivo en #Imagenes.
+         */
+        updateOrder() {
+            const cards = Helpers.$$('#galeria .image-thumbnail:not(.removed)');
+            let newIndex = 0;
+
+            const manifest = cards.map(card => card.dataset.new === '1'
+                ? { newIndex: newIndex++ }
+                : { existingPath: card.dataset.url });
+
+            const input = Helpers.$('ImagenesOrden');
+            if (input) input.value = JSON.stringify(manifest);
+
+            cards.forEach((card, i) => {
+                const cover = card.querySelector('.image-badge') ? ', portada' : '';
+                card.setAttribute('aria-label', `Imagen ${i + 1} de ${cards.length}${cover}`);
+            });
+        },
+
+        /**
+         * Ordena la galería según un manifiesto como el de updateOrder (al restaurar un borrador)
+         */
+        applyOrder(manifest) {
+            const gallery = Helpers.$('galeria');
+            if (!gallery || !Array.isArray(manifest)) return;
+
+            const cards = Helpers.$$('.image-thumbnail', gallery);
+            const newCards = cards.filter(card => card.dataset.new === '1');
+            const listed = manifest
+                .map(entry => 'newIndex' in entry
+                    ? newCards[entry.newIndex]
+                    : cards.find(card => card.dataset.new !== '1' && card.dataset.url === entry.existingPath))
+                .filter(Boolean);
+
+            [...new Set([...listed, ...cards])].forEach(card => gallery.appendChild(card));
+            this.syncFiles();
+        },
+
+        /**
+         * Portada para el servidor: la marcada o, si no hay ninguna, la primera de la galería
+         */
+        updateCoverInputs() {
+            const cards = Helpers.$$('#galeria .image-thumbnail:not(.removed)');
+            const cover = cards.find(card => card.querySelector('.image-badge')) || cards[0];
+            if (!cover) return;
+
+            const indexInput = Helpers.$('ImagenPrincipalIndex');
+            const pathInput = Helpers.$('ExistingImagenPath');
+
+            if (cover.dataset.new === '1') {
+                if (indexInput) indexInput.value = Helpers.$$('#galeria .image-thumbnail[data-new="1"]').indexOf(cover);
+            } else {
+                // Sin índice: el servidor usa existingImagenPath
+                if (indexInput) indexInput.value = '';
+                if (pathInput) pathInput.value = cover.dataset.url || '';
+            }
+            PreviewModule.update();
+        },
+
+        updateIgnoreInput() {
+            const ignoreInput = Helpers.$('ImagenesIgnore');
+            if (ignoreInput) {
+                ignoreInput.value = JSON.stringify(Array.from(State.removedExistingImages));
+            }
+        },
+
+        /**
+         * Tarjeta arrastrable y enfocable (se ordena con el ratón o con el teclado)
+         */
+        prepareCard(card) {
+            card.draggable = true;
+            card.tabIndex = 0;
+            card.setAttribute('role', 'listitem');
+            card.setAttribute('aria-roledescription', 'imagen ordenable');
+            card.setAttribute('aria-describedby', 'galleryHelp');
+        },
+
+        // ---------- Orden con arrastrar y soltar ----------
+
+        onCardDragStart(e) {
+            const card = e.target.closest?.('.image-thumbnail');
+            if (!card || e.target.closest('.image-btn')) return;
+
+            this.dragging = { card, next: card.nextElementSibling, dropped: false };
+            card.classList.add('is-dragging');
+
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox no inicia el arrastre sin datos
+            e.dataTransfer.setData('text/plain', '');
+        },
+
+        onCardDragOver(e) {
+            if (!this.dragging) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            const card = this.dragging.card;
+            const target = e.target.closest('.image-thumbnail');
+            if (!target || target === card) return;
+
+            // Mitad izquierda: antes; mitad derecha: después
+            const bounds = target.getBoundingClientRect();
+            const after = e.clientX > bounds.left + bounds.width / 2;
+            target.parentNode.insertBefore(card, after ? target.nextElementSibling : target);
+        },
+
+        onCardDrop(e) {
+            if (!this.dragging) return;
+            e.preventDefault();
+
+            this.dragging.dropped = true;
+            this.finishMove(this.dragging.card);
+        },
+
+        onCardDragEnd() {
+            if (!this.dragging) return;
+
+            const { card, next, dropped } = this.dragging;
+            card.classList.remove('is-dragging');
+
+            // Soltada fuera de la galería: vuelve a su sitio
+            if (!dropped) {
+                const gallery = Helpers.$('galeria');
+                gallery?.insertBefore(card, next?.parentNode === gallery ? next : null);
+            }
+
+            this.dragging = null;
+        },
+
+        // ---------- Orden con teclado: Espacio agarra/suelta, flechas mueven, Escape cancela ----------
+
+        onCardKeydown(e) {
+            const card = e.target.closest('.image-thumbnail');
+            // Los botones de la tarjeta manejan sus propias teclas
+            if (!card || e.target !== card) return;
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                this.undoRemove();
+                return;
+            }
+
+            if (e.key === ' ' || e.key === 'Enter') {
+                e.preventDefault();
+                if (this.grabbed) this.drop();
+                else this.grab(card);
+                return;
+            }
+
+            if (e.key === 'Escape' && this.grabbed) {
+                e.preventDefault();
+                this.cancelGrab();
+                return;
+            }
+
+            if (e.key === 'Delete' && !this.grabbed) {
+                e.preventDefault();
+                this.removeImage(card);
+                return;
+            }
+
+            const steps = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1, Home: -Infinity, End: Infinity };
+            if (!(e.key in steps)) return;
+            e.preventDefault();
+
+            const cards = Helpers.$$('#galeria .image-thumbnail');
+            const from = cards.indexOf(card);
+            const to = Math.max(0, Math.min(cards.length - 1, from + steps[e.key]));
+            if (to === from) return;
+
+            if (this.grabbed !== card) {
+                cards[to].focus();
+                return;
+            }
+
+            const reference = to > from ? cards[to].nextElementSibling : cards[to];
+            card.parentNode.insertBefore(card, reference);
+            card.focus();
+            this.announce(`Posición ${to + 1} de ${cards.length}`);
+        },
+
+        grab(card) {
+            this.grabbed = card;
+            this.grabbedFrom = card.nextElementSibling;
+            card.classList.add('is-grabbed');
+
+            const cards = Helpers.$$('#galeria .image-thumbnail');
+            this.announce(`Imagen agarrada, posición ${cards.indexOf(card) + 1} de ${cards.length}. ` +
+                'Usa las flechas para moverla, Espacio para soltarla o Escape para cancelar.');
+        },
+
+        drop() {
+            const card = this.grabbed;
+            if (!card) return;
+
+            card.classList.remove('is-grabbed');
+            this.grabbed = null;
+            this.finishMove(card);
+        },
+
+        cancelGrab() {
+            const card = this.grabbed;
+            if (!card) return;
+
+            const gallery = Helpers.$('galeria');
+            gallery?.insertBefore(card, this.grabbedFrom?.parentNode === gallery ? this.grabbedFrom : null);
+            card.classList.remove('is-grabbed');
+            card.focus();
+            this.grabbed = null;
+            this.announce('Movimiento cancelado');
+        },
+
+        finishMove(card) {
+            this.syncFiles();
+            this.refreshCoverTools();
+
+            const cards = Helpers.$$('#galeria .image-thumbnail');
+            this.announce(`Imagen movida a la posición ${cards.indexOf(card) + 1} de ${cards.length}`);
+        },
+
+        announce(message) {
+            const status = Helpers.$('galleryStatus');
+            if (status) status.textContent = message;
+        },
+
+        createThumbnail({ file, originalSize, size }) {
+            const gallery = Helpers.$('galeria');
+            if (!gallery) return;
+
+            const card = document.createElement('div');
+            card.className = 'image-thumbnail';
+            card.dataset.new = '1';
+            this.prepareCard(card);
+            this.files.set(card, file);
+
+            const img = document.createElement('img');
+            const url = URL.createObjectURL(file);
+            State.objectUrls.add(url);
+            img.src = url;
+            img.alt = 'Vista previa de imagen';
+            img.loading = 'lazy';
+
+            const actions = document.createElement('div');
+            actions.className = 'image-actions';
+
+            actions.innerHTML = `
+                <button type="button" class="image-btn" data-action="cover" title="Marcar como principal">
+                    <i class="fas fa-star"></i>
+                </button>
+                <button type="button" class="image-btn" data-action="delete" title="Eliminar imagen">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+
+            card.appendChild(img);
+            card.appendChild(actions);
+            this.setSizeReport(card, originalSize, size);
+            gallery.appendChild(card);
+        },
+
+        /**
+         * Tamaño original → tamaño que se subirá, en la esquina de la miniatura
+         */
+        setSizeReport(card, originalSize, size) {
+            card.dataset.originalSize = originalSize;
+
+            let report = card.querySelector('.image-size-report');
+            if (!report) {
+                report = document.createElement('span');
+                report.className = 'image-size-report';
+                card.appendChild(report);
+            }
+
+            const reduced = size < originalSize;
+            report.classList.toggle('is-reduced', reduced);
+            report.textContent = reduced
+                ? `${Helpers.fmtBytes(originalSize)} → ${Helpers.fmtBytes(size)}`
+                : Helpers.fmtBytes(size);
+            report.title = reduced
+                ? `Original: ${Helpers.fmtBytes(originalSize)} · Se subirá: ${Helpers.fmtBytes(size)} (−${Math.round((1 - size / originalSize) * 100)}%)`
+                : `Se subirá: ${Helpers.fmtBytes(size)}`;
+        },
+
+        /**
+         * Sustituye el archivo de una tarjeta (recorte de la portada).
+         * Una imagen ya guardada pasa a subirse como nueva y la anterior se descarta.
+         */
+        replaceFile(card, file) {
+            if (card.dataset.existing === '1') {
+                State.removedExistingImages.add(card.dataset.url);
+                this.updateIgnoreInput();
+
+                delete card.dataset.existing;
+                delete card.dataset.url;
+                card.dataset.new = '1';
+            }
+
+            this.files.set(card, file);
+
+            const img = card.querySelector('img');
+            if (img) {
+                if (State.objectUrls.has(img.src)) {
+                    URL.revokeObjectURL(img.src);
+                    State.objectUrls.delete(img.src);
+                }
+                const url = URL.createObjectURL(file);
+                State.objectUrls.add(url);
+                img.src = url;
+            }
+
+            this.setSizeReport(card, Number(card.dataset.originalSize) || file.size, file.size);
+            this.syncFiles();
+            this.updateImageCount();
+
+            // La tarjeta recortada es la portada: su índice entre las nuevas puede haber cambiado
+            this.markAsCover(card);
+        },
+
+        /**
+         * El botón de recorte solo aparece en la portada (la marcada o, si no hay, la primera)
+         */
+        refreshCoverTools() {
+            const cards = Helpers.$$('#galeria .image-thumbnail');
+            const cover = cards.find(card => card.querySelector('.image-badge')) || cards[0];
+
+            cards.forEach(card => {
+                const btn = card.querySelector('[data-action="crop"]');
+                if (card !== cover) {
+                    btn?.remove();
+                    return;
+                }
+                if (btn) return;
+
+                const actions = card.querySelector('.image-actions');
+                if (!actions) return;
+
+                const crop = document.createElement('button');
+                crop.type = 'button';
+                crop.className = 'image-btn';
+                crop.dataset.action = 'crop';
+                crop.title = 'Recortar portada';
+                crop.setAttribute('aria-label', 'Recortar portada y elegir punto de enfoque');
+                crop.innerHTML = '<i class="fas fa-crop-simple" aria-hidden="true"></i>';
+                actions.prepend(crop);
+            });
+        },
+
+        markAsCover(card) {
+            Helpers.$$('.image-badge').forEach(badge => badge.remove());
+            Helpers.$$('.image-btn.active').forEach(btn => btn.classList.remove('active'));
+
+            const badge = document.createElement('span');
+            badge.className = 'image-badge';
+            badge.textContent = 'Principal';
+            card.appendChild(badge);
+
+            const starBtn = card.querySelector('[data-action="cover"]');
+            if (starBtn) starBtn.classList.add('active');
+
+            this.refreshCoverTools();
+            this.updateCoverInputs();
+            this.updateOrder();
+
+            Helpers.log('Cover image updated');
+        },
+
+        /**
+         * Quita la imagen de la galería; "Deshacer" la devuelve a su sitio mientras no se guarde
+         */
+        removeImage(card) {
+            const index = Helpers.$$('#galeria .image-thumbnail').indexOf(card);
+
+            if (this.grabbed === card) this.grabbed = null;
+            this.undoStack.push({ card, next: card.nextElementSibling });
+
+            if (card.dataset.new !== '1') {
+                State.removedExistingImages.add(card.dataset.url);
+                this.updateIgnoreInput();
+                card.classList.add('removed');
+            }
+
+            card.remove();
+            this.syncFiles();
+            this.updateImageCount();
+            this.refreshCoverTools();
+            this.updateUndo();
+
+            // El foco pasa a la imagen vecina (o a la zona de carga si no queda ninguna)
+            const cards = Helpers.$$('#galeria .image-thumbnail');
+            (cards[Math.min(index, cards.length - 1)] || Helpers.$('imageUploadArea'))?.focus();
+            this.announce('Imagen eliminada. Ctrl+Z o «Deshacer» para recuperarla.');
+        },
+
+        undoRemove() {
+            const entry = this.undoStack.pop();
+            const gallery = Helpers.$('galeria');
+            if (!entry || !gallery) return;
+
+            if (this.getCurrentImageCount() >= CONFIG.MAX_IMAGES) {
+                this.undoStack.push(entry);
+                this.showError(`Límite de ${CONFIG.MAX_IMAGES} imágenes alcanzado.`);
+                return;
+            }
+
+            const { card, next } = entry;
+            gallery.insertBefore(card, next?.parentNode === gallery ? next : null);
+
+            if (card.dataset.new !== '1') {
+                card.classList.remove('removed');
+                State.removedExistingImages.delete(card.dataset.url);
+                this.updateIgnoreInput();
+            }
+
+            // Mientras tanto se marcó otra portada: la restaurada ya no lo es
+            if (card.querySelector('.image-badge') && Helpers.$$('#galeria .image-badge').length > 1) {
+                card.querySelector('.image-badge').remove();
+                card.querySelector('[data-action="cover"]')?.classList.remove('active');
+            }
+
+            this.syncFiles();
+            this.updateImageCount();
+            this.refreshCoverTools();
+            this.updateUndo();
+
+            card.focus();
+            this.announce('Imagen restaurada');
+            Helpers.toast('Imagen restaurada', 'success');
+        },
+
+        updateUndo() {
+            const bar = Helpers.$('galleryUndo');
+            const text = Helpers.$('galleryUndoText');
+            const count = this.undoStack.length;
+
+            if (bar) bar.hidden = count === 0;
+            if (text) {
+                text.textContent = count === 1
+                    ? 'Se eliminó 1 imagen.'
+                    : `Se eliminaron ${count} imágenes.`;
+            }
+        },
+
+        getCurrentImageCount() {
+            const existing = Helpers.$$('#galeria .image-thumbnail[data-existing="1"]:not(.removed)').length;
+            const newImages = State.imageFiles.length;
+            return existing + newImages;
+        },
+
+        updateImageCount() {
+            const count = this.getCurrentImageCount();
+
+            const badge = Helpers.$('imageCountBadge');
+            if (badge) badge.textContent = `${count}/${CONFIG.MAX_IMAGES} imágenes`;
+
+            const preview = Helpers.$('previewImages');
+            if (preview) preview.textContent = count;
+            PreviewModule.update();
+        },
+
+        showError(message) {
+            const alert = Helpers.$('imgAlert');
+            if (alert) {
+                alert.textContent = message;
+                alert.style.display = 'block';
+                setTimeout(() => alert.style.display = 'none', 5000);
+            }
+            Helpers.toast(message, 'error');
+        },
+
+        /**
+         * Progreso real: done de total (archivos procesados o bytes enviados)
+         */
+        showProgress(done, total, label = '') {
+            const bar = Helpers.$('uploadProgress');
+            const fill = Helpers.$('progressFill');
+            if (!bar || !fill) return;
+
+            clearTimeout(this.progressTimer);
+
+            const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0;
+            bar.style.display = 'block';
+            bar.setAttribute('aria-valuenow', percent);
+            if (label) bar.setAttribute('aria-valuetext', label);
+            fill.style.width = percent + '%';
+
+            const text = Helpers.$('progressLabel');
+            if (text) text.textContent = label;
+        },
+
+        hideProgress(delay = 0) {
+            clearTimeout(this.progressTimer);
+            this.progressTimer = setTimeout(() => {
+                const bar = Helpers.$('uploadProgress');
+                if (bar) bar.style.display = 'none';
+
+                const text = Helpers.$('progressLabel');
+                if (text) text.textContent = '';
+            }, delay);
+        }
+    };
+
+    // ========== MÓDULO: RECORTE DE PORTADA ==========
+    const CoverCropModule = {
+        card: null,
+        source: null,
+        url: null,
+        natural: { width: 0, height: 0 },
+        focus: { x: 0.5, y: 0.5 },
+        zoom: 1,
+        dragging: false,
+        // Tarjeta → archivo antes del primer recorte (para "Restaurar original")
+        originals: new WeakMap(),
+
+        init() {
+            const dialog = Helpers.$('coverCropDialog');
+            const stage = Helpers.$('cropStage');
+            if (!dialog || !stage) return;
+
+            stage.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.dragging = true;
+                stage.setPointerCapture?.(e.pointerId);
+                stage.focus();
+                this.pointTo(e);
+            });
+            stage.addEventListener('pointermove', (e) => {
+                if (this.dragging) this.pointTo(e);
+            });
+            stage.addEventListener('pointerup', () => { this.dragging = false; });
+            stage.addEventListener('pointercancel', () => { this.dragging = false; });
+            stage.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+            const zoom = Helpers.$('cropZoom');
+            if (zoom) {
+                zoom.addEventListener('input', () => {
+                    this.zoom = Helpers.toNum(zoom.value) / 100;
+                    this.render();
+                });
+            }
+
+            Helpers.$('btnCropApply')?.addEventListener('click', () => this.apply());
+            Helpers.$('btnCropReset')?.addEventListener('click', () => this.restore());
+            Helpers.$('btnCropCancel')?.addEventListener('click', () => dialog.close());
+            dialog.addEventListener('close', () => this.cleanup());
+        },
+
+        async open(card) {
+            const dialog = Helpers.$('coverCropDialog');
+            const img = Helpers.$('cropImage');
+            if (!dialog || !img || typeof dialog.showModal !== 'function') return;
+
+            if (!ImagePipelineModule.canProcess()) {
+                Helpers.toast('Este navegador no permite recortar imágenes', 'warning');
+                return;
+            }
+
+            let file = ImagesModule.files.get(card);
+            if (!file) {
+                try {
+                    // Portada ya guardada: se descarga para recortarla y se sube como nueva
+                    file = await this.fetchExisting(card.dataset.url);
+                } catch (error) {
+                    Helpers.log('Cover download failed', error);
+                    Helpers.toast('No se pudo cargar la imagen para recortarla', 'error');
+                    return;
+                }
+            }
+
+            this.card = card;
+            this.source = this.originals.get(card) || file;
+
+            const [x, y] = (card.dataset.focus || '').split(',').map(Number);
+            this.focus = Number.isFinite(x) && Number.isFinite(y) ? { x, y } : { x: 0.5, y: 0.5 };
+            this.zoom = Number(card.dataset.zoom) || 1;
+
+            const zoom = Helpers.$('cropZoom');
+            if (zoom) zoom.value = Math.round(this.zoom * 100);
+
+            const reset = Helpers.$('btnCropReset');
+            if (reset) reset.hidden = !this.originals.has(card);
+
+            this.url = URL.createObjectURL(this.source);
+            img.src = this.url;
+            try {
+                await img.decode();
+            } catch (error) {
+                // decode() falla en algunos navegadores con imágenes ya cargadas: basta con las dimensiones
+            }
+            this.natural = { width: img.naturalWidth, height: img.naturalHeight };
+
+            dialog.showModal();
+            Helpers.$('cropStage')?.focus();
+            this.render();
+        },
+
+        async fetchExisting(url) {
+            const response = await fetch(url, { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const blob = await response.blob();
+            const name = url.split('?')[0].split('/').pop() || 'portada';
+            return new File([blob], name, { type: blob.type || 'image/jpeg' });
+        },
+
+        /**
+         * Recorte cuadrado centrado en el punto de enfoque, sin salirse de la imagen
+         */
+        rect() {
+            const { width, height } = this.natural;
+            const size = Math.min(width, height) / this.zoom;
+            const clamp = (value, max) => Math.min(Math.max(value, 0), Math.max(0, max));
+
+            return {
+                x: clamp(this.focus.x * width - size / 2, width - size),
+                y: clamp(this.focus.y * height - size / 2, height - size),
+                size
+            };
+        },
+
+        render() {
+            const { width, height } = this.natural;
+            if (!width || !height) return;
+
+            const { x, y, size } = this.rect();
+
+            const frame = Helpers.$('cropFrame');
+            if (frame) {
+                frame.style.left = `${(x / width) * 100}%`;
+                frame.style.top = `${(y / height) * 100}%`;
+                frame.style.width = `${(size / width) * 100}%`;
+                frame.style.height = `${(size / height) * 100}%`;
+            }
+
+            const marker = Helpers.$('cropFocus');
+            if (marker) {
+                marker.style.left = `${this.focus.x * 100}%`;
+                marker.style.top = `${this.focus.y * 100}%`;
+            }
+
+            const preview = Helpers.$('cropPreview');
+            if (preview) {
+                const position = (offset, total) => total > size ? (offset / (total - size)) * 100 : 0;
+                preview.style.backgroundImage = `url("${this.url}")`;
+                preview.style.backgroundSize = `${(width / size) * 100}% ${(height / size) * 100}%`;
+                preview.style.backgroundPosition = `${position(x, width)}% ${position(y, height)}%`;
+            }
+
+            const status = Helpers.$('cropStatus');
+            if (status) {
+                const side = Math.round(size);
+                status.textContent = `Enfoque ${Math.round(this.focus.x * 100)}% × ${Math.round(this.focus.y * 100)}% · recorte de ${side}×${side} px`;
+            }
+        },
+
+        pointTo(e) {
+            const bounds = Helpers.$('cropStage').getBoundingClientRect();
+            if (!bounds.width || !bounds.height) return;
+
+            this.setFocus(
+                (e.clientX - bounds.left) / bounds.width,
+                (e.clientY - bounds.top) / bounds.height);
+        },
+
+        setFocus(x, y) {
+            const clamp = (value) => Math.min(1, Math.max(0, value));
+            this.focus = { x: clamp(x), y: clamp(y) };
+            this.render();
+        },
+
+        handleKeydown(e) {
+            const step = e.shiftKey ? 0.1 : 0.02;
+            const moves = {
+                ArrowLeft: [-step, 0],
+                ArrowRight: [step, 0],
+                ArrowUp: [0, -step],
+                ArrowDown: [0, step]
+            };
+
+            if (moves[e.key]) {
+                e.preventDefault();
+                this.setFocus(this.focus.x + moves[e.key][0], this.focus.y + moves[e.key][1]);
+                return;
+            }
+
+            if (e.key === '+' || e.key === '-') {
+                e.preventDefault();
+                const zoom = Helpers.$('cropZoom');
+                const min = Number(zoom?.min) || 100;
+                const max = Number(zoom?.max) || 250;
+                const value = Math.min(max, Math.max(min, Math.round(this.zoom * 100) + (e.key === '+' ? 10 : -10)));
+                if (zoom) zoom.value = value;
+                this.zoom = value / 100;
+                this.render();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.apply();
+            }
+        },
+
+        async apply() {
+            const card = this.card;
+            const btn = Helpers.$('btnCropApply');
+            if (!card || !this.source) return;
+
+            if (btn) btn.disabled = true;
+            try {
+                const file = await ImagePipelineModule.crop(this.source, this.rect());
+                if (!this.originals.has(card)) this.originals.set(card, this.source);
+
+                card.dataset.focus = `${this.focus.x.toFixed(3)},${this.focus.y.toFixed(3)}`;
+                card.dataset.zoom = this.zoom.toFixed(2);
+                ImagesModule.replaceFile(card, file);
+
+                Helpers.$('coverCropDialog')?.close();
+                Helpers.toast('Portada recortada', 'success');
+            } catch (error) {
+                Helpers.log('Cover crop failed', error);
+                Helpers.toast('No se pudo recortar la imagen', 'error');
+            } finally {
+                if (btn) btn.disabled = false;
+            }
+        },
+
+        restore() {
+            const card = this.card;
+            const original = card && this.originals.get(card);
+            if (!original) return;
+
+            this.originals.delete(card);
+            delete card.dataset.focus;
+            delete card.dataset.zoom;
+            ImagesModule.replaceFile(card, original);
+
+            Helpers.$('coverCropDialog')?.close();
+            Helpers.toast('Portada original restaurada', 'info');
+        },
+
+        cleanup() {
+            if (this.url) URL.revokeObjectURL(this.url);
+            this.url = null;
+            this.card = null;
+            this.source = null;
+            this.dragging = false;
+        }
+    };
+
+    // ========== MÓDULO: VARIANTES ==========
+    const VariantsModule = {
+        init() {
+            const checkbox = Helpers.$('chkVariantes');
+            const box = Helpers.$('boxVariantes');
+
+            if (!checkbox || !box) return;
+
+            checkbox.addEventListener('change', () => this.toggleVariants());
+
+            this.initTagInputs();
+
+            const btnGen = Helpers.$('btnGen');
+            const btnClear = Helpers.$('btnClearVars');
+
+            if (btnGen) btnGen.addEventListener('click', () => this.generateCombinations());
+            if (btnClear) btnClear.addEventListener('click', () => this.clearVariants());
+
+            this.initPriceRules();
+
+            const table = Helpers.$('tblVars');
+            if (table) {
+                table.addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-action="remove-variant"]');
+                    if (btn) {
+                        const row = btn.closest('tr');
+                        if (row) this.removeVariant(row);
+                    }
+
+                    const keep = e.target.closest('[data-action="keep-variant"]');
+                    if (keep) this.keepVariant(keep.closest('tr'));
+
+                    const suggest = e.target.closest('[data-action="suggest-price"]');
+                    if (suggest) {
+                        const input = suggest.closest('tr')?.querySelector('input[name="VarPrecio"]');
+                        if (input) VariantGridModule.apply([{ input, value: suggest.dataset.price }]);
+                    }
+                });
+
+                table.addEventListener('input', (e) => {
+                    if (e.target.classList.contains('variant-input')) {
+                        this.validateVariantInput(e.target);
+                    }
+                });
+            }
+
+            this.updateCount();
+        },
+
+        toggleVariants() {
+            const checkbox = Helpers.$('chkVariantes');
+            const box = Helpers.$('boxVariantes');
+            const baseFields = Helpers.$$('.base-only');
+            const badge = Helpers.$('productTypeBadge');
+
+            if (!checkbox) return;
+
+            const enabled = checkbox.checked;
+            State.setHasVariants(enabled);
+            ValidationModule.syncPriceRule();
+
+            if (box) box.style.display = enabled ? 'block' : 'none';
+            baseFields.forEach(field => field.style.display = enabled ? 'none' : 'flex');
+
+            if (badge) badge.textContent = enabled ? 'Con Variantes' : 'Producto Simple';
+
+            const previewType = Helpers.$('previewType');
+            if (previewType) previewType.textContent = enabled ? 'Con Variantes' : 'Producto Simple';
+
+            PreviewModule.update();
+        },
+
+        initTagInputs() {
+            const colorInput = Helpers.$('inpColores');
+            const sizeInput = Helpers.$('inpTallas');
+            const colorTags = Helpers.$('tagsColores');
+            const sizeTags = Helpers.$('tagsTallas');
+
+            if (colorInput && colorTags) {
+                this.setupTagInput(colorInput, colorTags, 'color');
+                this.initColorPreview(colorInput);
+                Helpers.paintSwatches(colorTags);
+            }
+
+            if (sizeInput && sizeTags) {
+                this.setupTagInput(sizeInput, sizeTags, 'talla');
+            }
+
+            [colorTags, sizeTags].forEach(container => {
+                if (!container) return;
+                container.addEventListener('click', (e) => {
+                    const btn = e.target.closest('.tag-remove');
+                    if (btn) {
+                        const tag = btn.closest('.tag');
+                        if (tag) tag.remove();
+                        this.updateCount();
+                    }
+                });
+            });
+        },
+
+        /**
+         * Muestra junto al campo de colores: el tono elegido a mano o,
+         * si no, el que ColorResolver deduce del nombre escrito
+         */
+        initColorPreview(input) {
+            const preview = Helpers.$('colorPreview');
+            const picker = Helpers.$('inpColorHex');
+            if (!preview || !window.ColorResolver) return;
+
+            const update = () => {
+                const name = input.value.split(',').pop().trim();
+                if (picker?.dataset.picked === 'true') {
+                    window.ColorResolver.paint(preview, picker.value);
+                    preview.title = picker.value;
+                } else if (name) {
+                    const known = window.ColorResolver.paint(preview, name);
+                    preview.title = known ? window.ColorResolver.resolve(name).hex : 'Color no reconocido';
+                } else {
+                    preview.style.backgroundColor = '';
+                    preview.style.backgroundImage = '';
+                    preview.classList.remove('is-unknown-color', 'is-light-color');
+                    preview.title = '';
+                }
+            };
+
+            input.addEventListener('input', update);
+            picker?.addEventListener('input', () => {
+                picker.dataset.picked = 'true';
+                update();
+            });
+            // Al cerrar el selector se vuelve al nombre para confirmarlo con Enter
+            picker?.addEventListener('change', () => input.focus());
+            update();
+        },
+
+        /**
+         * El tono elegido vale para un solo color: se descarta tras añadirlo
+         */
+        resetColorPicker() {
+            const picker = Helpers.$('inpColorHex');
+            if (picker) picker.dataset.picked = 'false';
+        },
+
+        /**
+         * Añade una etiqueta de color o talla. Devuelve false si ya existía.
+         * El tono elegido (hex) queda como data-hex en el input oculto para las filas de variantes
+         * y el borrador; no se envía al servidor, que pinta los colores por su nombre.
+         */
+        addTag(container, type, value, { quiet = false, hex = null } = {}) {
+            const trimmed = value.trim();
+            if (!trimmed) return false;
+
+            const existing = Helpers.$$('.tag input', container).map(i => i.value.toLowerCase());
+            if (existing.includes(trimmed.toLowerCase())) {
+                if (!quiet) Helpers.toast(`"${trimmed}" ya existe`, 'warning');
+                return false;
+            }
+
+            // Tono explícito elegido en el selector para este color
+            const picker = Helpers.$('inpColorHex');
+            if (type !== 'color') hex = null;
+            else if (!hex && picker?.dataset.picked === 'true') hex = picker.value;
+            if (hex && !window.ColorResolver?.isHex(hex)) hex = null;
+            if (hex) window.ColorResolver?.register(trimmed, hex);
+
+            const safe = Helpers.escapeHtml(trimmed);
+            const tag = document.createElement('span');
+            tag.className = 'tag';
+            tag.setAttribute('role', 'listitem');
+            tag.innerHTML = `
+                ${type === 'color' ? `<span class="color-swatch" data-color="${safe}" ${hex ? `data-hex="${hex}"` : ''} aria-hidden="true"></span>` : ''}
+                ${safe}
+                <button type="button" class="tag-remove" data-tag-type="${type}" aria-label="Eliminar ${type} ${safe}">
+                    <i class="fas fa-times"></i>
+                </button>
+                <input type="hidden" name="${type === 'color' ? 'Colores' : 'Tallas'}" value="${safe}" ${hex ? `data-hex="${hex}"` : ''} />
+            `;
+            container.appendChild(tag);
+
+            if (type === 'color') {
+                Helpers.paintSwatches(tag);
+                if (!quiet && window.ColorResolver && !window.ColorResolver.resolve(trimmed)) {
+                    Helpers.toast(`No se reconoce el color "${trimmed}": elige su tono con el selector`, 'info');
+                }
+                this.resetColorPicker();
+            }
+            this.updateCount();
+            return true;
+        },
+
+        setupTagInput(input, container, type) {
+            const addTag = (value) => this.addTag(container, type, value);
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',') {
+                    e.preventDefault();
+                    addTag(input.value);
+                    input.value = '';
+                    input.dispatchEvent(new Event('input'));
+                }
+            });
+
+            input.addEventListener('blur', (e) => {
+                // Ir al selector de tono no debe añadir el color todavía
+                if (e.relatedTarget?.id === 'inpColorHex') return;
+                if (input.value.trim()) {
+                    addTag(input.value);
+                    input.value = '';
+                    input.dispatchEvent(new Event('input'));
+                }
+            });
+        },
+
+        /**
+         * Genera las combinaciones color × talla sin perder lo ya cargado:
+         * las filas existentes conservan precio y stock, las nuevas se añaden
+         * (con el precio de las reglas activas, si hay) y las que perdieron su
+         * color o talla quedan marcadas para eliminar hasta que se guarde.
+         */
+        generateCombinations() {
+            const colors = Helpers.$$('#tagsColores .tag input').map(i => i.value);
+            const sizes = Helpers.$$('#tagsTallas .tag input').map(i => i.value);
+            const tbody = Helpers.$('tblVars')?.querySelector('tbody');
+            const note = Helpers.$('noteVars');
+
+            if (!tbody) return;
+
+            if (colors.length === 0 || sizes.length === 0) {
+                Helpers.toast('Agregue al menos un color y una talla', 'warning');
+                return;
+            }
+
+            const existing = new Map(Helpers.$$('tr', tbody).map(row => [this.rowKey(row), row]));
+            const wanted = new Set();
+            let added = 0;
+
+            VariantGridModule.clearSelection();
+            tbody.querySelectorAll('.variant-row-new').forEach(row => row.classList.remove('variant-row-new'));
+
+            colors.forEach(color => {
+                sizes.forEach(size => {
+                    const key = this.variantKey(color, size);
+                    if (wanted.has(key)) return;
+                    wanted.add(key);
+
+                    let row = existing.get(key);
+                    if (row) {
+                        this.markRemoved(row, false);
+                    } else {
+                        row = this.createVariantRow(color, size);
+                        const price = this.rulePriceFor(color, size);
+                        if (price > 0) row.querySelector('input[name="VarPrecio"]').value = price.toFixed(2);
+                        row.classList.add('variant-row-new');
+                        added++;
+                    }
+                    // Mismo orden que las etiquetas
+                    tbody.appendChild(row);
+                });
+            });
+
+            const removed = [...existing].filter(([key]) => !wanted.has(key)).map(([, row]) => row);
+            removed.forEach(row => {
+                this.markRemoved(row, true);
+                tbody.appendChild(row);
+            });
+
+            if (note) note.style.display = 'none';
+
+            const summary = Helpers.$('variantSummary');
+            if (summary) summary.style.display = 'block';
+
+            this.updateCount();
+            this.updateSummary();
+
+            const kept = wanted.size - added;
+            const parts = [`${added} nueva${added !== 1 ? 's' : ''}`];
+            if (kept) parts.push(`${kept} conservada${kept !== 1 ? 's' : ''}`);
+            if (removed.length) parts.push(`${removed.length} para eliminar`);
+            Helpers.toast(`Combinaciones: ${parts.join(', ')}`, removed.length ? 'warning' : 'success');
+        },
+
+        variantKey(color, size) {
+            const norm = (value) => (value ?? '').toString().trim().toLowerCase();
+            return `${norm(color)}|${norm(size)}`;
+        },
+
+        rowKey(row) {
+            return this.variantKey(
+                row.querySelector('input[name="VarColor"]')?.value,
+                row.querySelector('input[name="VarTalla"]')?.value);
+        },
+
+        /**
+         * Precio inicial de una combinación nueva: regla por color, por talla o global
+         */
+        rulePriceFor(color, size) {
+            const fromRule = (type, chkId, value) => {
+                if (!Helpers.$(chkId)?.checked) return 0;
+                const input = Helpers.$$(`input[data-rule="${type}"]`).find(i => i.dataset.ruleValue === value);
+                return input ? this.rulePrice(input.value) : 0;
+            };
+
+            const global = Helpers.$('chkPrecioGlobal')?.checked
+                ? Helpers.toNum(Helpers.$('inpPrecioGlobal')?.value)
+                : 0;
+
+            return fromRule('color', 'chkPrecioPorColor', color)
+                || fromRule('talla', 'chkPrecioPorTalla', size)
+                || global;
+        },
+
+        /**
+         * Marca (o desmarca) una fila para eliminar. Sus campos quedan deshabilitados,
+         * así no se envían y el servidor la borra al guardar.
+         */
+        markRemoved(row, removed) {
+            row.classList.toggle('variant-row-removed', removed);
+            row.querySelectorAll('input').forEach(input => { input.disabled = removed; });
+
+            const actions = row.querySelector('.variant-actions');
+            const removeBtn = actions?.querySelector('[data-action="remove-variant"]');
+            let keepBtn = actions?.querySelector('[data-action="keep-variant"]');
+
+            if (removed && actions && !keepBtn) {
+                const label = row.querySelector('input[name="VarColor"]')?.value + ' ' + row.querySelector('input[name="VarTalla"]')?.value;
+                keepBtn = document.createElement('button');
+                keepBtn.type = 'button';
+                keepBtn.className = 'image-btn';
+                keepBtn.dataset.action = 'keep-variant';
+                keepBtn.title = 'Conservar variante';
+                keepBtn.setAttribute('aria-label', `Conservar variante ${label}`);
+                keepBtn.innerHTML = '<i class="fas fa-rotate-left" aria-hidden="true"></i>';
+                actions.appendChild(keepBtn);
+            }
+
+            if (removeBtn) removeBtn.hidden = removed;
+            if (keepBtn) keepBtn.hidden = !removed;
+
+            this.updateRemovalNote();
+        },
+
+        /**
+         * Conserva una fila marcada: vuelve a añadir su color y talla como etiquetas
+         */
+        keepVariant(row) {
+            if (!row) return;
+
+            const color = row.querySelector('input[name="VarColor"]')?.value;
+            const size = row.querySelector('input[name="VarTalla"]')?.value;
+            const hex = row.querySelector('.color-swatch')?.dataset.hex || null;
+            const colorTags = Helpers.$('tagsColores');
+            const sizeTags = Helpers.$('tagsTallas');
+            if (colorTags && color) this.addTag(colorTags, 'color', color, { quiet: true, hex });
+            if (sizeTags && size) this.addTag(sizeTags, 'talla', size, { quiet: true });
+
+            this.markRemoved(row, false);
+            this.updateCount();
+            this.updateSummary();
+            Helpers.toast(`Se conservará ${color} ${size}`, 'success');
+        },
+
+        updateRemovalNote() {
+            const note = Helpers.$('variantRemovalNote');
+            if (!note) return;
+
+            const count = Helpers.$$('#tblVars tbody tr.variant-row-removed').length;
+            note.hidden = count === 0;
+            note.textContent = count === 0 ? '' : count === 1
+                ? '1 variante se eliminará al guardar porque ya no tiene su color o talla. Usa «Conservar» para mantenerla.'
+                : `${count} variantes se eliminarán al guardar porque ya no tienen su color o talla. Usa «Conservar» para mantenerlas.`;
+        },
+
+        /**
+         * Tono elegido para un color en su etiqueta, si lo tiene
+         */
+        tagHex(color) {
+            const key = (color || '').trim().toLowerCase();
+            const input = Helpers.$$('#tagsColores .tag input').find(i => i.value.trim().toLowerCase() === key);
+            return input?.dataset.hex || null;
+        },
+
+        createVariantRow(color, size) {
+            const hex = this.tagHex(color);
+            color = Helpers.escapeHtml(color);
+            size = Helpers.escapeHtml(size);
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>
+                    <input type="hidden" name="VarColor" value="${color}" />
+                    <span class="color-swatch" data-color="${color}" ${hex ? `data-hex="${hex}"` : ''} aria-hidden="true"></span>
+                    <span>${color}</span>
+                </td>
+                <td>
+                    <input type="hidden" name="VarTalla" value="${size}" />
+                    <span>${size}</span>
+                </td>
+                <td>
+                    <input class="variant-input" 
+                           name="VarPrecio" 
+                           type="number" 
+                           step="0.01" 
+                           min="0.01" 
+                           lang="en"
+                           inputmode="decimal"
+                           required 
+                           aria-label="Precio para ${color} ${size}" />
+                </td>
+                <td>
+                    <input class="variant-input" 
+                           name="VarStock" 
+                           type="number" 
+                           step="1" 
+                           min="0" 
+                           inputmode="numeric"
+                           value="0" 
+                           required 
+                           aria-label="Stock para ${color} ${size}" />
+                </td>
+                <td class="variant-metric" data-metric="margin"></td>
+                <td class="variant-metric" data-metric="markup"></td>
+                <td class="variant-metric" data-metric="net"></td>
+                <td>
+                    <div class="variant-actions">
+                        <button type="button" 
+                                class="image-btn" 
+                                data-action="remove-variant"
+                                title="Eliminar variante"
+                                aria-label="Eliminar variante ${color} ${size}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+            Helpers.paintSwatches(tr);
+            return tr;
+        },
+
+        removeVariant(row) {
+            if (!confirm('¿Eliminar esta variante?')) return;
+
+            row.remove();
+            VariantGridModule.clearSelection();
+            this.updateRemovalNote();
+            this.updateCount();
+            this.updateSummary();
+
+            const remaining = Helpers.$$(CONFIG.VARIANT_ROWS).length;
+            if (remaining === 0) {
+                const note = Helpers.$('noteVars');
+                if (note) note.style.display = 'block';
+
+                const summary = Helpers.$('variantSummary');
+                if (summary) summary.style.display = 'none';
+            }
+
+            Helpers.toast('Variante eliminada', 'success');
+        },
+
+        clearVariants() {
+            if (!confirm('¿Está seguro de que desea limpiar todas las variantes?')) return;
+
+            const tbody = Helpers.$('tblVars')?.querySelector('tbody');
+            if (tbody) tbody.innerHTML = '';
+            VariantGridModule.reset();
+            this.updateRemovalNote();
+
+            const note = Helpers.$('noteVars');
+            if (note) note.style.display = 'block';
+
+            const summary = Helpers.$('variantSummary');
+            if (summary) summary.style.display = 'none';
+
+            this.updateCount();
+            Helpers.toast('Variantes limpiadas', 'success');
+        },
+
+        validateVariantInput(input) {
             const value = Helpers.toNum(input.value);
             const min = Helpers.toNum(input.getAttribute('min') || 0);
 
-            if (value < min) {
-                input.classList.add('error');
+            if (value < min) {
+                input.classList.add('error');
+            } else {
+                input.classList.remove('error');
+            }
+
+            this.updateSummary();
+        },
+
+        updateCount() {
+            const count = Helpers.$$(CONFIG.VARIANT_ROWS).length;
+            const badge = Helpers.$('variantCountBadge');
+            if (badge) badge.textContent = `${count} variante${count !== 1 ? 's' : ''}`;
+            PreviewModule.update();
+        },
+
+        updateSummary() {
+            const rows = Helpers.$$(CONFIG.VARIANT_ROWS);
+            const summary = Helpers.$('variantSummary');
+
+            if (rows.length === 0) {
+                if (summary) summary.style.display = 'none';
+                return;
+            }
+
+            let totalStock = 0;
+            let minPrice = Infinity;
+            let maxPrice = 0;
+
+            rows.forEach(row => {
+                const priceInput = row.querySelector('input[name="VarPrecio"]');
+                const stockInput = row.querySelector('input[name="VarStock"]');
+
+                const price = Helpers.toNum(priceInput?.value);
+                const stock = Helpers.toNum(stockInput?.value);
+
+                totalStock += stock;
+
+                if (price > 0) {
+                    minPrice = Math.min(minPrice, price);
+                    maxPrice = Math.max(maxPrice, price);
+                }
+            });
+
+            const totalEl = Helpers.$('summaryTotal');
+            const stockEl = Helpers.$('summaryStock');
+            const minEl = Helpers.$('summaryMinPrice');
+            const maxEl = Helpers.$('summaryMaxPrice');
+
+            if (totalEl) totalEl.textContent = rows.length;
+            if (stockEl) stockEl.textContent = totalStock;
+            if (minEl) minEl.textContent = Helpers.fmtUSD(minPrice === Infinity ? 0 : minPrice);
+            if (maxEl) maxEl.textContent = Helpers.fmtUSD(maxPrice);
+
+            if (summary) summary.style.display = 'block';
+            MarginModule.refresh();
+
+            const previewStock = Helpers.$('previewStock');
+            if (previewStock) previewStock.textContent = `${totalStock} unidades`;
+            PreviewModule.update();
+        },
+
+        initPriceRules() {
+            const chkGlobal = Helpers.$('chkPrecioGlobal');
+            const inpGlobal = Helpers.$('inpPrecioGlobal');
+            const btnApplyGlobal = Helpers.$('btnApplyGlobal');
+
+            if (chkGlobal && inpGlobal && btnApplyGlobal) {
+                chkGlobal.addEventListener('change', () => {
+                    const enabled = chkGlobal.checked;
+                    inpGlobal.disabled = !enabled;
+                    btnApplyGlobal.disabled = !enabled;
+                });
+
+                btnApplyGlobal.addEventListener('click', () => {
+                    const price = Helpers.toNum(inpGlobal.value);
+                    if (price <= 0) {
+                        Helpers.toast('Ingrese un precio válido', 'warning');
+                        return;
+                    }
+
+                    VariantGridModule.apply(Helpers.$$(`${CONFIG.VARIANT_ROWS} input[name="VarPrecio"]`).map(input => ({
+                        input,
+                        value: price.toFixed(2)
+                    })));
+
+                    Helpers.toast('Precio aplicado a todas las variantes', 'success');
+                });
+            }
+
+            [['chkPrecioPorTalla', 'boxPrecioPorTalla', 'talla'], ['chkPrecioPorColor', 'boxPrecioPorColor', 'color']]
+                .forEach(([chkId, boxId, type]) => {
+                    const chk = Helpers.$(chkId);
+                    const box = Helpers.$(boxId);
+                    if (!chk || !box) return;
+
+                    chk.addEventListener('change', () => {
+                        box.style.display = chk.checked ? 'block' : 'none';
+                        if (chk.checked) this.renderPriceRule(box, type);
+                    });
+                });
+
+            Helpers.$('btnApplyMargen')?.addEventListener('click', () => this.applyMarkup());
+            Helpers.$('btnApplySugerido')?.addEventListener('click', () => this.applySuggested());
+            Helpers.$('selTerminacion')?.addEventListener('change', () => MarginModule.refresh());
+        },
+
+        /**
+         * Precio de una regla: importe fijo ("12.50") o margen sobre compra ("30%")
+         */
+        rulePrice(raw) {
+            const text = (raw ?? '').toString().trim();
+            if (!text.endsWith('%')) return Helpers.toNum(text);
+
+            const cost = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
+            const pct = Helpers.toNum(text.slice(0, -1));
+            return cost > 0 ? Math.round(cost * (1 + pct / 100) * 100) / 100 : 0;
+        },
+
+        renderPriceRule(container, type) {
+            const values = Helpers.$$(`#${type === 'color' ? 'tagsColores' : 'tagsTallas'} .tag input`).map(i => i.value);
+            container.innerHTML = '';
+
+            values.forEach(value => {
+                const safe = Helpers.escapeHtml(value);
+                const row = document.createElement('div');
+                row.style.cssText = 'display:flex;align-items:center;gap:8px;margin-bottom:8px;';
+                row.innerHTML = `
+                    ${type === 'color' ? `<span class="color-swatch" data-color="${safe}" aria-hidden="true"></span>` : ''}
+                    <span style="min-width:80px;">${safe}</span>
+                    <input type="text"
+                           class="form-input price-rule-input"
+                           inputmode="decimal"
+                           data-rule="${type}"
+                           data-rule-value="${safe}"
+                           placeholder="0.00 o 30%"
+                           aria-label="Precio para ${type} ${safe} (importe o % sobre compra)" />
+                `;
+                container.appendChild(row);
+            });
+            Helpers.paintSwatches(container);
+
+            const btnApply = document.createElement('button');
+            btnApply.type = 'button';
+            btnApply.className = 'btn btn-success';
+            btnApply.textContent = 'Aplicar';
+            btnApply.style.marginTop = '8px';
+            btnApply.addEventListener('click', () => this.applyPriceRule(type));
+            container.appendChild(btnApply);
+        },
+
+        applyPriceRule(type) {
+            const priceMap = {};
+
+            Helpers.$$(`input[data-rule="${type}"]`).forEach(input => {
+                const price = this.rulePrice(input.value);
+                if (price > 0) {
+                    priceMap[input.dataset.ruleValue] = price;
+                }
+            });
+
+            const field = type === 'color' ? 'VarColor' : 'VarTalla';
+            const changes = [];
+
+            Helpers.$$(CONFIG.VARIANT_ROWS).forEach(row => {
+                const key = row.querySelector(`input[name="${field}"]`)?.value;
+                const priceInput = row.querySelector('input[name="VarPrecio"]');
+
+                if (priceInput && priceMap[key]) {
+                    changes.push({ input: priceInput, value: priceMap[key].toFixed(2) });
+                }
+            });
+
+            VariantGridModule.apply(changes);
+            Helpers.toast(`Precios aplicados por ${type}`, 'success');
+        },
+
+        /**
+         * Precio = compra + N %, en las filas seleccionadas (o en todas)
+         */
+        applyMarkup() {
+            const pct = Helpers.toNum(Helpers.$('inpMargen')?.value);
+            const cost = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
+
+            if (cost <= 0) {
+                Helpers.toast('Ingrese primero el precio de compra', 'warning');
+                return;
+            }
+            if (pct <= 0) {
+                Helpers.toast('Ingrese un porcentaje de margen válido', 'warning');
+                return;
+            }
+
+            const selectedRows = VariantGridModule.selectedRows();
+            const rows = selectedRows.length ? selectedRows : Helpers.$$(CONFIG.VARIANT_ROWS);
+            const price = (Math.round(cost * (1 + pct / 100) * 100) / 100).toFixed(2);
+
+            VariantGridModule.apply(rows
+                .map(row => row.querySelector('input[name="VarPrecio"]'))
+                .filter(Boolean)
+                .map(input => ({ input, value: price })));
+
+            Helpers.toast(`Margen del ${pct}% aplicado a ${rows.length} variante${rows.length !== 1 ? 's' : ''}`, 'success');
+        },
+
+        /**
+         * Precio sugerido (compra + comisión + ganancia neta, terminado en ,49/,99)
+         * en las filas seleccionadas (o en todas)
+         */
+        applySuggested() {
+            const pct = Helpers.toNum(Helpers.$('inpGananciaNeta')?.value);
+            const cost = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
+
+            if (cost <= 0) {
+                Helpers.toast('Ingrese primero el precio de compra', 'warning');
+                return;
+            }
+            if (pct < 0) {
+                Helpers.toast('Ingrese un porcentaje de ganancia válido', 'warning');
+                return;
+            }
+            if (MarginModule.rate === null) {
+                Helpers.toast('Aún no se conoce la comisión: el precio solo cubre la compra y la ganancia', 'info');
+            }
+
+            const selectedRows = VariantGridModule.selectedRows();
+            const rows = selectedRows.length ? selectedRows : Helpers.$$(CONFIG.VARIANT_ROWS);
+            const price = MarginModule.suggest(cost, pct, Helpers.$('selTerminacion')?.value).toFixed(2);
+
+            VariantGridModule.apply(rows
+                .map(row => row.querySelector('input[name="VarPrecio"]'))
+                .filter(Boolean)
+                .map(input => ({ input, value: price })));
+
+            Helpers.toast(`Precio sugerido ${Helpers.fmtUSD(price)} aplicado a ${rows.length} variante${rows.length !== 1 ? 's' : ''}`, 'success');
+        }
+    };
+
+    // ========== MÓDULO: CUADRÍCULA DE VARIANTES ==========
+    // #tblVars como hoja de cálculo: flechas, selección de rangos, rellenar
+    // hacia abajo, copiar/pegar TSV (Excel, Sheets) y deshacer/rehacer.
+    // Todo cambio masivo pasa por apply() para quedar en el historial.
+    const VariantGridModule = {
+        anchor: null,
+        focus: null,
+        editing: false,
+        dragging: false,
+        moving: false,
+        focusValue: null,
+        undoStack: [],
+        redoStack: [],
+
+        init() {
+            const table = Helpers.$('tblVars');
+            if (!table) return;
+
+            table.addEventListener('focusin', (e) => this.onFocus(e));
+            table.addEventListener('keydown', (e) => this.onKeydown(e));
+            table.addEventListener('input', (e) => {
+                if (this.isCell(e.target)) this.editing = true;
+            });
+            table.addEventListener('change', (e) => {
+                if (this.isCell(e.target)) this.commit(e.target);
+            });
+            table.addEventListener('mousedown', (e) => this.onMouseDown(e));
+            table.addEventListener('mouseover', (e) => this.onMouseOver(e));
+            document.addEventListener('mouseup', () => { this.dragging = false; });
+            table.addEventListener('copy', (e) => this.onCopy(e));
+            table.addEventListener('paste', (e) => this.onPaste(e));
+
+            Helpers.$('btnGridUndo')?.addEventListener('click', () => this.undo());
+            Helpers.$('btnGridRedo')?.addEventListener('click', () => this.redo());
+            Helpers.$('btnGridFill')?.addEventListener('click', () => this.fillDown());
+
+            this.updateHistoryButtons();
+        },
+
+        // ----- Celdas -----
+
+        rows() {
+            return Helpers.$$(CONFIG.VARIANT_ROWS);
+        },
+
+        cellsOf(row) {
+            return Helpers.$$('.variant-input', row);
+        },
+
+        cell(row, col) {
+            const tr = this.rows()[row];
+            return tr ? this.cellsOf(tr)[col] || null : null;
+        },
+
+        isCell(el) {
+            return !!el?.classList?.contains('variant-input') && !!el.closest('#tblVars tbody');
+        },
+
+        position(input) {
+            const tr = input.closest('tr');
+            return { row: this.rows().indexOf(tr), col: this.cellsOf(tr).indexOf(input) };
+        },
+
+        range() {
+            if (!this.anchor || !this.focus) return null;
+            return {
+                top: Math.min(this.anchor.row, this.focus.row),
+                bottom: Math.max(this.anchor.row, this.focus.row),
+                left: Math.min(this.anchor.col, this.focus.col),
+                right: Math.max(this.anchor.col, this.focus.col)
+            };
+        },
+
+        selectedCells() {
+            const range = this.range();
+            const cells = [];
+            if (!range) return cells;
+
+            for (let r = range.top; r <= range.bottom; r++) {
+                for (let c = range.left; c <= range.right; c++) {
+                    const input = this.cell(r, c);
+                    if (input) cells.push(input);
+                }
+            }
+            return cells;
+        },
+
+        /**
+         * Filas de la selección, solo si abarca más de una celda
+         */
+        selectedRows() {
+            const range = this.range();
+            if (!range || this.selectedCells().length < 2) return [];
+            return this.rows().slice(range.top, range.bottom + 1);
+        },
+
+        /**
+         * Valor limpio según la columna: precio con 2 decimales, stock entero >= 0
+         */
+        normalize(input, raw) {
+            const text = (raw ?? '').toString().replace(/[^\d.,-]/g, '');
+            if (!text) return input.name === 'VarStock' ? '0' : '';
+
+            const n = Helpers.toNum(text);
+            return input.name === 'VarStock'
+                ? String(Math.max(0, Math.round(n)))
+                : (n > 0 ? n.toFixed(2) : '');
+        },
+
+        // ----- Selección -----
+
+        select(anchor, focus, moveFocus = true) {
+            this.anchor = anchor;
+            this.focus = focus;
+
+            Helpers.$$('#tblVars td.is-selected').forEach(td => td.classList.remove('is-selected'));
+            const cells = this.selectedCells();
+            if (cells.length > 1) {
+                cells.forEach(input => input.closest('td').classList.add('is-selected'));
+            }
+
+            if (moveFocus) {
+                const input = this.cell(focus.row, focus.col);
+                if (input && document.activeElement !== input) {
+                    this.moving = true;
+                    input.focus();
+                    this.moving = false;
+                }
+                input?.select?.();
+            }
+        },
+
+        clearSelection() {
+            this.anchor = this.focus = null;
+            Helpers.$$('#tblVars td.is-selected').forEach(td => td.classList.remove('is-selected'));
+        },
+
+        // ----- Eventos -----
+
+        onFocus(e) {
+            if (!this.isCell(e.target)) return;
+
+            this.editing = false;
+            this.focusValue = e.target.value;
+            if (!this.moving) {
+                const pos = this.position(e.target);
+                this.select(pos, pos, false);
+            }
+        },
+
+        onMouseDown(e) {
+            const input = e.target.closest('.variant-input');
+            if (!this.isCell(input)) return;
+
+            if (e.shiftKey && this.anchor) {
+                e.preventDefault();
+                this.select(this.anchor, this.position(input));
+                return;
+            }
+            this.dragging = true;
+        },
+
+        onMouseOver(e) {
+            if (!this.dragging || !this.anchor) return;
+            const input = e.target.closest('.variant-input');
+            if (this.isCell(input)) this.select(this.anchor, this.position(input), false);
+        },
+
+        onKeydown(e) {
+            const input = e.target;
+            if (!this.isCell(input)) return;
+
+            const ctrl = e.ctrlKey || e.metaKey;
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+            if (ctrl && key === 'z') {
+                e.preventDefault();
+                e.shiftKey ? this.redo() : this.undo();
+                return;
+            }
+            if (ctrl && key === 'y') {
+                e.preventDefault();
+                this.redo();
+                return;
+            }
+            if (ctrl && key === 'd') {
+                e.preventDefault();
+                this.fillDown();
+                return;
+            }
+
+            const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+            if (moves[key]) {
+                // Editando, izquierda/derecha mueven el cursor dentro del valor
+                if (this.editing && !e.shiftKey && (key === 'ArrowLeft' || key === 'ArrowRight')) return;
+                e.preventDefault(); // también evita que el número suba o baje
+                this.commit(input);
+                const [dr, dc] = moves[key];
+                this.move(dr, dc, e.shiftKey);
+                return;
+            }
+
+            switch (key) {
+                case 'Enter':
+                    // Enter no envía el formulario: baja (o sube con Mayús) como en una hoja
+                    e.preventDefault();
+                    this.commit(input);
+                    this.move(e.shiftKey ? -1 : 1, 0, false);
+                    break;
+                case 'Escape':
+                    if (this.editing) {
+                        e.preventDefault();
+                        input.value = this.focusValue;
+                        this.editing = false;
+                    }
+                    break;
+                case 'F2':
+                    this.editing = true;
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    if (!this.editing && this.selectedCells().length > 1) {
+                        e.preventDefault();
+                        this.apply(this.selectedCells().map(cell => ({ input: cell, value: '' })));
+                    }
+                    break;
+            }
+        },
+
+        move(dr, dc, extend) {
+            const rows = this.rows();
+            if (!this.focus || !rows.length) return;
+
+            const row = Math.max(0, Math.min(rows.length - 1, this.focus.row + dr));
+            const col = Math.max(0, Math.min(this.cellsOf(rows[row]).length - 1, this.focus.col + dc));
+            const target = { row, col };
+
+            this.select(extend ? this.anchor : target, target);
+        },
+
+        onCopy(e) {
+            const range = this.range();
+            if (!range || this.selectedCells().length < 2) return;
+
+            e.preventDefault();
+            const lines = [];
+            for (let r = range.top; r <= range.bottom; r++) {
+                const values = [];
+                for (let c = range.left; c <= range.right; c++) values.push(this.cell(r, c)?.value ?? '');
+                lines.push(values.join('\t'));
+            }
+            e.clipboardData.setData('text/plain', lines.join('\n'));
+            this.announce(`${this.selectedCells().length} celdas copiadas`);
+        },
+
+        /**
+         * Pega un bloque TSV desde la celda superior izquierda de la selección.
+         * Un único valor con varias celdas seleccionadas se copia en todas.
+         */
+        onPaste(e) {
+            const text = e.clipboardData?.getData('text/plain');
+            const range = this.range();
+            if (!text || !range) return;
+
+            e.preventDefault();
+            const matrix = text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+            const changes = [];
+
+            if (matrix.length === 1 && matrix[0].length === 1) {
+                this.selectedCells().forEach(input => changes.push({ input, value: matrix[0][0] }));
+            } else {
+                matrix.forEach((values, r) => values.forEach((value, c) => {
+                    const input = this.cell(range.top + r, range.left + c);
+                    if (input) changes.push({ input, value });
+                }));
+
+                const bottom = Math.min(this.rows().length - 1, range.top + matrix.length - 1);
+                const right = range.left + Math.max(...matrix.map(values => values.length)) - 1;
+                const lastCol = this.cellsOf(this.rows()[range.top]).length - 1;
+                this.select({ row: range.top, col: range.left }, { row: bottom, col: Math.min(right, lastCol) }, false);
+            }
+
+            const count = this.apply(changes);
+            this.editing = false;
+            if (count > 1) this.announce(`${count} celdas pegadas`);
+        },
+
+        // ----- Cambios e historial -----
+
+        /**
+         * Aplica [{input, value}] como un solo paso deshacible. Devuelve cuántas celdas cambiaron.
+         */
+        apply(changes) {
+            const entry = [];
+
+            changes.forEach(({ input, value }) => {
+                const after = this.normalize(input, value);
+                if (input.value === after) return;
+                entry.push({ input, before: input.value, after });
+                input.value = after;
+                if (input === document.activeElement) this.focusValue = after;
+            });
+
+            if (entry.length) {
+                this.push(entry);
+                this.refresh(entry);
+            }
+            return entry.length;
+        },
+
+        /**
+         * Registra lo tecleado en una celda como un paso del historial
+         */
+        commit(input) {
+            if (this.focusValue === null || input.value === this.focusValue) return;
+
+            const after = this.normalize(input, input.value);
+            input.value = after;
+            const entry = [{ input, before: this.focusValue, after }];
+            this.focusValue = after;
+            this.editing = false;
+
+            this.push(entry);
+            this.refresh(entry);
+        },
+
+        push(entry) {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > CONFIG.GRID_HISTORY) this.undoStack.shift();
+            this.redoStack = [];
+            this.updateHistoryButtons();
+        },
+
+        undo() {
+            const active = document.activeElement;
+            if (this.isCell(active)) this.commit(active);
+
+            const entry = this.undoStack.pop();
+            if (!entry) return;
+            this.restore(entry, 'before');
+            this.redoStack.push(entry);
+            this.updateHistoryButtons();
+            this.announce('Cambio deshecho');
+        },
+
+        redo() {
+            const entry = this.redoStack.pop();
+            if (!entry) return;
+            this.restore(entry, 'after');
+            this.undoStack.push(entry);
+            this.updateHistoryButtons();
+            this.announce('Cambio rehecho');
+        },
+
+        restore(entry, side) {
+            // Las celdas de filas eliminadas ya no están en la tabla
+            const live = entry.filter(change => change.input.isConnected);
+            live.forEach(change => {
+                change.input.value = change[side];
+                if (change.input === document.activeElement) this.focusValue = change[side];
+            });
+            this.refresh(live);
+        },
+
+        refresh(entry) {
+            entry.forEach(({ input }) => VariantsModule.validateVariantInput(input));
+            VariantsModule.updateSummary();
+            PreviewModule.update();
+        },
+
+        /**
+         * Copia la primera fila de la selección en las demás;
+         * con una sola fila seleccionada, copia la de arriba
+         */
+        fillDown() {
+            const range = this.range();
+            if (!range) {
+                Helpers.toast('Seleccione las celdas a rellenar', 'info');
+                return;
+            }
+
+            const source = range.top === range.bottom ? range.top - 1 : range.top;
+            const first = range.top === range.bottom ? range.top : range.top + 1;
+            if (source < 0) return;
+
+            const changes = [];
+            for (let c = range.left; c <= range.right; c++) {
+                const value = this.cell(source, c)?.value ?? '';
+                for (let r = first; r <= range.bottom; r++) {
+                    const input = this.cell(r, c);
+                    if (input) changes.push({ input, value });
+                }
+            }
+
+            const count = this.apply(changes);
+            if (count) this.announce(`${count} celdas rellenadas`);
+        },
+
+        reset() {
+            this.undoStack = [];
+            this.redoStack = [];
+            this.focusValue = null;
+            this.clearSelection();
+            this.updateHistoryButtons();
+        },
+
+        updateHistoryButtons() {
+            const undo = Helpers.$('btnGridUndo');
+            const redo = Helpers.$('btnGridRedo');
+            if (undo) undo.disabled = this.undoStack.length === 0;
+            if (redo) redo.disabled = this.redoStack.length === 0;
+        },
+
+        announce(message) {
+            const status = Helpers.$('gridStatus');
+            if (status) status.textContent = message;
+        }
+    };
+
+    // ========== MÓDULO: VALIDACIÓN ==========
+    const ValidationModule = {
+        init() {
+            const desc = Helpers.$('Descripcion');
+            const charCount = Helpers.$('charCount');
+
+            if (desc && charCount) {
+                const updateCount = Helpers.debounce(() => {
+                    const length = desc.value.length;
+                    charCount.textContent = length;
+                    charCount.style.color = desc.maxLength > 0 && length > desc.maxLength ? 'var(--error)' : 'var(--text-muted)';
+                    this.validateField(desc);
+                }, 100);
+
+                desc.addEventListener('input', updateCount);
+            }
+
+            this.syncPriceRule();
+
+            Helpers.$$('[data-validation]').forEach(field => {
+                field.addEventListener('blur', () => {
+                    if (!this.validateField(field) || !Validator.hasAsyncRules(field)) return;
+                    Validator.validateAsync(field).then(result => this.showFieldResult(field, result));
+                });
+                field.addEventListener('input', () => {
+                    field.classList.remove('input-has-error', 'error');
+                    const errorEl = Helpers.$(field.id + 'Error');
+                    if (errorEl) errorEl.style.display = 'none';
+                });
+            });
+        },
+
+        /**
+         * Con variantes el precio de venta sale de las filas: no se compara con el de compra
+         */
+        syncPriceRule() {
+            Validator.toggleRule(Helpers.$('PrecioVenta'), 'gt:#PrecioCompra', !State.hasVariants);
+        },
+
+        /**
+         * Campos con reglas (data-validation o atributos nativos); las filas de variantes se validan aparte
+         */
+        fields() {
+            return Validator.fields(Helpers.$('productoForm')).filter(field => !field.closest('#tblVars'));
+        },
+
+        validateField(field) {
+            const result = Validator.validate(field);
+            this.showFieldResult(field, result);
+            return result.valid;
+        },
+
+        showFieldResult(field, { valid, message }) {
+            const errorEl = Helpers.$(field.id + 'Error');
+
+            if (valid) {
+                field.classList.remove('input-has-error', 'error');
+                if (errorEl) errorEl.style.display = 'none';
+            } else {
+                field.classList.add('input-has-error', 'error');
+                if (errorEl) {
+                    errorEl.textContent = message;
+                    errorEl.style.display = 'block';
+                }
+            }
+        },
+
+        /**
+         * Reglas asíncronas (nombre repetido, etc.) antes de enviar
+         */
+        async validateRemote() {
+            const fields = this.fields().filter(field => Validator.hasAsyncRules(field));
+            const results = await Promise.all(fields.map(async field => ({ field, ...(await Validator.validateAsync(field)) })));
+            const failed = results.filter(result => !result.valid);
+
+            failed.forEach(({ field, ...result }) => this.showFieldResult(field, result));
+            if (failed.length === 0) return true;
+
+            State.validationErrors = failed.map(({ field, message }) => `${Validator.labelOf(field)}: ${message}`);
+            this.showErrors();
+            return false;
+        },
+
+        validateForm() {
+            if (State.isSubmitting) {
+                Helpers.toast('El formulario ya se está enviando...', 'warning');
+                return false;
+            }
+
+            State.validationErrors = [];
+
+            this.fields().forEach(field => {
+                const result = Validator.validate(field);
+                this.showFieldResult(field, result);
+                if (!result.valid) {
+                    State.validationErrors.push(`${Validator.labelOf(field)}: ${result.message}`);
+                }
+            });
+
+            if (State.hasVariants) {
+                const rows = Helpers.$$(CONFIG.VARIANT_ROWS);
+
+                if (rows.length === 0) {
+                    State.validationErrors.push('Debe agregar al menos una variante cuando las variantes están activadas');
+                } else {
+                    let hasErrors = false;
+                    rows.forEach(row => {
+                        const priceInput = row.querySelector('input[name="VarPrecio"]');
+                        const stockInput = row.querySelector('input[name="VarStock"]');
+
+                        if (!priceInput?.value || Helpers.toNum(priceInput.value) <= 0) {
+                            priceInput?.classList.add('error');
+                            hasErrors = true;
+                        }
+
+                        if (!stockInput?.value || Helpers.toNum(stockInput.value) < 0) {
+                            stockInput?.classList.add('error');
+                            hasErrors = true;
+                        }
+                    });
+
+                    if (hasErrors) {
+                        State.validationErrors.push('Algunas variantes tienen precios o stocks inválidos');
+                    }
+                }
+            }
+
+            const imageCount = Helpers.$$('#galeria .image-thumbnail:not(.removed)').length;
+            if (imageCount === 0) {
+                State.validationErrors.push('Debe agregar al menos una imagen');
+            }
+
+            if (State.validationErrors.length > 0) {
+                this.showErrors();
+                Helpers.toast('Corrija los errores antes de enviar', 'error');
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Errores devueltos por el servidor (ModelState): { campo: [mensajes] }.
+         * Las filas de variantes llegan como "VarPrecio[2]" (índice entre las filas enviadas).
+         */
+        showServerErrors(errors, fallback) {
+            const form = Helpers.$('productoForm');
+            State.validationErrors = [];
+
+            Object.entries(errors || {}).forEach(([key, messages]) => {
+                const message = [].concat(messages).join(' ');
+                const row = /^(Var\w+)\[(\d+)\]$/.exec(key);
+
+                if (row) {
+                    const input = Helpers.$$(`#tblVars input[name="${row[1]}"]:not(:disabled)`)[Number(row[2])];
+                    if (input) this.setServerError(input, message);
+                } else {
+                    const field = this.findField(form, key);
+                    if (field && field.type !== 'file') this.setServerError(field, message);
+                }
+
+                if (!State.validationErrors.includes(message)) State.validationErrors.push(message);
+            });
+
+            if (State.validationErrors.length === 0 && fallback) {
+                State.validationErrors.push(fallback);
+            }
+
+            this.showErrors();
+        },
+
+        /**
+         * Campo del formulario por su name, sin distinguir mayúsculas (las claves son parámetros de la acción)
+         */
+        findField(form, key) {
+            if (!form) return null;
+            const lower = key.toLowerCase();
+            return Array.from(form.elements).find(el => el.name && el.name.toLowerCase() === lower && el.type !== 'hidden') || null;
+        },
+
+        setServerError(field, message) {
+            field.classList.add('input-has-error', 'error');
+            field.setAttribute('aria-invalid', 'true');
+
+            const errorEl = Helpers.$(field.id + 'Error') || field.closest('.form-group')?.querySelector('.form-error');
+            if (errorEl) {
+                errorEl.textContent = message;
+                errorEl.style.display = 'block';
             } else {
-                input.classList.remove('error');
+                field.title = message;
             }
 
-            this.updateSummary();
+            field.addEventListener('input', () => this.clearServerError(field), { once: true });
         },
 
-        updateCount() {
-            const count = Helpers.$$('#tblVars tbody tr').length;
-            const badge = Helpers.$('variantCountBadge');
-            if (badge) badge.textContent = `${count} variante${count !== 1 ? 's' : ''}`;
+        clearServerError(field) {
+            field.classList.remove('input-has-error', 'error');
+            field.removeAttribute('aria-invalid');
+            if (field.closest('#tblVars')) field.removeAttribute('title');
         },
 
-        updateSummary() {
-            const rows = Helpers.$$('#tblVars tbody tr');
-            const summary = Helpers.$('variantSummary');
+        clearServerErrors() {
+            Helpers.$$('#productoForm [aria-invalid="true"]').forEach(field => this.clearServerError(field));
 
-            if (rows.length === 0) {
-                if (summary) summary.style.display = 'none';
+            const card = Helpers.$('validationCard');
+            if (card) card.style.display = 'none';
+        },
+
+        showErrors() {
+            const card = Helpers.$('validationCard');
+            const list = Helpers.$('validationErrors');
+
+            if (!card || !list) return;
+
+            list.innerHTML = '';
+            State.validationErrors.forEach(error => {
+                const li = document.createElement('li');
+                li.textContent = error;
+                list.appendChild(li);
+            });
+
+            card.style.display = 'block';
+
+            const firstError = document.querySelector('.input-has-error, .error');
+            if (firstError) {
+                firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                firstError.focus();
+            }
+        }
+    };
+
+    // ========== MÓDULO: PREVIEW ==========
+    // Tarjeta del catálogo y página del producto con los datos sin guardar.
+    // El marcado es el de Catalogo.cshtml y VerProducto.cshtml; la selección
+    // de color y talla la maneja CatalogApp.Cards (catalogo.js), como en la tienda.
+    const PreviewModule = {
+        defaultImage: '/images/Productos/default.jpg',
+        isNew: true,
+        // Igual que UmbralUltimasUnidades en Catalogo.cshtml
+        lowStockThreshold: 3,
+
+        init() {
+            let data = {};
+            try {
+                data = JSON.parse(Helpers.$('formData')?.textContent || '{}');
+            } catch (e) {
+                // Sin datos del servidor: valores por defecto
+            }
+            if (data.defaultImage) this.defaultImage = data.defaultImage;
+            if (typeof data.esNuevo === 'boolean') this.isNew = data.esNuevo;
+
+            const dialog = Helpers.$('storePreviewDialog');
+            const btnOpen = Helpers.$('btnStorePreview');
+            if (!dialog || !btnOpen) return;
+
+            if (!window.CatalogApp) {
+                btnOpen.hidden = true;
+                Helpers.log('CatalogApp not available, store preview disabled');
                 return;
             }
 
-            let totalStock = 0;
-            let minPrice = Infinity;
-            let maxPrice = 0;
+            btnOpen.addEventListener('click', () => {
+                if (typeof dialog.showModal !== 'function') return;
+                dialog.showModal();
+                this.render();
+            });
+            Helpers.$('btnStorePreviewClose')?.addEventListener('click', () => dialog.close());
 
-            rows.forEach(row => {
-                const priceInput = row.querySelector('input[name="VarPrecio"]');
-                const stockInput = row.querySelector('input[name="VarStock"]');
+            Helpers.$$('[data-preview-width]', dialog).forEach(btn => {
+                btn.addEventListener('click', () => this.setWidth(btn.dataset.previewWidth));
+            });
 
-                const price = Helpers.toNum(priceInput?.value);
-                const stock = Helpers.toNum(stockInput?.value);
+            // Miniaturas de la página: cambian la imagen principal, como en VerProducto
+            Helpers.$('previewPageSlot')?.addEventListener('click', (e) => {
+                const thumb = e.target.closest('.thumb-item');
+                if (!thumb) return;
+                Helpers.$$('.thumb-item', thumb.parentElement).forEach(t => t.classList.toggle('active', t === thumb));
+                const main = Helpers.$('previewPageSlot').querySelector('.gallery-image');
+                if (main) main.src = thumb.dataset.src;
+            });
+        },
 
-                totalStock += stock;
+        update: Helpers.debounce(function () {
+            const pc = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
+            const pv = Helpers.toNum(Helpers.$('PrecioVenta')?.value);
 
-                if (price > 0) {
-                    minPrice = Math.min(minPrice, price);
-                    maxPrice = Math.max(maxPrice, price);
-                }
+            const stock = State.hasVariants
+                ? Helpers.toNum(Helpers.$('summaryStock')?.textContent || 0)
+                : Helpers.toNum(Helpers.$('Stock')?.value);
+
+            const margin = pv - pc;
+
+            const priceEl = Helpers.$('previewPrice');
+            const marginEl = Helpers.$('previewMargin');
+            const stockEl = Helpers.$('previewStock');
+
+            if (priceEl) priceEl.textContent = Helpers.fmtUSD(pv);
+            if (marginEl) marginEl.textContent = Helpers.fmtUSD(margin);
+            if (stockEl) stockEl.textContent = `${stock} unidades`;
+
+            PreviewModule.render();
+        }, 200),
+
+        /**
+         * Vuelve a pintar la tarjeta del lateral y, si está abierto, el diálogo
+         */
+        render() {
+            if (!window.CatalogApp) return;
+
+            const product = this.collect();
+            this.mount(Helpers.$('previewCardSlot'), this.cardHtml(product));
+
+            if (Helpers.$('storePreviewDialog')?.open) {
+                this.mount(Helpers.$('previewCatalogSlot'), this.cardHtml(product));
+                this.mount(Helpers.$('previewPageSlot'), this.pageHtml(product));
+            }
+        },
+
+        /**
+         * Sustituye el contenido conservando el color y la talla elegidos
+         */
+        mount(slot, html) {
+            if (!slot) return;
+
+            const color = slot.querySelector('[data-color-select].active')?.dataset.colorSelect;
+            const size = slot.querySelector('[data-size-select].active')?.dataset.sizeSelect;
+
+            slot.innerHTML = html;
+            const card = slot.querySelector('[data-product-card]');
+            if (!card) return;
+
+            window.CatalogApp.Colors.paintColorDots(card);
+            window.CatalogApp.Cards.initCard(card);
+
+            const reselect = (attr, value) => {
+                if (!value) return;
+                const btn = Helpers.$$(`[${attr}]`, card).find(b => b.getAttribute(attr) === value);
+                if (btn && !btn.disabled) btn.click();
+            };
+            reselect('data-color-select', color);
+            reselect('data-size-select', size);
+        },
+
+        setWidth(width) {
+            const stage = Helpers.$('storePreviewStage');
+            if (!stage) return;
+            stage.dataset.width = width;
+            Helpers.$$('[data-preview-width]').forEach(btn =>
+                btn.setAttribute('aria-pressed', String(btn.dataset.previewWidth === width)));
+        },
+
+        /**
+         * Datos del formulario tal como los mostraría la tienda
+         */
+        collect() {
+            const pv = Helpers.toNum(Helpers.$('PrecioVenta')?.value);
+            const categoria = Helpers.$('categoriaID');
+
+            const images = Helpers.$$('#galeria .image-thumbnail:not(.removed)')
+                .map(card => ({ src: card.querySelector('img')?.src, cover: !!card.querySelector('.image-badge') }))
+                .filter(image => image.src);
+            // Portada: la marcada o la primera, igual que ImagesModule.updateCoverInputs
+            const cover = images.find(image => image.cover) || images[0];
+            if (cover) images.unshift(...images.splice(images.indexOf(cover), 1));
+
+            // Las filas sin precio propio usan el del producto, como en el catálogo
+            const variants = State.hasVariants
+                ? Helpers.$$(CONFIG.VARIANT_ROWS).map((row, i) => ({
+                    id: i + 1,
+                    color: row.querySelector('input[name="VarColor"]')?.value.trim() || null,
+                    talla: row.querySelector('input[name="VarTalla"]')?.value.trim() || null,
+                    stock: Math.max(0, Math.trunc(Helpers.toNum(row.querySelector('input[name="VarStock"]')?.value))),
+                    precio: Helpers.toNum(row.querySelector('input[name="VarPrecio"]')?.value) || pv
+                }))
+                : [];
+
+            // Colores y tallas de las etiquetas; sin stock en ninguna variante quedan al final
+            const options = (selector, key) => {
+                const seen = new Set();
+                return Helpers.$$(selector)
+                    .map(input => input.value.trim())
+                    .filter(value => value && !seen.has(value.toLowerCase()) && seen.add(value.toLowerCase()))
+                    .map(value => ({
+                        value,
+                        inStock: variants.some(v => v.stock > 0 && (v[key] || '').toLowerCase() === value.toLowerCase())
+                    }))
+                    .sort((a, b) => Number(b.inStock) - Number(a.inStock));
+            };
+
+            const inStock = variants.filter(v => v.stock > 0);
+            const units = State.hasVariants
+                ? inStock.reduce((sum, v) => sum + v.stock, 0)
+                : Math.max(0, Math.trunc(Helpers.toNum(Helpers.$('Stock')?.value)));
+            const prices = inStock.length ? inStock.map(v => v.precio) : [pv];
+
+            return {
+                name: Helpers.$('Nombre')?.value.trim() || 'Nombre del producto',
+                brand: Helpers.$('Marca')?.value.trim() || '',
+                description: Helpers.$('Descripcion')?.value.trim() || '',
+                category: categoria?.value ? categoria.selectedOptions[0]?.textContent.trim() : '',
+                images: images.length ? images.map(image => image.src) : [this.defaultImage],
+                colors: State.hasVariants ? options('#tagsColores .tag input', 'color') : [],
+                sizes: State.hasVariants ? options('#tagsTallas .tag input', 'talla') : [],
+                variants,
+                units,
+                hasStock: units > 0,
+                minPrice: Math.min(...prices),
+                maxPrice: Math.max(...prices)
+            };
+        },
+
+        lowStockText(units) {
+            return units === 1 ? '¡Última unidad!' : `¡Últimas ${units} unidades!`;
+        },
+
+        /**
+         * Tarjeta de Catalogo.cshtml (los enlaces y el carrito no hacen nada aquí).
+         * Copia a mano del <article class="product-card"> de Views/Compras/Catalogo.cshtml:
+         * si cambia su marcado, hay que cambiarlo también aquí.
+         */
+        cardHtml(p) {
+            const esc = Helpers.escapeHtml;
+            const money = window.CatalogApp.Utils.formatCurrency;
+            const colors = p.colors.slice(0, 6).map(c => `
+                <button type="button" class="overlay-color-dot ${c.inStock ? '' : 'disabled'}"
+                        data-color="${esc(c.value)}" data-color-select="${esc(c.value)}"
+                        title="${esc(c.inStock ? c.value : `${c.value} (agotado)`)}"
+                        aria-label="Seleccionar color ${esc(c.value)}${c.inStock ? '' : ', agotado'}"
+                        ${c.inStock ? '' : 'disabled'}></button>`).join('');
+            const sizes = p.sizes.slice(0, 5).map(t => `
+                <button type="button" class="overlay-size-btn ${t.inStock ? '' : 'disabled'}"
+                        data-size-select="${esc(t.value)}"
+                        aria-label="Seleccionar talla ${esc(t.value)}${t.inStock ? '' : ', agotada'}"
+                        ${t.inStock ? '' : 'disabled'}>${esc(t.value)}</button>`).join('');
+
+            const overlay = p.hasStock && (p.colors.length || p.sizes.length) ? `
+                <div class="product-overlay">
+                    ${p.colors.length ? `<div class="overlay-colors">${colors}
+                        ${p.colors.length > 6 ? `<span class="text-white small">+${p.colors.length - 6}</span>` : ''}</div>` : ''}
+                    ${p.sizes.length ? `<div class="overlay-sizes">${sizes}
+                        ${p.sizes.length > 5 ? `<span class="text-white small">+${p.sizes.length - 5}</span>` : ''}</div>` : ''}
+                    <button type="button" class="overlay-add-btn" data-add-to-cart disabled title="Vista previa">
+                        <i class="fa-solid fa-cart-plus" aria-hidden="true"></i>
+                        Añadir al carrito
+                    </button>
+                </div>` : '';
+
+            const badge = p.hasStock
+                ? `<span class="product-badge badge-low" data-stock-badge data-threshold="${this.lowStockThreshold}"
+                         ${p.units > this.lowStockThreshold ? 'hidden' : ''}>${this.lowStockText(p.units)}</span>`
+                : '<span class="product-badge badge-out">Agotado</span>';
+
+            return `
+                <article class="card product-card h-100 ${p.hasStock ? '' : 'is-out-of-stock'}"
+                         data-product-card data-has-stock="${p.hasStock}">
+                    <div class="product-media">
+                        <span class="d-block w-100 h-100">
+                            <img src="${esc(p.images[0])}" alt="${esc(p.name)}${p.hasStock ? '' : ' - Agotado'}" />
+                        </span>
+                        <div class="product-badges">
+                            <div>${this.isNew && p.hasStock ? '<span class="product-badge badge-new">Nuevo</span>' : ''}</div>
+                            <div>${badge}</div>
+                        </div>
+                        <button type="button" class="wishlist-btn" disabled aria-label="Añadir a favoritos">
+                            <i class="far fa-heart"></i>
+                        </button>
+                        <button type="button" class="quick-view-btn" disabled aria-label="Vista rápida de ${esc(p.name)}">
+                            <i class="fa-regular fa-eye" aria-hidden="true"></i>
+                        </button>
+                        ${overlay}
+                    </div>
+                    <div class="product-info">
+                        <div class="product-category">${esc(p.category)}</div>
+                        <h3 class="product-name"><span>${esc(p.name)}</span></h3>
+                        <div class="product-price" data-price aria-live="polite">
+                            ${p.variants.length && p.minPrice !== p.maxPrice && p.hasStock ? '<span class="product-price-from">Desde</span>' : ''}
+                            ${money(p.minPrice)}
+                        </div>
+                    </div>
+                    <script type="application/json" data-variants-json>${JSON.stringify(p.variants).replace(/</g, '\\u003c')}</script>
+                </article>`;
+        },
+
+        /**
+         * Página del producto con el selector de variantes de la tarjeta.
+         * Copia a mano de la fila galería + .product-info de Views/Compras/VerProducto.cshtml:
+         * si cambia su marcado, hay que cambiarlo también aquí.
+         */
+        pageHtml(p) {
+            const esc = Helpers.escapeHtml;
+            const money = window.CatalogApp.Utils.formatCurrency;
+            const stockClass = p.units > this.lowStockThreshold ? 'stock-available' : p.units > 0 ? 'stock-low' : 'stock-out';
+            const stockText = p.units > 0 ? `${p.units} unidades disponibles` : 'Producto agotado';
+
+            const thumbs = p.images.length > 1 ? `
+                <div class="gallery-thumbs" role="list">
+                    ${p.images.map((src, i) => `
+                        <button type="button" class="thumb-item ${i === 0 ? 'active' : ''}" data-src="${esc(src)}"
+                                aria-label="Ver imagen ${i + 1}">
+                            <img src="${esc(src)}" alt="" />
+                        </button>`).join('')}
+                </div>` : '';
+
+            const variants = p.colors.length || p.sizes.length ? `
+                <div class="variants-section">
+                    ${p.colors.length ? `
+                        <h3 class="variant-title"><i class="fa-solid fa-palette" aria-hidden="true"></i> Color</h3>
+                        <div class="variant-options" role="group" aria-label="Colores disponibles">
+                            ${p.colors.map(c => `
+                                <button type="button" class="variant-label" data-color-select="${esc(c.value)}" ${c.inStock ? '' : 'disabled'}>
+                                    <span class="color-swatch" data-color="${esc(c.value)}" aria-hidden="true"></span>
+                                    ${esc(c.value)}
+                                </button>`).join('')}
+                        </div>` : ''}
+                    ${p.sizes.length ? `
+                        <h3 class="variant-title"><i class="fa-solid fa-ruler" aria-hidden="true"></i> Talla</h3>
+                        <div class="variant-options" role="group" aria-label="Tallas disponibles">
+                            ${p.sizes.map(t => `
+                                <button type="button" class="variant-label" data-size-select="${esc(t.value)}" ${t.inStock ? '' : 'disabled'}>
+                                    ${esc(t.value)}
+                                </button>`).join('')}
+                        </div>` : ''}
+                </div>` : '';
+
+            return `
+                <article class="preview-page" data-product-card>
+                    <div class="product-gallery">
+                        <div class="gallery-main">
+                            <img class="gallery-image" src="${esc(p.images[0])}" alt="${esc(p.name)}" />
+                            <div class="gallery-badge">
+                                <span class="badge bg-warning" data-stock-badge data-threshold="${this.lowStockThreshold}"
+                                      ${p.units > 0 && p.units <= this.lowStockThreshold ? '' : 'hidden'}>${this.lowStockText(p.units)}</span>
+                            </div>
+                        </div>
+                        ${thumbs}
+                    </div>
+                    <div class="product-info">
+                        ${p.brand ? `<div class="product-category">${esc(p.brand)}</div>` : ''}
+                        <h1 class="product-title">${esc(p.name)}</h1>
+                        <div class="price-section">
+                            <span class="current-price" data-price>
+                                ${p.variants.length && p.minPrice !== p.maxPrice && p.hasStock ? '<span class="product-price-from">Desde</span>' : ''}
+                                ${money(p.minPrice)}
+                            </span>
+                        </div>
+                        <div class="stock-info ${stockClass}">${stockText}</div>
+                        ${variants}
+                        <button type="button" class="btn-primary-custom" data-add-to-cart disabled title="Vista previa">
+                            <i class="fa-solid fa-bag-shopping" aria-hidden="true"></i>
+                            ${p.hasStock ? 'Añadir al carrito' : 'Agotado'}
+                        </button>
+                        ${p.description ? `<p class="product-description">${esc(p.description)}</p>` : ''}
+                    </div>
+                    <script type="application/json" data-variants-json>${JSON.stringify(p.variants).replace(/</g, '\\u003c')}</script>
+                </article>`;
+        }
+    };
+
+    // ========== MÓDULO: BORRADORES ==========
+    const DraftModule = {
+        db: { name: 'simone-drafts', version: 1, store: 'productoForm' },
+        key: 'new',
+        // Valores con los que abrió el formulario (los del servidor)
+        baseline: null,
+        lastSaved: null,
+        ready: false,
+        timer: null,
+        // Campos sin name que también forman parte del borrador
+        extraFields: ['chkVariantes'],
+
+        async init() {
+            const form = Helpers.$('productoForm');
+            if (!form || typeof indexedDB === 'undefined') return;
+
+            let data = {};
+            try {
+                data = JSON.parse(Helpers.$('formData')?.textContent || '{}');
+            } catch (e) {
+                // Sin datos del servidor: borrador de producto nuevo
+            }
+
+            this.key = data.productoId ? `producto-${data.productoId}` : 'new';
+
+            // Los atributos llegan por fetch: la línea base se toma cuando ya están pintados
+            await AttributesModule.rendered;
+            this.baseline = this.snapshot();
+
+            let draft;
+            try {
+                draft = await this.load();
+            } catch (error) {
+                Helpers.log('Draft storage unavailable', error);
+                return;
+            }
+
+            // Se envió y el servidor no devolvió el formulario con errores: el guardado fue bien
+            if (draft?.submittedAt && !data.postBack) {
+                await this.remove();
+                draft = null;
+            }
+
+            if (draft?.attributes) await AttributesModule.preload(parseInt(draft.fields?.categoriaID || '0', 10));
+
+            const changes = draft ? this.diff(draft) : [];
+            if (changes.length > 0) {
+                this.offer(draft, changes);
+            } else {
+                if (draft) await this.remove();
+                this.start();
+            }
+        },
+
+        start() {
+            const form = Helpers.$('productoForm');
+            if (!form || this.ready) return;
+
+            this.ready = true;
+            this.lastSaved = this.signature(this.snapshot());
+
+            const saveSoon = Helpers.debounce(() => this.save(), CONFIG.DRAFT_DEBOUNCE_MS);
+            form.addEventListener('input', saveSoon);
+            form.addEventListener('change', saveSoon);
+
+            // Etiquetas, filas y galería cambian sin eventos del formulario
+            this.timer = setInterval(() => this.save(), CONFIG.DRAFT_INTERVAL_MS);
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.save();
             });
+            window.addEventListener('pagehide', () => this.save());
+        },
 
-            const totalEl = Helpers.$('summaryTotal');
-            const stockEl = Helpers.$('summaryStock');
-            const minEl = Helpers.$('summaryMinPrice');
-            const maxEl = Helpers.$('summaryMaxPrice');
+        // ---------- Estado del formulario ----------
 
-            if (totalEl) totalEl.textContent = rows.length;
-            if (stockEl) stockEl.textContent = totalStock;
-            if (minEl) minEl.textContent = Helpers.fmtUSD(minPrice === Infinity ? 0 : minPrice);
-            if (maxEl) maxEl.textContent = Helpers.fmtUSD(maxPrice);
+        isDraftField(el) {
+            if (this.extraFields.includes(el.id)) return true;
+            if (!el.name || el.disabled && el.tagName !== 'SELECT') return false;
+            if (['hidden', 'file', 'submit', 'button', 'reset'].includes(el.type)) return false;
+            // Los atributos van aparte (AttributesModule.snapshot): sus campos cambian con la categoría
+            return !/^(Var|atributo_)/.test(el.name) && el.name !== '__RequestVerificationToken';
+        },
 
-            if (summary) summary.style.display = 'block';
+        fieldKey(el) {
+            return el.name || el.id;
+        },
 
-            const previewStock = Helpers.$('previewStock');
-            if (previewStock) previewStock.textContent = `${totalStock} unidades`;
+        snapshot() {
+            const form = Helpers.$('productoForm');
+            const fields = {};
+
+            Array.from(form?.elements || []).forEach(el => {
+                if (!this.isDraftField(el)) return;
+                if (el.type === 'radio') {
+                    if (el.checked) fields[this.fieldKey(el)] = el.value;
+                } else {
+                    fields[this.fieldKey(el)] = el.type === 'checkbox' ? el.checked : el.value;
+                }
+            });
+
+            const colors = Helpers.$$('#tagsColores .tag input').map(input => ({
+                value: input.value,
+                hex: input.dataset.hex || null
+            }));
+            const sizes = Helpers.$$('#tagsTallas .tag input').map(input => input.value);
+
+            const variants = Helpers.$$('#tblVars tbody tr').map(row => ({
+                color: row.querySelector('input[name="VarColor"]')?.value || '',
+                talla: row.querySelector('input[name="VarTalla"]')?.value || '',
+                precio: row.querySelector('input[name="VarPrecio"]')?.value || '',
+                stock: row.querySelector('input[name="VarStock"]')?.value || '',
+                removed: row.classList.contains('variant-row-removed')
+            }));
+
+            const cards = Helpers.$$('#galeria .image-thumbnail');
+            const images = cards
+                .filter(card => card.dataset.new === '1' && ImagesModule.files.has(card))
+                .map(card => ({
+                    file: ImagesModule.files.get(card),
+                    originalSize: Number(card.dataset.originalSize) || ImagesModule.files.get(card).size
+                }));
+            const coverCard = cards.find(card => card.querySelector('.image-badge'));
+
+            let order = [];
+            try {
+                order = JSON.parse(Helpers.$('ImagenesOrden')?.value || '[]');
+            } catch (e) {
+                order = [];
+            }
+
+            return {
+                fields,
+                attributes: AttributesModule.snapshot(),
+                colors,
+                sizes,
+                variants,
+                images,
+                order,
+                cover: coverCard ? order[cards.indexOf(coverCard)] || null : null,
+                removedImages: Array.from(State.removedExistingImages)
+            };
         },
 
-        initPriceRules() {
-            const chkGlobal = Helpers.$('chkPrecioGlobal');
-            const inpGlobal = Helpers.$('inpPrecioGlobal');
-            const btnApplyGlobal = Helpers.$('btnApplyGlobal');
+        /**
+         * Firma para saber si algo cambió (los archivos se comparan por nombre, tamaño y fecha)
+         */
+        signature(snap) {
+            return JSON.stringify({
+                ...snap,
+                images: (snap.images || []).map(({ file }) => `${file.name}:${file.size}:${file.lastModified}`)
+            });
+        },
 
-            if (chkGlobal && inpGlobal && btnApplyGlobal) {
-                chkGlobal.addEventListener('change', () => {
-                    const enabled = chkGlobal.checked;
-                    inpGlobal.disabled = !enabled;
-                    btnApplyGlobal.disabled = !enabled;
-                });
+        // ---------- Guardado (IndexedDB) ----------
 
-                btnApplyGlobal.addEventListener('click', () => {
-                    const price = Helpers.toNum(inpGlobal.value);
-                    if (price <= 0) {
-                        Helpers.toast('Ingrese un precio válido', 'warning');
-                        return;
-                    }
+        async save() {
+            if (!this.ready) return;
 
-                    Helpers.$$('input[name="VarPrecio"]').forEach(input => {
-                        input.value = price.toFixed(2);
-                    });
+            const snap = this.snapshot();
+            const signature = this.signature(snap);
+            if (signature === this.lastSaved) return;
+            this.lastSaved = signature;
+
+            try {
+                // De vuelta a los valores del servidor: no hay nada que recuperar
+                if (signature === this.signature(this.baseline)) {
+                    await this.remove();
+                    this.status('Sin cambios');
+                    return;
+                }
 
-                    this.updateSummary();
-                    Helpers.toast('Precio aplicado a todas las variantes', 'success');
-                });
+                await this.run('readwrite', store => store.put({ key: this.key, savedAt: Date.now(), ...snap }));
+                const time = new Date().toLocaleTimeString('es-EC', { hour: '2-digit', minute: '2-digit' });
+                this.status(`Borrador guardado a las ${time}`);
+            } catch (error) {
+                Helpers.log('Draft save failed', error);
+                this.status('No se pudo guardar el borrador');
             }
+        },
 
-            const chkPorTalla = Helpers.$('chkPrecioPorTalla');
-            const boxPorTalla = Helpers.$('boxPrecioPorTalla');
-
-            if (chkPorTalla && boxPorTalla) {
-                chkPorTalla.addEventListener('change', () => {
-                    const enabled = chkPorTalla.checked;
-                    boxPorTalla.style.display = enabled ? 'block' : 'none';
+        /**
+         * Al enviar: el borrador se conserva marcado, por si la página se cierra a mitad de la subida
+         */
+        markSubmitted() {
+            if (!this.ready) return;
 
-                    if (enabled) {
-                        this.renderPriceBySize(boxPorTalla);
-                    }
-                });
-            }
+            const snap = this.snapshot();
+            this.lastSaved = this.signature(snap);
+            this.run('readwrite', store => store.put({ key: this.key, savedAt: Date.now(), submittedAt: Date.now(), ...snap }))
+                .catch(error => Helpers.log('Draft submit mark failed', error));
         },
 
-        renderPriceBySize(container) {
-            const sizes = Helpers.$$('#tagsTallas .tag input').map(i => i.value);
-            container.innerHTML = '';
+        /**
+         * El servidor rechazó el envío: el borrador vuelve a ser uno normal
+         */
+        resume() {
+            if (!this.ready) return;
 
-            sizes.forEach(size => {
-                const row = document.createElement('div');
-                row.style.cssText = 'display:flex;align-items:center;gap:8px;margin-bottom:8px;';
-                row.innerHTML = `
-                    <span style="min-width:80px;">${size}</span>
-                    <input type="number" 
-                           step="0.01" 
-                           class="form-input price-rule-input" 
-                           data-size="${size}" 
-                           placeholder="0.00" />
-                `;
-                container.appendChild(row);
-            });
+            this.lastSaved = null;
+            this.save();
+        },
 
-            const btnApply = document.createElement('button');
-            btnApply.type = 'button';
-            btnApply.className = 'btn btn-success';
-            btnApply.textContent = 'Aplicar';
-            btnApply.style.marginTop = '8px';
-            btnApply.addEventListener('click', () => this.applyPriceBySize());
-            container.appendChild(btnApply);
+        /**
+         * Guardado correcto: ya no hay nada que recuperar
+         */
+        clear() {
+            clearInterval(this.timer);
+            this.ready = false;
+            return this.remove().catch(error => Helpers.log('Draft clear failed', error));
         },
 
-        applyPriceBySize() {
-            const priceMap = {};
+        status(text) {
+            const el = Helpers.$('lastSaved');
+            if (el) el.textContent = text;
+        },
 
-            Helpers.$$('input[data-size]').forEach(input => {
-                const size = input.dataset.size;
-                const price = Helpers.toNum(input.value);
-                if (price > 0) {
-                    priceMap[size] = price;
-                }
+        open() {
+            return new Promise((resolve, reject) => {
+                const req = indexedDB.open(this.db.name, this.db.version);
+                req.onupgradeneeded = () => {
+                    req.result.createObjectStore(this.db.store, { keyPath: 'key' });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
             });
+        },
 
-            Helpers.$$('#tblVars tbody tr').forEach(row => {
-                const sizeInput = row.querySelector('input[name="VarTalla"]');
-                const priceInput = row.querySelector('input[name="VarPrecio"]');
-
-                if (sizeInput && priceInput) {
-                    const size = sizeInput.value;
-                    if (priceMap[size]) {
-                        priceInput.value = priceMap[size].toFixed(2);
-                    }
-                }
+        async run(mode, action) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(this.db.store, mode);
+                const req = action(tx.objectStore(this.db.store));
+                tx.oncomplete = () => { db.close(); resolve(req.result); };
+                tx.onerror = () => { db.close(); reject(tx.error); };
             });
+        },
 
-            this.updateSummary();
-            Helpers.toast('Precios aplicados por talla', 'success');
-        }
-    };
+        load() {
+            return this.run('readonly', store => store.get(this.key));
+        },
 
-    // ========== MÓDULO: VALIDACIÓN ==========
-    const ValidationModule = {
-        init() {
-            const desc = Helpers.$('Descripcion');
-            const charCount = Helpers.$('charCount');
+        remove() {
+            return this.run('readwrite', store => store.delete(this.key));
+        },
 
-            if (desc && charCount) {
-                const updateCount = Helpers.debounce(() => {
-                    const length = desc.value.length;
-                    charCount.textContent = length;
-                    charCount.style.color = length > 500 ? 'var(--error)' : 'var(--text-muted)';
-                    this.validateField(desc);
-                }, 100);
+        // ---------- Diferencias con el servidor ----------
 
-                desc.addEventListener('input', updateCount);
-            }
+        /**
+         * Cambios del borrador respecto a lo guardado: [{ label, from, to }]
+         */
+        diff(draft) {
+            const base = this.baseline;
+            const changes = [];
+            const form = Helpers.$('productoForm');
 
-            Helpers.$$('[data-validation]').forEach(field => {
-                field.addEventListener('blur', () => this.validateField(field));
-                field.addEventListener('input', () => {
-                    field.classList.remove('input-has-error', 'error');
-                    const errorEl = Helpers.$(field.id + 'Error');
-                    if (errorEl) errorEl.style.display = 'none';
-                });
+            Object.keys({ ...base.fields, ...draft.fields }).forEach(key => {
+                const from = base.fields[key];
+                const to = draft.fields[key];
+                if (to === undefined || from === to) return;
+
+                const el = form?.elements[key] || Helpers.$(key);
+                changes.push({ label: this.labelFor(el, key), from: this.display(el, from), to: this.display(el, to) });
             });
-        },
 
-        validateField(field) {
-            const rules = field.getAttribute('data-validation') || '';
-            const value = (field.value || '').trim();
-            const errorEl = Helpers.$(field.id + 'Error');
+            if (draft.attributes) {
+                const baseAttrs = base.attributes || {};
+                Object.keys({ ...baseAttrs, ...draft.attributes }).forEach(id => {
+                    const from = baseAttrs[id] || '';
+                    const to = draft.attributes[id] || '';
+                    if (from === to) return;
+
+                    const attr = AttributesModule.definition(id);
+                    changes.push({
+                        label: attr?.nombre || `Atributo ${id}`,
+                        from: this.displayAttribute(attr, from),
+                        to: this.displayAttribute(attr, to)
+                    });
+                });
+            }
 
-            let isValid = true;
-            let message = '';
-
-            if (rules.includes('required') && !value) {
-                isValid = false;
-                message = errorEl?.textContent || 'Este campo es requerido';
-            }
-            else if (rules.includes('number') && value) {
-                const num = Helpers.toNum(value);
-                if (isNaN(num)) {
-                    isValid = false;
-                    message = 'Debe ser un número válido';
-                } else if (rules.includes('min:0.01') && num < 0.01) {
-                    isValid = false;
-                    message = 'Debe ser mayor a 0';
-                } else if (rules.includes('min:0') && num < 0) {
-                    isValid = false;
-                    message = 'Debe ser mayor o igual a 0';
+            const listDiff = (label, before, after) => {
+                const lower = (list) => list.map(v => v.toLowerCase());
+                const added = after.filter(v => !lower(before).includes(v.toLowerCase()));
+                const removed = before.filter(v => !lower(after).includes(v.toLowerCase()));
+                if (added.length || removed.length) {
+                    changes.push({
+                        label,
+                        from: removed.length ? removed.join(', ') : '',
+                        to: added.length ? added.join(', ') : ''
+                    });
                 }
+            };
+            listDiff('Colores', base.colors.map(c => c.value), (draft.colors || []).map(c => c.value));
+            listDiff('Tallas', base.sizes, draft.sizes || []);
+
+            const key = (v) => VariantsModule.variantKey(v.color, v.talla);
+            const baseRows = new Map(base.variants.map(v => [key(v), v]));
+            const draftRows = (draft.variants || []).filter(v => !v.removed);
+            const added = draftRows.filter(v => !baseRows.has(key(v))).length;
+            const edited = draftRows.filter(v => {
+                const b = baseRows.get(key(v));
+                return b && (Helpers.toNum(b.precio) !== Helpers.toNum(v.precio) || Helpers.toNum(b.stock) !== Helpers.toNum(v.stock));
+            }).length;
+            const dropped = base.variants.filter(v => !draftRows.some(d => key(d) === key(v))).length;
+            if (added || edited || dropped) {
+                const parts = [];
+                if (added) parts.push(`${added} nueva${added !== 1 ? 's' : ''}`);
+                if (edited) parts.push(`${edited} modificada${edited !== 1 ? 's' : ''}`);
+                if (dropped) parts.push(`${dropped} eliminada${dropped !== 1 ? 's' : ''}`);
+                changes.push({ label: 'Variantes', from: '', to: parts.join(', ') });
             }
 
-            if (isValid) {
-                field.classList.remove('input-has-error', 'error');
-                if (errorEl) errorEl.style.display = 'none';
-            } else {
-                field.classList.add('input-has-error', 'error');
-                if (errorEl) {
-                    errorEl.textContent = message;
-                    errorEl.style.display = 'block';
-                }
+            const images = draft.images || [];
+            if (images.length) {
+                const size = images.reduce((sum, { file }) => sum + file.size, 0);
+                changes.push({ label: 'Imágenes sin subir', from: '', to: `${images.length} (${Helpers.fmtBytes(size)})` });
+            }
+            const removedImages = (draft.removedImages || []).filter(url => !base.removedImages.includes(url));
+            if (removedImages.length) {
+                changes.push({ label: 'Imágenes quitadas', from: '', to: String(removedImages.length) });
+            }
+            if (!images.length && JSON.stringify(draft.order || []) !== JSON.stringify(base.order)
+                && (draft.order || []).length === base.order.length) {
+                changes.push({ label: 'Galería', from: '', to: 'orden cambiado' });
             }
 
-            return isValid;
+            return changes;
         },
 
-        validateForm() {
-            if (State.isSubmitting) {
-                Helpers.toast('El formulario ya se está enviando...', 'warning');
-                return false;
+        labelFor(el, key) {
+            const label = el?.id ? document.querySelector(`label[for="${el.id}"]`) : null;
+            return (label?.textContent || el?.getAttribute?.('aria-label') || key).trim().replace(/\s+/g, ' ');
+        },
+
+        display(el, value) {
+            if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+            if (value === undefined || value === null || value === '') return '';
+
+            if (el?.tagName === 'SELECT') {
+                const option = Array.from(el.options).find(o => o.value === String(value));
+                if (option) return option.textContent.trim();
+                // Subcategorías de otra categoría todavía no están en el select
+                const sub = State.subcategorias.find(s => String(s.SubcategoriaID) === String(value));
+                if (sub) return sub.NombreSubcategoria;
             }
 
-            State.validationErrors = [];
+            const text = String(value).replace(/\s+/g, ' ').trim();
+            return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+        },
 
-            Helpers.$$('[data-validation]').forEach(field => {
-                if (!this.validateField(field)) {
-                    const label = field.previousElementSibling?.textContent?.replace('*', '').trim() || field.name;
-                    State.validationErrors.push(`${label} es requerido o inválido`);
+        displayAttribute(attr, value) {
+            if (!value) return '';
+            if (attr?.tipoCampo === 'checkbox') return value === 'true' ? 'Sí' : 'No';
+            if (attr?.tipoCampo === 'multiselect') {
+                try {
+                    return this.display(null, [].concat(JSON.parse(value)).join(', '));
+                } catch (e) {
+                    // Guardado como valor simple
                 }
-            });
+            }
+            return this.display(null, value);
+        },
 
-            if (!State.hasVariants) {
-                const pc = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
-                const pv = Helpers.toNum(Helpers.$('PrecioVenta')?.value);
+        // ---------- Recuperación ----------
 
-                if (!(pv > pc)) {
-                    State.validationErrors.push('El precio de venta debe ser mayor al precio de compra');
-                    Helpers.$('PrecioVenta')?.classList.add('input-has-error', 'error');
-                }
+        offer(draft, changes) {
+            const banner = Helpers.$('draftBanner');
+            if (!banner) {
+                this.start();
+                return;
             }
 
-            if (State.hasVariants) {
-                const rows = Helpers.$$('#tblVars tbody tr');
+            const when = new Date(draft.savedAt).toLocaleString('es-EC', { dateStyle: 'medium', timeStyle: 'short' });
+            const title = Helpers.$('draftTitle');
+            if (title) {
+                title.textContent = draft.submittedAt
+                    ? `El último guardado no se completó: borrador del ${when}`
+                    : `Tienes un borrador sin guardar del ${when}`;
+            }
 
-                if (rows.length === 0) {
-                    State.validationErrors.push('Debe agregar al menos una variante cuando las variantes están activadas');
-                } else {
-                    let hasErrors = false;
-                    rows.forEach(row => {
-                        const priceInput = row.querySelector('input[name="VarPrecio"]');
-                        const stockInput = row.querySelector('input[name="VarStock"]');
+            const list = Helpers.$('draftDiff');
+            if (list) {
+                list.innerHTML = changes.map(({ label, from, to }) => `
+                    <li>
+                        <strong>${Helpers.escapeHtml(label)}:</strong>
+                        ${from ? `<del>${Helpers.escapeHtml(from)}</del>` : ''}
+                        ${from && to ? '<span aria-hidden="true">→</span>' : ''}
+                        ${to ? `<ins>${Helpers.escapeHtml(to)}</ins>` : ''}
+                    </li>
+                `).join('');
+            }
 
-                        if (!priceInput?.value || Helpers.toNum(priceInput.value) <= 0) {
-                            priceInput?.classList.add('error');
-                            hasErrors = true;
-                        }
+            Helpers.$('btnDraftRestore')?.addEventListener('click', () => this.restore(draft), { once: true });
+            Helpers.$('btnDraftDiscard')?.addEventListener('click', () => this.discard(), { once: true });
 
-                        if (!stockInput?.value || Helpers.toNum(stockInput.value) < 0) {
-                            stockInput?.classList.add('error');
-                            hasErrors = true;
-                        }
-                    });
+            banner.hidden = false;
+        },
 
-                    if (hasErrors) {
-                        State.validationErrors.push('Algunas variantes tienen precios o stocks inválidos');
-                    }
-                }
+        async discard() {
+            const banner = Helpers.$('draftBanner');
+            if (banner) banner.hidden = true;
+
+            try {
+                await this.remove();
+            } catch (error) {
+                Helpers.log('Draft discard failed', error);
             }
 
-            const imageCount = Helpers.$$('#galeria .image-thumbnail:not(.removed)').length;
-            if (imageCount === 0) {
-                State.validationErrors.push('Debe agregar al menos una imagen');
+            this.start();
+            Helpers.toast('Borrador descartado', 'info');
+        },
+
+        restore(draft) {
+            const form = Helpers.$('productoForm');
+            const banner = Helpers.$('draftBanner');
+            if (!form) return;
+
+            // Categoría primero: llena el select de subcategorías
+            const category = form.elements.categoriaID;
+            const fields = { ...draft.fields };
+            if (category && fields.categoriaID !== undefined) {
+                this.setField(category, fields.categoriaID);
+                delete fields.categoriaID;
             }
 
-            if (State.validationErrors.length > 0) {
-                this.showErrors();
-                Helpers.toast('Corrija los errores antes de enviar', 'error');
-                return false;
+            Object.entries(fields).forEach(([key, value]) => {
+                const el = form.elements[key] || Helpers.$(key);
+                if (el) this.setField(el, value);
+            });
+
+            // Si la categoría cambió, sus campos aún no existen: se pintan con estos valores al llegar
+            if (draft.attributes) AttributesModule.restore(draft.attributes);
+
+            this.restoreTags(draft);
+            this.restoreVariants(draft.variants || []);
+            this.restoreImages(draft);
+
+            PreviewModule.update();
+            if (banner) banner.hidden = true;
+
+            this.start();
+            Helpers.toast('Borrador restaurado', 'success');
+        },
+
+        setField(el, value) {
+            // RadioNodeList: grupo de radios con el mismo name
+            if (el instanceof RadioNodeList) {
+                el.value = value;
+                el[0]?.dispatchEvent(new Event('change', { bubbles: true }));
+                return;
             }
 
-            return true;
+            if (el.type === 'checkbox') {
+                if (el.checked === Boolean(value)) return;
+                el.checked = Boolean(value);
+            } else {
+                if (el.value === value) return;
+                el.value = value;
+            }
+
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
         },
 
-        showErrors() {
-            const card = Helpers.$('validationCard');
-            const list = Helpers.$('validationErrors');
+        restoreTags(draft) {
+            const colorTags = Helpers.$('tagsColores');
+            const sizeTags = Helpers.$('tagsTallas');
 
-            if (!card || !list) return;
+            if (colorTags && draft.colors) {
+                Helpers.$$('.tag', colorTags).forEach(tag => tag.remove());
+                draft.colors.forEach(({ value, hex }) => VariantsModule.addTag(colorTags, 'color', value, { quiet: true, hex }));
+            }
 
-            list.innerHTML = '';
-            State.validationErrors.forEach(error => {
-                const li = document.createElement('li');
-                li.textContent = error;
-                list.appendChild(li);
+            if (sizeTags && draft.sizes) {
+                Helpers.$$('.tag', sizeTags).forEach(tag => tag.remove());
+                draft.sizes.forEach(value => VariantsModule.addTag(sizeTags, 'talla', value, { quiet: true }));
+            }
+        },
+
+        restoreVariants(rows) {
+            const tbody = Helpers.$('tblVars')?.querySelector('tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = '';
+            VariantGridModule.reset();
+
+            rows.forEach(({ color, talla, precio, stock, removed }) => {
+                const row = VariantsModule.createVariantRow(color, talla);
+                row.querySelector('input[name="VarPrecio"]').value = precio;
+                row.querySelector('input[name="VarStock"]').value = stock;
+                tbody.appendChild(row);
+                if (removed) VariantsModule.markRemoved(row, true);
             });
 
-            card.style.display = 'block';
+            const note = Helpers.$('noteVars');
+            if (note) note.style.display = rows.length ? 'none' : 'block';
 
-            const firstError = document.querySelector('.input-has-error, .error');
-            if (firstError) {
-                firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                firstError.focus();
-            }
-        }
-    };
+            const summary = Helpers.$('variantSummary');
+            if (summary) summary.style.display = rows.length ? 'block' : 'none';
 
-    // ========== MÓDULO: PREVIEW ==========
-    const PreviewModule = {
-        update: Helpers.debounce(function () {
-            const pc = Helpers.toNum(Helpers.$('PrecioCompra')?.value);
-            const pv = Helpers.toNum(Helpers.$('PrecioVenta')?.value);
+            VariantsModule.updateRemovalNote();
+            VariantsModule.updateCount();
+            VariantsModule.updateSummary();
+        },
 
-            const stock = State.hasVariants
-                ? Helpers.toNum(Helpers.$('summaryStock')?.textContent || 0)
-                : Helpers.toNum(Helpers.$('Stock')?.value);
+        restoreImages(draft) {
+            const gallery = Helpers.$('galeria');
+            if (!gallery) return;
 
-            const margin = pv - pc;
+            (draft.removedImages || []).forEach(url => {
+                const card = Helpers.$$('.image-thumbnail[data-existing="1"]', gallery).find(c => c.dataset.url === url);
+                if (!card) return;
+                State.removedExistingImages.add(url);
+                card.classList.add('removed');
+                card.remove();
+            });
+            ImagesModule.updateIgnoreInput();
 
-            const priceEl = Helpers.$('previewPrice');
-            const marginEl = Helpers.$('previewMargin');
-            const stockEl = Helpers.$('previewStock');
+            const slots = CONFIG.MAX_IMAGES - ImagesModule.getCurrentImageCount();
+            (draft.images || []).slice(0, Math.max(0, slots)).forEach(({ file, originalSize }) => {
+                ImagesModule.createThumbnail({ file, originalSize, size: file.size });
+            });
 
-            if (priceEl) priceEl.textContent = Helpers.fmtUSD(pv);
-            if (marginEl) marginEl.textContent = Helpers.fmtUSD(margin);
-            if (stockEl) stockEl.textContent = `${stock} unidades`;
-        }, 200)
+            ImagesModule.applyOrder(draft.order);
+
+            if (draft.cover) {
+                const cards = Helpers.$$('.image-thumbnail', gallery);
+                const newCards = cards.filter(card => card.dataset.new === '1');
+                const cover = 'newIndex' in draft.cover
+                    ? newCards[draft.cover.newIndex]
+                    : cards.find(card => card.dataset.url === draft.cover.existingPath);
+                if (cover) ImagesModule.markAsCover(cover);
+            }
+
+            ImagesModule.syncFiles();
+            ImagesModule.updateImageCount();
+            ImagesModule.refreshCoverTools();
+        }
     };
 
     // ========== MÓDULO: SUBMIT ==========
@@ -1130,11 +4682,30 @@
                 // no deshabilitamos el botón — solo salimos sin hacer nada.
                 if (e.defaultPrevented) return;
 
+                e.preventDefault();
+
+                // Enter en un campo mientras sube: no reiniciar el envío en curso
+                if (State.isSubmitting) {
+                    Helpers.toast('El formulario ya se está enviando...', 'warning');
+                    return;
+                }
+
                 if (!this.prepareSubmit()) {
-                    e.preventDefault();
                     State.isSubmitting = false;
                     this.resetSubmitButton();
+                    return;
                 }
+
+                ValidationModule.validateRemote().then(valid => {
+                    if (valid) {
+                        this.send(form);
+                        return;
+                    }
+                    State.isSubmitting = false;
+                    this.resetSubmitButton();
+                    DraftModule.resume();
+                    Helpers.toast('Corrija los errores antes de enviar', 'error');
+                });
             });
         },
 
@@ -1156,23 +4727,105 @@
                 return false;
             }
 
+            // Aún se están optimizando imágenes: se enviarían sin ellas
+            if (ImagesModule.pending > 0) {
+                Helpers.toast('Espera a que terminen de procesarse las imágenes', 'warning');
+                return false;
+            }
+
+            // Variantes que perdieron su color o talla al regenerar: confirmar el borrado
+            const removed = Helpers.$$('#tblVars tbody tr.variant-row-removed').length;
+            if (State.hasVariants && removed > 0 &&
+                !confirm(`Se eliminarán ${removed} variante${removed !== 1 ? 's' : ''} marcada${removed !== 1 ? 's' : ''} para eliminar. ¿Guardar de todos modos?`)) {
+                return false;
+            }
+
             // Todas las validaciones pasaron — seguro desactivar el botón
             State.isSubmitting = true;
             this.disableSubmitButton();
+            DraftModule.markSubmitted();
 
             // ✅ CRITICAL FIX: NO NORMALIZAR VALORES
             // El InvariantDecimalModelBinder en el servidor ya maneja la normalización
             // Dejar los valores tal cual están para que el navegador los envíe correctamente
 
-            // Remover variantes si modo simple
+            Helpers.log('Form submitted');
+
+            return true;
+        },
+
+        /**
+         * Envía el formulario por AJAX. XMLHttpRequest en lugar de fetch: fetch no informa
+         * del progreso de subida. Si el servidor rechaza los datos, todo queda como estaba.
+         */
+        send(form) {
+            const data = new FormData(form);
+
+            // Modo simple: las filas de variantes se conservan en pantalla pero no se envían
             if (!State.hasVariants) {
-                Helpers.$$('input[name^="Var"]').forEach(input => input.remove());
+                ['VarColor', 'VarTalla', 'VarPrecio', 'VarStock'].forEach(name => data.delete(name));
             }
 
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', form.action || window.location.href);
+            xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+            xhr.setRequestHeader('Accept', 'application/json');
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (!e.lengthComputable) return;
+                const percent = Math.round((e.loaded / e.total) * 100);
+                ImagesModule.showProgress(e.loaded, e.total,
+                    `Subiendo ${Helpers.fmtBytes(e.loaded)} de ${Helpers.fmtBytes(e.total)}`);
+                this.setSubmitProgress(e.loaded < e.total ? `Guardando... ${percent}%` : 'Procesando...');
+            });
+
+            xhr.addEventListener('load', () => this.handleResponse(xhr));
+            xhr.addEventListener('error', () => this.fail('No se pudo conectar con el servidor. Tus datos siguen en el formulario.'));
+            xhr.addEventListener('abort', () => this.fail('Envío cancelado.'));
+
+            ValidationModule.clearServerErrors();
             Helpers.toast('Guardando producto...', 'info');
-            Helpers.log('Form submitted');
+            xhr.send(data);
+        },
 
-            return true;
+        handleResponse(xhr) {
+            let result = null;
+            try {
+                result = JSON.parse(xhr.responseText);
+            } catch (e) {
+                // Respuesta HTML (p. ej. token antifalsificación caducado)
+            }
+
+            if (result?.redirect) {
+                ImagesModule.hideProgress();
+                (result.ok ? DraftModule.clear() : Promise.resolve())
+                    .finally(() => { window.location.href = result.redirect; });
+                return;
+            }
+
+            if (result && result.ok === false) {
+                ValidationModule.showServerErrors(result.errors, result.msg);
+                this.fail(result.msg || 'El servidor rechazó los datos');
+                return;
+            }
+
+            this.fail(xhr.status >= 500
+                ? 'Error del servidor al guardar. Tus datos siguen en el formulario.'
+                : 'No se pudo guardar. Recarga la página si el problema continúa.');
+        },
+
+        fail(message) {
+            State.isSubmitting = false;
+            this.resetSubmitButton();
+            ImagesModule.hideProgress();
+            DraftModule.resume();
+            Helpers.toast(message, 'error');
+            Helpers.log('Submit failed', message);
+        },
+
+        setSubmitProgress(text) {
+            const btn = Helpers.$('btnSubmit');
+            if (btn) btn.innerHTML = `<i class="fas fa-spinner spinner"></i> ${Helpers.escapeHtml(text)}`;
         },
 
         disableSubmitButton() {
@@ -1198,15 +4851,22 @@
             Helpers.log('Initializing ProductoForm...');
 
             SubcategoriesModule.init();
+            CategoryPickerModule.init();
+            AttributesModule.init();
             PricingModule.init();
+            MarginModule.init();
             ImagesModule.init();
+            CoverCropModule.init();
             VariantsModule.init();
+            VariantGridModule.init();
             ValidationModule.init();
             SubmitModule.init();
+            DraftModule.init();
+            PreviewModule.init();
 
             PreviewModule.update();
 
-            const fieldsToWatch = ['#Nombre', '#Marca', '#Stock', '#PrecioCompra', '#PrecioVenta'];
+            const fieldsToWatch = ['#Nombre', '#Marca', '#Stock', '#PrecioCompra', '#PrecioVenta', '#Descripcion', '#categoriaID'];
             fieldsToWatch.forEach(selector => {
                 const el = document.querySelector(selector);
                 if (el) {
@@ -85,11 +85,13 @@
             btnShipped.innerHTML = '<span style="visibility:hidden;">Procesando...</span>';
 
             try {
-                const res = await fetch(form.action, {
+                // Si la sesión caducó, SessionManager pide login y repite el envío con el token nuevo
+                const options = {
                     method: 'POST',
                     body: new FormData(form),
                     headers: { 'X-Requested-With': 'XMLHttpRequest' }
-                });
+                };
+                const res = await (window.SessionManager?.fetch(form.action, options) ?? fetch(form.action, options));
 
                 if (res.ok) {
                     location.reload();
@@ -1,411 +1,653 @@
 ﻿/**
  * ============================================================================
- * SIMONE E-COMMERCE - Cart Module v1.0
+ * SIMONE E-COMMERCE - CartStore v2.0
  * ============================================================================
- * Módulo para manejar el carrito de compras dinámicamente
- * - Actualiza el badge del carrito
- * - Recarga el contenido del panel/offcanvas
- * - Compatible con Bootstrap 5
+ * Única fuente de verdad del carrito en el navegador
+ * - Mantiene el estado (items, cantidad, subtotal, cupón, bloqueo)
+ * - Expone add / update / remove / applyCoupon / subscribe
+ * - Badges, panel lateral y tarjetas del catálogo se renderizan desde aquí
+ * - Sincroniza los cambios con otras pestañas (BroadcastChannel / storage)
+ * - Endpoints canónicos: /Carrito/*
  * ============================================================================
  */
 
 'use strict';
 
-const Cart = {
+const CartStore = {
     // Configuración
     config: {
         endpoints: {
             info: '/Carrito/CartInfo',
-            partial: '/Carrito/CartPartial',
-            add: '/Carrito/AgregarAlCarrito',
+            add: '/Carrito/AgregarDesdeCard',
             update: '/Carrito/ActualizarCarrito',
-            remove: '/Carrito/EliminarDelCarrito'
+            remove: '/Carrito/EliminarDelCarrito',
+            applyCoupon: '/Carrito/AplicarCupon',
+            removeCoupon: '/Carrito/QuitarCupon',
+            login: '/Cuenta/Login'
         },
         selectors: {
             badge: '[data-cart-count], .cart-count, .cart-badge, #cartCount, #cart-count',
-            panel: '#cartPanel, #cartOffcanvas, .cart-panel, .offcanvas-cart',
-            panelBody: '#cart-content, .offcanvas-body, .cart-panel-body, .cart-items',
-            total: '[data-cart-total], .cart-total, #cartTotal',
-            itemList: '.cart-items-list, .cart-products'
+            total: '[data-cart-total], .cart-total, #cartTotal, #cart-total',
+            drawer: '#mini-cart',
+            csrf: 'input[name="__RequestVerificationToken"]'
         },
         toastDuration: 3000
     },
 
+    // Estado observable
+    state: {
+        loaded: false,
+        count: 0,
+        subtotal: 0,
+        items: [],
+        coupon: null,
+        locked: false
+    },
+
+    listeners: new Set(),
+
+    // Cola de mutaciones por carritoDetalleId: { running, next, waiters }
+    queue: new Map(),
+
+    // Último estado aceptado por el servidor de cada línea con mutaciones en curso
+    confirmed: new Map(),
+
+    refreshPending: false,
+
     /**
-     * Inicializa el módulo del carrito
+     * Inicializa el store: vistas integradas, eventos y primera carga
      */
     init() {
+        this.state.locked = window.NeoAgoraConfig?.cartLocked === true;
+        Object.assign(this.config.endpoints, {
+            info: window.NeoAgoraConfig?.endpoints?.cartInfo || this.config.endpoints.info
+        });
+
+        this.subscribe(BadgeView.render.bind(BadgeView));
+        this.subscribe(DrawerView.render.bind(DrawerView));
+        CartSync.connect(this);
+
         this.bindEvents();
-        this.updateBadge(); // Actualizar al cargar
-        console.log('🛒 Cart module initialized');
+        this.refresh();
     },
 
+    // ==================== ESTADO ====================
+
     /**
-     * Vincula eventos globales
+     * Devuelve una copia superficial del estado actual
      */
-    bindEvents() {
-        // Delegación para botones de añadir al carrito en toda la página
-        document.addEventListener('click', (e) => {
-            const addBtn = e.target.closest('[data-add-to-cart]');
-            if (addBtn) {
-                e.preventDefault();
-                this.handleAddToCart(addBtn);
-            }
-        });
+    getState() {
+        return { ...this.state, items: this.state.items.map(i => ({ ...i })) };
+    },
 
-        // Escuchar evento personalizado de carrito actualizado
-        document.addEventListener('cart:updated', () => {
-            this.updateBadge();
-            this.refreshPanel();
-        });
+    /**
+     * Registra un listener; se invoca con (state, reason).
+     * Devuelve la función para darse de baja.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (this.state.loaded) {
+            this.notifyOne(listener, 'subscribe');
+        }
+        return () => this.listeners.delete(listener);
     },
 
     /**
-     * Actualiza el badge del carrito (número de items)
+     * Aplica un cambio parcial al estado y notifica a los suscriptores
      */
-    async updateBadge() {
+    setState(patch, reason = 'update') {
+        Object.assign(this.state, patch);
+        this.listeners.forEach(listener => this.notifyOne(listener, reason));
+
+        document.dispatchEvent(new CustomEvent('cart:updated', {
+            detail: { state: this.getState(), reason }
+        }));
+    },
+
+    notifyOne(listener, reason) {
+        try {
+            listener(this.getState(), reason);
+        } catch (error) {
+            console.error('CartStore listener error:', error);
+        }
+    },
+
+    /**
+     * Recalcula cantidad y subtotal a partir de los items
+     */
+    totalsOf(items) {
+        return {
+            count: items.reduce((sum, i) => sum + i.cantidad, 0),
+            subtotal: items.reduce((sum, i) => sum + i.cantidad * i.precio, 0)
+        };
+    },
+
+    findItem(carritoDetalleId) {
+        return this.state.items.find(i => i.id === Number(carritoDetalleId)) || null;
+    },
+
+    // ==================== ACCIONES ====================
+
+    /**
+     * Recarga el estado completo desde el servidor
+     */
+    async refresh() {
+        // Un refresh con mutaciones en vuelo pisaría los valores optimistas;
+        // se aplaza hasta que la cola se vacíe.
+        if (this.queue.size > 0) {
+            this.refreshPending = true;
+            return this.getState();
+        }
+
         try {
             const response = await fetch(this.config.endpoints.info, {
                 method: 'GET',
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
+                headers: { 'X-Requested-With': 'XMLHttpRequest' },
                 credentials: 'same-origin'
             });
 
             if (!response.ok) {
                 console.warn('Cart info request failed:', response.status);
-                return;
+                return this.getState();
             }
 
             const data = await response.json();
-            this.setBadgeCount(data.count || 0);
-            this.setTotal(data.subtotal || 0);
-
-            console.log('🛒 Cart badge updated:', data.count);
+            this.setState({
+                loaded: true,
+                count: data.count || 0,
+                subtotal: data.subtotal || 0,
+                items: (data.items || []).map(i => this.normalizeItem(i)),
+                coupon: data.cupon || null
+            }, 'refresh');
         } catch (error) {
-            console.error('Error updating cart badge:', error);
+            console.error('Error refreshing cart:', error);
         }
+
+        return this.getState();
     },
 
     /**
-     * Establece el número en todos los badges del carrito
+     * Añade un producto (opcionalmente una variante) al carrito.
+     * Sin conexión, el service worker lo encola y responde con queued = true;
+     * label identifica el producto en el informe de la sincronización.
      */
-    setBadgeCount(count) {
-        const badges = document.querySelectorAll(this.config.selectors.badge);
-        badges.forEach(badge => {
-            badge.textContent = count;
-
-            // Mostrar/ocultar badge si es 0
-            if (count > 0) {
-                badge.classList.remove('d-none', 'hidden');
-                badge.style.display = '';
-            } else {
-                // Opcional: ocultar si es 0
-                // badge.classList.add('d-none');
-            }
-
-            // Animación de pulso
-            badge.classList.add('pulse');
-            setTimeout(() => badge.classList.remove('pulse'), 300);
-        });
-    },
-
+    async add(productId, { variantId = null, quantity = 1, label = null } = {}) {
+        if (this.state.locked) {
+            return this.lockedResult();
+        }
 
-    async refreshCartBadge() {
-        try {
-            const response = await fetch(CONFIG.endpoints.cartInfo, {
-                credentials: 'same-origin',
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                }
-            });
+        const params = { productoID: productId, cantidad: quantity };
+        if (variantId) params.varianteID = variantId;
 
-            if (!response.ok) return;
+        const headers = label ? { 'X-Queue-Label': encodeURIComponent(label) } : {};
+        const result = await this.post(this.config.endpoints.add, params, headers);
 
-            const data = await response.json();
+        if (result.ok && result.queued) {
+            // Se confirmará (o se informará el conflicto) al volver la conexión
+            return result;
+        }
 
-            // Actualizar contador
-            const countElements = document.querySelectorAll('#cartCount, #cart-count, .cart-count');
-            countElements.forEach(el => {
-                if (data.count != null) {
-                    el.textContent = data.count;
-                    el.style.display = data.count > 0 ? '' : 'none';
+        if (result.ok) {
+            // El alta puede crear una línea nueva: se necesita nombre, imagen, etc.
+            await this.refresh();
+            document.dispatchEvent(new CustomEvent('cart:itemAdded', {
+                detail: { productId, variantId, quantity, data: result.data }
+            }));
+        } else if (result.needLogin) {
+            // Sin sesión: login en el modal y se repite el alta; sin modal, a la página de login
+            if (window.SessionManager?.canReauthenticate()) {
+                if (await window.SessionManager.reauthenticate()) {
+                    return this.add(productId, { variantId, quantity, label });
                 }
-            });
+            } else {
+                window.location.href = this.config.endpoints.login +
+                    '?returnUrl=' + encodeURIComponent(window.location.pathname + window.location.search);
+            }
+        }
 
-            // Actualizar total
-            const totalElements = document.querySelectorAll('#cartTotal, #cart-total, .cart-total');
-            totalElements.forEach(el => {
-                if (data.subtotal != null) {
-                    el.textContent = Utils.formatCurrency(data.subtotal);
-                }
-            });
+        return result;
+    },
 
-            // ✅ AGREGAR ESTO: Disparar evento para que Cart.js actualice el panel
-            document.dispatchEvent(new CustomEvent('cart:updated'));
+    /**
+     * Cambia la cantidad de una línea del carrito (optimista).
+     * El estado cambia al instante; la petición se encola y, si el
+     * servidor la rechaza, la línea vuelve a su último valor confirmado.
+     */
+    update(carritoDetalleId, cantidad) {
+        if (this.state.locked) {
+            return Promise.resolve(this.lockedResult());
+        }
 
-        } catch (error) {
-            console.error('Error refreshing cart badge:', error);
+        const id = Number(carritoDetalleId);
+        const item = this.findItem(id);
+        if (!item) {
+            return Promise.resolve({ ok: false, error: 'El producto ya no está en el carrito', data: null });
         }
-    }
+
+        this.rememberConfirmed(id);
+        this.applyItems(this.state.items.map(i =>
+            i.id === id ? { ...i, cantidad: Number(cantidad) } : i), 'optimistic');
+
+        return this.enqueue(id, { type: 'update', cantidad: Number(cantidad), productoId: item.productoId });
+    },
 
     /**
-     * Establece el total en los elementos correspondientes
+     * Elimina una línea del carrito (optimista)
      */
-    setTotal(total) {
-        const totalElements = document.querySelectorAll(this.config.selectors.total);
-        const formatted = this.formatCurrency(total);
-        totalElements.forEach(el => {
-            el.textContent = formatted;
+    remove(carritoDetalleId) {
+        if (this.state.locked) {
+            return Promise.resolve(this.lockedResult());
+        }
+
+        const id = Number(carritoDetalleId);
+        const item = this.findItem(id);
+        if (!item) {
+            return Promise.resolve({ ok: false, error: 'El producto ya no está en el carrito', data: null });
+        }
+
+        this.rememberConfirmed(id);
+        this.applyItems(this.state.items.filter(i => i.id !== id), 'optimistic');
+
+        return this.enqueue(id, { type: 'remove', productoId: item.productoId }).then(result => {
+            if (result.ok) {
+                document.dispatchEvent(new CustomEvent('cart:itemRemoved', {
+                    detail: { carritoDetalleId: id, data: result.data }
+                }));
+            }
+            return result;
         });
     },
 
+    // ==================== COLA DE MUTACIONES ====================
+
     /**
-     * Formatea un número como moneda
+     * Indica si una línea tiene mutaciones pendientes de confirmar
      */
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('es-EC', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
+    isPending(carritoDetalleId) {
+        return this.queue.has(Number(carritoDetalleId));
     },
 
     /**
-     * Recarga el contenido del panel del carrito
+     * Encola una mutación. Las mutaciones de una misma línea se envían de
+     * una en una; mientras una está en vuelo, las nuevas se fusionan y solo
+     * viaja la última (p. ej. cinco clics en "+" = una sola petición extra).
      */
-    async refreshPanel() {
-        const panels = document.querySelectorAll(this.config.selectors.panel);
-
-        if (panels.length === 0) {
-            console.log('No cart panel found to refresh');
-            return;
+    enqueue(id, mutation) {
+        let entry = this.queue.get(id);
+        if (!entry) {
+            entry = { running: false, next: null, waiters: [] };
+            this.queue.set(id, entry);
         }
 
-        try {
-            const response = await fetch(this.config.endpoints.partial, {
-                method: 'GET',
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                credentials: 'same-origin'
-            });
+        entry.next = mutation;
 
-            if (!response.ok) {
-                // Si no existe el endpoint de partial, solo actualizamos el badge
-                console.log('Cart partial endpoint not available');
-                return;
+        return new Promise(resolve => {
+            entry.waiters.push(resolve);
+            if (!entry.running) this.drain(id);
+        });
+    },
+
+    async drain(id) {
+        const entry = this.queue.get(id);
+        entry.running = true;
+
+        let lastResult = null;
+        while (entry.next) {
+            const mutation = entry.next;
+            const waiters = entry.waiters;
+            entry.next = null;
+            entry.waiters = [];
+
+            const result = await this.send(id, mutation);
+            lastResult = result;
+
+            if (result.ok) {
+                this.confirm(id, mutation);
+            } else {
+                // Lo que quedó encolado detrás ya no tiene sentido
+                waiters.push(...entry.waiters);
+                entry.next = null;
+                entry.waiters = [];
+                this.rollback(id, result);
             }
 
-            const html = await response.text();
+            waiters.forEach(resolve => resolve(result));
+        }
 
-            panels.forEach(panel => {
-                const body = panel.querySelector(this.config.selectors.panelBody);
-                if (body) {
-                    body.innerHTML = html;
-                } else {
-                    // Si no hay body específico, actualizar todo el panel
-                    panel.innerHTML = html;
-                }
-            });
+        this.queue.delete(id);
+        this.confirmed.delete(id);
+        this.setState({}, 'settled');
 
-            console.log('🛒 Cart panel refreshed');
-        } catch (error) {
-            console.error('Error refreshing cart panel:', error);
+        if (this.queue.size === 0) {
+            this.settle(lastResult);
+        }
+    },
+
+    send(id, mutation) {
+        if (mutation.type === 'remove') {
+            return this.post(this.config.endpoints.remove, {
+                carritoDetalleId: id,
+                productoId: mutation.productoId ?? ''
+            });
         }
+
+        return this.post(this.config.endpoints.update, {
+            carritoDetalleId: id,
+            cantidad: mutation.cantidad,
+            productoId: mutation.productoId ?? ''
+        });
     },
 
     /**
-     * Añade un producto al carrito
+     * Guarda el estado confirmado de una línea antes de su primera mutación optimista
      */
-    async add(productId, quantity = 1, variantId = null, button = null) {
-        // Estado de carga en el botón
-        let originalContent = null;
-        if (button) {
-            originalContent = button.innerHTML;
-            button.disabled = true;
-            button.innerHTML = '<i class="fa-solid fa-spinner fa-spin me-2"></i>Añadiendo...';
-        }
+    rememberConfirmed(id) {
+        if (this.confirmed.has(id)) return;
 
-        try {
-            // Obtener token CSRF
-            const token = document.querySelector('input[name="__RequestVerificationToken"]')?.value;
-
-            const formData = new FormData();
-            formData.append('productoId', productId);
-            formData.append('cantidad', quantity);
-            if (variantId) {
-                formData.append('productoVarianteId', variantId);
-            }
-            if (token) {
-                formData.append('__RequestVerificationToken', token);
-            }
+        const index = this.state.items.findIndex(i => i.id === id);
+        if (index === -1) return;
 
-            const response = await fetch(this.config.endpoints.add, {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                credentials: 'same-origin'
-            });
+        this.confirmed.set(id, { item: { ...this.state.items[index] }, index });
+    },
 
-            const data = await response.json();
+    confirm(id, mutation) {
+        const snapshot = this.confirmed.get(id);
+        if (!snapshot) return;
 
-            if (data.ok) {
-                // Actualizar UI
-                this.setBadgeCount(data.count);
-                this.setTotal(data.total);
+        if (mutation.type === 'update') {
+            snapshot.item = { ...snapshot.item, cantidad: mutation.cantidad };
+        } else {
+            snapshot.removed = true;
+        }
+    },
 
-                // Refrescar panel
-                await this.refreshPanel();
+    /**
+     * Devuelve la línea a su último valor confirmado y avisa al usuario
+     */
+    rollback(id, result) {
+        const snapshot = this.confirmed.get(id);
+        if (snapshot && !snapshot.removed) {
+            const items = this.state.items.filter(i => i.id !== id);
+            items.splice(Math.min(snapshot.index, items.length), 0, { ...snapshot.item });
+            this.applyItems(items, 'rollback');
+        }
 
-                // Mostrar toast de éxito
-                this.showToast('success', data.message || 'Producto añadido al carrito');
+        this.showToast('error', result.error || 'No se pudo actualizar el carrito');
+    },
 
-                // Disparar evento personalizado
-                document.dispatchEvent(new CustomEvent('cart:itemAdded', {
-                    detail: { productId, quantity, variantId, data }
-                }));
+    /**
+     * Cola vacía: los totales del servidor son la referencia final
+     */
+    settle(lastResult) {
+        if (lastResult?.ok && lastResult.data?.count != null && lastResult.data?.total != null) {
+            this.setState({ count: lastResult.data.count, subtotal: lastResult.data.total }, 'settled');
+        }
 
-                return { success: true, data };
-            } else if (data.needLogin) {
-                // Redirigir a login
-                window.location.href = '/Cuenta/Login?returnUrl=' + encodeURIComponent(window.location.pathname);
-                return { success: false, needLogin: true };
-            } else {
-                this.showToast('error', data.error || 'Error al añadir al carrito');
-                return { success: false, error: data.error };
-            }
-        } catch (error) {
-            console.error('Error adding to cart:', error);
-            this.showToast('error', 'Error de conexión');
-            return { success: false, error: 'Error de conexión' };
-        } finally {
-            // Restaurar botón
-            if (button && originalContent) {
-                button.disabled = false;
-                button.innerHTML = originalContent;
-            }
+        if (this.refreshPending) {
+            this.refreshPending = false;
+            this.refresh();
         }
     },
 
     /**
-     * Actualiza la cantidad de un item en el carrito
+     * Reemplaza los items y recalcula cantidad y subtotal localmente
      */
-    async updateQuantity(carritoDetalleId, cantidad) {
-        try {
-            const token = document.querySelector('input[name="__RequestVerificationToken"]')?.value;
+    applyItems(items, reason) {
+        this.setState({ items, ...this.totalsOf(items) }, reason);
+    },
 
-            const formData = new FormData();
-            formData.append('carritoDetalleId', carritoDetalleId);
-            formData.append('cantidad', cantidad);
-            if (token) {
-                formData.append('__RequestVerificationToken', token);
-            }
+    /**
+     * Aplica un cupón de descuento (o lo quita si el código viene vacío)
+     */
+    async applyCoupon(codigo) {
+        if (this.state.locked) {
+            return this.lockedResult();
+        }
 
-            const response = await fetch(this.config.endpoints.update, {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                credentials: 'same-origin'
-            });
+        const code = (codigo || '').trim();
+        const result = code
+            ? await this.post(this.config.endpoints.applyCoupon, { codigoCupon: code })
+            : await this.post(this.config.endpoints.removeCoupon, {});
+
+        if (result.ok) {
+            this.setState({
+                coupon: code ? { codigo: result.data.codigo, descuento: result.data.descuento } : null
+            }, 'coupon');
+        } else if (code && result.data && !result.needLogin && this.state.coupon) {
+            // El servidor rechazó el cupón y quitó el que hubiera: no seguir mostrando su descuento
+            this.setState({ coupon: null }, 'coupon');
+        }
 
-            const data = await response.json();
+        return result;
+    },
 
-            if (data.ok) {
-                this.setBadgeCount(data.count);
-                this.setTotal(data.total);
+    /**
+     * Marca el carrito como bloqueado (pago en curso) o desbloqueado
+     */
+    setLocked(locked) {
+        if (this.state.locked === Boolean(locked)) return;
+        this.setState({ locked: Boolean(locked) }, 'lock');
+    },
 
-                document.dispatchEvent(new CustomEvent('cart:updated', {
-                    detail: { carritoDetalleId, cantidad, data }
-                }));
+    // ==================== SINCRONIZACIÓN ENTRE PESTAÑAS ====================
 
-                return { success: true, data };
-            } else {
-                this.showToast('error', data.error || 'Error al actualizar');
-                return { success: false, error: data.error };
-            }
-        } catch (error) {
-            console.error('Error updating cart:', error);
-            return { success: false, error: 'Error de conexión' };
+    /**
+     * Aplica un delta recibido de otra pestaña sin ir al servidor.
+     * Las líneas con mutaciones propias en vuelo se respetan: su cola
+     * terminará con el valor que diga el servidor.
+     */
+    applyRemote(delta) {
+        const patch = {};
+
+        if (delta.items && this.state.loaded) {
+            const removed = new Set(delta.items.removed || []);
+            const upserts = new Map((delta.items.upserts || []).map(i => [i.id, this.normalizeItem(i)]));
+
+            const items = this.state.items
+                .filter(i => this.isPending(i.id) || !removed.has(i.id))
+                .map(i => {
+                    const next = upserts.get(i.id);
+                    upserts.delete(i.id);
+                    return next && !this.isPending(i.id) ? next : i;
+                });
+            items.push(...upserts.values());
+
+            Object.assign(patch, { items }, this.totalsOf(items));
+        }
+
+        if ('coupon' in delta) {
+            patch.coupon = delta.coupon;
+        }
+
+        if ('locked' in delta) {
+            patch.locked = Boolean(delta.locked);
+        }
+
+        if (Object.keys(patch).length > 0) {
+            this.setState(patch, 'remote');
         }
     },
 
+    // ==================== TRANSPORTE ====================
+
     /**
-     * Elimina un item del carrito
+     * POST form-urlencoded con CSRF. Normaliza las dos formas de respuesta
+     * del servidor ({ ok, error } y { success, message }) a una sola.
+     * Pasa por SessionManager: si la sesión caducó, login en el modal y reintento.
      */
-    async remove(carritoDetalleId) {
+    async post(url, params, headers = {}) {
+        const body = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => body.append(key, value));
+        body.append('__RequestVerificationToken', this.getCsrfToken());
+
         try {
-            const token = document.querySelector('input[name="__RequestVerificationToken"]')?.value;
+            const options = {
+                method: 'POST',
+                body,
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    ...headers
+                }
+            };
+            const response = await (window.SessionManager?.fetch(url, options) ?? fetch(url, options));
 
-            const formData = new FormData();
-            formData.append('carritoDetalleId', carritoDetalleId);
-            if (token) {
-                formData.append('__RequestVerificationToken', token);
+            if (response.status === 401) {
+                return { ok: false, error: 'Tu sesión ha caducado. Inicia sesión para continuar.', data: null };
             }
 
-            const response = await fetch(this.config.endpoints.remove, {
-                method: 'POST',
-                body: formData,
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                credentials: 'same-origin'
-            });
+            if (!response.ok) {
+                return { ok: false, error: `Error del servidor (${response.status})`, data: null };
+            }
 
-            const data = await response.json();
+            return this.normalizeResponse(await response.json());
+        } catch (error) {
+            console.error('CartStore request error:', url, error);
+            return { ok: false, error: 'Error de conexión', data: null };
+        }
+    },
 
-            if (data.ok) {
-                this.setBadgeCount(data.count);
-                this.setTotal(data.total);
-                await this.refreshPanel();
+    normalizeResponse(data) {
+        const ok = data?.ok === true || data?.success === true;
+        return {
+            ok,
+            needLogin: data?.needLogin === true,
+            queued: data?.queued === true,
+            error: ok ? null : (data?.error || data?.message || 'No se pudo completar la acción'),
+            message: data?.message || null,
+            data: data || {}
+        };
+    },
 
-                this.showToast('success', 'Producto eliminado del carrito');
+    normalizeItem(raw) {
+        return {
+            id: Number(raw.id),
+            productoId: Number(raw.productoId),
+            varianteId: raw.varianteId != null ? Number(raw.varianteId) : null,
+            nombre: raw.nombre || 'Producto',
+            variante: raw.variante || '',
+            cantidad: Number(raw.cantidad) || 0,
+            precio: Number(raw.precio) || 0,
+            imagen: raw.imagen || '',
+            url: raw.url || '#'
+        };
+    },
 
-                document.dispatchEvent(new CustomEvent('cart:itemRemoved', {
-                    detail: { carritoDetalleId, data }
-                }));
+    lockedResult() {
+        return { ok: false, locked: true, error: 'Carrito bloqueado durante el pago', data: null };
+    },
 
-                return { success: true, data };
-            } else {
-                this.showToast('error', data.error || 'Error al eliminar');
-                return { success: false, error: data.error };
+    getCsrfToken() {
+        return document.querySelector(this.config.selectors.csrf)?.value ?? '';
+    },
+
+    // ==================== EVENTOS ====================
+
+    /**
+     * Vincula eventos globales
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            // Botones genéricos [data-add-to-cart] con data-product-id.
+            // Las tarjetas del catálogo manejan su propio botón (catalogo.js).
+            const addBtn = e.target.closest('[data-add-to-cart]');
+            if (addBtn && !addBtn.closest('[data-product-card]')) {
+                this.handleAddToCart(addBtn, e);
+                return;
             }
-        } catch (error) {
-            console.error('Error removing from cart:', error);
-            return { success: false, error: 'Error de conexión' };
-        }
+
+            const drawer = e.target.closest(this.config.selectors.drawer);
+            if (!drawer) return;
+
+            const removeBtn = e.target.closest('[data-remove-id]');
+            if (removeBtn) {
+                this.handleRemove(removeBtn);
+                return;
+            }
+
+            const qtyBtn = e.target.closest('.cp-qty-btn');
+            if (qtyBtn) {
+                this.handleQuantityStep(qtyBtn);
+            }
+        });
     },
 
     /**
      * Maneja el click en botón de añadir al carrito
      */
-    handleAddToCart(button) {
+    async handleAddToCart(button, event) {
         const productId = button.dataset.productId || button.dataset.addToCart;
+        if (!productId) return;
+
+        event.preventDefault();
+
         const quantity = parseInt(button.dataset.quantity) || 1;
         const variantId = button.dataset.variantId || null;
 
-        if (!productId) {
-            console.error('No product ID found on button');
-            return;
+        const originalContent = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fa-solid fa-spinner fa-spin me-2"></i>Añadiendo...';
+
+        try {
+            const result = await this.add(productId, { variantId, quantity });
+            if (result.ok) {
+                this.showToast('success', result.message || 'Producto añadido al carrito');
+            } else if (!result.needLogin) {
+                this.showToast('error', result.error);
+            }
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalContent;
         }
+    },
+
+    handleRemove(button) {
+        this.remove(button.dataset.removeId);
+    },
+
+    handleQuantityStep(button) {
+        const ctrl = button.closest('.cp-qty-ctrl');
+        const item = this.findItem(ctrl?.dataset.detailId);
+        if (!item) return;
+
+        // item.cantidad ya incluye los clics anteriores aún no confirmados
+        const delta = button.dataset.action === 'plus' ? 1 : -1;
+        const cantidad = Math.max(1, item.cantidad + delta);
+        if (cantidad === item.cantidad) return;
 
-        this.add(productId, quantity, variantId, button);
+        this.update(item.id, cantidad);
+    },
+
+    // ==================== UTILIDADES ====================
+
+    /**
+     * Formatea un número como moneda
+     */
+    formatCurrency(amount) {
+        return new Intl.NumberFormat('es-EC', {
+            style: 'currency',
+            currency: 'USD'
+        }).format(amount || 0);
+    },
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
     },
 
     /**
      * Muestra un toast de notificación
      */
     showToast(type, message) {
-        // Intentar usar el sistema de toast existente (Simone)
+        // Intentar usar el sistema de toast existente (Simone); pinta con innerHTML
         if (window.Simone?.Toast) {
+            const safe = this.escapeHtml(message);
             if (type === 'success') {
-                window.Simone.Toast.success(message);
+                window.Simone.Toast.success(safe);
             } else {
-                window.Simone.Toast.error(message);
+                window.Simone.Toast.error(safe);
             }
             return;
         }
@@ -428,7 +670,8 @@ const Cart = {
     },
 
     /**
-     * Crea un toast dinámico si no hay uno predefinido
+     * Crea un toast dinámico si no hay uno predefinido.
+     * El mensaje puede venir del servidor: se inserta como texto, nunca como HTML.
      */
     createDynamicToast(type, message) {
         // Buscar o crear contenedor
@@ -443,16 +686,24 @@ const Cart = {
         const toast = document.createElement('div');
         toast.className = `toast align-items-center text-white bg-${type === 'success' ? 'success' : 'danger'} border-0`;
         toast.setAttribute('role', 'alert');
-        toast.innerHTML = `
-            <div class="d-flex">
-                <div class="toast-body">
-                    <i class="fa-solid fa-${type === 'success' ? 'check-circle' : 'exclamation-circle'} me-2"></i>
-                    ${message}
-                </div>
-                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
-            </div>
-        `;
 
+        const row = document.createElement('div');
+        row.className = 'd-flex';
+
+        const body = document.createElement('div');
+        body.className = 'toast-body';
+        const icon = document.createElement('i');
+        icon.className = `fa-solid fa-${type === 'success' ? 'check-circle' : 'exclamation-circle'} me-2`;
+        body.append(icon, document.createTextNode(message));
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'btn-close btn-close-white me-2 m-auto';
+        close.setAttribute('data-bs-dismiss', 'toast');
+        close.setAttribute('aria-label', 'Cerrar');
+
+        row.append(body, close);
+        toast.appendChild(row);
         container.appendChild(toast);
 
         if (window.bootstrap?.Toast) {
@@ -461,6 +712,7 @@ const Cart = {
             toast.addEventListener('hidden.bs.toast', () => toast.remove());
         } else {
             // Fallback sin Bootstrap
+            close.addEventListener('click', () => toast.remove());
             toast.classList.add('show');
             setTimeout(() => {
                 toast.classList.remove('show');
@@ -470,6 +722,144 @@ const Cart = {
     }
 };
 
+// ============================================================================
+// VISTAS INTEGRADAS
+// ============================================================================
+
+/**
+ * Badges de cantidad y totales en toda la página
+ */
+const BadgeView = {
+    lastCount: null,
+
+    render(state) {
+        const changed = this.lastCount !== null && this.lastCount !== state.count;
+        this.lastCount = state.count;
+
+        document.querySelectorAll(CartStore.config.selectors.badge).forEach(badge => {
+            badge.textContent = state.count;
+            badge.style.display = state.count > 0 ? '' : 'none';
+
+            if (changed) {
+                badge.classList.add('pulse');
+                setTimeout(() => badge.classList.remove('pulse'), 300);
+            }
+        });
+
+        const formatted = CartStore.formatCurrency(state.subtotal);
+        document.querySelectorAll(CartStore.config.selectors.total).forEach(el => {
+            el.textContent = formatted;
+        });
+    }
+};
+
+/**
+ * Panel lateral (#mini-cart, generado inicialmente por _CartPartial)
+ */
+const DrawerView = {
+    render(state) {
+        const root = document.querySelector(CartStore.config.selectors.drawer);
+        if (!root) return;
+
+        // Conservar el foco del teclado entre re-renderizados (clics rápidos en +/−)
+        const focused = root.contains(document.activeElement) ? document.activeElement : null;
+        const focusKey = focused?.closest('.cp-item')
+            ? [focused.closest('.cp-item').dataset.itemId, focused.dataset.action || 'remove']
+            : null;
+
+        root.classList.toggle('is-locked', state.locked);
+        root.innerHTML = this.headerHtml(state) +
+            (state.items.length ? this.listHtml(state) : this.emptyHtml());
+
+        if (focusKey) {
+            const [itemId, action] = focusKey;
+            const selector = action === 'remove'
+                ? `.cp-item[data-item-id="${itemId}"] [data-remove-id]`
+                : `.cp-item[data-item-id="${itemId}"] .cp-qty-btn[data-action="${action}"]`;
+            root.querySelector(selector)?.focus();
+        }
+    },
+
+    headerHtml(state) {
+        return `
+            <div class="cp-header">
+                <span class="cp-title">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M6 2L3 6v14a2 2 0 002 2h14a2 2 0 002-2V6l-3-4z" /><line x1="3" y1="6" x2="21" y2="6" /><path d="M16 10a4 4 0 01-8 0" /></svg>
+                    Mis artículos
+                </span>
+                <span class="cp-badge" data-cart-count>${state.count}</span>
+            </div>`;
+    },
+
+    emptyHtml() {
+        return `
+            <div class="cp-empty">
+                <div class="cp-empty-icon">
+                    <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="9" cy="21" r="1" /><circle cx="20" cy="21" r="1" /><path d="M1 1h4l2.68 13.39a2 2 0 001.99 1.61H19a2 2 0 001.99-1.74l1.38-9.26H6" /></svg>
+                </div>
+                <p class="cp-empty-title">Tu carrito está vacío</p>
+                <p class="cp-empty-sub">¡Explora nuestros productos!</p>
+                <a href="/Compras/Catalogo" class="cp-btn-explore">Explorar tienda</a>
+            </div>`;
+    },
+
+    listHtml(state) {
+        const esc = CartStore.escapeHtml;
+        const disabled = state.locked ? ' disabled' : '';
+
+        const items = state.items.map(item => `
+            <li class="cp-item${CartStore.isPending(item.id) ? ' is-syncing' : ''}" data-item-id="${item.id}" role="listitem">
+                <a href="${esc(item.url)}" class="cp-img-wrap">
+                    <img src="${esc(item.imagen)}" alt="${esc(item.nombre)}" loading="lazy" />
+                </a>
+                <div class="cp-info">
+                    <a href="${esc(item.url)}" class="cp-name">${esc(item.nombre)}</a>
+                    ${item.variante ? `<span class="cp-variant">${esc(item.variante)}</span>` : ''}
+                    <div class="cp-bottom">
+                        <div class="cp-qty-ctrl" data-detail-id="${item.id}" data-product-id="${item.productoId}">
+                            <button class="cp-qty-btn" data-action="minus" aria-label="Disminuir cantidad" type="button"${disabled}>−</button>
+                            <span class="cp-qty-val" data-qty>${item.cantidad}</span>
+                            <button class="cp-qty-btn" data-action="plus" aria-label="Aumentar cantidad" type="button"${disabled}>+</button>
+                        </div>
+                        <span class="cp-price" data-unit-price="${item.precio.toFixed(2)}">
+                            $<span data-subtotal>${(item.precio * item.cantidad).toFixed(2)}</span>
+                        </span>
+                    </div>
+                </div>
+                <button class="cp-remove" type="button" data-remove-id="${item.id}" data-product-id="${item.productoId}"
+                        aria-label="Eliminar ${esc(item.nombre)}"${disabled}>
+                    <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" /></svg>
+                </button>
+            </li>`).join('');
+
+        return `
+            <ul class="cp-list" id="cp-list" role="list">${items}</ul>
+            <div class="cp-footer">
+                <div class="cp-subtotal-row">
+                    <span>Subtotal</span>
+                    <strong class="cp-total-val" data-cart-total>$${state.subtotal.toFixed(2)}</strong>
+                </div>
+                ${state.coupon ? `
+                <div class="cp-subtotal-row cp-coupon-row">
+                    <span>Cupón ${esc(state.coupon.codigo)}</span>
+                    <span>−$${Number(state.coupon.descuento || 0).toFixed(2)}</span>
+                </div>` : ''}
+                <p class="cp-shipping-note">
+                    <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="1" y="3" width="15" height="13" /><polygon points="16 8 20 8 23 11 23 16 16 16 16 8" /><circle cx="5.5" cy="18.5" r="2.5" /><circle cx="18.5" cy="18.5" r="2.5" /></svg>
+                    Envío calculado en el checkout
+                </p>
+                <div class="cp-actions">
+                    <a href="/Compras/Resumen" class="cp-btn-checkout">
+                        <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"><rect x="3" y="11" width="18" height="11" rx="2" /><path d="M7 11V7a5 5 0 0110 0v4" /></svg>
+                        Pagar ahora
+                    </a>
+                </div>
+            </div>
+            <div class="cp-feedback" id="cp-feedback" aria-live="polite"></div>`;
+    },
+
+};
+
 // ============================================================================
 // CSS para animaciones del badge
 // ============================================================================
@@ -480,13 +870,13 @@ cartStyles.textContent = `
         50% { transform: scale(1.3); }
         100% { transform: scale(1); }
     }
-    
+
     [data-cart-count].pulse,
     .cart-count.pulse,
     .cart-badge.pulse {
         animation: cartPulse 0.3s ease-in-out;
     }
-    
+
     .cart-updating {
         opacity: 0.6;
         pointer-events: none;
@@ -494,21 +884,149 @@ cartStyles.textContent = `
 `;
 document.head.appendChild(cartStyles);
 
+// ============================================================================
+// SINCRONIZACIÓN ENTRE PESTAÑAS
+// ============================================================================
+
+/**
+ * Canal entre pestañas del mismo origen. Difunde solo lo que cambió
+ * (líneas añadidas/eliminadas, cantidades, cupón) y el bloqueo de pago.
+ * Usa BroadcastChannel y, si no existe, el evento storage de localStorage.
+ */
+const CartSync = {
+    channelName: 'simone_cart',
+    storageKey: 'simone_cart_sync',
+
+    store: null,
+    channel: null,
+    tabId: Math.random().toString(36).slice(2) + Date.now().toString(36),
+
+    // Última foto difundida o recibida: { items: Map(id → json), coupon }
+    baseline: null,
+
+    // Esta pestaña es la página de pago que bloquea el carrito
+    ownsLock: false,
+
+    /**
+     * Abre el canal, se suscribe al store y anuncia la pestaña
+     */
+    connect(store) {
+        this.store = store;
+        this.ownsLock = window.NeoAgoraConfig?.cartLocked === true;
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.storageKey || !e.newValue) return;
+                try {
+                    this.receive(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.warn('CartSync: mensaje inválido', error);
+                }
+            });
+        }
+
+        store.subscribe((state, reason) => this.onChange(state, reason));
+
+        // Las pestañas abiertas antes sabrán si hay un pago en curso
+        this.publish('hello', {});
+        if (this.ownsLock) {
+            this.publish('lock', { locked: true });
+            window.addEventListener('pagehide', () => this.publish('lock', { locked: false }));
+        }
+    },
+
+    publish(type, payload) {
+        const message = { type, payload, from: this.tabId, at: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify(message));
+            }
+        } catch (error) {
+            // Canal cerrado o localStorage no disponible: cada pestaña sigue por su cuenta
+        }
+    },
+
+    receive(message) {
+        if (!message || message.from === this.tabId) return;
+
+        switch (message.type) {
+            case 'hello':
+                if (this.ownsLock) this.publish('lock', { locked: true });
+                break;
+            case 'lock':
+                // La página de pago mantiene su propio bloqueo
+                if (!this.ownsLock) this.store.applyRemote({ locked: message.payload.locked });
+                break;
+            case 'delta':
+                this.store.applyRemote(message.payload);
+                break;
+        }
+    },
+
+    /**
+     * Compara el estado con la última foto y difunde la diferencia
+     */
+    onChange(state, reason) {
+        if (!state.loaded) return;
+
+        const previous = this.baseline;
+        this.baseline = this.snapshot(state);
+
+        // La primera carga ya la tienen las demás pestañas; lo remoto no se reenvía
+        if (!previous || reason === 'remote' || reason === 'subscribe') return;
+
+        const delta = this.diff(previous, this.baseline, state);
+        if (delta) this.publish('delta', delta);
+    },
+
+    snapshot(state) {
+        return {
+            items: new Map(state.items.map(i => [i.id, JSON.stringify(i)])),
+            coupon: JSON.stringify(state.coupon)
+        };
+    },
+
+    diff(previous, current, state) {
+        const upserts = state.items.filter(i => previous.items.get(i.id) !== current.items.get(i.id));
+        const removed = [...previous.items.keys()].filter(id => !current.items.has(id));
+        const delta = {};
+
+        if (upserts.length > 0 || removed.length > 0) {
+            delta.items = { upserts, removed };
+        }
+
+        if (previous.coupon !== current.coupon) {
+            delta.coupon = state.coupon;
+        }
+
+        return Object.keys(delta).length > 0 ? delta : null;
+    }
+};
+
 // ============================================================================
 // Inicialización automática
 // ============================================================================
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => Cart.init());
+    document.addEventListener('DOMContentLoaded', () => CartStore.init());
 } else {
-    Cart.init();
+    CartStore.init();
 }
 
 // ============================================================================
 // Exportar globalmente
 // ============================================================================
-window.Cart = Cart;
+window.CartStore = CartStore;
+
+// Alias de compatibilidad con el módulo anterior
+window.Cart = CartStore;
 
 // También añadir a Simone si existe
 if (window.Simone) {
-    window.Simone.Cart = Cart;
+    window.Simone.Cart = CartStore;
 }
@@ -13,34 +13,26 @@
     // CONFIGURACIÓN
     // ==========================================
     const CONFIG = {
-        colorMap: {
-            'negro': '#000000', 'blanco': '#ffffff', 'gris': '#808080',
-            'gris claro': '#d3d3d3', 'gris oscuro': '#4b5563', 'plateado': '#c0c0c0',
-            'rojo': '#ef4444', 'rojo vino': '#722f37', 'granate': '#7b1e3c',
-            'burdeos': '#6d071a', 'coral': '#ff7f7f',
-            'azul': '#3b82f6', 'azul marino': '#1e3a5f', 'celeste': '#87ceeb',
-            'azul cielo': '#87ceeb', 'turquesa': '#40e0d0', 'cian': '#06b6d4',
-            'azul rey': '#4169e1',
-            'verde': '#22c55e', 'verde lima': '#84cc16', 'verde menta': '#3eb489',
-            'oliva': '#556b2f', 'verde oscuro': '#166534', 'esmeralda': '#50c878',
-            'amarillo': '#eab308', 'mostaza': '#ca8a04', 'dorado': '#d4af37',
-            'naranja': '#f97316', 'durazno': '#ffcc99', 'salmon': '#fa8072',
-            'marron': '#8b4513', 'marrón': '#8b4513', 'café': '#8b4513',
-            'chocolate': '#7b3f00', 'beige': '#f5f5dc', 'crema': '#fffdd0',
-            'camel': '#c19a6b',
-            'morado': '#9333ea', 'violeta': '#7c3aed', 'lila': '#c8a2c8',
-            'lavanda': '#e6e6fa', 'rosa': '#ec4899', 'fucsia': '#d946ef',
-            'magenta': '#ff00ff', 'rosado': '#ffc0cb'
-        },
         sizeOrder: ['XXXS', 'XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'XXXXL', '4XL', '5XL'],
         endpoints: {
-            addToCart: '/Carrito/AgregarDesdeCard',
-            cartInfo: '/Carrito/CartInfo',
-            cartPartial: '/Carrito/CartPartial',
-            toggleWishlist: '/Favoritos/Toggle'
+            toggleWishlist: '/Favoritos/Toggle',
+            quickView: '/Compras/QuickView'
+        },
+        // Carga incremental: las primeras páginas llegan solas al hacer scroll,
+        // después solo con el botón (así el pie de página sigue siendo alcanzable)
+        infiniteScroll: {
+            autoPages: 3,
+            rootMargin: '400px'
         },
         selectors: {
+            catalogPage: '.catalog-page',
+            region: '[data-catalog-region]',
+            pager: '[data-catalog-region="pager"]',
+            loadMoreWrap: '[data-load-more-wrap]',
+            loadMore: '[data-load-more]',
+            pagination: '.catalog-pagination',
             productCard: '[data-product-card]',
+            quickView: '[data-quick-view]',
             productGrid: '#productGrid',
             colorDot: '[data-color]',
             sortSelect: '#sortSel',
@@ -60,13 +52,6 @@
             return (str || '').toString().trim().toLowerCase()
                 .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
         },
-        isHexColor(str) {
-            return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test((str || '').trim());
-        },
-        getColorHex(colorName) {
-            if (this.isHexColor(colorName)) return colorName;
-            return CONFIG.colorMap[this.normalize(colorName)] || null;
-        },
         compareSize(a, b) {
             const numA = parseFloat(a), numB = parseFloat(b);
             if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
@@ -88,23 +73,23 @@
         },
         getCsrfToken() {
             return document.querySelector('input[name="__RequestVerificationToken"]')?.value ?? '';
+        },
+        escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text ?? '';
+            return div.innerHTML.replace(/"/g, '&quot;');
         }
     };
 
     // ==========================================
     // MÓDULO DE COLORES
     // ==========================================
+    // Los nombres se resuelven con ColorResolver (colors.js), compartido con el panel
     const ColorModule = {
-        paintColorDots() {
-            document.querySelectorAll(CONFIG.selectors.colorDot).forEach(el => {
+        paintColorDots(root = document) {
+            root.querySelectorAll(CONFIG.selectors.colorDot).forEach(el => {
                 const colorName = el.getAttribute('data-color');
-                if (!colorName) return;
-                const hex = Utils.getColorHex(colorName);
-                if (hex) {
-                    el.style.backgroundColor = hex;
-                    if (hex.toLowerCase() === '#ffffff' || hex.toLowerCase() === '#fff')
-                        el.style.border = '2px solid #e5e7eb';
-                }
+                if (colorName) window.ColorResolver.paint(el, colorName);
             });
         }
     };
@@ -112,117 +97,73 @@
     // ==========================================
     // MÓDULO DE CARRITO
     // ==========================================
+    // El estado y las llamadas al servidor viven en CartStore (cart.js);
+    // este módulo solo adapta la UI de las tarjetas.
     const CartModule = {
-
-        /**
-         * Recarga el contenido del panel/dropdown del carrito
-         */
-        async refreshCartPanel() {
-            try {
-                // Busca el contenedor del carrito con múltiples selectores para
-                // compatibilidad con distintos layouts
-                const panelBody = document.querySelector(
-                    '#cart-content, ' +
-                    '#cartOffcanvas .offcanvas-body, ' +
-                    '#cartDrawer .offcanvas-body, ' +
-                    '.cart-items-container, ' +
-                    '[data-cart-panel] .offcanvas-body, ' +
-                    '[data-cart-panel]'
-                );
-                if (!panelBody) return;
-
-                const res = await fetch(CONFIG.endpoints.cartPartial, {
-                    credentials: 'same-origin',
-                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
-                });
-                if (res.ok) {
-                    panelBody.innerHTML = await res.text();
-                }
-            } catch (e) {
-                console.warn('No se pudo recargar el panel del carrito:', e);
+        init() {
+            if (!window.CartStore) {
+                console.warn('CartStore no disponible; las tarjetas no reflejarán el carrito');
+                return;
             }
+            window.CartStore.subscribe(state => this.renderCards(state));
         },
 
         /**
-         * Actualiza solo el badge (número) del carrito
+         * Marca las tarjetas cuyos productos ya están en el carrito
          */
-        async refreshCartBadge() {
-            try {
-                const res = await fetch(CONFIG.endpoints.cartInfo, {
-                    credentials: 'same-origin',
-                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
-                });
-                if (!res.ok) return;
-                const data = await res.json();
-
-                document.querySelectorAll('#cartCount, #cart-count, .cart-count, [data-cart-count], .cart-badge')
-                    .forEach(el => {
-                        if (data.count != null) {
-                            el.textContent = data.count;
-                            el.style.display = data.count > 0 ? '' : 'none';
-                        }
-                    });
+        renderCards(state) {
+            const qtyByProduct = new Map();
+            state.items.forEach(item => {
+                qtyByProduct.set(item.productoId, (qtyByProduct.get(item.productoId) || 0) + item.cantidad);
+            });
 
-                document.querySelectorAll('#cartTotal, #cart-total, .cart-total')
-                    .forEach(el => {
-                        if (data.subtotal != null)
-                            el.textContent = Utils.formatCurrency(data.subtotal);
-                    });
-            } catch (e) {
-                console.error('Error refreshing cart badge:', e);
-            }
+            document.querySelectorAll(CONFIG.selectors.productCard).forEach(card => {
+                const qty = qtyByProduct.get(Number(card.dataset.productId)) || 0;
+                card.classList.toggle('is-in-cart', qty > 0);
+                const media = card.querySelector('.product-media');
+                if (media) media.dataset.cartQty = qty;
+
+                const addButton = card.querySelector(CONFIG.selectors.addToCartBtn);
+                if (addButton) {
+                    addButton.disabled = state.locked;
+                    addButton.title = state.locked
+                        ? 'Carrito bloqueado durante el pago'
+                        : qty > 0 ? `En tu carrito (${qty})` : 'Añadir al carrito';
+                }
+            });
         },
 
         /**
-         * Agrega producto al carrito y refresca badge + panel
+         * Agrega producto al carrito a través de CartStore
          */
         async addToCart(productId, variantId, quantity = 1, button = null) {
+            if (!window.CartStore) {
+                ToastModule.showError('El carrito no está disponible');
+                return false;
+            }
+
             if (button) {
                 button.classList.add('btn-loading');
                 button.disabled = true;
             }
 
             try {
-                const params = new URLSearchParams();
-                params.append('productoID', productId);
-                if (variantId) params.append('varianteID', variantId);
-                params.append('cantidad', quantity);
-                params.append('__RequestVerificationToken', Utils.getCsrfToken());
-
-                const response = await fetch(CONFIG.endpoints.addToCart, {
-                    method: 'POST',
-                    body: params,
-                    credentials: 'same-origin',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded',
-                        'X-Requested-With': 'XMLHttpRequest'
-                    }
-                });
-
-                const data = await response.json();
-
-                if (data.success) {
-                    ToastModule.showSuccess(data.message || '¡Producto añadido al carrito!');
-
-                    // Actualizar badge y recargar panel en paralelo
-                    await Promise.all([
-                        this.refreshCartBadge(),
-                        this.refreshCartPanel()
-                    ]);
+                const label = button?.closest(CONFIG.selectors.productCard)
+                    ?.querySelector('.product-name')?.textContent.trim() || null;
+                const result = await window.CartStore.add(productId, { variantId, quantity, label });
 
+                if (result.ok) {
+                    ToastModule.showSuccess(result.message || '¡Producto añadido al carrito!');
                     return true;
-                } else {
-                    ToastModule.showError(data.message || 'No se pudo añadir el producto');
-                    return false;
                 }
-            } catch (error) {
-                console.error('Error adding to cart:', error);
-                ToastModule.showError('Error de conexión. Intenta de nuevo.');
+                if (!result.needLogin) {
+                    ToastModule.showError(result.error || 'No se pudo añadir el producto');
+                }
                 return false;
             } finally {
                 if (button) {
                     button.classList.remove('btn-loading');
-                    button.disabled = false;
+                    button.disabled = window.CartStore.getState().locked;
                 }
             }
         }
@@ -233,24 +174,47 @@
     // ==========================================
     const WishlistModule = {
         init() {
-            document.querySelectorAll(CONFIG.selectors.wishlistForm).forEach(form => {
-                form.addEventListener('submit', this.handleSubmit.bind(this));
+            // Delegado: cubre también las tarjetas que llegan con los filtros o "cargar más"
+            document.addEventListener('submit', (event) => {
+                const form = event.target.closest(CONFIG.selectors.wishlistForm);
+                if (form) this.handleSubmit(event, form);
             });
         },
-        async handleSubmit(event) {
+        async handleSubmit(event, form) {
             event.preventDefault();
-            const form = event.currentTarget;
             const button = form.querySelector('button');
             const icon = button?.querySelector('i');
             try {
                 button.disabled = true;
-                const response = await fetch(form.action, {
+                const label = form.closest(CONFIG.selectors.productCard)
+                    ?.querySelector('.product-name')?.textContent.trim() || '';
+                // Estado deseado, no un simple cambio: si la cola offline repite la
+                // petición, el favorito no se invierte dos veces
+                const body = new FormData(form);
+                body.set('esFavorito', String(!button.classList.contains('is-active')));
+
+                // Con la sesión caducada SessionManager pide login y repite el envío
+                const options = {
                     method: 'POST',
-                    body: new FormData(form),
+                    body,
                     credentials: 'same-origin',
-                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
-                });
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'X-Queue-Label': encodeURIComponent(label)
+                    }
+                };
+                const response = await (window.SessionManager?.fetch(form.action, options) ?? fetch(form.action, options));
+                if (!response.ok) {
+                    // 401 sin volver a entrar: el favorito queda como estaba
+                    if (response.status !== 401) ToastModule.showError();
+                    return;
+                }
                 const data = await response.json();
+                if (data?.queued) {
+                    // Encolado sin conexión: se refleja el cambio esperado
+                    data.esFavorito = !button.classList.contains('is-active');
+                    ToastModule.showSuccess(data.message);
+                }
                 if (icon) {
                     if (data?.esFavorito) {
                         icon.classList.replace('far', 'fas');
@@ -332,14 +296,14 @@
             const colorButtons = card.querySelectorAll('[data-color-select]');
             const sizeButtons = card.querySelectorAll('[data-size-select]');
             const addButton = card.querySelector('[data-add-to-cart]');
-            const priceElement = card.querySelector('[data-price]');
 
             colorButtons.forEach(btn => {
                 btn.addEventListener('click', () => {
+                    if (btn.disabled) return;
                     state.selectedColor = btn.dataset.colorSelect;
                     this.updateColorSelection(card, state.selectedColor);
-                    this.updateAvailableSizes(card, variants, state);
-                    this.updateSelectedVariant(variants, state, priceElement);
+                    this.updateAvailability(card, variants, state);
+                    this.updateSelectedVariant(card, variants, state);
                 });
             });
             sizeButtons.forEach(btn => {
@@ -347,7 +311,8 @@
                     if (btn.disabled) return;
                     state.selectedSize = btn.dataset.sizeSelect;
                     this.updateSizeSelection(card, state.selectedSize);
-                    this.updateSelectedVariant(variants, state, priceElement);
+                    this.updateAvailability(card, variants, state);
+                    this.updateSelectedVariant(card, variants, state);
                 });
             });
             if (addButton) {
@@ -361,6 +326,8 @@
                     await CartModule.addToCart(productId, variantId, 1, addButton);
                 });
             }
+
+            this.updateAvailability(card, variants, state);
         },
         updateColorSelection(card, selectedColor) {
             card.querySelectorAll('[data-color-select]').forEach(btn =>
@@ -370,38 +337,686 @@
             card.querySelectorAll('[data-size-select]').forEach(btn =>
                 btn.classList.toggle('active', btn.dataset.sizeSelect === selectedSize));
         },
-        updateAvailableSizes(card, variants, state) {
+        /**
+         * Variante compatible con la selección parcial (color y/o talla)
+         */
+        matches(variant, color, size) {
+            return (!color || Utils.normalize(variant.color) === Utils.normalize(color)) &&
+                (!size || Utils.normalize(variant.talla) === Utils.normalize(size));
+        },
+        setAvailable(btn, available) {
+            btn.disabled = !available;
+            btn.classList.toggle('disabled', !available);
+        },
+        /**
+         * Disponibilidad en los dos sentidos: colores sin stock en ninguna talla
+         * y tallas sin stock en el color elegido (o en ninguno) quedan deshabilitados.
+         * Un color sin stock en la talla elegida se atenúa pero sigue elegible.
+         */
+        updateAvailability(card, variants, state) {
+            const inStock = variants.filter(v => v.stock > 0);
+
+            card.querySelectorAll('[data-color-select]').forEach(btn => {
+                const color = btn.dataset.colorSelect;
+                this.setAvailable(btn, inStock.some(v => this.matches(v, color, null)));
+                btn.classList.toggle('is-unavailable', !!state.selectedSize &&
+                    !inStock.some(v => this.matches(v, color, state.selectedSize)));
+            });
             card.querySelectorAll('[data-size-select]').forEach(btn => {
-                const size = btn.dataset.sizeSelect;
-                const available = variants.some(v =>
-                    Utils.normalize(v.color) === Utils.normalize(state.selectedColor) &&
-                    Utils.normalize(v.talla) === Utils.normalize(size) &&
-                    v.stock > 0);
-                btn.disabled = !available;
-                btn.classList.toggle('disabled', !available);
+                this.setAvailable(btn, inStock.some(v => this.matches(v, state.selectedColor, btn.dataset.sizeSelect)));
             });
-            if (state.selectedSize) {
-                const stillAvailable = variants.some(v =>
-                    Utils.normalize(v.color) === Utils.normalize(state.selectedColor) &&
-                    Utils.normalize(v.talla) === Utils.normalize(state.selectedSize) &&
-                    v.stock > 0);
-                if (!stillAvailable) {
-                    state.selectedSize = null;
-                    this.updateSizeSelection(card, null);
-                }
+
+            if (state.selectedSize && !inStock.some(v => this.matches(v, state.selectedColor, state.selectedSize))) {
+                state.selectedSize = null;
+                this.updateSizeSelection(card, null);
+                this.updateAvailability(card, variants, state);
             }
         },
-        updateSelectedVariant(variants, state, priceElement) {
-            if (!state.selectedColor || !state.selectedSize) {
-                state.selectedVariant = null;
+        updateSelectedVariant(card, variants, state) {
+            // Productos solo con talla (o solo con color) no esperan la otra elección
+            const complete = (state.selectedColor || !variants.some(v => v.color)) &&
+                (state.selectedSize || !variants.some(v => v.talla));
+
+            state.selectedVariant = complete
+                ? variants.find(v => v.stock > 0 && this.matches(v, state.selectedColor, state.selectedSize)) || null
+                : null;
+
+            const candidates = variants.filter(v => v.stock > 0 && this.matches(v, state.selectedColor, state.selectedSize));
+            this.updatePrice(card, state.selectedVariant, candidates);
+            this.updateStockBadge(card, candidates);
+        },
+        /**
+         * Precio de la variante elegida o "Desde $X" mientras el rango siga abierto
+         */
+        updatePrice(card, variant, candidates) {
+            const priceElement = card.querySelector('[data-price]');
+            if (!priceElement) return;
+
+            if (variant) {
+                priceElement.textContent = Utils.formatCurrency(variant.precio);
+                return;
+            }
+
+            const prices = candidates.map(v => v.precio);
+            if (!prices.length) return;
+            const min = Math.min(...prices);
+            priceElement.innerHTML = (min !== Math.max(...prices) ? '<span class="product-price-from">Desde</span> ' : '') +
+                Utils.formatCurrency(min);
+        },
+        /**
+         * "¡Últimas N unidades!" con el stock que queda para la selección actual
+         */
+        updateStockBadge(card, candidates) {
+            const badge = card.querySelector('[data-stock-badge]');
+            if (!badge) return;
+
+            const units = candidates.reduce((sum, v) => sum + v.stock, 0);
+            badge.hidden = units <= 0 || units > Number(badge.dataset.threshold);
+            badge.textContent = units === 1 ? '¡Última unidad!' : `¡Últimas ${units} unidades!`;
+        }
+    };
+
+    // ==========================================
+    // MÓDULO DE VISTA RÁPIDA
+    // ==========================================
+    // Modal con galería, matriz color × talla (stock y precio por variante)
+    // y cantidad. Los datos se piden al abrir y se guardan por producto.
+    const QuickViewModule = {
+        cache: new Map(),
+        el: null,
+        modal: null,
+        trigger: null,
+        state: null,
+
+        init() {
+            document.addEventListener('click', (e) => {
+                const button = e.target.closest(CONFIG.selectors.quickView);
+                const card = button?.closest(CONFIG.selectors.productCard);
+                if (!card) return;
+                e.preventDefault();
+                this.open(card.dataset.productId, button);
+            });
+        },
+
+        ensureModal() {
+            if (this.el) return this.el;
+
+            const el = document.createElement('div');
+            el.className = 'modal fade quick-view-modal';
+            el.id = 'quickViewModal';
+            el.tabIndex = -1;
+            el.setAttribute('aria-labelledby', 'quickViewTitle');
+            el.setAttribute('aria-hidden', 'true');
+            el.innerHTML = `
+                <div class="modal-dialog modal-lg modal-dialog-centered modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h2 class="modal-title h5" id="quickViewTitle">Vista rápida</h2>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Cerrar"></button>
+                        </div>
+                        <div class="modal-body" data-qv-body></div>
+                    </div>
+                </div>`;
+            document.body.appendChild(el);
+
+            el.addEventListener('click', e => this.handleClick(e));
+            el.addEventListener('change', e => this.handleChange(e));
+            el.addEventListener('keydown', e => this.handleKeydown(e));
+            // Devolver el foco al botón que abrió el modal
+            el.addEventListener('hidden.bs.modal', () => {
+                if (this.trigger?.isConnected) this.trigger.focus();
+                this.trigger = null;
+            });
+
+            this.el = el;
+            this.modal = bootstrap.Modal.getOrCreateInstance(el);
+            return el;
+        },
+
+        async open(productId, trigger = null) {
+            if (typeof bootstrap === 'undefined') {
+                window.location.href = `/p/${encodeURIComponent(productId)}`;
                 return;
             }
-            state.selectedVariant = variants.find(v =>
-                Utils.normalize(v.color) === Utils.normalize(state.selectedColor) &&
-                Utils.normalize(v.talla) === Utils.normalize(state.selectedSize) &&
-                v.stock > 0) || null;
-            if (state.selectedVariant && priceElement && state.selectedVariant.precio)
-                priceElement.textContent = Utils.formatCurrency(state.selectedVariant.precio);
+
+            this.trigger = trigger;
+            this.state = { productId, product: null, image: 0, variant: null, quantity: 1 };
+
+            const el = this.ensureModal();
+            const body = el.querySelector('[data-qv-body]');
+            el.querySelector('#quickViewTitle').textContent = 'Vista rápida';
+            body.setAttribute('aria-busy', 'true');
+            body.innerHTML = `
+                <div class="quick-view-loading">
+                    <span class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">Cargando producto…</span>
+                    </span>
+                </div>`;
+            this.modal.show();
+
+            try {
+                const product = await this.load(productId);
+                // Si mientras tanto se abrió otro producto, este ya no interesa
+                if (this.state?.productId !== productId) return;
+                this.render(product);
+            } catch (e) {
+                console.error('Error loading quick view:', e);
+                body.innerHTML = '<p class="text-danger mb-0" role="alert">No se pudo cargar el producto.</p>';
+            } finally {
+                body.setAttribute('aria-busy', 'false');
+            }
+        },
+
+        load(productId) {
+            if (!this.cache.has(productId)) {
+                const request = fetch(`${CONFIG.endpoints.quickView}/${encodeURIComponent(productId)}`, {
+                    headers: { 'X-Requested-With': 'XMLHttpRequest' },
+                    credentials: 'same-origin'
+                }).then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                });
+                request.catch(() => this.cache.delete(productId));
+                this.cache.set(productId, request);
+            }
+            return this.cache.get(productId);
+        },
+
+        render(product) {
+            const esc = Utils.escapeHtml;
+            const variants = product.variantes || [];
+            const images = product.imagenes?.length ? product.imagenes : ['/images/placeholder-product.svg'];
+            const inStock = variants.length ? variants.some(v => v.stock > 0) : product.stock > 0;
+
+            this.state.product = { ...product, imagenes: images };
+            this.el.querySelector('#quickViewTitle').textContent = product.nombre;
+
+            const body = this.el.querySelector('[data-qv-body]');
+            body.innerHTML = `
+                <div class="row g-4">
+                    <div class="col-md-6">
+                        ${this.carouselHtml(product.nombre, images)}
+                    </div>
+                    <div class="col-md-6">
+                        <div class="product-category">${esc([product.categoria, product.subcategoria].filter(Boolean).join(' · '))}</div>
+                        ${product.marca ? `<p class="text-muted small mb-1">${esc(product.marca)}</p>` : ''}
+                        <p class="qv-price" data-qv-price aria-live="polite"></p>
+                        <p class="qv-stock small" data-qv-stock aria-live="polite"></p>
+                        ${product.descripcion ? `<p class="qv-description">${esc(product.descripcion)}</p>` : ''}
+                        ${variants.length ? this.matrixHtml(variants) : ''}
+                        <div class="qv-quantity mb-3">
+                            <label for="qvQty" class="form-label small mb-1">Cantidad</label>
+                            <div class="input-group input-group-sm qv-stepper">
+                                <button type="button" class="btn btn-outline-secondary" data-qv-step="-1" aria-label="Disminuir cantidad">
+                                    <i class="fa-solid fa-minus" aria-hidden="true"></i>
+                                </button>
+                                <input type="number" class="form-control text-center" id="qvQty" min="1" value="1" inputmode="numeric" />
+                                <button type="button" class="btn btn-outline-secondary" data-qv-step="1" aria-label="Aumentar cantidad">
+                                    <i class="fa-solid fa-plus" aria-hidden="true"></i>
+                                </button>
+                            </div>
+                        </div>
+                        <p class="text-danger small mb-2" data-qv-error role="alert"></p>
+                        <button type="button" class="btn btn-primary w-100" data-qv-add ${inStock ? '' : 'disabled'}>
+                            <i class="fa-solid fa-cart-plus me-1" aria-hidden="true"></i>
+                            ${inStock ? 'Añadir al carrito' : 'Agotado'}
+                        </button>
+                        <a href="${esc(product.url)}" class="btn btn-link w-100 mt-1">Ver detalles completos</a>
+                    </div>
+                </div>`;
+
+            ColorModule.paintColorDots();
+
+            // Con una sola variante disponible no hace falta elegir
+            const available = variants.filter(v => v.stock > 0);
+            this.selectVariant(available.length === 1 ? available[0].id : null);
+            if (available.length === 1) {
+                const radio = body.querySelector(`#qvVar${available[0].id}`);
+                if (radio) radio.checked = true;
+            }
+            this.showImage(0, false);
+        },
+
+        carouselHtml(nombre, images) {
+            const esc = Utils.escapeHtml;
+            const multiple = images.length > 1;
+
+            return `
+                <div class="qv-carousel" role="region" aria-roledescription="carrusel" aria-label="Imágenes de ${esc(nombre)}" tabindex="0">
+                    <div class="qv-stage">
+                        <img data-qv-image src="${esc(images[0])}" alt="${esc(nombre)}"
+                             onerror="this.src='/images/placeholder-product.svg'" />
+                        ${multiple ? `
+                            <button type="button" class="qv-nav qv-prev" data-qv-prev aria-label="Imagen anterior">
+                                <i class="fa-solid fa-chevron-left" aria-hidden="true"></i>
+                            </button>
+                            <button type="button" class="qv-nav qv-next" data-qv-next aria-label="Imagen siguiente">
+                                <i class="fa-solid fa-chevron-right" aria-hidden="true"></i>
+                            </button>` : ''}
+                    </div>
+                    <p class="visually-hidden" data-qv-image-status aria-live="polite"></p>
+                    ${multiple ? `
+                        <div class="qv-thumbs" role="group" aria-label="Miniaturas">
+                            ${images.map((src, i) => `
+                                <button type="button" class="qv-thumb" data-qv-thumb="${i}" aria-label="Imagen ${i + 1} de ${images.length}">
+                                    <img src="${esc(src)}" alt="" loading="lazy" />
+                                </button>`).join('')}
+                        </div>` : ''}
+                </div>`;
+        },
+
+        /**
+         * Tabla color × talla. Cada celda es un radio (grupo nativo: flechas
+         * para moverse, espacio para elegir) con el stock y, si difiere, el precio.
+         */
+        matrixHtml(variants) {
+            const esc = Utils.escapeHtml;
+            const basePrice = this.state.product.precio;
+            const colors = [...new Set(variants.map(v => v.color || ''))];
+            const sizes = [...new Set(variants.map(v => v.talla || ''))].sort(Utils.compareSize);
+            const find = (color, size) => variants.find(v => (v.color || '') === color && (v.talla || '') === size);
+
+            const rows = colors.map(color => `
+                <tr>
+                    <th scope="row">
+                        ${color ? `<span class="color-dot me-1" data-color="${esc(color)}" aria-hidden="true"></span>` : ''}
+                        ${esc(color || 'Único')}
+                    </th>
+                    ${sizes.map(size => {
+                        const v = find(color, size);
+                        if (!v) {
+                            return '<td class="qv-cell is-none"><span aria-hidden="true">—</span><span class="visually-hidden">No existe</span></td>';
+                        }
+                        const stockText = v.stock > 0 ? `${v.stock} disponibles` : 'Agotado';
+                        const label = [color || 'Color único', `talla ${size || 'única'}`, Utils.formatCurrency(v.precio), stockText].join(', ');
+                        return `
+                            <td class="qv-cell">
+                                <input type="radio" class="btn-check" name="qvVariant" id="qvVar${v.id}" value="${v.id}" ${v.stock > 0 ? '' : 'disabled'} />
+                                <label class="qv-variant ${v.stock > 0 ? '' : 'is-out'}" for="qvVar${v.id}" aria-label="${esc(label)}">
+                                    <span class="qv-variant-stock">${v.stock > 0 ? v.stock : 'Agotado'}</span>
+                                    ${v.precio !== basePrice ? `<span class="qv-variant-price">${Utils.formatCurrency(v.precio)}</span>` : ''}
+                                </label>
+                            </td>`;
+                    }).join('')}
+                </tr>`).join('');
+
+            return `
+                <fieldset class="qv-variants mb-3">
+                    <legend class="form-label small mb-1">Elige color y talla <span class="text-muted">(unidades disponibles)</span></legend>
+                    <div class="table-responsive">
+                        <table class="table table-sm align-middle qv-matrix">
+                            <thead>
+                                <tr>
+                                    <th scope="col"><span class="visually-hidden">Color</span></th>
+                                    ${sizes.map(size => `<th scope="col">${esc(size || 'Única')}</th>`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </fieldset>`;
+        },
+
+        selectVariant(variantId) {
+            const { product } = this.state;
+            const variant = (product.variantes || []).find(v => v.id === Number(variantId)) || null;
+            this.state.variant = variant;
+
+            const prices = (product.variantes || []).filter(v => v.stock > 0).map(v => v.precio);
+            const priceEl = this.el.querySelector('[data-qv-price]');
+            if (variant) {
+                priceEl.textContent = Utils.formatCurrency(variant.precio);
+            } else if (prices.length && Math.min(...prices) !== Math.max(...prices)) {
+                priceEl.textContent = `Desde ${Utils.formatCurrency(Math.min(...prices))}`;
+            } else {
+                priceEl.textContent = Utils.formatCurrency(prices[0] ?? product.precio);
+            }
+
+            const stock = this.maxQuantity();
+            const stockEl = this.el.querySelector('[data-qv-stock]');
+            if (variant || !product.variantes?.length) {
+                stockEl.textContent = stock > 0 ? `${stock} unidad${stock === 1 ? '' : 'es'} disponible${stock === 1 ? '' : 's'}` : 'Agotado';
+            } else {
+                stockEl.textContent = '';
+            }
+
+            if (variant?.imagen) {
+                const index = product.imagenes.indexOf(variant.imagen);
+                if (index >= 0) this.showImage(index);
+            }
+
+            this.setQuantity(this.state.quantity);
+            this.el.querySelector('[data-qv-error]').textContent = '';
+        },
+
+        maxQuantity() {
+            const { product, variant } = this.state;
+            if (variant) return variant.stock;
+            return product.variantes?.length ? Infinity : product.stock;
+        },
+
+        setQuantity(value) {
+            const max = this.maxQuantity();
+            const quantity = Math.max(1, Math.min(parseInt(value) || 1, Number.isFinite(max) && max > 0 ? max : Infinity));
+            this.state.quantity = quantity;
+
+            const input = this.el.querySelector('#qvQty');
+            input.value = quantity;
+            if (Number.isFinite(max) && max > 0) input.max = max;
+            else input.removeAttribute('max');
+        },
+
+        showImage(index, announce = true) {
+            const images = this.state.product.imagenes;
+            const i = (index + images.length) % images.length;
+            this.state.image = i;
+
+            const img = this.el.querySelector('[data-qv-image]');
+            img.src = images[i];
+            this.el.querySelectorAll('[data-qv-thumb]').forEach(thumb => {
+                const active = Number(thumb.dataset.qvThumb) === i;
+                thumb.classList.toggle('active', active);
+                thumb.setAttribute('aria-current', active ? 'true' : 'false');
+            });
+            if (announce && images.length > 1) {
+                this.el.querySelector('[data-qv-image-status]').textContent = `Imagen ${i + 1} de ${images.length}`;
+            }
+        },
+
+        handleClick(e) {
+            if (!this.state?.product) return;
+
+            const step = e.target.closest('[data-qv-step]');
+            if (step) {
+                this.setQuantity(this.state.quantity + Number(step.dataset.qvStep));
+                return;
+            }
+
+            const thumb = e.target.closest('[data-qv-thumb]');
+            if (thumb) {
+                this.showImage(Number(thumb.dataset.qvThumb));
+                return;
+            }
+
+            if (e.target.closest('[data-qv-prev]')) this.showImage(this.state.image - 1);
+            else if (e.target.closest('[data-qv-next]')) this.showImage(this.state.image + 1);
+            else if (e.target.closest('[data-qv-add]')) this.add(e.target.closest('[data-qv-add]'));
+        },
+
+        handleChange(e) {
+            if (!this.state?.product) return;
+            if (e.target.name === 'qvVariant') this.selectVariant(e.target.value);
+            else if (e.target.id === 'qvQty') this.setQuantity(e.target.value);
+        },
+
+        handleKeydown(e) {
+            // Flechas en el carrusel; en la matriz las maneja el grupo de radios
+            if (!this.state?.product || !e.target.closest('.qv-carousel')) return;
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.showImage(this.state.image - 1);
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.showImage(this.state.image + 1);
+            }
+        },
+
+        async add(button) {
+            const { product, variant, quantity } = this.state;
+            const error = this.el.querySelector('[data-qv-error]');
+
+            if (product.variantes?.length && !variant) {
+                error.textContent = 'Elige color y talla';
+                this.el.querySelector('input[name="qvVariant"]:not(:disabled)')?.focus();
+                return;
+            }
+
+            const added = await CartModule.addToCart(product.productoID, variant?.id, quantity, button);
+            if (added) this.modal.hide();
+        }
+    };
+
+    // ==========================================
+    // MÓDULO DE FILTROS Y CARGA INCREMENTAL
+    // ==========================================
+    // Los formularios GET del catálogo siguen funcionando sin JavaScript;
+    // aquí se interceptan para traer solo el contenido y reemplazar las
+    // regiones [data-catalog-region] sin recargar la página.
+    const FacetModule = {
+        root: null,
+        controller: null,
+        observer: null,
+        autoLoaded: 0,
+        loadingMore: false,
+
+        init() {
+            this.root = document.querySelector(CONFIG.selectors.catalogPage);
+            if (!this.root || !window.history?.pushState) return;
+
+            this.root.addEventListener('submit', e => this.handleSubmit(e));
+            this.root.addEventListener('click', e => this.handleClick(e));
+            window.addEventListener('popstate', e => {
+                if (e.state?.catalog) this.navigate(new URLSearchParams(location.search), { push: false });
+            });
+
+            history.replaceState({ catalog: true }, '', location.href);
+            this.enhancePager();
+        },
+
+        handleSubmit(event) {
+            const form = event.target;
+            if (event.defaultPrevented || (form.method || 'get').toLowerCase() !== 'get') return;
+
+            event.preventDefault();
+            this.navigate(this.paramsFromForm(form));
+        },
+
+        handleClick(event) {
+            if (event.target.closest(CONFIG.selectors.loadMore)) {
+                this.loadMore();
+                return;
+            }
+
+            const link = event.target.closest('a[href]');
+            if (!link || !link.closest(CONFIG.selectors.region)) return;
+            if (link.getAttribute('href') === '#' || link.target === '_blank' ||
+                event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) return;
+
+            const url = new URL(link.href, location.href);
+            if (url.origin !== location.origin || url.pathname !== location.pathname) return;
+
+            event.preventDefault();
+            this.navigate(url.searchParams);
+        },
+
+        /**
+         * Estado actual de la URL + los campos del formulario enviado.
+         * Los campos del formulario sustituyen a los de la URL (una casilla
+         * desmarcada desaparece); data-facet-reset empieza de cero (categoría).
+         */
+        paramsFromForm(form) {
+            const params = form.hasAttribute('data-facet-reset')
+                ? new URLSearchParams()
+                : new URLSearchParams(location.search);
+
+            const names = new Set(Array.from(form.elements).map(el => el.name).filter(Boolean));
+            names.forEach(name => params.delete(name));
+
+            new FormData(form).forEach((value, key) => {
+                if (typeof value === 'string' && value.trim() !== '') params.append(key, value);
+            });
+
+            // Cualquier cambio de filtro vuelve a la primera página
+            params.delete('pageNumber');
+            return params;
+        },
+
+        buildUrl(params) {
+            const query = params.toString();
+            return query ? `${location.pathname}?${query}` : location.pathname;
+        },
+
+        /**
+         * Trae el catálogo para los parámetros dados y actualiza la página
+         */
+        async navigate(params, { push = true, append = false } = {}) {
+            const url = this.buildUrl(params);
+            const results = this.root.querySelector('[data-catalog-region="results"]');
+
+            this.controller?.abort();
+            this.controller = new AbortController();
+            results?.setAttribute('aria-busy', 'true');
+
+            try {
+                const response = await fetch(url, {
+                    headers: { 'X-Requested-With': 'XMLHttpRequest' },
+                    credentials: 'same-origin',
+                    signal: this.controller.signal
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+                if (append) {
+                    // La URL se queda en la página inicial: con pageNumber de la última
+                    // tanda, al recargar solo se vería esa página y no todo lo cargado
+                    this.appendPage(doc);
+                } else {
+                    this.swapRegions(doc);
+                    this.autoLoaded = 0;
+                    if (push) history.pushState({ catalog: true }, '', url);
+                    this.scrollToResults();
+                }
+            } catch (e) {
+                if (e.name === 'AbortError') return;
+                console.error('Error loading catalog:', e);
+                if (append) {
+                    ToastModule.showError('No se pudieron cargar más productos');
+                } else {
+                    // Sin fetch utilizable: navegación normal
+                    window.location.assign(url);
+                }
+            } finally {
+                this.root.querySelector('[data-catalog-region="results"]')?.setAttribute('aria-busy', 'false');
+            }
+        },
+
+        swapRegions(doc) {
+            const focusedId = document.activeElement?.id;
+
+            // Solo las regiones de primer nivel; las anidadas viajan con su contenedor
+            this.root.querySelectorAll(CONFIG.selectors.region).forEach(region => {
+                if (region.parentElement.closest(CONFIG.selectors.region)) return;
+                const next = doc.querySelector(`[data-catalog-region="${region.dataset.catalogRegion}"]`);
+                if (next) region.replaceWith(document.importNode(next, true));
+            });
+
+            const title = this.root.querySelector('[data-page-title]')?.dataset.pageTitle;
+            if (title) document.title = title;
+
+            this.hydrate(this.root.querySelectorAll(CONFIG.selectors.productCard));
+            if (focusedId) document.getElementById(focusedId)?.focus();
+        },
+
+        appendPage(doc) {
+            const grid = this.root.querySelector(CONFIG.selectors.productGrid);
+            const nextGrid = doc.querySelector(CONFIG.selectors.productGrid);
+            if (!grid || !nextGrid) return;
+
+            // Un producto puede cambiar de página entre peticiones: no duplicarlo
+            const present = new Set(Array.from(grid.querySelectorAll(CONFIG.selectors.productCard))
+                .map(card => card.dataset.productId));
+
+            const added = [];
+            Array.from(nextGrid.children).forEach(col => {
+                const card = col.querySelector(CONFIG.selectors.productCard);
+                if (card && present.has(card.dataset.productId)) return;
+                const node = document.importNode(col, true);
+                grid.appendChild(node);
+                added.push(...node.querySelectorAll(CONFIG.selectors.productCard));
+            });
+
+            grid.dataset.page = nextGrid.dataset.page;
+            grid.dataset.totalPages = nextGrid.dataset.totalPages;
+
+            const pager = this.root.querySelector(CONFIG.selectors.pager);
+            const nextPager = doc.querySelector(CONFIG.selectors.pager);
+            if (pager && nextPager) pager.replaceWith(document.importNode(nextPager, true));
+
+            this.hydrate(added);
+        },
+
+        /**
+         * Activa las tarjetas y controles que acaban de entrar en el DOM
+         */
+        hydrate(cards) {
+            cards.forEach(card => ProductCardModule.initCard(card));
+            ColorModule.paintColorDots();
+            if (window.CartStore) CartModule.renderCards(window.CartStore.getState());
+            this.enhancePager();
+        },
+
+        /**
+         * Cambia la paginación por "cargar más" con scroll infinito
+         */
+        enhancePager() {
+            this.observer?.disconnect();
+
+            const pager = this.root.querySelector(CONFIG.selectors.pager);
+            if (!pager) return;
+
+            const pagination = pager.querySelector(CONFIG.selectors.pagination);
+            const wrap = pager.querySelector(CONFIG.selectors.loadMoreWrap);
+            if (pagination) pagination.hidden = true;
+            if (!wrap) return;
+
+            wrap.hidden = false;
+
+            if ('IntersectionObserver' in window && this.autoLoaded < CONFIG.infiniteScroll.autoPages) {
+                this.observer = new IntersectionObserver(entries => {
+                    if (entries.some(e => e.isIntersecting)) {
+                        this.autoLoaded++;
+                        this.loadMore();
+                    }
+                }, { rootMargin: CONFIG.infiniteScroll.rootMargin });
+                this.observer.observe(wrap);
+            }
+        },
+
+        async loadMore() {
+            const grid = this.root.querySelector(CONFIG.selectors.productGrid);
+            if (!grid || this.loadingMore) return;
+
+            const page = parseInt(grid.dataset.page) || 1;
+            if (page >= (parseInt(grid.dataset.totalPages) || 1)) return;
+
+            const button = this.root.querySelector(CONFIG.selectors.loadMore);
+            if (button) {
+                button.disabled = true;
+                button.classList.add('btn-loading');
+            }
+
+            this.loadingMore = true;
+            const params = new URLSearchParams(location.search);
+            params.set('pageNumber', page + 1);
+
+            try {
+                await this.navigate(params, { push: false, append: true });
+            } finally {
+                this.loadingMore = false;
+                // Si el botón sigue ahí es porque la carga falló
+                if (button?.isConnected) {
+                    button.disabled = false;
+                    button.classList.remove('btn-loading');
+                }
+            }
+        },
+
+        scrollToResults() {
+            const results = this.root.querySelector('[data-catalog-region="results"]');
+            if (results && results.getBoundingClientRect().top < 0) {
+                results.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
         }
     };
 
@@ -427,9 +1042,17 @@
             FormsModule.init(currentSort, currentPageSize);
             WishlistModule.init();
             ProductCardModule.init();
+            CartModule.init();
+            QuickViewModule.init();
+            FacetModule.init();
             console.log('✓ Catálogo inicializado');
         },
         Cart: CartModule,
+        // Tarjetas y colores también los usa la vista previa del panel (ProductoForm.js)
+        Cards: ProductCardModule,
+        Colors: ColorModule,
+        Facets: FacetModule,
+        QuickView: QuickViewModule,
         Toast: ToastModule,
         Utils: Utils
     };
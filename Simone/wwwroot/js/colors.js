@@ -0,0 +1,263 @@
+/**
+ * ============================================================================
+ * SIMONE E-COMMERCE - ColorResolver v1.0
+ * ============================================================================
+ * Traduce los nombres de color que escriben los vendedores a muestras pintables
+ * - Diccionario de colores en español (sin importar tildes, género o plural)
+ * - Compuestos con modificador: "azul oscuro" → azul oscurecido
+ * - Tonos desconocidos: "verde militar raro" → verde; errores de tipeo cercanos
+ * - Varios colores: "negro/blanco" → muestra partida
+ * - Palabras clave CSS ("navy", "tomato") y hex explícitos
+ * Lo usan el catálogo (catalogo.js) y el formulario de producto (ProductoForm.js)
+ * ============================================================================
+ */
+
+'use strict';
+
+const ColorResolver = {
+    // Claves sin tildes y en minúsculas (se comparan normalizadas)
+    names: {
+        'negro': '#000000', 'blanco': '#ffffff', 'gris': '#808080',
+        'gris claro': '#d3d3d3', 'gris oscuro': '#4b5563', 'plateado': '#c0c0c0',
+        'gris perla': '#c9c9c9', 'marengo': '#4a4f55', 'gris marengo': '#4a4f55',
+        'rojo': '#ef4444', 'rojo vino': '#722f37', 'vino': '#722f37', 'granate': '#7b1e3c',
+        'burdeos': '#6d071a', 'coral': '#ff7f7f', 'terracota': '#c8593b',
+        'azul': '#3b82f6', 'azul marino': '#1e3a5f', 'celeste': '#87ceeb',
+        'azul cielo': '#87ceeb', 'turquesa': '#40e0d0', 'cian': '#06b6d4',
+        'azul rey': '#4169e1', 'azul electrico': '#0050ff', 'azul petroleo': '#1e4d5c',
+        'petroleo': '#1e4d5c', 'denim': '#1560bd', 'mezclilla': '#1560bd', 'jean': '#1560bd',
+        'aguamarina': '#7fffd4',
+        'verde': '#22c55e', 'verde lima': '#84cc16', 'verde menta': '#3eb489',
+        'oliva': '#556b2f', 'verde oscuro': '#166534', 'esmeralda': '#50c878',
+        'verde militar': '#4b5320', 'verde botella': '#095228', 'verde agua': '#5fd4c4',
+        'caqui': '#a89f68', 'kaki': '#a89f68', 'khaki': '#c3b091',
+        'amarillo': '#eab308', 'mostaza': '#ca8a04', 'dorado': '#d4af37',
+        'ocre': '#cc7722', 'cobre': '#b87333', 'bronce': '#cd7f32',
+        'naranja': '#f97316', 'durazno': '#ffcc99', 'salmon': '#fa8072',
+        'marron': '#8b4513', 'cafe': '#8b4513', 'tabaco': '#6f4e37',
+        'chocolate': '#7b3f00', 'beige': '#f5f5dc', 'crema': '#fffdd0',
+        'camel': '#c19a6b', 'nude': '#e3bc9a', 'hueso': '#f2ead8', 'arena': '#d8c3a5',
+        'marfil': '#fffff0', 'perla': '#eae0c8', 'champan': '#f7e7ce',
+        'morado': '#9333ea', 'violeta': '#7c3aed', 'lila': '#c8a2c8',
+        'lavanda': '#e6e6fa', 'rosa': '#ec4899', 'fucsia': '#d946ef',
+        'magenta': '#ff00ff', 'rosado': '#ffc0cb', 'palo de rosa': '#d8a1a4'
+    },
+
+    // Modificadores: > 0 aclara, < 0 oscurece (fracción hacia blanco/negro)
+    modifiers: {
+        'oscuro': -0.3, 'profundo': -0.4, 'intenso': -0.12, 'fuerte': -0.12,
+        'claro': 0.35, 'pastel': 0.5, 'palido': 0.45, 'suave': 0.25,
+        'medio': 0, 'neon': 0, 'fluor': 0, 'fluorescente': 0
+    },
+
+    // Separadores de valores con varios colores: "negro/blanco", "rojo y azul"
+    multiSeparator: /\s*(?:\/|\+|&|,|\s-\s|\by\b|\bcon\b)\s*/,
+
+    custom: new Map(),
+    cache: new Map(),
+
+    /**
+     * Minúsculas, sin tildes y con espacios simples
+     */
+    normalize(str) {
+        return (str || '').toString().trim().toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ');
+    },
+
+    isHex(str) {
+        return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test((str || '').trim());
+    },
+
+    /**
+     * Resuelve un valor de color.
+     * @returns {{hex: string, colors: string[], background: string, light: boolean} | null}
+     */
+    resolve(value) {
+        const key = this.normalize(value);
+        if (!key) return null;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        const parts = key.split(this.multiSeparator).filter(Boolean);
+        const colors = parts.length > 1 ? parts.map(part => this.single(part)) : [this.single(key)];
+
+        const result = colors.length && colors.every(Boolean)
+            ? {
+                hex: colors[0],
+                colors,
+                background: this.background(colors),
+                light: colors.some(hex => this.luminance(hex) > 0.85)
+            }
+            : null;
+
+        this.cache.set(key, result);
+        return result;
+    },
+
+    /**
+     * Un solo color (ya normalizado) → hex, o null si no se reconoce
+     */
+    single(key) {
+        if (this.custom.has(key)) return this.custom.get(key);
+        if (this.isHex(key)) return this.expandHex(key);
+        if (this.names[key]) return this.names[key];
+
+        // Género y plural: "rojas" → rojo, "blancos" → blanco
+        const tokens = key.split(' ').map(token => this.singular(token));
+        const joined = tokens.join(' ');
+        if (this.names[joined]) return this.names[joined];
+
+        // Modificadores: "azul oscuro", "verde militar claro"
+        const base = tokens.filter(token => !(token in this.modifiers));
+        if (base.length && base.length < tokens.length) {
+            const hex = this.single(base.join(' '));
+            if (hex) {
+                const amount = tokens.reduce((sum, token) => sum + (this.modifiers[token] || 0), 0);
+                return this.adjust(hex, amount);
+            }
+        }
+
+        const css = this.fromCss(key.replace(/ /g, ''));
+        if (css) return css;
+
+        // Tono desconocido: el color base ("azul turquesa raro" → azul turquesa → azul)
+        for (let n = base.length - 1; n > 0; n--) {
+            const prefix = base.slice(0, n).join(' ');
+            if (this.names[prefix]) return this.names[prefix];
+        }
+
+        return this.closest(joined);
+    },
+
+    singular(token) {
+        if (this.names[token] || token in this.modifiers) return token;
+
+        let word = token;
+        if (word.length > 4 && word.endsWith('es') && this.names[word.slice(0, -2)]) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s')) word = word.slice(0, -1);
+        if (word.length > 3 && word.endsWith('a') && !this.names[word]) {
+            const masculine = word.slice(0, -1) + 'o';
+            if (this.names[masculine] || masculine in this.modifiers) return masculine;
+        }
+        return word;
+    },
+
+    /**
+     * Palabras clave CSS ("navy", "tomato"), convertidas a hex
+     */
+    fromCss(value) {
+        if (typeof CSS === 'undefined' || !CSS.supports?.('color', value) || !document.body) return null;
+        if (['transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'revert'].includes(value)) return null;
+
+        const probe = document.createElement('span');
+        probe.style.color = value;
+        document.body.appendChild(probe);
+        const computed = getComputedStyle(probe).color;
+        probe.remove();
+
+        const rgb = computed.match(/\d+(\.\d+)?/g);
+        return rgb && rgb.length >= 3 ? this.toHex(rgb.slice(0, 3).map(Number)) : null;
+    },
+
+    /**
+     * Nombre conocido más parecido, tolerando errores de tipeo ("amarilo")
+     */
+    closest(key) {
+        const limit = key.length > 5 ? 2 : 1;
+        let best = null;
+        let bestDistance = limit + 1;
+
+        for (const name of Object.keys(this.names)) {
+            if (Math.abs(name.length - key.length) > limit) continue;
+            const distance = this.distance(name, key);
+            if (distance < bestDistance) {
+                best = name;
+                bestDistance = distance;
+            }
+        }
+        return best ? this.names[best] : null;
+    },
+
+    distance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    /**
+     * Hex elegido a mano para un nombre (tiene prioridad sobre el diccionario)
+     */
+    register(name, hex) {
+        const key = this.normalize(name);
+        if (!key || !this.isHex(hex)) return;
+        this.custom.set(key, this.expandHex(hex));
+        this.cache.clear();
+    },
+
+    /**
+     * Pinta una muestra. Devuelve false si el color no se reconoce.
+     */
+    paint(el, value) {
+        const color = this.resolve(value);
+        // Color e imagen por separado: no pisar los fondos que ponga la hoja de estilos
+        el.style.backgroundColor = color ? color.hex : '';
+        el.style.backgroundImage = color?.colors.length > 1 ? color.background : '';
+        el.classList.toggle('is-light-color', !!color?.light);
+        el.classList.toggle('is-unknown-color', !color);
+        return !!color;
+    },
+
+    // ==================== Utilidades de color ====================
+
+    background(colors) {
+        if (colors.length === 1) return colors[0];
+        // Muestra partida en diagonal, un tramo por color
+        const step = 100 / colors.length;
+        const stops = colors.map((hex, i) => `${hex} ${(i * step).toFixed(2)}% ${((i + 1) * step).toFixed(2)}%`);
+        return `linear-gradient(135deg, ${stops.join(', ')})`;
+    },
+
+    expandHex(hex) {
+        const value = hex.trim().toLowerCase();
+        return value.length === 4
+            ? '#' + [...value.slice(1)].map(c => c + c).join('')
+            : value;
+    },
+
+    toRgb(hex) {
+        const value = this.expandHex(hex);
+        return [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+    },
+
+    toHex(rgb) {
+        return '#' + rgb.map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('');
+    },
+
+    adjust(hex, amount) {
+        if (!amount) return hex;
+        const target = amount > 0 ? 255 : 0;
+        const t = Math.min(1, Math.abs(amount));
+        return this.toHex(this.toRgb(hex).map(c => c + (target - c) * t));
+    },
+
+    luminance(hex) {
+        const [r, g, b] = this.toRgb(hex);
+        return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    }
+};
+
+// ============================================================================
+// Exportar globalmente
+// ============================================================================
+window.ColorResolver = ColorResolver;
+
+if (window.Simone) {
+    window.Simone.Colors = ColorResolver;
+}
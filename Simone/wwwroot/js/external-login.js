@@ -0,0 +1,442 @@
+﻿/**
+ * Neo Ágora - Login externo (OAuth 2.0 con PKCE)
+ * Cliente genérico para los botones [data-external-provider] de login.cshtml:
+ *  1. Genera state y code_verifier, y abre /Cuenta/ExternalLoginStart en un popup
+ *     (sin popup, redirige la página completa)
+ *  2. ExternalLoginCallback devuelve code/state por postMessage, BroadcastChannel o el hash
+ *  3. Comprueba el state y envía code + code_verifier a /Cuenta/ExternalLogin
+ *  4. Si el correo ya tiene cuenta, pide la contraseña para vincular el proveedor
+ */
+const ExternalLogin = {
+    STORAGE_KEY: 'simone_external_login',
+    CHANNEL_NAME: 'simone-external-login',
+    MESSAGE_TYPE: 'simone:external-login',
+    HASH_PREFIX: '#external-login',
+    POPUP_NAME: 'simoneExternalLogin',
+    POPUP_FEATURES: 'width=520,height=660,menubar=no,toolbar=no',
+    // Un inicio pendiente caduca (el código del proveedor dura todavía menos)
+    PENDING_TTL: 10 * 60 * 1000,
+    POLL_INTERVAL: 500,
+
+    messages: {
+        cancelled: 'Inicio de sesión cancelado.',
+        closed: 'Se cerró la ventana del proveedor antes de terminar.',
+        invalidState: 'La respuesta del proveedor no es válida. Vuelve a intentarlo.',
+        disabled: 'Este proveedor no está disponible.',
+        failed: 'No se pudo iniciar sesión con el proveedor. Inténtalo otra vez.',
+        unsupported: 'Tu navegador no permite el inicio de sesión externo.'
+    },
+
+    options: {},
+    container: null,
+    pending: null,
+    popup: null,
+    pollTimer: null,
+    channel: null,
+    link: null,
+    busy: false,
+
+    /**
+     * @param {Object} options
+     * @param {Function} [options.notify]   (message, type) → aviso visible
+     * @param {Function} [options.announce] (message) → lector de pantalla
+     * @param {Function} [options.success]  (redirect) → sesión iniciada
+     * @param {Function} [options.prepareAttempt] (email) → Promise<{desafioToken, desafioNonce}>
+     */
+    init(options = {}) {
+        this.container = document.querySelector('[data-external-login]');
+        if (!this.container) return;
+
+        this.options = options;
+        this.pending = this.loadPending();
+
+        this.container.querySelectorAll('[data-external-provider]').forEach(btn => {
+            btn.addEventListener('click', () => this.start(btn.dataset.externalProvider));
+        });
+
+        window.addEventListener('message', (e) => {
+            // Solo el callback de este mismo origen, desde el popup abierto
+            if (e.origin !== location.origin || e.data?.type !== this.MESSAGE_TYPE) return;
+            if (this.popup && e.source !== this.popup) return;
+            this.handleResult(e.data);
+        });
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.addEventListener('message', (e) => {
+                // El canal llega a todas las pestañas: solo cuenta la respuesta a nuestro state
+                if (e.data?.type === this.MESSAGE_TYPE && this.pending && e.data.state === this.pending.state) {
+                    this.handleResult(e.data);
+                }
+            });
+        }
+
+        this.initLinkDialog();
+        this.resumeFromHash();
+    },
+
+    // ==================== INICIO ====================
+
+    /**
+     * Abre el proveedor. El popup se abre antes de calcular el challenge (async)
+     * para que el navegador lo asocie al clic y no lo bloquee.
+     */
+    async start(provider) {
+        if (this.busy || !provider) return;
+
+        if (!window.crypto?.subtle) {
+            this.notify(this.messages.unsupported, 'error');
+            return;
+        }
+
+        this.busy = true;
+        this.setButtonsBusy(provider);
+
+        const popup = window.open('', this.POPUP_NAME, this.POPUP_FEATURES);
+
+        try {
+            const verifier = this.randomString(32);
+            const pending = {
+                provider,
+                state: this.randomString(16),
+                verifier,
+                mode: popup ? 'popup' : 'redirect',
+                createdAt: Date.now()
+            };
+            const challenge = await this.codeChallenge(verifier);
+            this.savePending(pending);
+
+            const params = new URLSearchParams({ provider, state: pending.state, codeChallenge: challenge });
+            const url = `${this.container.dataset.startUrl}?${params}`;
+
+            if (!popup) {
+                location.assign(url);
+                return;
+            }
+
+            this.popup = popup;
+            popup.location.href = url;
+            popup.focus?.();
+            this.announce(`Abriendo ${provider} en una ventana nueva`);
+            this.watchPopup();
+        } catch (e) {
+            console.error('Login externo:', e);
+            popup?.close();
+            this.reset();
+            this.notify(this.messages.failed, 'error');
+        }
+    },
+
+    watchPopup() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = setInterval(() => {
+            if (!this.popup || !this.popup.closed) return;
+
+            clearInterval(this.pollTimer);
+            this.popup = null;
+
+            // Si el proveedor cortó window.opener, la respuesta aún puede llegar por BroadcastChannel;
+            // el pendiente se conserva hasta que caduque
+            if (this.busy && this.pending) {
+                this.busy = false;
+                this.setButtonsBusy(null);
+                this.announce(this.messages.closed);
+            }
+        }, this.POLL_INTERVAL);
+    },
+
+    // ==================== RESPUESTA DEL PROVEEDOR ====================
+
+    /**
+     * {code, state, error} del callback. Sin un pendiente con el mismo state se descarta.
+     */
+    async handleResult(result) {
+        const pending = this.pending;
+
+        if (!pending || !result?.state || result.state !== pending.state) {
+            // Sin inicio pendiente (caducado o ya usado) o con otro state: nunca se canjea
+            console.warn('Login externo: state no coincide, respuesta descartada');
+            this.reset();
+            this.notify(this.messages.invalidState, 'error');
+            return;
+        }
+
+        // Cada state/verifier se usa una sola vez
+        this.reset();
+        this.popup?.close();
+        this.popup = null;
+
+        if (result.error || !result.code) {
+            const message = result.error === 'access_denied' ? this.messages.cancelled
+                : result.error === 'provider_disabled' ? this.messages.disabled
+                    : this.messages.failed;
+            this.notify(message, result.error === 'access_denied' ? 'info' : 'error');
+            return;
+        }
+
+        this.busy = true;
+        this.setButtonsBusy(pending.provider);
+        this.announce('Verificando tu cuenta...');
+
+        try {
+            const data = await this.post(this.container.dataset.loginUrl, {
+                provider: pending.provider,
+                code: result.code,
+                codeVerifier: pending.verifier,
+                returnUrl: this.container.dataset.returnUrl || ''
+            });
+
+            if (data.ok) {
+                this.finish(data.redirect);
+            } else if (data.vincular) {
+                this.busy = false;
+                this.setButtonsBusy(null);
+                this.showLinkPrompt(data);
+            } else {
+                throw new Error(data.error);
+            }
+        } catch (e) {
+            this.busy = false;
+            this.setButtonsBusy(null);
+            this.notify(e.message || this.messages.failed, 'error');
+        }
+    },
+
+    /**
+     * Vuelta de una redirección completa (popup bloqueado): #external-login&code=...&state=...
+     */
+    resumeFromHash() {
+        if (!location.hash.startsWith(this.HASH_PREFIX)) return;
+
+        const params = new URLSearchParams(location.hash.slice(this.HASH_PREFIX.length + 1));
+        history.replaceState(null, '', location.pathname + location.search);
+
+        this.handleResult({
+            type: this.MESSAGE_TYPE,
+            code: params.get('code'),
+            state: params.get('state'),
+            error: params.get('error')
+        });
+    },
+
+    finish(redirect) {
+        this.announce('Sesión iniciada. Redirigiendo...');
+        if (typeof this.options.success === 'function') {
+            this.options.success(redirect);
+        } else {
+            location.assign(redirect || '/');
+        }
+    },
+
+    // ==================== VINCULAR CUENTA EXISTENTE ====================
+
+    initLinkDialog() {
+        const dialog = document.getElementById('linkAccountDialog');
+        if (!dialog) return;
+
+        this.link = {
+            dialog,
+            form: dialog.querySelector('form'),
+            email: dialog.querySelector('[data-link-email]'),
+            provider: dialog.querySelectorAll('[data-link-provider]'),
+            password: dialog.querySelector('input[type="password"]'),
+            passwordGroup: dialog.querySelector('[data-link-password]'),
+            noPassword: dialog.querySelector('[data-link-no-password]'),
+            error: dialog.querySelector('[data-link-error]'),
+            submit: dialog.querySelector('[type="submit"]'),
+            token: null
+        };
+
+        this.link.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLink();
+        });
+        dialog.querySelector('[data-link-cancel]')?.addEventListener('click', () => this.closeLinkPrompt());
+        dialog.addEventListener('cancel', () => { this.link.token = null; });
+    },
+
+    /**
+     * @param {{email: string, proveedor: string, linkToken: string, tienePassword: boolean}} data
+     */
+    showLinkPrompt(data) {
+        if (!this.link) {
+            this.notify(this.messages.failed, 'error');
+            return;
+        }
+
+        const { dialog, email, provider, password, passwordGroup, noPassword, submit } = this.link;
+        this.link.token = data.linkToken;
+        this.link.emailValue = data.email;
+
+        email.textContent = data.email;
+        provider.forEach(el => { el.textContent = data.proveedor; });
+        password.value = '';
+        passwordGroup.hidden = !data.tienePassword;
+        noPassword.hidden = data.tienePassword;
+        submit.hidden = !data.tienePassword;
+        this.setLinkError('');
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+
+        if (data.tienePassword) password.focus();
+        this.announce(`Ya existe una cuenta con ${data.email}. Confirma tu contraseña para vincular ${data.proveedor}.`);
+    },
+
+    closeLinkPrompt() {
+        if (!this.link) return;
+
+        this.link.token = null;
+        if (typeof this.link.dialog.close === 'function') {
+            this.link.dialog.close();
+        } else {
+            this.link.dialog.removeAttribute('open');
+        }
+    },
+
+    async submitLink() {
+        const { password, submit } = this.link;
+        if (!this.link.token || this.busy) return;
+
+        if (!password.value) {
+            this.setLinkError('La contraseña es requerida');
+            password.focus();
+            return;
+        }
+
+        this.busy = true;
+        submit.disabled = true;
+        submit.classList.add('is-loading');
+        this.setLinkError('');
+
+        try {
+            // Cuenta como intento de login: mismo límite y desafío que el formulario
+            const desafio = typeof this.options.prepareAttempt === 'function'
+                ? await this.options.prepareAttempt(this.link.emailValue)
+                : null;
+
+            const data = await this.post(this.container.dataset.linkUrl, {
+                linkToken: this.link.token,
+                password: password.value,
+                desafioToken: desafio?.desafioToken || '',
+                desafioNonce: desafio?.desafioNonce || '',
+                returnUrl: this.container.dataset.returnUrl || ''
+            });
+
+            this.closeLinkPrompt();
+            this.finish(data.redirect);
+        } catch (e) {
+            password.value = '';
+            password.focus();
+            this.setLinkError(e.message || this.messages.failed);
+        } finally {
+            this.busy = false;
+            submit.disabled = false;
+            submit.classList.remove('is-loading');
+        }
+    },
+
+    setLinkError(message) {
+        if (!this.link?.error) return;
+        this.link.error.textContent = message;
+        this.link.error.hidden = !message;
+        if (message) this.announce(message);
+    },
+
+    // ==================== UTILIDADES ====================
+
+    /**
+     * POST con el token antiforgery en el cuerpo. Los errores del servidor llegan como {error} o {errors}.
+     */
+    async post(url, fields) {
+        const body = new FormData();
+        body.append('__RequestVerificationToken',
+            document.querySelector('input[name="__RequestVerificationToken"]')?.value || '');
+        Object.entries(fields).forEach(([k, v]) => body.append(k, v));
+
+        const response = await fetch(url, {
+            method: 'POST',
+            body,
+            headers: { 'Accept': 'application/json' },
+            credentials: 'same-origin'
+        });
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) { /* respuesta sin JSON */ }
+
+        if (!response.ok) {
+            throw new Error(data.error || data.errors?.join(' ') || this.messages.failed);
+        }
+        return data;
+    },
+
+    randomString(bytes) {
+        return this.base64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+    },
+
+    async codeChallenge(verifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return this.base64Url(new Uint8Array(digest));
+    },
+
+    base64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    },
+
+    savePending(pending) {
+        this.pending = pending;
+        try {
+            sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify(pending));
+        } catch (e) { /* sin sessionStorage solo funciona el popup */ }
+    },
+
+    loadPending() {
+        try {
+            const pending = JSON.parse(sessionStorage.getItem(this.STORAGE_KEY) || 'null');
+            if (pending && Date.now() - pending.createdAt < this.PENDING_TTL) return pending;
+            sessionStorage.removeItem(this.STORAGE_KEY);
+        } catch (e) { /* sin sessionStorage */ }
+        return null;
+    },
+
+    reset() {
+        this.pending = null;
+        this.busy = false;
+        clearInterval(this.pollTimer);
+        this.setButtonsBusy(null);
+        try {
+            sessionStorage.removeItem(this.STORAGE_KEY);
+        } catch (e) { /* sin sessionStorage */ }
+    },
+
+    setButtonsBusy(provider) {
+        this.container?.querySelectorAll('[data-external-provider]').forEach(btn => {
+            if (btn.dataset.disabled === 'true') return;
+            btn.disabled = !!provider;
+            btn.classList.toggle('is-loading', btn.dataset.externalProvider === provider);
+        });
+    },
+
+    notify(message, type = 'info') {
+        if (typeof this.options.notify === 'function') {
+            this.options.notify(message, type);
+        } else {
+            alert(message);
+        }
+        this.announce(message);
+    },
+
+    announce(message) {
+        if (typeof this.options.announce === 'function') this.options.announce(message);
+    }
+};
+
+window.ExternalLogin = ExternalLogin;
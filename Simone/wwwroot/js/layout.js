@@ -25,10 +25,6 @@
             show: 'show',
             loading: 'loading',
             noScroll: 'no-scroll'
-        },
-        endpoints: {
-            cartInfo: '/Compras/CartInfo',
-            cartMini: '/Compras/Mini'
         }
     };
 
@@ -222,86 +218,57 @@
     };
 
     // ======= GESTIÓN DEL CARRITO =======
+    // El estado del carrito vive en CartStore (cart.js); aquí solo se
+    // reflejan los cambios en los elementos propios del layout.
     const cartManager = {
         /**
-         * Actualizar badge del carrito
+         * Suscribirse a CartStore
          */
-        updateBadge: async () => {
-            try {
-                const endpoints = window.NeoAgoraConfig?.endpoints || CONFIG.endpoints;
-                const data = await utils.fetchJSON(endpoints.cartInfo);
-
-                if (DOM.cartCount && data.count != null) {
-                    DOM.cartCount.textContent = data.count;
-
-                    // Actualizar aria-label del botón carrito
-                    if (DOM.openCart) {
-                        DOM.openCart.setAttribute('aria-label', `Ver carrito (${data.count} items)`);
-                    }
-                }
-            } catch (error) {
-                console.warn('No se pudo actualizar el badge del carrito:', error);
+        initialize: () => {
+            if (!window.CartStore) {
+                console.warn('CartStore no disponible; el badge del layout no se actualizará');
+                return;
             }
+
+            window.CartStore.subscribe(cartManager.render);
         },
 
         /**
-         * Refrescar contenido del carrito
+         * Reflejar el estado del carrito en el botón del header
          */
-        refreshContent: async () => {
-            try {
-                const endpoints = window.NeoAgoraConfig?.endpoints || CONFIG.endpoints;
-                const response = await fetch(endpoints.cartMini, {
-                    credentials: 'same-origin',
-                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
-                });
+        render: (state) => {
+            if (DOM.openCart) {
+                DOM.openCart.setAttribute('aria-label', `Ver carrito (${state.count} items)`);
+            }
 
-                if (response.ok) {
-                    const html = await response.text();
-                    if (DOM.cartContent) {
-                        DOM.cartContent.innerHTML = html;
-                    }
-                }
-            } catch (error) {
-                console.warn('No se pudo actualizar el contenido del carrito:', error);
+            if (state.locked !== STATE.isCartLocked) {
+                cartManager.handleLock(state.locked);
             }
         },
 
         /**
-         * Acción después de modificar el carrito
+         * Acción después de modificar el carrito fuera de CartStore.
+         * El refresh difunde el cambio a las demás pestañas (CartSync).
          */
         afterMutation: async () => {
-            await cartManager.updateBadge();
-            await cartManager.refreshContent();
-
-            // Sincronizar entre pestañas usando localStorage
-            try {
-                localStorage.setItem('simone_cart_updated', Date.now().toString());
-            } catch (e) {
-                // LocalStorage no disponible
-            }
+            await window.CartStore?.refresh();
         },
 
         /**
-         * Manejar bloqueo del carrito
+         * Manejar bloqueo del carrito (pago en curso aquí o en otra pestaña)
          */
-        handleLock: () => {
-            if (!STATE.isCartLocked) return;
+        handleLock: (locked = STATE.isCartLocked) => {
+            STATE.isCartLocked = locked;
 
-            // Deshabilitar interacciones con el carrito
             const cartElements = document.querySelectorAll('#open-cart, [data-cart-open], .cart-toggle');
             cartElements.forEach(el => {
-                el.style.pointerEvents = 'none';
-                el.style.opacity = '0.5';
-                el.title = 'Carrito bloqueado durante el pago';
+                el.style.pointerEvents = locked ? 'none' : '';
+                el.style.opacity = locked ? '0.5' : '';
+                el.title = locked ? 'Carrito bloqueado durante el pago' : '';
             });
 
-            // Prevenir apertura del panel
-            if (DOM.openCart) {
-                DOM.openCart.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    console.log('Carrito bloqueado durante el pago');
-                }, true);
+            if (locked && DOM.cartPanel?.classList.contains(CONFIG.classes.show)) {
+                panelManager.close(DOM.cartPanel);
             }
         }
     };
@@ -431,17 +398,10 @@
                 });
             }
 
-            // Storage event for cross-tab sync
-            window.addEventListener('storage', (e) => {
-                if (e.key === 'simone_cart_updated') {
-                    cartManager.afterMutation();
-                }
-            });
-
             // Visibility change for refresh
             document.addEventListener('visibilitychange', () => {
                 if (!document.hidden) {
-                    cartManager.updateBadge();
+                    window.CartStore?.refresh();
                     // Limpiar cualquier backdrop huérfano al volver a la pestaña
                     modalManager.forceCleanup();
                 }
@@ -651,13 +611,11 @@
             // Inicializar managers
             eventManager.initialize();
             backToTop.initialize();
+            cartManager.initialize();
             cartManager.handleLock();
             modalManager.initialize();
             performanceManager.initialize();
 
-            // Cargar datos iniciales
-            cartManager.updateBadge();
-
             // Limpiar cualquier residuo al cargar la página
             modalManager.forceCleanup();
 
@@ -1,22 +1,48 @@
 ﻿/**
- * Neo Ágora - Login Module v2.2
+ * Neo Ágora - Login Module v2.7
  * Sincronizado con login.cshtml y login.css
+ * El bloqueo y el desafío los decide el servidor (api/v1/auth/login/estado, LogIniciosSesion):
+ * aquí solo se muestra la cuenta atrás de su Retry-After y se resuelve el desafío.
+ * Los botones sociales los gestiona external-login.js (OAuth + PKCE).
+ * Modo "código por correo": código de un solo uso o enlace mágico (Cuenta/LoginCodigo*)
+ * También da vida al paso de verificación en dos pasos (LoginDosFactores.cshtml)
+ * y al modal de sesión caducada (_SesionPartial.cshtml, lo crea session.js con root/onLogin)
  */
 class LoginManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Element} [options.root] Contenedor del formulario (por defecto la página)
+     * @param {Function} [options.onLogin] (redirect) → sesión iniciada; sin él se navega a redirect
+     *        y la contraseña se envía con el formulario normal en lugar de por AJAX
+     * @param {Function} [options.notify] (message, type) → aviso; sin él, notificación flotante
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.root = options.root || document;
+
         this.config = {
-            MAX_ATTEMPTS: 5,
-            LOCKOUT_DURATION: 30,
             DEBOUNCE_DELAY: 300,
-            MIN_PASSWORD_LENGTH: 6,
-            STORAGE_KEY: 'neo_login_attempts'
+            // Aviso para lectores de pantalla cuando al código le queda este tiempo (s)
+            CODE_EXPIRY_WARNING: 60,
+            // Hashes entre cada actualización de la barra del desafío
+            CHALLENGE_BATCH: 500
         };
 
         this.state = {
             isSubmitting: false,
-            attempts: 0,
             lockoutEndTime: null,
-            lockoutInterval: null
+            lockoutInterval: null,
+            estadoController: null,
+            estadoEmail: null,
+            challenge: null,
+            challengeSolution: null,
+            loginMode: 'password',
+            codeEmail: null,
+            codeSubmitting: false,
+            resendEndTime: null,
+            resendInterval: null,
+            expiryEndTime: null,
+            expiryInterval: null
         };
 
         this.elements = {};
@@ -28,36 +54,61 @@ class LoginManager {
         this.initRateLimiting();
         this.initEventListeners();
         this.initAccessibility();
-        console.log('✓ Neo Ágora Login Module v2.2 inicializado');
+        this.initExternalLogin();
+        this.initCodeLogin();
+        this.initTwoFactor();
+        console.log('✓ Neo Ágora Login Module v2.7 inicializado');
     }
 
     cacheElements() {
-        // Mapeo de elementos por ID
+        // Mapeo de elementos por ID (dentro de root)
+        const byId = (id) => this.root.querySelector(`#${id}`);
+        const all = (selector) => [...this.root.querySelectorAll(selector)];
+
         this.elements = {
-            loginForm: document.getElementById('loginForm'),
-            submitBtn: document.getElementById('submitBtn'),
-            emailInput: document.getElementById('emailInput'),
-            passwordInput: document.getElementById('passwordInput'),
-            passwordToggle: document.getElementById('passwordToggle'),
-            capsWarning: document.getElementById('capsWarning'),
-            loginCard: document.getElementById('loginCard'),
-            successOverlay: document.getElementById('successOverlay'),
-            rateLimitWarning: document.getElementById('rateLimitWarning'),
-            rateLimitTimer: document.getElementById('rateLimitTimer'),
-            btnGoogle: document.getElementById('btnGoogle'),
-            btnFacebook: document.getElementById('btnFacebook'),
-            announcer: document.getElementById('announcer')
+            loginForm: byId('loginForm'),
+            submitBtn: byId('submitBtn'),
+            emailInput: byId('emailInput'),
+            passwordInput: byId('passwordInput'),
+            passwordToggle: byId('passwordToggle'),
+            capsWarning: byId('capsWarning'),
+            loginCard: byId('loginCard'),
+            successOverlay: byId('successOverlay'),
+            rateLimitWarning: byId('rateLimitWarning'),
+            rateLimitTimer: byId('rateLimitTimer'),
+            challengeBox: byId('loginChallenge'),
+            challengeText: byId('loginChallengeText'),
+            challengeBar: byId('loginChallengeBar'),
+            challengeToken: byId('desafioToken'),
+            challengeNonce: byId('desafioNonce'),
+            announcer: byId('announcer'),
+            modeTabs: all('[data-login-mode]'),
+            codeForm: byId('codeLoginForm'),
+            codeEmailInput: byId('codeEmailInput'),
+            codeSentTo: byId('codeSentTo'),
+            otpInputs: all('#codeLoginForm .otp-input'),
+            otpError: byId('otpError'),
+            codeExpiry: byId('codeExpiry'),
+            codeExpiryTimer: byId('codeExpiryTimer'),
+            codeRememberMe: byId('codeRememberMe'),
+            btnSendCode: byId('btnSendCode'),
+            btnVerifyCode: byId('btnVerifyCode'),
+            btnResendCode: byId('btnResendCode'),
+            codeResendTimer: byId('codeResendTimer'),
+            btnChangeEmail: byId('btnChangeEmail'),
+            twoFactorForm: byId('twoFactorForm'),
+            twoFactorOtpInputs: all('#twoFactorForm .otp-input'),
+            twoFactorCode: byId('twoFactorCode'),
+            twoFactorRecoveryMode: byId('twoFactorRecoveryMode'),
+            recoveryCodeInput: byId('recoveryCodeInput'),
+            twoFactorError: byId('twoFactorError'),
+            btnTwoFactor: byId('btnTwoFactor'),
+            btnTwoFactorMode: byId('btnTwoFactorMode')
         };
     }
 
     initRateLimiting() {
-        const stored = this.getStoredAttempts();
-        this.state.attempts = stored.attempts;
-
-        if (stored.lockoutEndTime && Date.now() < stored.lockoutEndTime) {
-            this.state.lockoutEndTime = stored.lockoutEndTime;
-            this.startLockoutTimer();
-        }
+        this.syncServerState(true);
     }
 
     initEventListeners() {
@@ -75,9 +126,12 @@ class LoginManager {
             this.elements.passwordInput.addEventListener('blur', () => this.validateField(this.elements.passwordInput));
         }
 
-        // Email validation on blur
+        // Email validation on blur (y estado de intentos de ese correo)
         if (this.elements.emailInput) {
-            this.elements.emailInput.addEventListener('blur', () => this.validateField(this.elements.emailInput));
+            this.elements.emailInput.addEventListener('blur', () => {
+                this.validateField(this.elements.emailInput);
+                this.syncServerState();
+            });
         }
 
         // Form validation on input
@@ -89,14 +143,6 @@ class LoginManager {
             this.elements.loginForm.addEventListener('submit', (e) => this.handleSubmit(e));
         }
 
-        // Social login
-        if (this.elements.btnGoogle) {
-            this.elements.btnGoogle.addEventListener('click', () => this.handleSocialLogin('Google'));
-        }
-        if (this.elements.btnFacebook) {
-            this.elements.btnFacebook.addEventListener('click', () => this.handleSocialLogin('Facebook'));
-        }
-
         // Keyboard navigation
         document.addEventListener('keydown', (e) => this.handleKeyboardNavigation(e));
     }
@@ -158,27 +204,9 @@ class LoginManager {
     validateField(input) {
         if (!input) return true;
 
+        // Reglas en data-validation del login.cshtml (las mismas que LoginViewModel)
         const value = input.value.trim();
-        let isValid = true;
-        let errorMessage = '';
-
-        if (input.id === 'emailInput') {
-            if (!value) {
-                isValid = false;
-                errorMessage = 'El correo electrónico es requerido';
-            } else if (!this.isValidEmail(value)) {
-                isValid = false;
-                errorMessage = 'Ingresa un correo electrónico válido';
-            }
-        } else if (input.id === 'passwordInput') {
-            if (!value) {
-                isValid = false;
-                errorMessage = 'La contraseña es requerida';
-            } else if (value.length < this.config.MIN_PASSWORD_LENGTH) {
-                isValid = false;
-                errorMessage = `La contraseña debe tener al menos ${this.config.MIN_PASSWORD_LENGTH} caracteres`;
-            }
-        }
+        const { valid: isValid, message: errorMessage } = Validator.validate(input);
 
         // Actualizar UI
         if (isValid) {
@@ -223,8 +251,6 @@ class LoginManager {
 
             const firstInvalid = this.elements.loginForm?.querySelector('.is-invalid');
             if (firstInvalid) firstInvalid.focus();
-
-            this.incrementAttempts();
             return;
         }
 
@@ -236,6 +262,23 @@ class LoginManager {
         }
         this.announce('Iniciando sesión...');
 
+        // Con desafío pendiente, se envía en cuanto esté resuelto
+        if (this.state.challenge && !(await this.state.challengeSolution)) {
+            this.state.isSubmitting = false;
+            if (this.elements.submitBtn) {
+                this.elements.submitBtn.classList.remove('is-loading');
+                this.elements.submitBtn.disabled = this.isLockedOut();
+            }
+            this.showNotification('No se pudo completar la verificación de seguridad. Recarga la página.', 'error');
+            return;
+        }
+
+        // Modal de sesión caducada: sin salir de la página
+        if (this.options.onLogin) {
+            await this.submitPasswordAjax();
+            return;
+        }
+
         // En una implementación real, aquí iría el submit del formulario
         // Por ahora, dejamos que el formulario se envíe normalmente
 
@@ -247,7 +290,6 @@ class LoginManager {
         try {
             await new Promise(resolve => setTimeout(resolve, 1500));
             this.showSuccess();
-            this.resetAttempts();
         } catch (error) {
             console.error('Login error:', error);
             this.showNotification('Error al iniciar sesión. Intenta de nuevo.', 'error');
@@ -256,15 +298,632 @@ class LoginManager {
                 this.elements.submitBtn.classList.remove('is-loading');
                 this.elements.submitBtn.disabled = false;
             }
-            this.incrementAttempts();
         }
         */
     }
 
-    handleSocialLogin(provider) {
-        const message = `Inicio de sesión con ${provider} - Funcionalidad en desarrollo`;
-        this.announce(message);
-        this.showNotification(message, 'info');
+    /**
+     * Envío de la contraseña por AJAX (Cuenta/Login responde { ok, redirect } o { error })
+     */
+    async submitPasswordAjax() {
+        const form = this.elements.loginForm;
+
+        try {
+            const response = await fetch(form.action, {
+                method: 'POST',
+                body: new FormData(form),
+                headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' },
+                credentials: 'same-origin'
+            });
+
+            let data = {};
+            try {
+                data = await response.json();
+            } catch (e) { /* respuesta sin JSON */ }
+
+            if (response.ok && data.ok) {
+                this.completeLogin(data.redirect);
+                return;
+            }
+
+            const message = data.error || 'No se pudo iniciar sesión. Intenta de nuevo.';
+            this.showNotification(message, 'error');
+            this.announce(message, 'assertive');
+            this.shakeCard();
+
+            if (this.elements.passwordInput) {
+                this.elements.passwordInput.value = '';
+                this.elements.passwordInput.focus();
+            }
+
+            // Un fallo más puede activar el bloqueo o el desafío
+            this.syncServerState(true);
+        } catch (e) {
+            console.error('Error al iniciar sesión:', e);
+            this.showNotification('Error de conexión. Intenta de nuevo.', 'error');
+        } finally {
+            this.state.isSubmitting = false;
+            if (this.elements.submitBtn) {
+                this.elements.submitBtn.classList.remove('is-loading');
+                this.elements.submitBtn.disabled = this.isLockedOut();
+            }
+        }
+    }
+
+    /**
+     * Sesión iniciada (contraseña, código o proveedor externo)
+     */
+    completeLogin(redirect) {
+        if (this.options.onLogin) {
+            this.options.onLogin(redirect);
+            return;
+        }
+
+        this.showSuccess();
+        window.location.assign(redirect || '/');
+    }
+
+    /**
+     * Deja el formulario listo para otro intento (el modal de sesión caducada se reutiliza)
+     */
+    reset() {
+        this.state.isSubmitting = false;
+        this.stopCodeTimers();
+        this.showCodeStep('email');
+        this.setLoginMode('password');
+
+        if (this.elements.passwordInput) this.elements.passwordInput.value = '';
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.classList.remove('is-loading');
+            this.elements.submitBtn.disabled = this.isLockedOut();
+        }
+
+        this.syncServerState(true);
+    }
+
+    // ==================== LOGIN EXTERNO ====================
+
+    initExternalLogin() {
+        if (!window.ExternalLogin) return;
+
+        window.ExternalLogin.init({
+            notify: (message, type) => this.showNotification(message, type),
+            announce: (message) => this.announce(message),
+            success: (redirect) => this.completeLogin(redirect),
+            prepareAttempt: (email) => this.prepareExternalAttempt(email)
+        });
+    }
+
+    /**
+     * Vincular una cuenta pide su contraseña: se aplica el mismo estado (bloqueo/desafío) de ese correo
+     * @returns {Promise<{desafioToken: string, desafioNonce: string}>}
+     */
+    async prepareExternalAttempt(email) {
+        if (this.elements.emailInput && email) {
+            this.elements.emailInput.value = email;
+        }
+        await this.syncServerState(true);
+
+        if (this.state.challenge) {
+            await this.state.challengeSolution;
+        }
+
+        return {
+            desafioToken: this.elements.challengeToken?.value || '',
+            desafioNonce: this.elements.challengeNonce?.value || ''
+        };
+    }
+
+    // ==================== LOGIN CON CÓDIGO (SIN CONTRASEÑA) ====================
+
+    initCodeLogin() {
+        const { codeForm, modeTabs, otpInputs } = this.elements;
+        if (!codeForm) return;
+
+        modeTabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => this.setLoginMode(tab.dataset.loginMode));
+
+            // Tablist: flechas entre pestañas
+            tab.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                e.preventDefault();
+                const next = modeTabs[(index + (e.key === 'ArrowRight' ? 1 : -1) + modeTabs.length) % modeTabs.length];
+                this.setLoginMode(next.dataset.loginMode);
+                next.focus();
+            });
+        });
+
+        codeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.getCodeStep() === 'email') {
+                this.requestCode();
+            } else {
+                this.verifyCode();
+            }
+        });
+
+        this.codeOtp = {
+            inputs: otpInputs,
+            error: this.elements.otpError,
+            onComplete: () => this.verifyCode()
+        };
+        this.bindOtp(this.codeOtp);
+
+        this.elements.btnResendCode?.addEventListener('click', () => this.requestCode());
+        this.elements.btnChangeEmail?.addEventListener('click', () => {
+            this.stopCodeTimers();
+            this.showCodeStep('email');
+            this.elements.codeEmailInput?.focus();
+        });
+    }
+
+    /**
+     * 'password' | 'code'. El correo escrito pasa de un modo al otro.
+     */
+    setLoginMode(mode) {
+        if (mode === this.state.loginMode || !this.elements.codeForm) return;
+
+        const { loginForm, codeForm, emailInput, codeEmailInput } = this.elements;
+        this.state.loginMode = mode;
+
+        this.elements.modeTabs.forEach(tab => {
+            const active = tab.dataset.loginMode === mode;
+            tab.classList.toggle('is-active', active);
+            tab.setAttribute('aria-selected', active);
+            tab.tabIndex = active ? 0 : -1;
+        });
+
+        const toCode = mode === 'code';
+        if (loginForm) loginForm.hidden = toCode;
+        codeForm.hidden = !toCode;
+
+        if (toCode) {
+            if (codeEmailInput && emailInput && this.getCodeStep() === 'email') {
+                codeEmailInput.value = codeEmailInput.value || emailInput.value;
+            }
+            this.announce('Inicio de sesión con código por correo');
+        } else {
+            if (emailInput && codeEmailInput?.value && !emailInput.value) {
+                emailInput.value = codeEmailInput.value;
+            }
+            this.announce('Inicio de sesión con contraseña');
+        }
+    }
+
+    getCodeStep() {
+        return this.elements.codeForm?.querySelector('[data-code-step="verify"]')?.hidden === false ? 'verify' : 'email';
+    }
+
+    showCodeStep(step) {
+        this.elements.codeForm?.querySelectorAll('[data-code-step]').forEach(el => {
+            el.hidden = el.dataset.codeStep !== step;
+        });
+    }
+
+    /**
+     * Pide (o reenvía) el código. La respuesta es la misma aunque el correo no tenga cuenta.
+     */
+    async requestCode() {
+        if (this.state.codeSubmitting) return;
+
+        const resend = this.getCodeStep() === 'verify';
+        const input = this.elements.codeEmailInput;
+        if (!resend && !this.validateField(input)) {
+            input?.focus();
+            return;
+        }
+
+        const email = resend ? this.state.codeEmail : input.value.trim();
+        const button = resend ? this.elements.btnResendCode : this.elements.btnSendCode;
+        this.setCodeBusy(button, true);
+
+        try {
+            const { response, data } = await this.postCodeForm(this.elements.codeForm.dataset.solicitarUrl, {
+                email,
+                returnUrl: this.getReturnUrl()
+            });
+
+            if (!response.ok) {
+                if (data.reenvioEn) this.startResendCooldown(data.reenvioEn);
+                this.showNotification(data.error || 'No pudimos enviar el código. Inténtalo más tarde.', 'error');
+                this.announce(data.error || 'No pudimos enviar el código', 'assertive');
+                return;
+            }
+
+            this.state.codeEmail = email;
+            if (this.elements.codeSentTo) this.elements.codeSentTo.textContent = email;
+
+            this.showCodeStep('verify');
+            this.clearOtp(this.codeOtp);
+            this.startCodeExpiry(data.expiraEn);
+            this.startResendCooldown(data.reenvioEn);
+
+            this.showNotification(data.message, 'success');
+            this.announce(`${resend ? 'Código reenviado' : 'Código enviado'} a ${email}. ${data.message}`);
+            this.elements.otpInputs[0]?.focus();
+        } catch (e) {
+            console.error('Error al pedir el código:', e);
+            this.showNotification('Error de conexión. Intenta de nuevo.', 'error');
+        } finally {
+            this.setCodeBusy(button, false);
+        }
+    }
+
+    async verifyCode() {
+        if (this.state.codeSubmitting) return;
+
+        const code = this.getOtpValue(this.codeOtp);
+        const length = this.elements.otpInputs.length;
+        if (code.length !== length) {
+            this.setOtpError(this.codeOtp, `Ingresa los ${length} dígitos del código`);
+            this.elements.otpInputs.find(i => !i.value)?.focus();
+            return;
+        }
+
+        if (this.state.expiryEndTime && Date.now() >= this.state.expiryEndTime) {
+            this.setOtpError(this.codeOtp, 'El código ha caducado. Pide uno nuevo.');
+            return;
+        }
+
+        this.setCodeBusy(this.elements.btnVerifyCode, true);
+        this.setOtpError(this.codeOtp, '');
+
+        try {
+            const { response, data } = await this.postCodeForm(this.elements.codeForm.dataset.verificarUrl, {
+                email: this.state.codeEmail,
+                codigo: code,
+                rememberMe: this.elements.codeRememberMe?.checked ? 'true' : 'false',
+                returnUrl: this.getReturnUrl()
+            });
+
+            if (response.ok && data.ok) {
+                this.stopCodeTimers();
+                this.completeLogin(data.redirect);
+                return;
+            }
+
+            let message = data.error || 'El código no es correcto.';
+            if (data.intentosRestantes > 0) {
+                message += ` Te quedan ${data.intentosRestantes} ${data.intentosRestantes === 1 ? 'intento' : 'intentos'}.`;
+            }
+            if (data.expirado) {
+                this.expireCode();
+            }
+
+            this.clearOtp(this.codeOtp);
+            this.setOtpError(this.codeOtp, message);
+            this.shakeCard();
+            this.elements.otpInputs[0]?.focus();
+
+            // Demasiados fallos: el servidor manda el bloqueo (misma cuenta atrás que con contraseña)
+            if (response.status === 429) this.syncServerState(true);
+        } catch (e) {
+            console.error('Error al verificar el código:', e);
+            this.showNotification('Error de conexión. Intenta de nuevo.', 'error');
+        } finally {
+            this.setCodeBusy(this.elements.btnVerifyCode, false);
+        }
+    }
+
+    // ---------- Entrada segmentada (código por correo y verificación en dos pasos) ----------
+
+    /**
+     * Casillas de un dígito: avance automático, pegado y autocompletado del código entero.
+     * group = { inputs, error, onComplete } (onComplete se llama al rellenar la última casilla)
+     */
+    bindOtp(group) {
+        group.inputs.forEach((input, index) => {
+            input.addEventListener('input', () => this.handleOtpInput(group, input, index));
+            input.addEventListener('keydown', (e) => this.handleOtpKeydown(group, e, index));
+            input.addEventListener('paste', (e) => this.handleOtpPaste(group, e, index));
+            input.addEventListener('focus', () => input.select());
+        });
+    }
+
+    handleOtpInput(group, input, index) {
+        const digits = input.value.replace(/\D/g, '');
+
+        // Autocompletado del sistema (one-time-code) o teclado que mete varios dígitos a la vez
+        if (digits.length > 1) {
+            this.fillOtp(group, digits, index);
+            return;
+        }
+
+        input.value = digits;
+        input.classList.toggle('is-filled', !!digits);
+        this.setOtpError(group, '');
+
+        if (digits) {
+            const next = group.inputs[index + 1];
+            if (next) {
+                next.focus();
+            } else {
+                this.maybeSubmitOtp(group);
+            }
+        }
+    }
+
+    handleOtpKeydown(group, event, index) {
+        const inputs = group.inputs;
+
+        if (event.key === 'Backspace' && !inputs[index].value && index > 0) {
+            event.preventDefault();
+            inputs[index - 1].value = '';
+            inputs[index - 1].classList.remove('is-filled');
+            inputs[index - 1].focus();
+        } else if (event.key === 'ArrowLeft' && index > 0) {
+            event.preventDefault();
+            inputs[index - 1].focus();
+        } else if (event.key === 'ArrowRight' && index < inputs.length - 1) {
+            event.preventDefault();
+            inputs[index + 1].focus();
+        }
+    }
+
+    handleOtpPaste(group, event, index) {
+        const text = (event.clipboardData || window.clipboardData)?.getData('text') || '';
+        const digits = text.replace(/\D/g, '');
+        if (!digits) return;
+
+        event.preventDefault();
+        this.fillOtp(group, digits, digits.length >= group.inputs.length ? 0 : index);
+    }
+
+    /**
+     * Reparte los dígitos desde la casilla "from" y, si queda completo, envía
+     */
+    fillOtp(group, digits, from = 0) {
+        const inputs = group.inputs;
+        [...digits].slice(0, inputs.length - from).forEach((digit, i) => {
+            inputs[from + i].value = digit;
+            inputs[from + i].classList.add('is-filled');
+        });
+
+        this.setOtpError(group, '');
+        const firstEmpty = inputs.find(i => !i.value);
+        (firstEmpty || inputs[inputs.length - 1]).focus();
+        this.maybeSubmitOtp(group);
+    }
+
+    maybeSubmitOtp(group) {
+        if (this.getOtpValue(group).length === group.inputs.length) {
+            this.announce('Código completo, verificando');
+            group.onComplete();
+        }
+    }
+
+    getOtpValue(group) {
+        return group.inputs.map(i => i.value).join('');
+    }
+
+    clearOtp(group) {
+        group.inputs.forEach(i => {
+            i.value = '';
+            i.classList.remove('is-filled', 'is-invalid');
+        });
+    }
+
+    setOtpError(group, message) {
+        if (group.error) {
+            group.error.textContent = message;
+            if (message) {
+                group.error.setAttribute('role', 'alert');
+            } else {
+                group.error.removeAttribute('role');
+            }
+        }
+        group.inputs.forEach(i => {
+            i.classList.toggle('is-invalid', !!message);
+            i.setAttribute('aria-invalid', !!message);
+        });
+        if (message) this.announce(message, 'assertive');
+    }
+
+    // ---------- Cuentas atrás ----------
+
+    startCodeExpiry(seconds) {
+        clearInterval(this.state.expiryInterval);
+        this.state.expiryEndTime = Date.now() + seconds * 1000;
+
+        const box = this.elements.codeExpiry;
+        box?.classList.remove('is-expiring', 'is-expired');
+        if (this.elements.btnVerifyCode) this.elements.btnVerifyCode.disabled = false;
+
+        let warned = false;
+        const update = () => {
+            const remaining = Math.ceil((this.state.expiryEndTime - Date.now()) / 1000);
+
+            if (remaining <= 0) {
+                this.expireCode();
+                return;
+            }
+
+            if (this.elements.codeExpiryTimer) this.elements.codeExpiryTimer.textContent = this.formatCountdown(remaining);
+
+            if (remaining <= this.config.CODE_EXPIRY_WARNING) {
+                box?.classList.add('is-expiring');
+                if (!warned) {
+                    warned = true;
+                    this.announce('El código caduca en menos de un minuto');
+                }
+            }
+        };
+
+        update();
+        this.state.expiryInterval = setInterval(update, 1000);
+    }
+
+    expireCode() {
+        clearInterval(this.state.expiryInterval);
+        this.state.expiryInterval = null;
+        this.state.expiryEndTime = Date.now();
+
+        const box = this.elements.codeExpiry;
+        box?.classList.remove('is-expiring');
+        box?.classList.add('is-expired');
+        if (this.elements.codeExpiryTimer) this.elements.codeExpiryTimer.textContent = '00:00';
+        if (this.elements.btnVerifyCode) this.elements.btnVerifyCode.disabled = true;
+
+        this.announce('El código ha caducado. Pide uno nuevo.', 'assertive');
+    }
+
+    startResendCooldown(seconds) {
+        const button = this.elements.btnResendCode;
+        clearInterval(this.state.resendInterval);
+        this.state.resendEndTime = Date.now() + seconds * 1000;
+
+        const update = () => {
+            const remaining = Math.ceil((this.state.resendEndTime - Date.now()) / 1000);
+
+            if (remaining <= 0) {
+                clearInterval(this.state.resendInterval);
+                this.state.resendInterval = null;
+                if (button) button.disabled = false;
+                if (this.elements.codeResendTimer) this.elements.codeResendTimer.textContent = '';
+                if (this.getCodeStep() === 'verify') this.announce('Ya puedes pedir otro código');
+                return;
+            }
+
+            if (button) button.disabled = true;
+            if (this.elements.codeResendTimer) this.elements.codeResendTimer.textContent = `(${this.formatCountdown(remaining)})`;
+        };
+
+        update();
+        this.state.resendInterval = setInterval(update, 1000);
+    }
+
+    stopCodeTimers() {
+        clearInterval(this.state.expiryInterval);
+        clearInterval(this.state.resendInterval);
+        this.state.expiryInterval = null;
+        this.state.resendInterval = null;
+    }
+
+    formatCountdown(seconds) {
+        const m = Math.floor(seconds / 60);
+        const s = seconds % 60;
+        return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+    }
+
+    // ---------- Utilidades del modo código ----------
+
+    setCodeBusy(button, busy) {
+        this.state.codeSubmitting = busy;
+        if (!button) return;
+        button.classList.toggle('is-loading', busy);
+        button.disabled = busy || (button === this.elements.btnResendCode && !!this.state.resendInterval);
+    }
+
+    getReturnUrl() {
+        return this.elements.loginForm?.querySelector('input[name="returnUrl"]')?.value || '';
+    }
+
+    async postCodeForm(url, fields) {
+        const body = new FormData();
+        body.append('__RequestVerificationToken',
+            this.elements.loginForm?.querySelector('input[name="__RequestVerificationToken"]')?.value || '');
+        Object.entries(fields).forEach(([k, v]) => body.append(k, v ?? ''));
+
+        const response = await fetch(url, {
+            method: 'POST',
+            body,
+            headers: { 'Accept': 'application/json' },
+            credentials: 'same-origin'
+        });
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) { /* respuesta sin JSON */ }
+
+        return { response, data };
+    }
+
+    // ==================== VERIFICACIÓN EN DOS PASOS ====================
+
+    initTwoFactor() {
+        const { twoFactorForm, twoFactorOtpInputs } = this.elements;
+        if (!twoFactorForm) return;
+
+        this.twoFactorOtp = {
+            inputs: twoFactorOtpInputs,
+            error: this.elements.twoFactorError,
+            onComplete: () => this.submitTwoFactor()
+        };
+        this.bindOtp(this.twoFactorOtp);
+
+        twoFactorForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitTwoFactor();
+        });
+
+        this.elements.btnTwoFactorMode?.addEventListener('click', () => {
+            this.setTwoFactorRecovery(!this.isTwoFactorRecovery());
+        });
+        this.elements.recoveryCodeInput?.addEventListener('input', () => this.setOtpError(this.twoFactorOtp, ''));
+
+        this.focusTwoFactor();
+    }
+
+    isTwoFactorRecovery() {
+        return this.elements.twoFactorRecoveryMode?.value === 'true';
+    }
+
+    /**
+     * Código de la app o código de recuperación (este no admite "confiar en el dispositivo")
+     */
+    setTwoFactorRecovery(recovery) {
+        const { twoFactorForm, twoFactorRecoveryMode, btnTwoFactorMode } = this.elements;
+        twoFactorRecoveryMode.value = recovery ? 'true' : 'false';
+
+        twoFactorForm.querySelectorAll('[data-two-factor-mode]').forEach(el => {
+            el.hidden = (el.dataset.twoFactorMode === 'recovery') !== recovery;
+        });
+
+        const label = btnTwoFactorMode?.querySelector('span');
+        if (label) label.textContent = recovery ? 'Usar la app de autenticación' : 'Usar un código de recuperación';
+
+        this.setOtpError(this.twoFactorOtp, '');
+        this.announce(recovery ? 'Verificación con código de recuperación' : 'Verificación con la app de autenticación');
+        this.focusTwoFactor();
+    }
+
+    focusTwoFactor() {
+        if (this.isTwoFactorRecovery()) {
+            this.elements.recoveryCodeInput?.focus();
+        } else {
+            const inputs = this.twoFactorOtp.inputs;
+            (inputs.find(i => !i.value) || inputs[0])?.focus();
+        }
+    }
+
+    /**
+     * Envío normal del formulario (el servidor redirige); aquí se valida y se rellena "Codigo"
+     */
+    submitTwoFactor() {
+        if (this.state.isSubmitting) return;
+
+        const group = this.twoFactorOtp;
+        const recovery = this.isTwoFactorRecovery();
+        const code = recovery ? (this.elements.recoveryCodeInput?.value || '').trim() : this.getOtpValue(group);
+
+        if (recovery ? !code : code.length !== group.inputs.length) {
+            this.setOtpError(group, recovery
+                ? 'Ingresa uno de tus códigos de recuperación'
+                : `Ingresa los ${group.inputs.length} dígitos del código`);
+            this.shakeCard();
+            this.focusTwoFactor();
+            return;
+        }
+
+        this.state.isSubmitting = true;
+        this.elements.twoFactorCode.value = code;
+        if (this.elements.btnTwoFactor) {
+            this.elements.btnTwoFactor.classList.add('is-loading');
+            this.elements.btnTwoFactor.disabled = true;
+        }
+        this.announce('Verificando...');
+        this.elements.twoFactorForm.submit();
     }
 
     handleKeyboardNavigation(event) {
@@ -308,64 +967,73 @@ class LoginManager {
         }, 100);
     }
 
-    isValidEmail(email) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-    }
+    // ==================== LÍMITE DE INTENTOS (SERVIDOR) ====================
 
-    getStoredAttempts() {
-        try {
-            const stored = sessionStorage.getItem(this.config.STORAGE_KEY);
-            if (stored) {
-                const data = JSON.parse(stored);
-                if (data.lockoutEndTime && Date.now() > data.lockoutEndTime) {
-                    sessionStorage.removeItem(this.config.STORAGE_KEY);
-                    return { attempts: 0, lockoutEndTime: null };
-                }
-                return data;
-            }
-        } catch (e) {
-            console.warn('Error reading stored attempts:', e);
-        }
-        return { attempts: 0, lockoutEndTime: null };
-    }
+    /**
+     * Pide al servidor el estado de intentos del correo escrito (force: aunque no haya cambiado)
+     */
+    async syncServerState(force = false) {
+        const url = this.elements.loginForm?.dataset.estadoUrl;
+        if (!url) return;
+
+        const email = this.elements.emailInput?.value.trim() || '';
+        if (!force && email === this.state.estadoEmail) return;
+        this.state.estadoEmail = email;
+
+        this.state.estadoController?.abort();
+        const controller = new AbortController();
+        this.state.estadoController = controller;
 
-    storeAttempts(attempts, lockoutEndTime = null) {
         try {
-            sessionStorage.setItem(this.config.STORAGE_KEY, JSON.stringify({
-                attempts,
-                lockoutEndTime,
-                timestamp: Date.now()
-            }));
+            const response = await fetch(`${url}?email=${encodeURIComponent(email)}`, {
+                headers: { 'Accept': 'application/json' },
+                credentials: 'same-origin',
+                signal: controller.signal
+            });
+
+            // 429 también trae el estado; la cabecera Retry-After manda si existe
+            if (!response.ok && response.status !== 429) return;
+
+            const estado = await response.json();
+            const retryAfter = Number(response.headers.get('Retry-After')) || estado.retryAfter || 0;
+            this.applyServerState({ ...estado, retryAfter });
         } catch (e) {
-            console.warn('Error storing attempts:', e);
+            // Sin estado, el servidor sigue validando al enviar
+            if (e.name !== 'AbortError') console.warn('Estado de inicio de sesión no disponible:', e);
         }
     }
 
-    incrementAttempts() {
-        this.state.attempts++;
-
-        if (this.state.attempts >= this.config.MAX_ATTEMPTS) {
-            this.state.lockoutEndTime = Date.now() + (this.config.LOCKOUT_DURATION * 1000);
-            this.storeAttempts(this.state.attempts, this.state.lockoutEndTime);
+    applyServerState(estado) {
+        if (estado.bloqueado && estado.retryAfter > 0) {
+            this.state.lockoutEndTime = Date.now() + estado.retryAfter * 1000;
             this.startLockoutTimer();
-        } else {
-            this.storeAttempts(this.state.attempts);
+        } else if (this.state.lockoutEndTime) {
+            this.clearLockout();
+        }
+
+        if (!estado.bloqueado) {
+            this.setChallenge(estado.requiereDesafio ? estado.desafio : null);
         }
     }
 
-    resetAttempts() {
-        this.state.attempts = 0;
+    clearLockout() {
+        clearInterval(this.state.lockoutInterval);
+        this.state.lockoutInterval = null;
         this.state.lockoutEndTime = null;
-        sessionStorage.removeItem(this.config.STORAGE_KEY);
 
         if (this.elements.rateLimitWarning) {
             this.elements.rateLimitWarning.classList.remove('is-visible');
         }
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.disabled = false;
+        }
     }
 
     startLockoutTimer() {
         if (!this.elements.rateLimitWarning || !this.elements.rateLimitTimer) return;
 
+        clearInterval(this.state.lockoutInterval);
+
         // Mostrar warning - usa clase is-visible
         this.elements.rateLimitWarning.classList.add('is-visible');
 
@@ -373,20 +1041,18 @@ class LoginManager {
             this.elements.submitBtn.disabled = true;
         }
 
-        this.announce(`Demasiados intentos. Por favor espera ${this.config.LOCKOUT_DURATION} segundos.`, 'assertive');
+        const seconds = Math.ceil((this.state.lockoutEndTime - Date.now()) / 1000);
+        this.announce(`Demasiados intentos. Por favor espera ${seconds} segundos.`, 'assertive');
 
         const updateTimer = () => {
             const remaining = Math.ceil((this.state.lockoutEndTime - Date.now()) / 1000);
 
             if (remaining <= 0) {
-                clearInterval(this.state.lockoutInterval);
-                this.state.lockoutInterval = null;
-                this.resetAttempts();
+                this.clearLockout();
                 this.announce('Puedes intentar iniciar sesión nuevamente');
 
-                if (this.elements.submitBtn) {
-                    this.elements.submitBtn.disabled = false;
-                }
+                // El servidor dice si ahora hace falta el desafío
+                this.syncServerState(true);
             } else if (this.elements.rateLimitTimer) {
                 this.elements.rateLimitTimer.textContent = remaining;
             }
@@ -396,6 +1062,89 @@ class LoginManager {
         this.state.lockoutInterval = setInterval(updateTimer, 1000);
     }
 
+    // ==================== DESAFÍO (PRUEBA DE TRABAJO) ====================
+
+    /**
+     * Muestra el desafío y empieza a resolverlo; null lo quita
+     */
+    setChallenge(challenge) {
+        if (challenge && this.state.challenge?.token === challenge.token) return;
+
+        this.state.challenge = challenge || null;
+        this.state.challengeSolution = null;
+        if (this.elements.challengeToken) this.elements.challengeToken.value = '';
+        if (this.elements.challengeNonce) this.elements.challengeNonce.value = '';
+
+        const box = this.elements.challengeBox;
+        if (!challenge) {
+            box?.classList.remove('is-visible', 'is-solved', 'is-error');
+            return;
+        }
+
+        box?.classList.remove('is-solved', 'is-error');
+        box?.classList.add('is-visible');
+        this.updateChallenge('Comprobando que no eres un robot...', 0);
+
+        this.state.challengeSolution = this.solveChallenge(challenge).then(nonce => {
+            if (this.state.challenge !== challenge) return false;
+
+            if (nonce === null) {
+                box?.classList.add('is-error');
+                this.updateChallenge('Tu navegador no pudo completar la verificación de seguridad.', 100);
+                return false;
+            }
+
+            this.elements.challengeToken.value = challenge.token;
+            this.elements.challengeNonce.value = nonce;
+            box?.classList.add('is-solved');
+            this.updateChallenge('Verificación completada', 100);
+            this.announce('Verificación de seguridad completada');
+            return true;
+        });
+    }
+
+    updateChallenge(text, percent) {
+        if (this.elements.challengeText) this.elements.challengeText.textContent = text;
+        if (this.elements.challengeBar) this.elements.challengeBar.style.width = `${percent}%`;
+    }
+
+    /**
+     * Busca un nonce tal que SHA-256(prefijo + nonce) empiece por "dificultad" bits a cero
+     * @returns {Promise<string|null>} null si no hay Web Crypto o se reemplazó el desafío
+     */
+    async solveChallenge(challenge) {
+        if (!window.crypto?.subtle) return null;
+
+        const encoder = new TextEncoder();
+        const expected = 2 ** challenge.dificultad;
+
+        for (let nonce = 0; nonce < expected * 64; nonce++) {
+            if (this.state.challenge !== challenge) return null;
+
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(challenge.prefijo + nonce));
+            if (this.leadingZeroBits(new Uint8Array(digest)) >= challenge.dificultad) return String(nonce);
+
+            if (nonce % this.config.CHALLENGE_BATCH === 0) {
+                // Progreso estimado: el número esperado de intentos es 2^dificultad
+                this.updateChallenge('Comprobando que no eres un robot...', Math.min(95, Math.round(nonce / expected * 100)));
+            }
+        }
+
+        return null;
+    }
+
+    leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+
     isLockedOut() {
         return this.state.lockoutEndTime && Date.now() < this.state.lockoutEndTime;
     }
@@ -466,6 +1215,11 @@ class LoginManager {
     }
 
     showNotification(message, type = 'info') {
+        if (this.options.notify) {
+            this.options.notify(message, type);
+            return;
+        }
+
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.setAttribute('role', 'alert');
@@ -0,0 +1,434 @@
+/**
+ * ============================================================================
+ * SIMONE E-COMMERCE - PasswordStrength v1.0
+ * ============================================================================
+ * Medidor de seguridad compartido por registro, cambio y restablecimiento de contraseña
+ * - Entropía según los tipos de caracteres, descontando patrones fáciles de adivinar:
+ *   contraseñas comunes (también con 4→a, 3→e, 0→o...), secuencias del teclado
+ *   o del abecedario, repeticiones y años
+ * - Requisitos de Identity (Program.cs): 8 caracteres, mayúscula, minúscula y número
+ * - Rechaza el correo o el nombre del usuario (igual que PasswordDatosPersonalesValidator)
+ * Marcado:
+ *   <input data-password-strength data-password-user="#Email, #Nombre" data-password-meter="#pwdMeter">
+ *   <input data-password-match="#Password">
+ * data-password-user admite selectores o valores literales separados por comas.
+ * Si validation.js está cargado, añade la regla data-validation="password"
+ * ============================================================================
+ */
+
+'use strict';
+
+const PasswordStrength = {
+    MIN_LENGTH: 8,
+    MIN_SCORE: 2,
+    // Igual que MIN_FRAGMENTO del validador del servidor
+    MIN_FRAGMENT: 4,
+
+    // Las más usadas (en inglés y en español) según las filtraciones públicas
+    common: [
+        'password', 'passw0rd', 'contraseña', 'contrasena', 'contrasenia', 'clave', 'secreto',
+        'qwerty', 'azerty', 'iloveyou', 'admin', 'administrador', 'welcome', 'bienvenido',
+        'monkey', 'dragon', 'football', 'baseball', 'soccer', 'letmein', 'master', 'sunshine',
+        'princess', 'princesa', 'shadow', 'superman', 'batman', 'spiderman', 'michael', 'jordan',
+        'hunter', 'trustno1', 'starwars', 'whatever', 'freedom', 'charlie', 'pokemon', 'computer',
+        'internet', 'killer', 'ninja', 'mustang', 'access', 'login', 'hello', 'love', 'lovely',
+        'secret', 'summer', 'winter', 'cookie', 'flower', 'samsung', 'google', 'apple', 'facebook',
+        'teamo', 'tequiero', 'hola', 'holahola', 'amor', 'amorcito', 'mivida', 'corazon',
+        'mariposa', 'estrella', 'chocolate', 'familia', 'dios', 'diosesamor', 'jesus', 'jesucristo',
+        'maria', 'angel', 'angelito', 'bebe', 'tesoro', 'futbol', 'barcelona', 'realmadrid',
+        'emelec', 'liga', 'ecuador', 'quito', 'guayaquil', 'cuenca', 'manabi', 'colombia', 'mexico',
+        'carlos', 'alejandro', 'daniel', 'gabriel', 'andrea', 'sofia', 'valentina', 'usuario',
+        'tienda', 'simone', 'neoagora', 'compras', 'abc123', 'asdf', 'zxcv', 'iloveu', 'pass'
+    ],
+
+    // Filas del teclado (QWERTY y variantes) y secuencias; también se buscan al revés
+    sequences: [
+        'qwertyuiop', 'asdfghjklñ', 'zxcvbnm', 'qwertzuiop', 'azertyuiop',
+        '1qaz2wsx3edc4rfv5tgb6yhn7ujm8ik9ol0p',
+        'abcdefghijklmnopqrstuvwxyz', '01234567890'
+    ],
+
+    leet: { '4': 'a', '@': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't' },
+
+    labels: {
+        es: ['Muy débil', 'Débil', 'Aceptable', 'Buena', 'Fuerte'],
+        en: ['Very weak', 'Weak', 'Fair', 'Good', 'Strong']
+    },
+
+    messages: {
+        es: {
+            empty: 'Seguridad de la contraseña',
+            length: 'Usa al menos {0} caracteres',
+            upper: 'Añade una letra mayúscula',
+            lower: 'Añade una letra minúscula',
+            digit: 'Añade un número',
+            symbol: 'Añade un símbolo (!, #, %...)',
+            longer: 'Alarga la contraseña: cada carácter extra suma más que un símbolo',
+            common: 'Evita contraseñas comunes como "{0}"',
+            sequence: 'Evita secuencias del teclado como "{0}"',
+            repeat: 'Evita repetir caracteres ("{0}")',
+            year: 'Evita años y fechas ("{0}")',
+            personal: 'No uses tu correo ni tu nombre',
+            weak: 'La contraseña es demasiado fácil de adivinar',
+            match: 'Las contraseñas coinciden',
+            mismatch: 'Las contraseñas no coinciden'
+        },
+        en: {
+            empty: 'Password strength',
+            length: 'Use at least {0} characters',
+            upper: 'Add an uppercase letter',
+            lower: 'Add a lowercase letter',
+            digit: 'Add a number',
+            symbol: 'Add a symbol (!, #, %...)',
+            longer: 'Make it longer: each extra character adds more than a symbol',
+            common: 'Avoid common passwords like "{0}"',
+            sequence: 'Avoid keyboard sequences like "{0}"',
+            repeat: 'Avoid repeated characters ("{0}")',
+            year: 'Avoid years and dates ("{0}")',
+            personal: 'Do not use your email or name',
+            weak: 'The password is too easy to guess',
+            match: 'Passwords match',
+            mismatch: 'Passwords do not match'
+        }
+    },
+
+    // Umbral de bits para cada puntuación (0 por debajo del primero)
+    thresholds: [28, 36, 50, 65],
+    barClasses: ['bg-danger', 'bg-danger', 'bg-warning', 'bg-info', 'bg-success'],
+    textClasses: ['text-danger', 'text-danger', 'text-warning', 'text-info', 'text-success'],
+
+    get locale() {
+        const lang = (document.documentElement.lang || 'es').slice(0, 2).toLowerCase();
+        return this.messages[lang] ? lang : 'es';
+    },
+
+    text(key, arg = '') {
+        const template = this.messages[this.locale][key] || this.messages.es[key] || '';
+        return template.replace('{0}', arg);
+    },
+
+    /**
+     * Minúsculas y sin tildes: "Pérez" → "perez"
+     */
+    normalize(value) {
+        return this.stripAccents(String(value ?? '').trim().toLowerCase());
+    },
+
+    stripAccents(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Fragmentos del correo (antes de la @) y del nombre: "Juan Pérez" → juan, perez, juanperez
+     */
+    fragments(values) {
+        const found = new Set();
+        (values || []).forEach(value => {
+            const parts = this.normalize(String(value ?? '').split('@')[0]).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+            [...parts, parts.join('')].forEach(part => {
+                if (part.length >= this.MIN_FRAGMENT) found.add(part);
+            });
+        });
+        return [...found];
+    },
+
+    requirements(password) {
+        return {
+            length: password.length >= this.MIN_LENGTH,
+            upper: /\p{Lu}/u.test(password),
+            lower: /\p{Ll}/u.test(password),
+            digit: /\d/.test(password)
+        };
+    },
+
+    /**
+     * Tamaño del alfabeto que usa la contraseña
+     */
+    poolSize(password) {
+        let pool = 0;
+        if (/[a-z]/.test(password)) pool += 26;
+        if (/[A-Z]/.test(password)) pool += 26;
+        if (/\d/.test(password)) pool += 10;
+        if (/[^A-Za-z0-9]/.test(password)) pool += 33;
+        return Math.max(pool, 10);
+    },
+
+    /**
+     * Patrones encontrados: [{ type, start, end, token, bits }]
+     * Se aceptan de mayor a menor longitud sin solaparse
+     */
+    patterns(password) {
+        const lower = password.toLowerCase();
+        const unleet = Array.from(lower, char => this.leet[char] || char).join('');
+        const candidates = [];
+
+        // Contraseñas comunes (sin tildes; si quitarlas cambia las posiciones, no se buscan)
+        const plain = this.stripAccents(unleet);
+        if (plain.length === lower.length) {
+            this.common.forEach((word, rank) => {
+                const needle = this.normalize(word);
+                if (needle.length < 4) return;
+                let index = plain.indexOf(needle);
+                while (index >= 0) {
+                    const token = password.slice(index, index + needle.length);
+                    const variants = (token.toLowerCase() !== needle ? 1 : 0) + (/[A-Z]/.test(token) ? 1 : 0);
+                    candidates.push({ type: 'common', start: index, end: index + needle.length, token, bits: Math.log2(rank + 2) + variants });
+                    index = plain.indexOf(needle, index + 1);
+                }
+            });
+        }
+
+        // Secuencias del teclado o del abecedario (4 o más seguidas)
+        const inSequence = (chunk) => this.sequences.some(seq => seq.includes(chunk) || [...seq].reverse().join('').includes(chunk));
+        for (let i = 0; i < lower.length - 3; i++) {
+            let j = i + 2;
+            while (j <= lower.length && inSequence(lower.slice(i, j))) j++;
+            const length = j - 1 - i;
+            if (length >= 4) {
+                candidates.push({ type: 'sequence', start: i, end: i + length, token: password.slice(i, i + length), bits: Math.log2(this.sequences.length * 2 * length) });
+            }
+        }
+
+        // Repeticiones: "aaa", "abcabc"
+        for (const match of lower.matchAll(/(.+?)\1{1,}/g)) {
+            const unit = match[1];
+            if (unit.length === 1 && match[0].length < 3) continue;
+            candidates.push({ type: 'repeat', start: match.index, end: match.index + match[0].length, token: password.slice(match.index, match.index + match[0].length), bits: unit.length * Math.log2(this.poolSize(unit)) + Math.log2(match[0].length / unit.length) });
+        }
+
+        // Años
+        for (const match of lower.matchAll(/(?:19|20)\d{2}/g)) {
+            candidates.push({ type: 'year', start: match.index, end: match.index + 4, token: match[0], bits: Math.log2(120) });
+        }
+
+        const taken = new Array(password.length).fill(false);
+        return candidates
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.bits - b.bits)
+            .filter(candidate => {
+                for (let i = candidate.start; i < candidate.end; i++) if (taken[i]) return false;
+                for (let i = candidate.start; i < candidate.end; i++) taken[i] = true;
+                return true;
+            })
+            .sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Analiza la contraseña
+     * @param {string} password
+     * @param {string[]} personal - correo, nombre... del usuario
+     * @returns {{score: number, bits: number, label: string, valid: boolean, message: string,
+     *           tips: string[], requirements: object, patterns: object[], personal: boolean}}
+     */
+    analyze(password, personal = []) {
+        password = String(password ?? '');
+        const requirements = this.requirements(password);
+        const found = this.patterns(password);
+        const normalized = this.normalize(password);
+        const isPersonal = this.fragments(personal).some(fragment => normalized.includes(fragment));
+
+        // Los caracteres fuera de patrones valen log2(alfabeto); cada patrón, lo que cuesta adivinarlo
+        const covered = found.reduce((sum, p) => sum + (p.end - p.start), 0);
+        const bits = (password.length - covered) * Math.log2(this.poolSize(password)) + found.reduce((sum, p) => sum + p.bits, 0);
+
+        let score = this.thresholds.filter(threshold => bits >= threshold).length;
+        const unmet = Object.keys(requirements).filter(key => !requirements[key]);
+        if (unmet.length) score = Math.min(score, 1);
+        if (isPersonal) score = 0;
+        if (found.some(p => p.type === 'common' && p.end - p.start >= password.length - 2)) score = 0;
+
+        const tips = [];
+        if (isPersonal) tips.push(this.text('personal'));
+        found.forEach(p => tips.push(this.text(p.type, p.token)));
+        unmet.forEach(key => tips.push(this.text(key, this.MIN_LENGTH)));
+        if (score < 4 && !unmet.length) {
+            if (!/[^\p{L}\p{N}]/u.test(password)) tips.push(this.text('symbol'));
+            tips.push(this.text('longer'));
+        }
+
+        const unique = [...new Set(tips)];
+        const valid = password.length > 0 && !unmet.length && !isPersonal && score >= this.MIN_SCORE;
+        let message = '';
+        if (!valid) {
+            if (isPersonal) message = this.text('personal');
+            else if (unmet.length) message = this.text(unmet[0], this.MIN_LENGTH);
+            else message = found.length ? this.text(found[0].type, found[0].token) : this.text('weak');
+        }
+
+        return {
+            score,
+            bits: Math.round(bits),
+            label: password ? this.labels[this.locale][score] : this.text('empty'),
+            valid,
+            message,
+            tips: unique,
+            requirements,
+            patterns: found,
+            personal: isPersonal
+        };
+    },
+
+    /**
+     * Valores personales del campo: data-password-user="#Email, #Nombre, juan@mail.com"
+     */
+    personalOf(field) {
+        return String(field?.dataset.passwordUser || '')
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => {
+                if (!/^[#.[]/.test(item)) return item;
+                try {
+                    const target = (field.form || document).querySelector(item) || document.querySelector(item);
+                    return target ? ('value' in target ? target.value : target.textContent) : '';
+                } catch (e) {
+                    return '';
+                }
+            });
+    },
+
+    target(selector, field) {
+        if (!selector) return null;
+        try {
+            return (field.form || document).querySelector(selector) || document.querySelector(selector);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Medidor junto al campo: el de data-password-meter o uno nuevo tras el input (o su input-group)
+     */
+    meterOf(field) {
+        let meter = this.target(field.dataset.passwordMeter, field);
+        if (!meter) {
+            meter = document.createElement('div');
+            const anchor = field.closest('.input-group, .password-input-wrapper') || field;
+            anchor.insertAdjacentElement('afterend', meter);
+        }
+
+        meter.classList.add('password-meter');
+        meter.setAttribute('aria-live', 'polite');
+        meter.innerHTML = `
+            <div class="progress mt-2" style="height: 6px;" role="progressbar" aria-label="${this.text('empty')}" aria-valuemin="0" aria-valuemax="4">
+                <div class="progress-bar" style="width: 0%; transition: width .3s;"></div>
+            </div>
+            <div class="password-meter-label small fw-semibold mt-1"></div>
+            <ul class="password-meter-tips small text-muted ps-3 mb-0"></ul>`;
+        return meter;
+    },
+
+    render(meter, result, empty) {
+        const bar = meter.querySelector('.progress-bar');
+        const label = meter.querySelector('.password-meter-label');
+        const tips = meter.querySelector('.password-meter-tips');
+
+        bar.className = `progress-bar ${empty ? '' : this.barClasses[result.score]}`;
+        bar.style.width = empty ? '0%' : `${(result.score + 1) * 20}%`;
+        meter.querySelector('.progress').setAttribute('aria-valuenow', empty ? '0' : String(result.score));
+
+        label.className = `password-meter-label small fw-semibold mt-1 ${empty ? 'text-muted' : this.textClasses[result.score]}`;
+        label.textContent = result.label;
+
+        tips.innerHTML = '';
+        (empty ? [] : result.tips.slice(0, 3)).forEach(tip => {
+            const item = document.createElement('li');
+            item.textContent = tip;
+            tips.appendChild(item);
+        });
+    },
+
+    /**
+     * Conecta un campo de contraseña con su medidor
+     */
+    attach(field) {
+        if (!field || field.dataset.passwordReady) return;
+        field.dataset.passwordReady = 'true';
+
+        const meter = this.meterOf(field);
+        const update = () => {
+            const result = this.analyze(field.value, this.personalOf(field));
+            this.render(meter, result, !field.value);
+            // checkValidity() también lo tiene en cuenta (formularios sin validation.js)
+            field.setCustomValidity(field.value && !result.valid ? result.message : '');
+            this.refreshMatches(field);
+        };
+
+        field.addEventListener('input', update);
+        String(field.dataset.passwordUser || '').split(',').map(s => s.trim()).filter(s => /^[#.[]/.test(s)).forEach(selector => {
+            this.target(selector, field)?.addEventListener('input', update);
+        });
+        field.form?.addEventListener('reset', () => setTimeout(update));
+        update();
+    },
+
+    /**
+     * Confirmación: data-password-match="#Password" (también añade la regla same: de validation.js)
+     */
+    attachMatch(field) {
+        if (!field || field.dataset.passwordReady) return;
+        field.dataset.passwordReady = 'true';
+
+        const selector = field.dataset.passwordMatch;
+        if (window.Validator && !Validator.parse(field.getAttribute('data-validation')).some(rule => rule.name === 'same')) {
+            Validator.toggleRule(field, `same:${selector}`, true);
+            if (!field.hasAttribute('data-msg-same')) field.setAttribute('data-msg-same', this.text('mismatch'));
+        }
+
+        const status = document.createElement('div');
+        status.className = 'password-match small mt-1';
+        status.setAttribute('aria-live', 'polite');
+        (field.closest('.input-group, .password-input-wrapper') || field).insertAdjacentElement('afterend', status);
+
+        field.passwordMatch = () => {
+            const original = this.target(selector, field);
+            const value = field.value;
+            const matches = !!original && value === original.value;
+
+            status.className = `password-match small mt-1 ${matches ? 'text-success' : 'text-danger'}`;
+            status.textContent = value ? this.text(matches ? 'match' : 'mismatch') : '';
+            field.setCustomValidity(value && !matches ? this.text('mismatch') : '');
+
+            // Si ya se mostró un error, se corrige en cuanto coincidan
+            if (field.classList.contains('is-invalid') || field.classList.contains('is-valid')) {
+                window.Simone?.Forms?.validateField(field);
+            }
+        };
+
+        field.addEventListener('input', field.passwordMatch);
+        field.form?.addEventListener('reset', () => setTimeout(field.passwordMatch));
+        field.passwordMatch();
+    },
+
+    refreshMatches(original) {
+        document.querySelectorAll('[data-password-match]').forEach(field => {
+            if (field.passwordMatch && this.target(field.dataset.passwordMatch, field) === original) field.passwordMatch();
+        });
+    },
+
+    init(root = document) {
+        root.querySelectorAll('[data-password-strength]').forEach(field => this.attach(field));
+        root.querySelectorAll('[data-password-match]').forEach(field => this.attachMatch(field));
+    }
+};
+
+// Regla "password" para validation.js: la misma comprobación que el medidor
+if (window.Validator) {
+    Validator.addRule('password', (value, arg, field) => {
+        const result = PasswordStrength.analyze(value, PasswordStrength.personalOf(field));
+        return result.valid || result.message;
+    }, {
+        es: PasswordStrength.messages.es.weak,
+        en: PasswordStrength.messages.en.weak
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => PasswordStrength.init());
+} else {
+    PasswordStrength.init();
+}
+
+// ============================================================================
+// Exportar globalmente
+// ============================================================================
+window.PasswordStrength = PasswordStrength;
@@ -0,0 +1,354 @@
+﻿/**
+ * Neo Ágora - Códigos QR en el navegador (sin dependencias)
+ * Codificador mínimo para la URI otpauth:// de la verificación en dos pasos:
+ * modo byte (UTF-8), corrección de errores M, versiones 1 a 10 (hasta 213 bytes)
+ * y la máscara con menos penalización. Dibuja un <svg> escalable.
+ *
+ *   QrCode.svg('otpauth://totp/...', { title: 'Código QR' })  → SVGElement
+ *   QrCode.encode(texto)                                       → { size, modules[y][x] }
+ */
+const QrCode = {
+    // ECC M por versión: [códigos de corrección por bloque, [bloques, datos por bloque]...]
+    BLOCKS_M: [
+        null,
+        [10, [1, 16]],
+        [16, [1, 28]],
+        [26, [1, 44]],
+        [18, [2, 32]],
+        [24, [2, 43]],
+        [16, [4, 27]],
+        [18, [4, 31]],
+        [22, [2, 38], [2, 39]],
+        [22, [3, 36], [2, 37]],
+        [26, [4, 43], [1, 44]]
+    ],
+    ALIGNMENT: [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]],
+    FORMAT_BITS_M: 0,
+    QUIET_ZONE: 4,
+
+    /**
+     * @param {string} text
+     * @returns {{size: number, modules: boolean[][]}}
+     */
+    encode(text) {
+        const bytes = [...new TextEncoder().encode(text)];
+        const version = this.BLOCKS_M.findIndex((b, v) => b && bytes.length <= this.dataCapacity(v) - (v < 10 ? 2 : 3));
+        if (version < 0) throw new RangeError('Texto demasiado largo para el código QR');
+
+        const data = this.dataCodewords(bytes, version);
+        const codewords = this.interleave(data, version);
+
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const qr = this.build(version, codewords, mask);
+            const penalty = this.penalty(qr.modules);
+            if (!best || penalty < best.penalty) best = { ...qr, penalty };
+        }
+
+        return { size: best.size, modules: best.modules };
+    },
+
+    /**
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.title] texto alternativo (role="img")
+     * @param {string} [options.dark]
+     * @param {string} [options.light]
+     */
+    svg(text, options = {}) {
+        const { size, modules } = this.encode(text);
+        const total = size + this.QUIET_ZONE * 2;
+        const ns = 'http://www.w3.org/2000/svg';
+
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${total} ${total}`);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+        svg.setAttribute('role', 'img');
+
+        if (options.title) {
+            const title = document.createElementNS(ns, 'title');
+            title.textContent = options.title;
+            svg.appendChild(title);
+        }
+
+        const background = document.createElementNS(ns, 'rect');
+        background.setAttribute('width', total);
+        background.setAttribute('height', total);
+        background.setAttribute('fill', options.light || '#ffffff');
+        svg.appendChild(background);
+
+        let d = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) d += `M${x + this.QUIET_ZONE},${y + this.QUIET_ZONE}h1v1h-1z`;
+        }));
+
+        const path = document.createElementNS(ns, 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('fill', options.dark || '#000000');
+        svg.appendChild(path);
+
+        return svg;
+    },
+
+    // ==================== DATOS ====================
+
+    dataCapacity(version) {
+        return this.BLOCKS_M[version].slice(1).reduce((sum, [count, size]) => sum + count * size, 0);
+    },
+
+    /**
+     * Modo byte + longitud + datos + terminador + relleno 0xEC/0x11
+     */
+    dataCodewords(bytes, version) {
+        const capacity = this.dataCapacity(version);
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4);
+        push(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(b => push(b, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    },
+
+    /**
+     * Reparte en bloques, añade Reed-Solomon y entrelaza datos y corrección
+     */
+    interleave(data, version) {
+        const [ecLength, ...groups] = this.BLOCKS_M[version];
+        const generator = this.rsGenerator(ecLength);
+        const blocks = [];
+
+        let offset = 0;
+        groups.forEach(([count, size]) => {
+            for (let i = 0; i < count; i++) {
+                const block = data.slice(offset, offset + size);
+                offset += size;
+                blocks.push({ data: block, ec: this.rsRemainder(block, generator) });
+            }
+        });
+
+        const result = [];
+        const maxData = Math.max(...blocks.map(b => b.data.length));
+        for (let i = 0; i < maxData; i++) {
+            blocks.forEach(b => { if (i < b.data.length) result.push(b.data[i]); });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(b => result.push(b.ec[i]));
+        }
+        return result;
+    },
+
+    // ==================== REED-SOLOMON (GF(256), polinomio 0x11D) ====================
+
+    gfMultiply(a, b) {
+        let result = 0;
+        for (let i = 7; i >= 0; i--) {
+            result = (result << 1) ^ ((result >>> 7) * 0x11D);
+            result ^= ((b >>> i) & 1) * a;
+        }
+        return result;
+    },
+
+    rsGenerator(degree) {
+        const coefficients = new Array(degree).fill(0);
+        coefficients[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                coefficients[j] = this.gfMultiply(coefficients[j], root);
+                if (j + 1 < degree) coefficients[j] ^= coefficients[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return coefficients;
+    },
+
+    rsRemainder(data, generator) {
+        const remainder = new Array(generator.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ remainder.shift();
+            remainder.push(0);
+            generator.forEach((coef, i) => { remainder[i] ^= this.gfMultiply(coef, factor); });
+        });
+        return remainder;
+    },
+
+    // ==================== MATRIZ ====================
+
+    build(version, codewords, mask) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Patrones de temporización
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Patrones de localización (con separador) en tres esquinas
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx, y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Patrones de alineación (menos los que chocan con los de localización)
+        const positions = this.ALIGNMENT[version];
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Se reservan antes de colocar los datos; los bits reales van al final
+        this.drawFormat(set, size, mask);
+        if (version >= 7) this.drawVersion(set, size, version);
+
+        // Datos en zigzag de dos columnas, de abajo a la derecha hacia arriba
+        let bit = 0;
+        const totalBits = codewords.length * 8;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (reserved[y][x]) continue;
+
+                    const dark = bit < totalBits && ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                    modules[y][x] = dark !== this.maskBit(mask, x, y);
+                    bit++;
+                }
+            }
+        }
+
+        return { size, modules };
+    },
+
+    drawFormat(set, size, mask) {
+        const data = (this.FORMAT_BITS_M << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bitAt = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bitAt(i));
+        set(8, 7, bitAt(6));
+        set(8, 8, bitAt(7));
+        set(7, 8, bitAt(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(i));
+        set(8, size - 8, true);
+    },
+
+    drawVersion(set, size, version) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    },
+
+    maskBit(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+            case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+            default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+        }
+    },
+
+    // ==================== PENALIZACIÓN DE LA MÁSCARA ====================
+
+    penalty(modules) {
+        const size = modules.length;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        let score = 0;
+
+        // Tramos de 5 o más módulos iguales
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+        });
+
+        // Bloques 2x2 del mismo color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const c = modules[y][x];
+                if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        // Patrones parecidos al de localización (1:1:3:1:1 con cuatro claros a un lado)
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+                const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+                const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+                if (lightBefore || lightAfter) score += 40;
+            }
+        });
+
+        // Proporción de oscuros lejos del 50 %
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return score;
+    }
+};
+
+window.QrCode = QrCode;
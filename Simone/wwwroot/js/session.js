@@ -0,0 +1,484 @@
+﻿/**
+ * ============================================================================
+ * SIMONE E-COMMERCE - SessionManager v1.0
+ * ============================================================================
+ * Caducidad de la sesión en las páginas con AJAX (_SesionPartial)
+ * - fetch(): envoltorio para las peticiones de los módulos. Si la sesión ha
+ *   caducado (401, redirección al login o token antiforgery rechazado) abre el
+ *   modal de login y, al entrar, repite la petición con el token nuevo
+ * - Avisa unos minutos antes de que caduque ("Seguir conectado" la renueva)
+ * - El formulario del modal es el de login.js (LoginManager), cargado al abrirlo
+ * ============================================================================
+ */
+
+'use strict';
+
+const SessionManager = {
+    // Configuración
+    config: {
+        warningSeconds: 120,     // aviso cuando quedan 2 minutos
+        checkMarginSeconds: 5,   // margen para comprobar justo después de caducar
+        retrySeconds: 60,        // reintento si SesionEstado no responde
+        csrfField: '__RequestVerificationToken',
+        csrfHeader: 'RequestVerificationToken'
+    },
+
+    root: null,
+    elements: {},
+    authenticated: false,
+    token: null,
+
+    loginManager: null,
+    loginReady: null,      // Promise de la carga de login.js
+    relogin: null,         // Promise del modal abierto (compartida por las peticiones pendientes)
+    resolveLogin: null,
+
+    checkTimer: null,
+    countdownTimer: null,
+
+    /**
+     * Inicializa el aviso, el modal y la primera comprobación
+     */
+    init() {
+        this.root = document.getElementById('sessionManager');
+        if (!this.root) return;
+
+        const byId = id => document.getElementById(id);
+        this.elements = {
+            warning: byId('sessionWarning'),
+            warningText: byId('sessionWarningText'),
+            keep: byId('btnSessionKeep'),
+            login: byId('btnSessionLogin'),
+            modal: byId('sessionLoginModal'),
+            alert: byId('sessionLoginAlert'),
+            pageLink: byId('sessionLoginPage')
+        };
+
+        const { elements } = this;
+        elements.keep?.addEventListener('click', () => this.renew());
+        elements.login?.addEventListener('click', () => this.reauthenticate());
+
+        // Cerrar el modal sin entrar: las peticiones pendientes se quedan con su respuesta original
+        elements.modal?.addEventListener('hidden.bs.modal', () => this.finishLogin(false));
+        elements.modal?.addEventListener('shown.bs.modal', () => this.focusLogin());
+
+        // Al volver a la pestaña los temporizadores pueden ir atrasados (o la sesión cambió en otra)
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && (this.authenticated || !elements.warning?.hidden)) this.check();
+        });
+
+        this.authenticated = this.root.dataset.autenticado === 'true';
+        if (this.authenticated) {
+            const expiraEn = parseInt(this.root.dataset.expiraEn, 10);
+            if (Number.isNaN(expiraEn)) {
+                this.check();
+            } else {
+                this.applyStatus({ autenticado: true, expiraEn });
+            }
+        }
+    },
+
+    // ==================== PETICIONES ====================
+
+    /**
+     * fetch con la sesión vigilada. Mismos parámetros que window.fetch; añade
+     * X-Requested-With (el servidor responde 401 en lugar de redirigir al login).
+     * Si la sesión caducó y el cuerpo se puede reenviar, pide login en el modal y
+     * repite la petición; si el usuario no entra devuelve la respuesta original.
+     */
+    async fetch(input, init = {}) {
+        const options = {
+            credentials: 'same-origin',
+            ...init,
+            headers: new Headers(init.headers || {})
+        };
+        if (!options.headers.has('X-Requested-With')) {
+            options.headers.set('X-Requested-With', 'XMLHttpRequest');
+        }
+
+        const response = await window.fetch(input, options);
+        if (!this.root || !(await this.isExpired(response))) return response;
+
+        this.markExpired();
+        if (!this.canReplay(input, options.body) || !(await this.reauthenticate())) return response;
+
+        this.applyToken(options);
+        return window.fetch(input, options);
+    },
+
+    /**
+     * ¿La respuesta indica que la sesión ya no existe?
+     */
+    async isExpired(response) {
+        if (response.status === 401) return true;
+
+        if (response.redirected) {
+            try {
+                const loginPath = new URL(this.root.dataset.loginUrl, window.location.origin).pathname.toLowerCase();
+                return new URL(response.url).pathname.toLowerCase().startsWith(loginPath);
+            } catch (e) {
+                return false;
+            }
+        }
+
+        // Sin sesión el token antiforgery (emitido para el usuario) deja de valer y el
+        // servidor responde 400 antes de llegar a la acción: se confirma con SesionEstado
+        if (response.status === 400 && this.authenticated) {
+            const estado = await this.status();
+            return estado?.autenticado === false;
+        }
+
+        return false;
+    },
+
+    /**
+     * Solo se repiten peticiones por URL con cuerpos que se pueden volver a enviar
+     */
+    canReplay(input, body) {
+        if (input instanceof Request) return false;
+        return body == null ||
+            typeof body === 'string' ||
+            body instanceof FormData ||
+            body instanceof URLSearchParams ||
+            body instanceof Blob;
+    },
+
+    /**
+     * Sustituye el token antiforgery de la petición por el de la sesión nueva
+     */
+    applyToken(options) {
+        const { token } = this;
+        if (!token) return;
+
+        const { csrfField, csrfHeader } = this.config;
+        const { body, headers } = options;
+
+        if ((body instanceof FormData || body instanceof URLSearchParams) && body.has(csrfField)) {
+            body.set(csrfField, token);
+        } else if (typeof body === 'string' && body.includes(`${csrfField}=`)) {
+            const params = new URLSearchParams(body);
+            params.set(csrfField, token);
+            options.body = params.toString();
+        }
+
+        if (headers.has(csrfHeader)) headers.set(csrfHeader, token);
+    },
+
+    /**
+     * Token antiforgery actual (el último pedido al servidor o el de la página)
+     */
+    getCsrfToken() {
+        return this.token ||
+            document.querySelector(`input[name="${this.config.csrfField}"]`)?.value || '';
+    },
+
+    /**
+     * Pide un token para el usuario actual y lo pone en todos los formularios de la página
+     */
+    async refreshToken() {
+        const response = await window.fetch(this.root.dataset.tokenUrl, {
+            credentials: 'same-origin',
+            cache: 'no-store',
+            headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' }
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const { token } = await response.json();
+        this.token = token;
+        document.querySelectorAll(`input[name="${this.config.csrfField}"]`).forEach(input => {
+            input.value = token;
+        });
+        return token;
+    },
+
+    // ==================== LOGIN EN MODAL ====================
+
+    /**
+     * Abre el modal de login (una sola vez aunque varias peticiones lo pidan).
+     * Resuelve true si el usuario volvió a entrar
+     */
+    reauthenticate() {
+        if (!this.root) return Promise.resolve(false);
+
+        if (!this.relogin) {
+            this.relogin = this.openLogin().finally(() => {
+                this.relogin = null;
+            });
+        }
+        return this.relogin;
+    },
+
+    /**
+     * ¿Hay modal de login en esta página? Sin él, los módulos redirigen a Cuenta/Login
+     */
+    canReauthenticate() {
+        return !!this.root;
+    },
+
+    async openLogin() {
+        try {
+            await this.loadLogin();
+            // El formulario necesita un token del usuario anónimo (el de la página era de la sesión caducada)
+            await this.refreshToken();
+        } catch (error) {
+            console.error('SessionManager: no se pudo preparar el login', error);
+            window.location.assign(this.loginPageUrl());
+            return false;
+        }
+
+        this.loginManager.reset();
+        this.hideAlert();
+
+        const returnUrl = window.location.pathname + window.location.search;
+        const returnInput = this.elements.modal.querySelector('input[name="returnUrl"]');
+        if (returnInput) returnInput.value = returnUrl;
+        if (this.elements.pageLink) this.elements.pageLink.href = this.loginPageUrl();
+
+        return new Promise(resolve => {
+            this.resolveLogin = resolve;
+            bootstrap.Modal.getOrCreateInstance(this.elements.modal).show();
+        });
+    },
+
+    /**
+     * Carga login.js la primera vez y crea el LoginManager del modal
+     */
+    loadLogin() {
+        if (!this.loginReady) {
+            this.loginReady = this.loadScript(this.root.dataset.loginScript).then(() => {
+                this.loginManager = new LoginManager({
+                    root: this.elements.modal.querySelector('.modal-content'),
+                    onLogin: (redirect) => this.completeLogin(redirect),
+                    notify: (message, type) => this.showAlert(message, type)
+                });
+            });
+            // Un fallo de red no debe dejar la carga rota para siempre
+            this.loginReady.catch(() => {
+                this.loginReady = null;
+            });
+        }
+        return this.loginReady;
+    },
+
+    loadScript(src) {
+        if (typeof LoginManager !== 'undefined') return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`No se pudo cargar ${src}`));
+            document.head.appendChild(script);
+        });
+    },
+
+    /**
+     * LoginManager confirmó el acceso: se comprueba la sesión nueva antes de repetir nada
+     */
+    async completeLogin(redirect) {
+        const estado = await this.status();
+
+        if (!estado?.autenticado) {
+            // Falta la verificación en dos pasos: se completa en su página y se vuelve aquí
+            window.location.assign(redirect || this.loginPageUrl());
+            return;
+        }
+
+        const previousEmail = this.root.dataset.email;
+        if (previousEmail && estado.email && previousEmail.toLowerCase() !== estado.email.toLowerCase()) {
+            // Otra cuenta: lo que muestra la página es de la anterior
+            window.location.reload();
+            return;
+        }
+
+        try {
+            await this.refreshToken();
+        } catch (error) {
+            // La sesión ya es válida: sin token nuevo la página recargada lo traerá
+            window.location.reload();
+            return;
+        }
+
+        this.root.dataset.email = estado.email || '';
+        this.applyStatus(estado);
+
+        this.finishLogin(true);
+        bootstrap.Modal.getInstance(this.elements.modal)?.hide();
+
+        // Para quien espera la sesión (p. ej. la cola sin conexión de site.js)
+        document.dispatchEvent(new CustomEvent('session:login', { detail: { email: estado.email } }));
+    },
+
+    finishLogin(ok) {
+        const resolve = this.resolveLogin;
+        this.resolveLogin = null;
+        resolve?.(ok);
+    },
+
+    focusLogin() {
+        const email = this.elements.modal.querySelector('#emailInput');
+        const password = this.elements.modal.querySelector('#passwordInput');
+        (email?.value ? password : email)?.focus();
+    },
+
+    loginPageUrl() {
+        return this.root.dataset.loginUrl +
+            '?returnUrl=' + encodeURIComponent(window.location.pathname + window.location.search);
+    },
+
+    showAlert(message, type = 'error') {
+        const { alert } = this.elements;
+        if (!alert) return;
+
+        alert.textContent = message;
+        alert.classList.remove('d-none', 'alert-danger', 'alert-success', 'alert-info');
+        alert.classList.add(type === 'success' ? 'alert-success' : type === 'info' ? 'alert-info' : 'alert-danger');
+    },
+
+    hideAlert() {
+        this.elements.alert?.classList.add('d-none');
+    },
+
+    // ==================== CADUCIDAD ====================
+
+    /**
+     * Estado de la sesión en el servidor: { autenticado, email, expiraEn } o null si no responde
+     */
+    async status() {
+        try {
+            const response = await window.fetch(this.root.dataset.estadoUrl, {
+                credentials: 'same-origin',
+                cache: 'no-store',
+                headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' }
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    async check() {
+        clearTimeout(this.checkTimer);
+
+        const estado = await this.status();
+        if (!estado) {
+            this.checkTimer = setTimeout(() => this.check(), this.config.retrySeconds * 1000);
+            return;
+        }
+
+        this.applyStatus(estado);
+    },
+
+    /**
+     * Programa la siguiente comprobación y muestra u oculta el aviso
+     */
+    applyStatus(estado) {
+        clearTimeout(this.checkTimer);
+
+        if (!estado.autenticado) {
+            this.markExpired();
+            return;
+        }
+
+        this.authenticated = true;
+        this.root.dataset.autenticado = 'true';
+
+        const { warningSeconds, checkMarginSeconds } = this.config;
+        const seconds = Math.max(0, estado.expiraEn || 0);
+
+        if (seconds <= warningSeconds) {
+            this.showWarning(seconds);
+            this.checkTimer = setTimeout(() => this.check(), (seconds + checkMarginSeconds) * 1000);
+        } else {
+            this.hideWarning();
+            this.checkTimer = setTimeout(() => this.check(), (seconds - warningSeconds) * 1000);
+        }
+    },
+
+    /**
+     * "Seguir conectado": renueva la cookie (si ya caducó, pide login)
+     */
+    async renew() {
+        const { keep } = this.elements;
+        if (keep) keep.disabled = true;
+
+        try {
+            const body = new FormData();
+            body.append(this.config.csrfField, this.getCsrfToken());
+
+            const response = await this.fetch(this.root.dataset.renovarUrl, { method: 'POST', body });
+            if (response.ok) await this.check();
+        } catch (error) {
+            console.error('SessionManager: no se pudo renovar la sesión', error);
+        } finally {
+            if (keep) keep.disabled = false;
+        }
+    },
+
+    /**
+     * La sesión ya no existe: si la página la tenía, el aviso pasa a "Iniciar sesión"
+     */
+    markExpired() {
+        clearTimeout(this.checkTimer);
+        if (this.authenticated) this.showExpired();
+        this.authenticated = false;
+    },
+
+    showWarning(seconds) {
+        const { warning, warningText, keep, login } = this.elements;
+        if (!warning) return;
+
+        clearInterval(this.countdownTimer);
+        const deadline = Date.now() + seconds * 1000;
+
+        const tick = () => {
+            const left = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+            warningText.textContent = `Tu sesión caduca en ${this.formatCountdown(left)}.`;
+            if (left === 0) clearInterval(this.countdownTimer);
+        };
+
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
+
+        keep.hidden = false;
+        login.hidden = true;
+        warning.hidden = false;
+    },
+
+    showExpired() {
+        const { warning, warningText, keep, login } = this.elements;
+        if (!warning) return;
+
+        clearInterval(this.countdownTimer);
+        warningText.textContent = 'Tu sesión ha caducado.';
+        keep.hidden = true;
+        login.hidden = false;
+        warning.hidden = false;
+    },
+
+    hideWarning() {
+        clearInterval(this.countdownTimer);
+        if (this.elements.warning) this.elements.warning.hidden = true;
+    },
+
+    formatCountdown(seconds) {
+        const m = Math.floor(seconds / 60);
+        const s = seconds % 60;
+        return `${m}:${String(s).padStart(2, '0')}`;
+    }
+};
+
+// ============================================================================
+// Inicialización automática
+// ============================================================================
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => SessionManager.init());
+} else {
+    SessionManager.init();
+}
+
+// ============================================================================
+// Exportar globalmente
+// ============================================================================
+window.SessionManager = SessionManager;
@@ -575,7 +575,8 @@ const Forms = {
     },
 
     setupValidation() {
-        const forms = _.qsa(SIMONE_CONFIG.SEL.forms);
+        // Los formularios con su propio módulo (p. ej. ProductoForm.js) usan data-validate="manual"
+        const forms = _.qsa(SIMONE_CONFIG.SEL.forms).filter(form => form.dataset.validate !== 'manual');
 
         forms.forEach(form => {
             _.on(form, 'submit', (e) => {
@@ -593,23 +594,25 @@ const Forms = {
     },
 
     setupRealTimeValidation() {
-        _.delegate(document, 'input[required], textarea[required], select[required]',
-            'blur', function () {
-                Forms.validateField(this);
-            });
+        // focusout (blur no burbujea hasta document)
+        _.delegate(document, 'input, textarea, select', 'focusout', function () {
+            if (this.form?.dataset.validate === 'manual' || !Validator.hasRules(this)) return;
+
+            Forms.validateField(this);
 
-        _.delegate(document, 'input[type="email"]', 'blur', function () {
-            Forms.validateEmail(this);
+            // Reglas contra el servidor (remote:): el resultado queda para el envío
+            if (Validator.hasAsyncRules(this)) {
+                Validator.validateAsync(this).then(result => Forms.setFieldState(this, result.valid, result.message));
+            }
         });
     },
 
     validateForm(form) {
         if (!form) return false;
 
-        const requiredFields = _.qsa('[required]', form);
         let isValid = true;
 
-        requiredFields.forEach(field => {
+        Validator.fields(form).forEach(field => {
             if (!this.validateField(field)) {
                 isValid = false;
             }
@@ -621,25 +624,17 @@ const Forms = {
     validateField(field) {
         if (!field) return false;
 
-        const value = field.value.trim();
-        const isValid = value.length > 0;
+        const result = Validator.validate(field);
 
-        this.setFieldState(field, isValid);
-        return isValid;
+        this.setFieldState(field, result.valid, result.message);
+        return result.valid;
     },
 
     validateEmail(field) {
-        if (!field) return false;
-
-        const value = field.value.trim();
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        const isValid = emailRegex.test(value);
-
-        this.setFieldState(field, isValid);
-        return isValid;
+        return this.validateField(field);
     },
 
-    setFieldState(field, isValid) {
+    setFieldState(field, isValid, message = '') {
         if (!field) return;
 
         if (isValid) {
@@ -649,6 +644,12 @@ const Forms = {
             field.classList.remove('is-valid');
             field.classList.add('is-invalid');
         }
+
+        field.setAttribute('aria-invalid', String(!isValid));
+
+        // Bootstrap: .invalid-feedback junto al campo
+        const feedback = _.qs('.invalid-feedback', field.parentElement);
+        if (feedback && message) feedback.textContent = message;
     },
 
     setupPasswordToggle() {
@@ -869,6 +870,101 @@ const Analytics = {
     }
 };
 
+// ============================================================================
+// OFFLINE MODULE (SERVICE WORKER + COLA)
+// ============================================================================
+
+const Offline = {
+    swUrl: '/sw.js',
+    pending: 0,
+
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(this.swUrl)
+            .then(() => navigator.serviceWorker.ready)
+            .then(() => {
+                // Pudo quedar algo en cola de una visita anterior
+                if (navigator.onLine) this.replay();
+                else this.post({ type: 'offline-queue:count' });
+            })
+            .catch(error => console.warn('Service worker no registrado:', error));
+
+        _.on(navigator.serviceWorker, 'message', (e) => this.handleMessage(e.data || {}));
+
+        // Lo que la cola conserva por falta de sesión se reenvía al entrar desde el modal (session.js)
+        _.on(document, 'session:login', () => this.replay());
+    },
+
+    /**
+     * En la primera visita la página aún no está controlada (controller es null):
+     * el worker activo de ready recibe el mensaje igualmente
+     */
+    async post(message) {
+        if (!('serviceWorker' in navigator)) return;
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage(message);
+    },
+
+    /**
+     * Pide al service worker reenviar la cola con el token CSRF de esta página
+     */
+    replay() {
+        const token = _.qs('input[name="__RequestVerificationToken"]')?.value || null;
+        this.post({ type: 'offline-queue:replay', token });
+    },
+
+    handleOnline() {
+        Toast.success('Conexión restaurada');
+        this.replay();
+    },
+
+    handleOffline() {
+        Toast.warning('Sin conexión. Lo que añadas al carrito o a favoritos se enviará al reconectar');
+    },
+
+    handleMessage(data) {
+        switch (data.type) {
+            case 'offline-queue:count':
+                this.pending = data.pending;
+                if (data.pending > 0) {
+                    Toast.info(`${data.pending} acción(es) pendiente(s) de enviar al recuperar la conexión`);
+                }
+                break;
+            case 'offline-queue:replayed':
+                this.pending = data.pending;
+                this.report(data.results || []);
+                break;
+        }
+    },
+
+    /**
+     * Un resumen de lo sincronizado y un aviso por cada producto con conflicto
+     */
+    report(results) {
+        if (results.length === 0) return;
+
+        const synced = results.filter(r => r.ok).length;
+        if (synced > 0) {
+            Toast.success(`${synced} acción(es) realizada(s) sin conexión ya se sincronizaron`);
+        }
+
+        results.filter(r => !r.ok).forEach(r => {
+            Toast.show(`${this.escape(r.label)}: ${this.escape(r.message)}`, 'danger', 0);
+        });
+
+        if (results.some(r => r.kind === 'cart')) {
+            window.CartStore?.refresh();
+        }
+    },
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+};
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -891,6 +987,7 @@ function initSimone() {
         // Optimization modules
         LazyLoad.init();
         Modals.init();
+        Offline.init();
 
         console.log('✅ Simone initialized successfully');
 
@@ -926,8 +1023,8 @@ _.on(window, 'load', () => {
 });
 
 // Online/Offline
-_.on(window, 'online', () => Toast.success('Conexión restaurada'));
-_.on(window, 'offline', () => Toast.warning('Sin conexión'));
+_.on(window, 'online', () => Offline.handleOnline());
+_.on(window, 'offline', () => Offline.handleOffline());
 
 // ============================================================================
 // GLOBAL EXPORT
@@ -942,10 +1039,12 @@ window.Simone = {
     Alerts,
     Toast,
     Forms,
+    Validation: Validator,
     SmoothScroll,
     LazyLoad,
     Modals,
     Analytics,
+    Offline,
     CONFIG: SIMONE_CONFIG
 };
 
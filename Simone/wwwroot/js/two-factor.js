@@ -0,0 +1,274 @@
+﻿/**
+ * Neo Ágora - Verificación en dos pasos (Cuenta/Perfil, #twoFactorPanel)
+ *  1. Pide una clave nueva (DosFactoresIniciar) y dibuja el QR de la URI otpauth con qrcode.js
+ *  2. Activa con el primer código de la app (DosFactoresActivar)
+ *  3. Muestra una sola vez los códigos de recuperación para copiarlos o descargarlos (.txt)
+ * Con la verificación activa permite generar códigos nuevos o desactivarla (si el rol lo permite)
+ */
+const TwoFactorSetup = {
+    CODE_LENGTH: 6,
+    FILE_NAME: 'neo-agora-codigos-recuperacion.txt',
+
+    panel: null,
+    elements: {},
+    options: {},
+    codes: [],
+    busy: false,
+
+    /**
+     * @param {Object} options
+     * @param {Function} [options.notify] (message, type) → aviso visible
+     */
+    init(options = {}) {
+        this.panel = document.getElementById('twoFactorPanel');
+        if (!this.panel) return;
+
+        this.options = options;
+        const byId = id => document.getElementById(id);
+        this.elements = {
+            setupButton: byId('btnTwoFactorSetup'),
+            status: byId('twoFactorStatus'),
+            qr: byId('twoFactorQr'),
+            key: byId('twoFactorKey'),
+            setupCode: byId('twoFactorSetupCode'),
+            enable: byId('btnTwoFactorEnable'),
+            cancel: byId('btnTwoFactorCancel'),
+            codesList: byId('recoveryCodesList'),
+            copy: byId('btnRecoveryCopy'),
+            download: byId('btnRecoveryDownload'),
+            done: byId('btnRecoveryDone'),
+            codesLeft: byId('recoveryCodesLeft'),
+            manageCode: byId('twoFactorManageCode'),
+            regenerate: byId('btnRecoveryRegenerate'),
+            disable: byId('btnTwoFactorDisable')
+        };
+
+        const { elements } = this;
+        elements.setupButton?.addEventListener('click', () => this.start());
+        elements.cancel?.addEventListener('click', () => this.cancel());
+        elements.enable?.addEventListener('click', () => this.enable());
+        elements.copy?.addEventListener('click', () => this.copyCodes());
+        elements.download?.addEventListener('click', () => this.downloadCodes());
+        elements.done?.addEventListener('click', () => this.finishCodes());
+        elements.regenerate?.addEventListener('click', () => this.regenerate());
+        elements.disable?.addEventListener('click', () => this.disable());
+
+        this.onEnter(elements.setupCode, () => this.enable());
+        this.onEnter(elements.manageCode, () => this.regenerate());
+    },
+
+    // ==================== ACTIVACIÓN ====================
+
+    async start() {
+        const data = await this.post(this.panel.dataset.iniciarUrl, {}, this.elements.setupButton);
+        if (!data) return;
+
+        // Sin el QR la clave escrita a mano sigue valiendo
+        this.elements.qr.replaceChildren();
+        if (window.QrCode) {
+            this.elements.qr.appendChild(window.QrCode.svg(data.uri, { title: 'Código QR para la app de autenticación' }));
+        }
+        this.elements.key.textContent = data.clave;
+        this.elements.setupCode.value = '';
+
+        this.elements.setupButton.hidden = true;
+        this.showStep('setup');
+        this.elements.setupCode.focus();
+    },
+
+    cancel() {
+        this.elements.qr.replaceChildren();
+        this.elements.key.textContent = '';
+        this.elements.setupButton.hidden = false;
+        this.showStep(null);
+    },
+
+    async enable() {
+        const codigo = this.readCode(this.elements.setupCode);
+        if (!codigo) return;
+
+        const data = await this.post(this.panel.dataset.activarUrl, { codigo }, this.elements.enable);
+        if (!data) {
+            this.elements.setupCode.select();
+            return;
+        }
+
+        this.elements.qr.replaceChildren();
+        this.elements.key.textContent = '';
+        this.setStatus(true);
+        this.showCodes(data.codigos);
+        this.notify(data.message, 'success');
+    },
+
+    // ==================== GESTIÓN ====================
+
+    async regenerate() {
+        const codigo = this.readCode(this.elements.manageCode);
+        if (!codigo) return;
+
+        const data = await this.post(this.panel.dataset.codigosUrl, { codigo }, this.elements.regenerate);
+        if (!data) return;
+
+        this.elements.manageCode.value = '';
+        this.showCodes(data.codigos);
+        this.notify(data.message, 'success');
+    },
+
+    async disable() {
+        const codigo = this.readCode(this.elements.manageCode);
+        if (!codigo) return;
+
+        if (!confirm('¿Desactivar la verificación en dos pasos? Tu cuenta quedará protegida solo con la contraseña.')) return;
+
+        const data = await this.post(this.panel.dataset.desactivarUrl, { codigo }, this.elements.disable);
+        if (!data) return;
+
+        this.elements.manageCode.value = '';
+        this.setStatus(false);
+        this.elements.setupButton.hidden = false;
+        this.showStep(null);
+        this.notify(data.message, 'success');
+    },
+
+    // ==================== CÓDIGOS DE RECUPERACIÓN ====================
+
+    showCodes(codes) {
+        this.codes = codes || [];
+        this.elements.codesList.replaceChildren(...this.codes.map(code => {
+            const li = document.createElement('li');
+            li.textContent = code;
+            return li;
+        }));
+        if (this.elements.codesLeft) this.elements.codesLeft.textContent = this.codes.length;
+
+        this.showStep('codes');
+        this.elements.download?.focus();
+    },
+
+    finishCodes() {
+        this.codes = [];
+        this.elements.codesList.replaceChildren();
+        this.showStep('manage');
+    },
+
+    codesText() {
+        return [
+            'Neo Ágora - Códigos de recuperación',
+            `Cuenta: ${this.panel.dataset.email || ''}`,
+            `Generados: ${new Date().toLocaleString('es-EC')}`,
+            '',
+            'Cada código sirve una sola vez para iniciar sesión sin la app de autenticación.',
+            '',
+            ...this.codes
+        ].join('\r\n');
+    },
+
+    async copyCodes() {
+        try {
+            await navigator.clipboard.writeText(this.codesText());
+            this.notify('Códigos copiados al portapapeles', 'success');
+        } catch (e) {
+            this.notify('No se pudieron copiar. Descárgalos o anótalos a mano.', 'error');
+        }
+    },
+
+    downloadCodes() {
+        const url = URL.createObjectURL(new Blob([this.codesText()], { type: 'text/plain;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.FILE_NAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // ==================== UTILIDADES ====================
+
+    showStep(step) {
+        this.panel.querySelectorAll('[data-two-factor-step]').forEach(el => {
+            el.hidden = el.dataset.twoFactorStep !== step;
+        });
+    },
+
+    setStatus(enabled) {
+        const { status } = this.elements;
+        if (!status) return;
+        status.textContent = enabled ? 'Activada' : 'Desactivada';
+        status.classList.toggle('is-on', enabled);
+    },
+
+    readCode(input) {
+        const code = (input?.value || '').replace(/\D/g, '');
+        if (code.length !== this.CODE_LENGTH) {
+            this.notify(`Ingresa los ${this.CODE_LENGTH} dígitos del código de la app`, 'error');
+            input?.focus();
+            return null;
+        }
+        return code;
+    },
+
+    onEnter(input, action) {
+        input?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            action();
+        });
+    },
+
+    notify(message, type) {
+        if (this.options.notify) {
+            this.options.notify(message, type);
+        } else {
+            alert(message);
+        }
+    },
+
+    /**
+     * POST con el token antiforgery del panel; devuelve el JSON si { ok: true } o null (ya avisado)
+     */
+    async post(url, fields, button) {
+        if (this.busy) return null;
+        this.busy = true;
+        if (button) {
+            button.disabled = true;
+            button.classList.add('loading');
+        }
+
+        const body = new FormData();
+        body.append('__RequestVerificationToken',
+            this.panel.querySelector('input[name="__RequestVerificationToken"]')?.value || '');
+        Object.entries(fields).forEach(([k, v]) => body.append(k, v ?? ''));
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                body,
+                headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' },
+                credentials: 'same-origin'
+            });
+
+            let data = {};
+            try {
+                data = await response.json();
+            } catch (e) { /* respuesta sin JSON */ }
+
+            if (response.ok && data.ok) return data;
+
+            this.notify(data.error || data.errors?.join('. ') || 'No se pudo completar la operación.', 'error');
+            return null;
+        } catch (e) {
+            console.error('Error en la verificación en dos pasos:', e);
+            this.notify('Error de conexión. Intenta nuevamente.', 'error');
+            return null;
+        } finally {
+            this.busy = false;
+            if (button) {
+                button.disabled = false;
+                button.classList.remove('loading');
+            }
+        }
+    }
+};
+
+window.TwoFactorSetup = TwoFactorSetup;
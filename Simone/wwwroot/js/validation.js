@@ -0,0 +1,381 @@
+/**
+ * ============================================================================
+ * SIMONE E-COMMERCE - Validator v1.0
+ * ============================================================================
+ * Motor de validación compartido por site.js (Forms), login.js y ProductoForm.js
+ * - Reglas declarativas: data-validation="required|number|min:0.01|max:99999|maxlen:500"
+ * - Comparación con otro campo: gt:#PrecioCompra, gte:, lt:, lte:, same:
+ * - Patrones: pattern:^[A-Z0-9-]+$ (un "|" dentro del patrón se escribe "\|")
+ * - Reglas asíncronas contra el servidor: remote:/Panel/NombreProductoDisponible
+ * - Mensajes por idioma (lang del documento) y por campo: data-msg-min="..."
+ * Los atributos nativos (required, type="email", minlength, maxlength, min, max,
+ * pattern) también son reglas, así el marcado que ya valida el servidor basta
+ * Un <fieldset data-validation="required"> valida un grupo de casillas: su valor son las marcadas
+ * ============================================================================
+ */
+
+'use strict';
+
+const Validator = {
+    messages: {
+        es: {
+            required: 'Este campo es obligatorio',
+            number: 'Debe ser un número válido',
+            integer: 'Debe ser un número entero',
+            min: 'Debe ser mayor o igual a {0}',
+            max: 'Debe ser menor o igual a {0}',
+            minlen: 'Debe tener al menos {0} caracteres',
+            maxlen: 'No puede superar {0} caracteres',
+            email: 'Ingresa un correo electrónico válido',
+            pattern: 'El formato no es válido',
+            gt: 'Debe ser mayor que {label}',
+            gte: 'Debe ser mayor o igual que {label}',
+            lt: 'Debe ser menor que {label}',
+            lte: 'Debe ser menor o igual que {label}',
+            same: 'Debe coincidir con {label}',
+            remote: 'Este valor no está disponible',
+            unknown: 'El valor no es válido'
+        },
+        en: {
+            required: 'This field is required',
+            number: 'Must be a valid number',
+            integer: 'Must be a whole number',
+            min: 'Must be greater than or equal to {0}',
+            max: 'Must be less than or equal to {0}',
+            minlen: 'Must be at least {0} characters',
+            maxlen: 'Cannot exceed {0} characters',
+            email: 'Enter a valid email address',
+            pattern: 'The format is not valid',
+            gt: 'Must be greater than {label}',
+            gte: 'Must be greater than or equal to {label}',
+            lt: 'Must be less than {label}',
+            lte: 'Must be less than or equal to {label}',
+            same: 'Must match {label}',
+            remote: 'This value is not available',
+            unknown: 'The value is not valid'
+        }
+    },
+
+    // Reglas síncronas: (valor, argumento, campo) → true | false | 'mensaje'
+    rules: {
+        required(value) {
+            return value.length > 0;
+        },
+        number(value) {
+            return !isNaN(Validator.toNum(value));
+        },
+        integer(value) {
+            return /^-?\d+$/.test(value);
+        },
+        min(value, arg) {
+            const num = Validator.toNum(value);
+            return !isNaN(num) && num >= Validator.toNum(arg);
+        },
+        max(value, arg) {
+            const num = Validator.toNum(value);
+            return !isNaN(num) && num <= Validator.toNum(arg);
+        },
+        minlen(value, arg) {
+            return value.length >= Number(arg);
+        },
+        maxlen(value, arg) {
+            return value.length <= Number(arg);
+        },
+        email(value) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        },
+        pattern(value, arg) {
+            // Un patrón mal escrito en el marcado no debe bloquear el formulario
+            let regex;
+            try {
+                regex = new RegExp(`^(?:${arg})$`);
+            } catch (error) {
+                console.warn(`Validator: patrón inválido "${arg}"`, error);
+                return true;
+            }
+            return regex.test(value);
+        },
+        gt: (value, arg, field) => Validator.compare(value, arg, field, (a, b) => a > b),
+        gte: (value, arg, field) => Validator.compare(value, arg, field, (a, b) => a >= b),
+        lt: (value, arg, field) => Validator.compare(value, arg, field, (a, b) => a < b),
+        lte: (value, arg, field) => Validator.compare(value, arg, field, (a, b) => a <= b),
+        same(value, arg, field) {
+            const other = Validator.target(arg, field);
+            return !other || value === Validator.valueOf(other);
+        }
+    },
+
+    // Reglas asíncronas: (valor, argumento, campo, signal) → Promise<true | false | 'mensaje'>
+    asyncRules: {
+        /**
+         * GET a la URL con el campo (y los de data-remote-with); el servidor responde { ok, msg }
+         */
+        async remote(value, arg, field, signal) {
+            const params = new URLSearchParams({ [field.name || field.id]: value });
+            (field.dataset.remoteWith || '').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+                const other = field.form?.elements[name];
+                if (other?.value) params.set(name, other.value);
+            });
+
+            const url = `${arg}${arg.includes('?') ? '&' : '?'}${params}`;
+            const response = await fetch(url, {
+                headers: { 'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json' },
+                signal
+            });
+
+            // Si el servidor no puede comprobarlo, decide al guardar
+            if (!response.ok) return true;
+
+            const data = await response.json();
+            return data.ok ? true : (data.msg || false);
+        }
+    },
+
+    // Campo → { value, result, controller } de la última comprobación asíncrona
+    pending: new WeakMap(),
+
+    get locale() {
+        const lang = (document.documentElement.lang || 'es').slice(0, 2).toLowerCase();
+        return this.messages[lang] ? lang : 'es';
+    },
+
+    /**
+     * Añade una regla propia (async: true para las que consultan al servidor)
+     */
+    addRule(name, fn, messages = {}, { async = false } = {}) {
+        (async ? this.asyncRules : this.rules)[name] = fn;
+        Object.entries(messages).forEach(([lang, text]) => {
+            this.messages[lang] = { ...this.messages[lang], [name]: text };
+        });
+    },
+
+    /**
+     * "required|min:0.01|pattern:a\|b" → [{ name, arg }]
+     */
+    parse(spec) {
+        const parts = [];
+        String(spec || '').split('|').forEach(piece => {
+            const last = parts.length - 1;
+            if (last >= 0 && parts[last].endsWith('\\')) {
+                parts[last] = parts[last].slice(0, -1) + '|' + piece;
+            } else {
+                parts.push(piece);
+            }
+        });
+
+        return parts
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const colon = part.indexOf(':');
+                return colon < 0
+                    ? { name: part, arg: null }
+                    : { name: part.slice(0, colon), arg: part.slice(colon + 1) };
+            });
+    },
+
+    /**
+     * Reglas del campo: data-validation y, si no las repite, las restricciones nativas
+     */
+    rulesFor(field) {
+        if (!field || !field.getAttribute) return [];
+
+        const declared = this.parse(field.getAttribute('data-validation'));
+        const names = new Set(declared.map(rule => rule.name));
+        const native = [];
+        const attr = (name) => field.getAttribute(name);
+
+        if (field.hasAttribute('required')) native.push({ name: 'required', arg: null });
+        if (field.type === 'email') native.push({ name: 'email', arg: null });
+        if (field.type === 'number') native.push({ name: 'number', arg: null });
+        if (attr('minlength')) native.push({ name: 'minlen', arg: attr('minlength') });
+        if (attr('maxlength')) native.push({ name: 'maxlen', arg: attr('maxlength') });
+        if (field.type === 'number' && attr('min')) native.push({ name: 'min', arg: attr('min') });
+        if (field.type === 'number' && attr('max')) native.push({ name: 'max', arg: attr('max') });
+        if (attr('pattern')) native.push({ name: 'pattern', arg: attr('pattern') });
+
+        return [...declared, ...native.filter(rule => !names.has(rule.name))];
+    },
+
+    hasRules(field) {
+        return this.rulesFor(field).length > 0;
+    },
+
+    hasAsyncRules(field) {
+        return this.rulesFor(field).some(rule => rule.name in this.asyncRules);
+    },
+
+    /**
+     * Añade o quita una regla de data-validation ("gt:#PrecioCompra")
+     */
+    toggleRule(field, rule, enabled) {
+        if (!field) return;
+
+        const name = this.parse(rule)[0]?.name;
+        const rules = this.parse(field.getAttribute('data-validation'))
+            .filter(r => r.name !== name)
+            .map(r => r.arg === null ? r.name : `${r.name}:${r.arg.replace(/\|/g, '\\|')}`);
+
+        if (enabled) rules.push(rule);
+        field.setAttribute('data-validation', rules.join('|'));
+    },
+
+    /**
+     * Solo se validan campos visibles y habilitados (p. ej. no los de un modo oculto del formulario)
+     */
+    isActive(field) {
+        return !!field && !field.disabled && field.type !== 'hidden' && field.getClientRects().length > 0;
+    },
+
+    valueOf(field) {
+        if (field.tagName === 'FIELDSET') {
+            return Array.from(field.querySelectorAll('input:checked'), input => input.value).join(',');
+        }
+        if (field.type === 'checkbox' || field.type === 'radio') return field.checked ? field.value : '';
+        return String(field.value ?? '').trim();
+    },
+
+    /**
+     * Valida con las reglas síncronas; incluye el último resultado asíncrono si el valor no cambió
+     * @returns {{valid: boolean, rule: string|null, message: string}}
+     */
+    validate(field) {
+        const value = this.valueOf(field);
+
+        for (const { name, arg } of this.rulesFor(field)) {
+            if (name in this.asyncRules) continue;
+
+            // Campo vacío y opcional: el resto de reglas no aplica
+            if (!value && name !== 'required') continue;
+
+            const rule = this.rules[name];
+            if (!rule) {
+                console.warn(`Validator: regla desconocida "${name}"`);
+                continue;
+            }
+
+            const result = rule(value, arg, field);
+            if (result !== true) return this.fail(name, arg, field, result);
+        }
+
+        const last = this.pending.get(field);
+        if (last?.result && last.value === value && !last.result.valid) return last.result;
+
+        return { valid: true, rule: null, message: '' };
+    },
+
+    /**
+     * Reglas síncronas y luego las asíncronas (cancela la comprobación anterior del mismo campo)
+     */
+    async validateAsync(field) {
+        const sync = this.validate(field);
+        if (!sync.valid) return sync;
+
+        const value = this.valueOf(field);
+        const asyncRules = this.rulesFor(field).filter(rule => rule.name in this.asyncRules);
+        if (!value || asyncRules.length === 0) return sync;
+
+        const last = this.pending.get(field);
+        if (last?.value === value && last.result) return last.result;
+        if (last?.value === value && last.promise) return last.promise;
+        last?.controller?.abort();
+
+        const controller = new AbortController();
+        const entry = { value, controller, result: null, promise: null };
+        this.pending.set(field, entry);
+
+        entry.promise = (async () => {
+            for (const { name, arg } of asyncRules) {
+                let result;
+                try {
+                    result = await this.asyncRules[name](value, arg, field, controller.signal);
+                } catch (error) {
+                    if (error.name === 'AbortError') return { valid: true, rule: null, message: '' };
+                    // Sin conexión: el servidor valida al guardar
+                    result = true;
+                }
+                if (result !== true) return (entry.result = this.fail(name, arg, field, result));
+            }
+            return (entry.result = { valid: true, rule: null, message: '' });
+        })();
+
+        return entry.promise;
+    },
+
+    /**
+     * Valida todos los campos activos con reglas dentro de root
+     * @returns {Array<{field: Element, valid: boolean, rule: string|null, message: string}>}
+     */
+    validateAll(root) {
+        return this.fields(root).map(field => ({ field, ...this.validate(field) }));
+    },
+
+    async validateAllAsync(root) {
+        return Promise.all(this.fields(root).map(async field => ({ field, ...(await this.validateAsync(field)) })));
+    },
+
+    fields(root) {
+        const scope = root?.elements ? Array.from(root.elements) : Array.from((root || document).querySelectorAll('input, select, textarea, fieldset'));
+        return scope.filter(field => this.isActive(field) && this.hasRules(field));
+    },
+
+    fail(rule, arg, field, custom) {
+        return { valid: false, rule, message: this.message(rule, arg, field, typeof custom === 'string' ? custom : null) };
+    },
+
+    /**
+     * Mensaje: data-msg-<regla> del campo, el del servidor o el del idioma de la página
+     */
+    message(rule, arg, field, custom = null) {
+        const own = field?.getAttribute?.(`data-msg-${rule}`);
+        const table = this.messages[this.locale];
+        const template = own || custom || table[rule] || this.messages.es[rule] || table.unknown;
+
+        return template
+            .replace('{0}', arg ?? '')
+            .replace('{label}', this.labelOf(this.target(arg, field)) || arg || '');
+    },
+
+    labelOf(field) {
+        if (!field) return '';
+        const label = field.id ? document.querySelector(`label[for="${field.id}"]`) : null;
+        return (label?.textContent || field.getAttribute('aria-label') || field.name || '')
+            .replace('*', '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    target(selector, field) {
+        if (!selector || !/^[#.[]/.test(selector)) return null;
+        try {
+            return (field?.form || document).querySelector(selector);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Compara con otro campo; si el otro está vacío o no es número, no hay nada que comparar
+     */
+    compare(value, selector, field, test) {
+        const other = this.target(selector, field);
+        const b = other ? this.toNum(this.valueOf(other)) : this.toNum(selector);
+        const a = this.toNum(value);
+        if (isNaN(b)) return true;
+        return !isNaN(a) && test(a, b);
+    },
+
+    toNum(value) {
+        const text = String(value ?? '').trim().replace(',', '.');
+        return text === '' ? NaN : Number(text);
+    }
+};
+
+// ============================================================================
+// Exportar globalmente
+// ============================================================================
+window.Validator = Validator;
+
+if (window.Simone) {
+    window.Simone.Validation = Validator;
+}
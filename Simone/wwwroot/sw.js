@@ -0,0 +1,410 @@
+/**
+ * ============================================================================
+ * SIMONE E-COMMERCE - Service Worker v1.0
+ * ============================================================================
+ * Tienda usable con conexión intermitente
+ * - Cachea el shell del layout, scripts/estilos, páginas del catálogo e imágenes
+ *   (las páginas solo si se sirvieron sin sesión: X-Session-Content: private)
+ * - Encola en IndexedDB los "añadir al carrito" y favoritos hechos sin conexión
+ * - Los reenvía al volver la conexión e informa el resultado por producto
+ *   (sin sesión se conservan hasta que el usuario vuelva a entrar)
+ * ============================================================================
+ */
+
+'use strict';
+
+const CONFIG = {
+    // v2: las cachés v1 podían guardar páginas con sesión iniciada
+    version: 'v2',
+    caches: {
+        shell: 'simone-shell',
+        pages: 'simone-pages',
+        images: 'simone-images'
+    },
+
+    // Shell mínimo: con esto la tienda abre aunque no haya red
+    shell: [
+        '/',
+        '/css/site.css',
+        '/css/layout.css',
+        '/css/catalogo.css',
+        '/js/site.js',
+        '/js/cart.js',
+        '/js/layout.js',
+        '/js/colors.js',
+        '/js/catalogo.js',
+        '/images/placeholder-product.svg',
+        '/images/placeholder-category.svg',
+        '/favicon.ico'
+    ],
+
+    // Páginas públicas de la tienda que se guardan al visitarlas
+    pagePrefixes: ['/Compras/Catalogo', '/Compras/VerProducto'],
+
+    imagePrefixes: ['/images/', '/uploads/'],
+    maxImages: 300,
+
+    // POST que se pueden diferir si no hay conexión
+    queueable: {
+        '/Carrito/AgregarDesdeCard': 'cart',
+        '/Favoritos/Toggle': 'wishlist'
+    },
+
+    db: { name: 'simone-offline', version: 1, store: 'queue' },
+    syncTag: 'simone-offline-queue',
+    loginPath: '/Cuenta/Login',
+
+    // Cabecera con la que el servidor marca las respuestas de un usuario con sesión
+    privateHeader: 'X-Session-Content'
+};
+
+const cacheName = (key) => `${CONFIG.caches[key]}-${CONFIG.version}`;
+
+// Solo se guarda lo que cualquiera podría ver: nada con datos de la sesión
+const isShareable = (response) => response.ok && response.headers.get(CONFIG.privateHeader) !== 'private';
+
+// ============================================================================
+// INSTALACIÓN Y ACTIVACIÓN
+// ============================================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(cacheName('shell'))
+            // Un recurso caído (o '/' con sesión iniciada) no debe impedir instalar el resto
+            .then(cache => Promise.allSettled(CONFIG.shell.map(url => fetch(url).then(response => {
+                if (isShareable(response)) return cache.put(url, response);
+            }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.keys(CONFIG.caches).map(cacheName);
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('simone-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================================================
+// ESTRATEGIAS DE CACHÉ
+// ============================================================================
+
+const Strategies = {
+    /**
+     * Red primero, caché si falla (HTML: siempre lo más reciente posible).
+     * Las páginas con sesión no se guardan
+     */
+    async networkFirst(request, cacheKey) {
+        const cache = await caches.open(cacheName(cacheKey));
+        try {
+            const response = await fetch(request);
+            if (isShareable(response)) cache.put(request, response.clone());
+            return response;
+        } catch (error) {
+            const cached = await cache.match(request)
+                || await caches.match('/', { cacheName: cacheName('shell') });
+            if (cached) return cached;
+            throw error;
+        }
+    },
+
+    /**
+     * Caché primero y actualización en segundo plano (JS, CSS, fuentes).
+     * asp-append-version añade ?v=hash: sin red sirve cualquier versión.
+     */
+    async staleWhileRevalidate(request, cacheKey) {
+        const cache = await caches.open(cacheName(cacheKey));
+        const cached = await cache.match(request);
+
+        const network = fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+                return response;
+            })
+            .catch(() => null);
+
+        return cached
+            || await network
+            || await cache.match(request, { ignoreSearch: true })
+            || Response.error();
+    },
+
+    /**
+     * Caché primero (imágenes de producto), con límite de entradas
+     */
+    async cacheFirst(request, cacheKey, maxEntries) {
+        const cache = await caches.open(cacheName(cacheKey));
+        const cached = await cache.match(request);
+        if (cached) return cached;
+
+        try {
+            const response = await fetch(request);
+            if (response.ok) {
+                await cache.put(request, response.clone());
+                this.trim(cache, maxEntries);
+            }
+            return response;
+        } catch (error) {
+            return await caches.match('/images/placeholder-product.svg') || Response.error();
+        }
+    },
+
+    async trim(cache, maxEntries) {
+        const keys = await cache.keys();
+        // Cache.keys() respeta el orden de inserción: se van las más antiguas
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+    }
+};
+
+// ============================================================================
+// ENRUTADO DE PETICIONES
+// ============================================================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST') {
+        const kind = url.origin === self.location.origin ? queueKindOf(url.pathname) : null;
+        // Un formulario enviado como navegación no puede recibir JSON
+        if (kind && request.mode !== 'navigate') {
+            event.respondWith(fetch(request.clone()).catch(() => OfflineQueue.add(request, kind)));
+        }
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        if (url.origin === self.location.origin && isStorePage(url.pathname)) {
+            event.respondWith(Strategies.networkFirst(request, 'pages'));
+        }
+        return;
+    }
+
+    if (['script', 'style', 'font'].includes(request.destination)) {
+        event.respondWith(Strategies.staleWhileRevalidate(request, 'shell'));
+        return;
+    }
+
+    if (request.destination === 'image' && url.origin === self.location.origin &&
+        CONFIG.imagePrefixes.some(prefix => url.pathname.startsWith(prefix))) {
+        event.respondWith(Strategies.cacheFirst(request, 'images', CONFIG.maxImages));
+    }
+});
+
+function queueKindOf(pathname) {
+    const match = Object.keys(CONFIG.queueable).find(path =>
+        pathname === path || pathname.startsWith(path + '/'));
+    return match ? CONFIG.queueable[match] : null;
+}
+
+function isStorePage(pathname) {
+    return pathname === '/' || CONFIG.pagePrefixes.some(prefix => pathname.startsWith(prefix));
+}
+
+// ============================================================================
+// COLA OFFLINE (IndexedDB)
+// ============================================================================
+
+const OfflineQueue = {
+    replaying: null,
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(CONFIG.db.name, CONFIG.db.version);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(CONFIG.db.store, { keyPath: 'id', autoIncrement: true });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(CONFIG.db.store, mode);
+            const req = action(tx.objectStore(CONFIG.db.store));
+            tx.oncomplete = () => { db.close(); resolve(req.result); };
+            tx.onerror = () => { db.close(); reject(tx.error); };
+        });
+    },
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    },
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    },
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    },
+
+    /**
+     * Guarda la petición fallida y responde como si el servidor la hubiera aceptado en diferido
+     */
+    async add(request, kind) {
+        // FormData (favoritos del catálogo) y urlencoded (CartStore) se guardan igual
+        const form = await request.formData();
+        const body = new URLSearchParams();
+        form.forEach((value, key) => {
+            if (typeof value === 'string') body.append(key, value);
+        });
+
+        const url = new URL(request.url);
+        const productId = body.get('productoID') || body.get('id') || url.pathname.split('/').pop();
+
+        await this.run('readwrite', store => store.add({
+            kind,
+            url: url.pathname + url.search,
+            body: body.toString(),
+            label: decodeURIComponent(request.headers.get('X-Queue-Label') || '') || `Producto #${productId}`,
+            createdAt: Date.now()
+        }));
+
+        if (self.registration.sync) {
+            self.registration.sync.register(CONFIG.syncTag).catch(() => { });
+        }
+
+        const message = kind === 'cart'
+            ? 'Sin conexión: se añadirá al carrito cuando vuelva la conexión'
+            : 'Sin conexión: se guardará en favoritos cuando vuelva la conexión';
+
+        return new Response(JSON.stringify({ ok: true, success: true, queued: true, message }), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    },
+
+    /**
+     * Reenvía la cola en orden. Si la red vuelve a fallar, lo pendiente se conserva.
+     * Un token CSRF reciente (enviado por la página) sustituye al guardado.
+     * Lo que el servidor rechaza por falta de sesión también se conserva: se avisa
+     * una vez y se reintenta en cada reenvío hasta que el usuario vuelva a entrar.
+     */
+    replay(token = null) {
+        // Varias pestañas piden el reenvío al mismo tiempo: solo la primera recibe el informe
+        if (this.replaying) {
+            return this.replaying.then(report => ({ results: [], pending: report.pending }));
+        }
+
+        this.replaying = this.replayAll(token).finally(() => { this.replaying = null; });
+        return this.replaying;
+    },
+
+    async replayAll(token) {
+        const entries = (await this.getAll()).sort((a, b) => a.id - b.id);
+        const results = [];
+        let offline = false;
+
+        for (const entry of entries) {
+            const body = new URLSearchParams(entry.body);
+            if (token) body.set('__RequestVerificationToken', token);
+
+            let response;
+            try {
+                response = await fetch(entry.url, {
+                    method: 'POST',
+                    body,
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+            } catch (error) {
+                offline = true;
+                break;
+            }
+
+            const result = { id: entry.id, kind: entry.kind, label: entry.label, ...await this.outcome(entry, response) };
+
+            if (result.needLogin) {
+                if (!entry.needLogin) {
+                    results.push(result);
+                    await this.put({ ...entry, needLogin: true });
+                }
+                continue;
+            }
+
+            results.push(result);
+            await this.delete(entry.id);
+        }
+
+        const pending = (await this.getAll()).length;
+        return { results, pending, offline };
+    },
+
+    /**
+     * Traduce la respuesta del servidor a { ok, message } por producto
+     */
+    async outcome(entry, response) {
+        if (response.status === 401 || (response.redirected && new URL(response.url).pathname.startsWith(CONFIG.loginPath))) {
+            return { ok: false, needLogin: true, message: 'Inicia sesión y se completará esta acción' };
+        }
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Respuesta sin JSON
+        }
+
+        if (!response.ok) {
+            return { ok: false, message: data?.message || data?.error || `Error del servidor (${response.status})` };
+        }
+
+        const ok = data?.ok === true || data?.success === true ||
+            (entry.kind === 'wishlist' && typeof data?.esFavorito === 'boolean');
+
+        return ok
+            ? { ok: true, message: data?.message || null }
+            : data?.needLogin === true
+                ? { ok: false, needLogin: true, message: 'Inicia sesión y se completará esta acción' }
+                : { ok: false, needLogin: false, message: data?.message || data?.error || 'No se pudo completar la acción' };
+    }
+};
+
+// ============================================================================
+// MENSAJES CON LAS PÁGINAS
+// ============================================================================
+
+async function notifyClients(message, target = null) {
+    const targets = target ? [target] : await self.clients.matchAll({ type: 'window' });
+    targets.forEach(client => client.postMessage(message));
+}
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+
+    switch (data.type) {
+        case 'offline-queue:replay':
+            event.waitUntil(OfflineQueue.replay(data.token).then(report =>
+                notifyClients({ type: 'offline-queue:replayed', ...report }, event.source)));
+            break;
+        case 'offline-queue:count':
+            event.waitUntil(OfflineQueue.getAll().then(entries =>
+                notifyClients({ type: 'offline-queue:count', pending: entries.length }, event.source)));
+            break;
+    }
+});
+
+// Background Sync (donde exista): reenvía aunque no haya ninguna pestaña abierta
+self.addEventListener('sync', (event) => {
+    if (event.tag !== CONFIG.syncTag) return;
+
+    event.waitUntil(OfflineQueue.replay().then(report => {
+        if (report.results.length > 0) notifyClients({ type: 'offline-queue:replayed', ...report });
+        // Sigue sin red: lanzar hace que el navegador reintente más tarde
+        // (lo que espera al login se reenvía desde la página, no aquí)
+        if (report.offline) throw new Error('Cola offline pendiente');
+    }));
+});